@@ -0,0 +1,365 @@
+// File checkpoints
+//
+// During a CLI run, every file named by a file tool call (Write, Edit, MultiEdit,
+// NotebookEdit) is snapshotted as soon as the call is reported, and again when the run
+// ends. CLIs that only report a file change by asking for it (Codex patches in app-server
+// mode) are covered when the request is allowed, before the CLI gets the answer. The checkpoint belongs to the session and the user message that started the run,
+// so the turn can be reverted later. Saves from the code editor are stored the same way
+// with source 'editor', and project-wide replaces as one checkpoint with source 'replace'.
+//
+// Only files named by file tools are covered; changes made through shell commands are not.
+// Files outside the run's working directory are not recorded, and a checkpoint is only
+// previewed or reverted through its own project, with every path checked against the
+// workspace sandbox again.
+
+import fs from 'fs';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { checkpointDb } from './database/db.js';
+import { resolveWorkspacePath } from './workspace-sandbox.js';
+
+const FILE_TOOL_PATHS = {
+  Write: 'file_path',
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  NotebookEdit: 'notebook_path'
+};
+
+// Larger or binary files are left out of checkpoints
+const MAX_SNAPSHOT_BYTES = 2 * 1024 * 1024;
+const EDITOR_CHECKPOINTS_PER_FILE = 20;
+const DIFF_CONTEXT_LINES = 3;
+// Above this many line pairs the changed region is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4000000;
+
+// Read a file for a snapshot: { content } with null content when it doesn't exist, or null
+// when it can't be stored. Synchronous so the snapshot is taken before the tool gets to run.
+function readSnapshot(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile() || stats.size > MAX_SNAPSHOT_BYTES) {
+      return null;
+    }
+    const buffer = fs.readFileSync(filePath);
+    return buffer.includes(0) ? null : { content: buffer.toString('utf8') };
+  } catch (error) {
+    return error.code === 'ENOENT' ? { content: null } : null;
+  }
+}
+
+function checkpointError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The files a tool call names inside workingDir; a patch over several files lists them all
+// in input.files
+function getToolFilePaths(item, workingDir) {
+  const key = FILE_TOOL_PATHS[item.name];
+  if (!key || !item.input || typeof item.input !== 'object') {
+    return [];
+  }
+  const filePaths = [item.input[key], ...(Array.isArray(item.input.files) ? item.input.files : [])];
+  const resolved = [];
+  for (const filePath of filePaths) {
+    if (typeof filePath !== 'string' || !filePath || filePath.includes('\0')) {
+      continue;
+    }
+    const absolute = path.resolve(workingDir, filePath);
+    const relative = path.relative(workingDir, absolute);
+    if (relative && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative)) {
+      resolved.push(absolute);
+    }
+  }
+  return resolved;
+}
+
+// The checkpoint with the given id if it belongs to the project at projectPath
+function getProjectCheckpoint(checkpointId, projectPath) {
+  const checkpoint = checkpointDb.getCheckpoint(checkpointId);
+  if (!checkpoint || !projectPath || path.resolve(checkpoint.project_path) !== path.resolve(projectPath)) {
+    return null;
+  }
+  return checkpoint;
+}
+
+// Check every file of a checkpoint against the project's workspace before touching any
+async function checkCheckpointFiles(checkpoint, operation, user) {
+  for (const file of checkpoint.files) {
+    const resolved = await resolveWorkspacePath(checkpoint.project_path, file.file_path, { operation, user });
+    if (resolved !== file.file_path) {
+      throw checkpointError('EACCES', `${file.file_path} is outside the project workspace`);
+    }
+  }
+}
+
+// Track the files one run touches. The checkpoint row is created on the first file tool
+// call, so runs that edit nothing leave no trace.
+function createRunCheckpoint(workingDir) {
+  let checkpointId = null;
+  const files = new Set();
+
+  return {
+    // item is a tool_use, or an allowed permission-request the CLI is waiting on
+    track(item, sessionId, messageId) {
+      if (!sessionId || (item.type !== 'tool_use' && item.type !== 'permission-request')) {
+        return;
+      }
+      for (const filePath of getToolFilePaths(item, workingDir)) {
+        if (files.has(filePath)) {
+          continue;
+        }
+        files.add(filePath);
+        const snapshot = readSnapshot(filePath);
+        if (!snapshot) {
+          continue;
+        }
+        try {
+          if (!checkpointId) {
+            checkpointId = checkpointDb.createCheckpoint({ sessionId, messageId, projectPath: workingDir });
+          }
+          checkpointDb.addFileBefore(checkpointId, filePath, snapshot.content);
+        } catch (error) {
+          console.error('Failed to record file checkpoint:', error.message);
+        }
+      }
+    },
+
+    // Snapshot the tracked files again; returns a summary, or null if nothing changed
+    finish() {
+      if (!checkpointId) {
+        return null;
+      }
+      try {
+        for (const filePath of files) {
+          const snapshot = readSnapshot(filePath);
+          if (snapshot) {
+            checkpointDb.setFileAfter(checkpointId, filePath, snapshot.content);
+          }
+        }
+        if (!checkpointDb.discardUnchanged(checkpointId)) {
+          return null;
+        }
+        return formatCheckpoint(checkpointDb.getCheckpoint(checkpointId));
+      } catch (error) {
+        console.error('Failed to record file checkpoint:', error.message);
+        return null;
+      }
+    }
+  };
+}
+
+function formatCheckpoint(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    messageId: row.message_id,
+    projectPath: row.project_path,
+    source: row.source,
+    createdAt: row.created_at,
+    revertedAt: row.reverted_at,
+    files: row.files.map(file => ({
+      path: file.file_path,
+      status: fileStatus(file)
+    }))
+  };
+}
+
+function fileStatus(file) {
+  if ('created' in file) {
+    return file.created ? 'created' : file.deleted ? 'deleted' : 'modified';
+  }
+  return file.before_content === null ? 'created' : file.after_content === null ? 'deleted' : 'modified';
+}
+
+// Record an editor save; replaces the .backup.<timestamp> copies written next to files
+function recordEditorSave(projectPath, filePath, content) {
+  const snapshot = readSnapshot(filePath);
+  if (!snapshot || snapshot.content === content) {
+    return null;
+  }
+  const checkpointId = checkpointDb.createCheckpoint({ projectPath, source: 'editor' });
+  checkpointDb.addFileBefore(checkpointId, filePath, snapshot.content);
+  checkpointDb.setFileAfter(checkpointId, filePath, content);
+  checkpointDb.pruneEditorCheckpoints(projectPath, filePath, EDITOR_CHECKPOINTS_PER_FILE);
+  return checkpointId;
+}
+
+// Record a find-and-replace across files as one checkpoint, so it can be reverted at once.
+// files: [{ filePath, before, after }]
+function recordReplace(projectPath, files) {
+  if (files.length === 0) {
+    return null;
+  }
+  const checkpointId = checkpointDb.createCheckpoint({ projectPath, source: 'replace' });
+  for (const { filePath, before, after } of files) {
+    checkpointDb.addFileBefore(checkpointId, filePath, before);
+    checkpointDb.setFileAfter(checkpointId, filePath, after);
+  }
+  return checkpointId;
+}
+
+function listCheckpoints(filters) {
+  return checkpointDb.listCheckpoints(filters).map(formatCheckpoint);
+}
+
+// Line diff as [{ type: 'context' | 'removed' | 'added', line }]
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const prefix = oldLines.slice(0, start).map(line => ({ type: 'context', line }));
+  const suffix = oldLines.slice(oldEnd).map(line => ({ type: 'context', line }));
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    return [
+      ...prefix,
+      ...oldMiddle.map(line => ({ type: 'removed', line })),
+      ...newMiddle.map(line => ({ type: 'added', line })),
+      ...suffix
+    ];
+  }
+
+  // Longest common subsequence over the changed region
+  const rows = oldMiddle.length + 1;
+  const cols = newMiddle.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = oldMiddle[i] === newMiddle[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length && j < newMiddle.length) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'context', line: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      middle.push({ type: 'removed', line: oldMiddle[i++] });
+    } else {
+      middle.push({ type: 'added', line: newMiddle[j++] });
+    }
+  }
+  while (i < oldMiddle.length) middle.push({ type: 'removed', line: oldMiddle[i++] });
+  while (j < newMiddle.length) middle.push({ type: 'added', line: newMiddle[j++] });
+
+  return [...prefix, ...middle, ...suffix];
+}
+
+// Unified diff between two versions of a file; null content means the file is absent
+function createUnifiedDiff(filePath, oldContent, newContent) {
+  const toLines = (content) => content === null || content === '' ? [] : content.replace(/\n$/, '').split('\n');
+  const lines = diffLines(toLines(oldContent), toLines(newContent));
+  const output = [
+    `--- ${oldContent === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${newContent === null ? '/dev/null' : `b/${filePath}`}`
+  ];
+
+  let index = 0;
+  while (index < lines.length) {
+    if (lines[index].type === 'context') {
+      index++;
+      continue;
+    }
+    // Grow the hunk while changes are within twice the context of each other
+    let hunkStart = Math.max(0, index - DIFF_CONTEXT_LINES);
+    let hunkEnd = index;
+    let lastChange = index;
+    while (hunkEnd < lines.length && hunkEnd - lastChange <= DIFF_CONTEXT_LINES * 2) {
+      if (lines[hunkEnd].type !== 'context') {
+        lastChange = hunkEnd;
+      }
+      hunkEnd++;
+    }
+    hunkEnd = Math.min(lines.length, lastChange + DIFF_CONTEXT_LINES + 1);
+
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < hunkStart; k++) {
+      if (lines[k].type !== 'added') oldLine++;
+      if (lines[k].type !== 'removed') newLine++;
+    }
+    const hunk = lines.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter(line => line.type !== 'added').length;
+    const newCount = hunk.filter(line => line.type !== 'removed').length;
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    for (const line of hunk) {
+      output.push(`${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}${line.line}`);
+    }
+    index = hunkEnd;
+  }
+
+  return output.join('\n');
+}
+
+// What reverting a checkpoint would do: per file, the diff from the current content back
+// to the content before the checkpoint, and whether the file changed again since.
+// Returns null when the checkpoint doesn't exist in the project at projectPath.
+async function previewRevert(checkpointId, projectPath, { user = null } = {}) {
+  const checkpoint = getProjectCheckpoint(checkpointId, projectPath);
+  if (!checkpoint) {
+    return null;
+  }
+  await checkCheckpointFiles(checkpoint, 'read', user);
+  const files = checkpoint.files.map(file => {
+    const current = readSnapshot(file.file_path);
+    const relativePath = path.relative(checkpoint.project_path, file.file_path) || file.file_path;
+    const currentContent = current ? current.content : file.after_content;
+    return {
+      path: file.file_path,
+      relativePath,
+      status: fileStatus(file),
+      changedSince: !current || current.content !== file.after_content,
+      diff: createUnifiedDiff(relativePath, currentContent, file.before_content)
+    };
+  });
+  return { ...formatCheckpoint(checkpoint), files };
+}
+
+// Put every file of a checkpoint back to its content before the checkpoint. Nothing is
+// written if any of its files is outside the project's workspace.
+async function revertCheckpoint(checkpointId, projectPath, { user = null } = {}) {
+  const checkpoint = getProjectCheckpoint(checkpointId, projectPath);
+  if (!checkpoint) {
+    return null;
+  }
+  await checkCheckpointFiles(checkpoint, 'write', user);
+  const restored = [];
+  for (const file of checkpoint.files) {
+    if (file.before_content === null) {
+      await fsPromises.rm(file.file_path, { force: true });
+    } else {
+      await fsPromises.mkdir(path.dirname(file.file_path), { recursive: true });
+      await fsPromises.writeFile(file.file_path, file.before_content, 'utf8');
+    }
+    restored.push(file.file_path);
+  }
+  checkpointDb.markReverted(checkpointId);
+  return { id: checkpoint.id, files: restored };
+}
+
+export {
+  createRunCheckpoint,
+  recordEditorSave,
+  recordReplace,
+  listCheckpoints,
+  previewRevert,
+  revertCheckpoint
+};
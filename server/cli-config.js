@@ -1,130 +1,33 @@
-import os from 'os';
 import path from 'path';
+import { DEFAULT_PROVIDER, getProviderAdapter, hasProviderAdapter } from './provider-registry.js';
 
-const rawProvider = (process.env.CLI_PROVIDER || 'gemini').toLowerCase();
-const provider = rawProvider === 'codex' ? 'codex'
-  : rawProvider === 'webllm' ? 'webllm'
-  : rawProvider === 'claude' ? 'claude'
-  : rawProvider === 'ollama' ? 'ollama'
-  : rawProvider === 'bmad' ? 'bmad'
-  : 'gemini';
-
-const codexHome = process.env.CODEX_HOME || path.join(os.homedir(), '.codex');
-const claudeHome = process.env.CLAUDE_HOME || path.join(os.homedir(), '.claude');
-const geminiHome = path.join(os.homedir(), '.gemini');
-const ollamaHome = process.env.OLLAMA_HOME || path.join(os.homedir(), '.ollama');
-const bmadHome = process.env.BMAD_HOME || path.join(os.homedir(), '.bmad');
-const uiHome = process.env.CLI_UI_HOME || (provider === 'codex'
-  ? path.join(codexHome, 'cli-ui')
-  : provider === 'claude'
-  ? path.join(claudeHome, 'cli-ui')
-  : provider === 'ollama'
-  ? path.join(ollamaHome, 'cli-ui')
-  : provider === 'bmad'
-  ? path.join(bmadHome, 'cli-ui')
-  : geminiHome);
-
-const cliModelCatalog = {
-  gemini: [
-    { value: 'gemini-3-pro-preview', label: 'Gemini 3.0 Pro', description: 'Next generation reasoning and capabilities' },
-    { value: 'gemini-3.0-flash', label: 'Gemini 3.0 Flash', description: 'Ultra-fast next gen model' },
-    { value: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', description: 'Fast and efficient latest model (Recommended)' },
-    { value: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', description: 'Most advanced model (Note: May have quota limits)' },
-    { value: 'gemini-2.0-flash-thinking-exp-01-21', label: 'Gemini 2.0 Flash Thinking', description: 'Thinking model with extended reasoning capabilities' },
-    { value: 'gemini-2.0-pro-exp-02-05', label: 'Gemini 2.0 Pro', description: 'Advanced experimental model' },
-    { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', description: 'Balanced performance and capabilities' },
-    { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', description: 'Fast and cost-effective' }
-  ],
-  codex: [
-    { value: 'gpt-5.1-codex-max', label: 'GPT-5.1 Codex Max', description: 'Largest Codex reasoning profile and tool depth' },
-    { value: 'gpt-5.1-codex', label: 'GPT-5.1 Codex', description: 'Balanced Codex model for coding tasks' },
-    { value: 'gpt-5.1', label: 'GPT-5.1', description: 'General-purpose GPT-5.1 for mixed workloads' },
-    { value: 'gpt-5.2', label: 'GPT-5.2', description: 'Latest general model with strong reasoning' },
-    { value: 'o3', label: 'o3', description: 'Reasoning-focused model' },
-    { value: 'o4-mini', label: 'o4-mini', description: 'Fast, lightweight reasoning model' }
-  ],
-  claude: [
-    { value: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet', description: 'Strong reasoning and coding with balanced speed' },
-    { value: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet', description: 'High-quality output with reliable coding performance' },
-    { value: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', description: 'Fast, lightweight model for quick iterations' }
-  ],
-  webllm: [
-    { value: 'Llama-3.2-1B-Instruct-q4f32_1-MLC', label: 'Llama 3.2 1B', description: 'Smallest model, fastest loading (Recommended to test)' },
-    { value: 'Llama-3.2-3B-Instruct-q4f32_1-MLC', label: 'Llama 3.2 3B', description: 'Lightweight model, good balance' },
-    { value: 'Llama-3.1-8B-Instruct-q4f32_1-MLC', label: 'Llama 3.1 8B', description: 'Larger model, better quality' },
-    { value: 'Phi-3.5-mini-instruct-q4f32_1-MLC', label: 'Phi 3.5 Mini', description: 'Microsoft Phi model, efficient' },
-    { value: 'gemma-2-2b-it-q4f16_1-MLC', label: 'Gemma 2 2B', description: 'Google Gemma, small and fast' },
-    { value: 'Qwen3-0.6B-q4f16_1-MLC', label: 'Qwen 3 0.6B', description: 'Tiny model for quick testing' }
-  ],
-  ollama: [
-    { value: 'llama2:latest', label: 'Llama 2', description: 'Stable default model from Ollama registry' },
-    { value: 'llama3.2:1b', label: 'Llama 3.2 1B', description: 'Small model (requires compatible Ollama version)' },
-    { value: 'deepseek-r1:1.5b', label: 'DeepSeek R1 1.5B', description: 'Compact reasoning model' }
-  ],
-  bmad: [
-    { value: 'bmad-default', label: 'BMAD Default', description: 'BMAD CLI does not use model selection (ignored).' }
-  ]
-};
-
-const defaultModelByProvider = {
-  gemini: 'gemini-2.5-flash',
-  codex: 'gpt-5.1-codex-max',
-  claude: 'claude-3-5-sonnet-latest',
-  webllm: 'Llama-3.2-1B-Instruct-q4f32_1-MLC',
-  ollama: 'llama2:latest',
-  bmad: 'bmad-default'
-};
-
+// CLI_PROVIDER is read on each call so adapters registered at startup (and values
+// loaded from .env) are honoured
 function getCliProvider() {
-  return provider;
+  const rawProvider = (process.env.CLI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  return hasProviderAdapter(rawProvider) ? rawProvider : DEFAULT_PROVIDER;
 }
 
 function normalizeProvider(providerOverride) {
-  if (!providerOverride) return provider;
+  if (!providerOverride) return getCliProvider();
   const p = providerOverride.toLowerCase();
-  if (p === 'codex') return 'codex';
-  if (p === 'claude') return 'claude';
-  if (p === 'webllm') return 'webllm';
-  if (p === 'ollama') return 'ollama';
-  if (p === 'bmad') return 'bmad';
-  return 'gemini';
+  return hasProviderAdapter(p) ? p : DEFAULT_PROVIDER;
 }
 
 function getCliCommand(providerOverride) {
-  const resolvedProvider = normalizeProvider(providerOverride);
-  if (resolvedProvider === 'codex') {
-    return process.env.CODEX_PATH || 'codex';
+  const adapter = getProviderAdapter(normalizeProvider(providerOverride));
+  // Browser-only providers have no binary; fall back to the default CLI
+  if (adapter.browserOnly) {
+    return getProviderAdapter(DEFAULT_PROVIDER).command();
   }
-  if (resolvedProvider === 'claude') {
-    return process.env.CLAUDE_PATH || 'claude';
-  }
-  if (resolvedProvider === 'ollama') {
-    return process.env.OLLAMA_PATH || 'ollama';
-  }
-  if (resolvedProvider === 'bmad') {
-    return process.env.BMAD_PATH || 'bmad';
-  }
-  return process.env.GEMINI_PATH || 'gemini';
+  return adapter.command();
 }
 
 function getUiHome(providerOverride) {
-  const resolvedProvider = normalizeProvider(providerOverride);
   if (process.env.CLI_UI_HOME) {
     return process.env.CLI_UI_HOME;
   }
-  if (resolvedProvider === 'codex') {
-    return path.join(codexHome, 'cli-ui');
-  }
-  if (resolvedProvider === 'claude') {
-    return path.join(claudeHome, 'cli-ui');
-  }
-  if (resolvedProvider === 'ollama') {
-    return path.join(ollamaHome, 'cli-ui');
-  }
-  if (resolvedProvider === 'bmad') {
-    return path.join(bmadHome, 'cli-ui');
-  }
-  return geminiHome;
+  return getProviderAdapter(normalizeProvider(providerOverride)).home();
 }
 
 function getProjectsRoot(providerOverride) {
@@ -140,60 +43,33 @@ function getProjectConfigPath(providerOverride) {
 }
 
 function getCliInfo(providerOverride) {
-  const resolvedProvider = normalizeProvider(providerOverride);
-  const models = cliModelCatalog[resolvedProvider] || cliModelCatalog.gemini;
-  const displayNames = {
-    gemini: 'Gemini CLI',
-    codex: 'Codex CLI',
-    claude: 'Claude CLI',
-    webllm: 'WebLLM (Local)',
-    ollama: 'Ollama (Local)',
-    bmad: 'BMAD CLI'
-  };
+  const adapter = getProviderAdapter(normalizeProvider(providerOverride));
   return {
-    provider: resolvedProvider,
-    displayName: displayNames[resolvedProvider] || 'Gemini CLI',
-    defaultModel: defaultModelByProvider[resolvedProvider] || defaultModelByProvider.gemini,
-    models
+    provider: adapter.id,
+    displayName: adapter.displayName,
+    defaultModel: adapter.defaultModel,
+    models: adapter.models
   };
 }
 
 function getCliSetup(providerOverride) {
-  const resolvedProvider = normalizeProvider(providerOverride);
-  const docs = {
-    gemini: 'https://github.com/google-gemini/gemini-cli',
-    codex: 'https://github.com/openai/codex',
-    claude: 'https://docs.anthropic.com/en/docs/claude-code/cli',
-    webllm: 'https://webllm.mlc.ai/',
-    ollama: 'https://ollama.com/',
-    bmad: 'https://github.com/bmad-code-org/BMAD-METHOD'
-  };
-
-  const installCommandEnv = {
-    gemini: process.env.GEMINI_INSTALL_CMD,
-    codex: process.env.CODEX_INSTALL_CMD,
-    claude: process.env.CLAUDE_INSTALL_CMD,
-    webllm: '',
-    ollama: process.env.OLLAMA_INSTALL_CMD,
-    bmad: process.env.BMAD_INSTALL_CMD
-  };
-  const loginCommandEnv = {
-    gemini: process.env.GEMINI_LOGIN_CMD,
-    codex: process.env.CODEX_LOGIN_CMD,
-    claude: process.env.CLAUDE_LOGIN_CMD,
-    webllm: '',
-    ollama: '',
-    bmad: process.env.BMAD_LOGIN_CMD
-  };
-
+  const adapter = getProviderAdapter(normalizeProvider(providerOverride));
   return {
-    docsUrl: docs[resolvedProvider] || docs.gemini,
-    installCommand: installCommandEnv[resolvedProvider] || '',
-    loginCommand: loginCommandEnv[resolvedProvider] || ''
+    docsUrl: adapter.docsUrl,
+    installCommand: adapter.installCommand(),
+    loginCommand: adapter.loginCommand()
   };
 }
 
-function buildSpawnEnv(baseEnv = process.env) {
+// The server's own secrets; no child process needs them
+const SERVER_SECRETS = ['JWT_SECRET', 'API_KEY', 'OPENAI_COMPAT_API_KEY'];
+// Provider API keys and other credentials, which only the AI CLIs need
+const CREDENTIAL_NAME = /(?:API_KEY|TOKEN|SECRET|PASSWORD|CREDENTIALS)$/;
+
+// The environment for a child process: PATH extended with the usual install locations and
+// the server's secrets left out. credentials: false also leaves out API keys and tokens, for
+// programs that aren't AI CLIs (e.g. language servers).
+function buildSpawnEnv(baseEnv = process.env, { credentials = true } = {}) {
   const extraPaths = [
     baseEnv.NVM_BIN,
     '/usr/local/bin',
@@ -213,10 +89,13 @@ function buildSpawnEnv(baseEnv = process.env) {
     return true;
   });
 
-  return {
-    ...baseEnv,
-    PATH: deduped.join(path.delimiter)
-  };
+  const env = { ...baseEnv, PATH: deduped.join(path.delimiter) };
+  for (const name of Object.keys(env)) {
+    if (SERVER_SECRETS.includes(name) || (!credentials && CREDENTIAL_NAME.test(name))) {
+      delete env[name];
+    }
+  }
+  return env;
 }
 
 export {
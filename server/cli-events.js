@@ -0,0 +1,146 @@
+// CLI run events - provider-agnostic output of spawnGemini
+//
+// A run reports progress by calling sink.emit(event) with one of:
+//   { type: 'text', text, isPartial, delta }   delta: continues the previous text instead of
+//                                  starting a new message (unbuffered text only)
+//   { type: 'tool_use', id, name, input }
+//   { type: 'tool_result', toolUseId, content, isError }
+//   { type: 'session-created', sessionId }
+//   { type: 'checkpoint', checkpoint }   files the run edited (see checkpoints.js)
+//   { type: 'permission-request', requestId, sessionId, toolName, input }
+//   { type: 'permission-resolved', requestId, allow, reason }   (see tool-approvals.js)
+//   { type: 'safety-warning', sessionId, toolName, command, action, matches, outcome }
+//                                  a shell command matched a safety rule (command-safety.js)
+//   { type: 'error', error }
+//   { type: 'complete', exitCode, sessionId, isNewSession }
+//
+// Sinks translate these into whatever the consumer needs (WebSocket frames,
+// SSE chunks, log lines, test assertions).
+
+// Forward events to the chat WebSocket using the existing message protocol. The client
+// answers permission requests over the same socket, so it can only be asked while it is open.
+function createWebSocketSink(ws) {
+  const send = (payload) => {
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  };
+
+  return {
+    owner: ws,
+    get canApprove() {
+      return ws.readyState === ws.OPEN;
+    },
+    emit(event) {
+      switch (event.type) {
+        case 'text':
+          send({
+            type: 'gemini-response',
+            data: {
+              type: 'message',
+              content: event.text,
+              isPartial: !!event.isPartial
+            }
+          });
+          break;
+        case 'tool_use':
+          send({
+            type: 'gemini-response',
+            data: {
+              role: 'assistant',
+              content: [{ type: 'tool_use', id: event.id, name: event.name, input: event.input }]
+            }
+          });
+          break;
+        case 'tool_result':
+          send({
+            type: 'gemini-response',
+            data: {
+              role: 'user',
+              content: [{
+                type: 'tool_result',
+                tool_use_id: event.toolUseId,
+                content: event.content,
+                is_error: !!event.isError
+              }]
+            }
+          });
+          break;
+        case 'session-created':
+          send({ type: 'session-created', sessionId: event.sessionId });
+          break;
+        case 'checkpoint':
+          send({ type: 'gemini-checkpoint', checkpoint: event.checkpoint });
+          break;
+        case 'permission-request':
+        case 'permission-resolved':
+        case 'safety-warning':
+          send(event);
+          break;
+        case 'error':
+          send({ type: 'gemini-error', error: event.error });
+          break;
+        case 'complete':
+          send({
+            type: 'gemini-complete',
+            exitCode: event.exitCode,
+            isNewSession: event.isNewSession
+          });
+          break;
+        default:
+          break;
+      }
+    }
+  };
+}
+
+// Collect events into an async iterator (for await ... of). canApprove says the consumer
+// answers permission requests itself, with answerToolApproval (see tool-approvals.js).
+function createEventQueue({ canApprove = false } = {}) {
+  const queue = [];
+  let notify = null;
+  let closed = false;
+  let failure = null;
+
+  const wake = () => {
+    if (notify) {
+      const resolve = notify;
+      notify = null;
+      resolve();
+    }
+  };
+
+  return {
+    sink: {
+      canApprove,
+      emit(event) {
+        if (closed) return;
+        queue.push(event);
+        wake();
+      }
+    },
+    close(error = null) {
+      closed = true;
+      failure = error;
+      wake();
+    },
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift();
+          continue;
+        }
+        if (closed) break;
+        await new Promise(resolve => { notify = resolve; });
+      }
+      if (failure) {
+        throw failure;
+      }
+    }
+  };
+}
+
+export {
+  createWebSocketSink,
+  createEventQueue
+};
@@ -0,0 +1,297 @@
+// Command safety rules
+//
+// Shell tool calls are checked against a rule set before they run, without running
+// anything. A rule matches either a regular expression on the command or, for the
+// 'outside-project' check, a write to a path outside the project root. Each rule has an
+// action: 'block' refuses the call, 'confirm' asks the user even in YOLO mode or when the
+// tool is allowed, and 'warn' lets it run. The rules are part of the tool profile (see
+// tool-profiles.js); tool-approvals.js applies them.
+//
+// The patterns run on the main thread, so rule patterns that can backtrack for ever - a
+// repeated group that itself repeats, like (a+)+ - are refused when the rules are saved.
+
+import os from 'os';
+import path from 'path';
+
+const SHELL_TOOLS = ['Bash', 'run_shell_command', 'shell'];
+// Harmless write targets outside any project
+const SAFE_DEVICES = ['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty'];
+const SAFETY_ACTIONS = ['warn', 'confirm', 'block'];
+const MAX_PATTERN_LENGTH = 500;
+
+const DEFAULT_SAFETY_RULES = [
+  {
+    id: 'rm-rf',
+    label: 'Recursive force delete (rm -rf)',
+    pattern: '\\brm\\b(?=[^;&|\\n]*\\s(?:-[a-z]*r[a-z]*|--recursive)\\b)(?=[^;&|\\n]*\\s(?:-[a-z]*f[a-z]*|--force)\\b)',
+    action: 'confirm',
+    enabled: true
+  },
+  {
+    id: 'git-push-force',
+    label: 'Force push (git push --force)',
+    pattern: '\\bgit\\s+(?:-\\S+\\s+)*push\\b[^;&|\\n]*\\s(?:--force(?!-with-lease)|-f)\\b',
+    action: 'confirm',
+    enabled: true
+  },
+  {
+    id: 'chmod',
+    label: 'Recursive or world-writable chmod',
+    pattern: '\\bchmod\\b[^;&|\\n]*\\s(?:-[a-z]*R[a-z]*|--recursive|[0-7]?[0-7]{2}7|[ao]?\\+w)(?=\\s|$)',
+    action: 'confirm',
+    enabled: true
+  },
+  {
+    id: 'curl-pipe-shell',
+    label: 'Downloaded script piped to a shell (curl | sh)',
+    pattern: '\\b(?:curl|wget)\\b[^;&\\n]*\\|\\s*(?:sudo\\s+)?(?:ba|z|k|da)?sh\\b',
+    action: 'block',
+    enabled: true
+  },
+  {
+    id: 'outside-project',
+    label: 'Writes outside the project root',
+    check: 'outside-project',
+    action: 'confirm',
+    enabled: true
+  }
+];
+
+// Commands whose arguments are paths they write to; 'last' means only the destination
+const WRITE_COMMANDS = {
+  cp: 'last',
+  mv: 'last',
+  install: 'last',
+  ln: 'last',
+  rsync: 'last',
+  rm: 'all',
+  rmdir: 'all',
+  mkdir: 'all',
+  touch: 'all',
+  truncate: 'all',
+  tee: 'all',
+  chmod: 'skip-first',
+  chown: 'skip-first'
+};
+
+// Whether an enabled rule can refuse a command ('confirm' or 'block'). CLIs that can't ask
+// before a tool call must then not run shell commands on their own.
+function hasEnforcingRules(rules = DEFAULT_SAFETY_RULES) {
+  return (rules || []).some(rule => rule.enabled !== false && rule.action !== 'warn');
+}
+
+// An allowed-tools entry for a shell tool, e.g. "Bash" or "run_shell_command(git:*)"
+function isShellToolRule(rule) {
+  return SHELL_TOOLS.includes(String(rule).replace(/\(.*\)$/, ''));
+}
+
+function getShellCommand(toolName, input) {
+  return SHELL_TOOLS.includes(toolName) && typeof input?.command === 'string' ? input.command : null;
+}
+
+// Whether a pattern repeats a group that contains a repetition itself, e.g. (a+)+ or
+// (?:a*b){2,}. Those can take exponential time on a command that almost matches.
+function hasNestedRepetition(pattern) {
+  const groups = [{ repeats: false }];
+  const repeatAt = (index) => /^(?:[*+]|\{\d*,\d*\})/.test(pattern.slice(index));
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Quantifiers inside a character class are literal
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = repeatAt(i + 1);
+      if (group.repeats && repeated) {
+        return true;
+      }
+      groups[groups.length - 1].repeats ||= group.repeats || repeated;
+    } else if (repeatAt(i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+}
+
+// A pattern's problem, or null when it can be used; the built-in patterns are known to be fine
+function checkPattern(pattern) {
+  if (DEFAULT_SAFETY_RULES.some(rule => rule.pattern === pattern)) {
+    return null;
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `is longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `has an invalid pattern: ${error.message}`;
+  }
+  return hasNestedRepetition(pattern)
+    ? 'repeats a group that repeats itself (like (a+)+), which can hang the server'
+    : null;
+}
+
+// Validate a rule set from the client; throws on bad rules so they aren't silently dropped
+function sanitizeSafetyRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('safetyRules must be an array of rules');
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Safety rule ${index + 1} is not an object`);
+    }
+    const action = SAFETY_ACTIONS.includes(rule.action) ? rule.action : 'confirm';
+    const sanitized = {
+      id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : `custom-${Date.now()}-${index}`,
+      label: typeof rule.label === 'string' && rule.label.trim() ? rule.label.trim() : `Rule ${index + 1}`,
+      action,
+      enabled: rule.enabled !== false
+    };
+    if (rule.check === 'outside-project') {
+      return { ...sanitized, check: 'outside-project' };
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new Error(`Safety rule "${sanitized.label}" needs a pattern`);
+    }
+    const problem = checkPattern(rule.pattern);
+    if (problem) {
+      throw new Error(`Safety rule "${sanitized.label}" ${problem}`);
+    }
+    return { ...sanitized, pattern: rule.pattern };
+  });
+}
+
+function tokenize(segment) {
+  const tokens = [];
+  const tokenPattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(segment)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+function resolveTarget(target, projectPath) {
+  let expanded = target.replace(/^["']|["']$/g, '');
+  if (expanded === '~' || expanded.startsWith('~/')) {
+    expanded = path.join(os.homedir(), expanded.slice(1));
+  }
+  expanded = expanded.replace(/^\$HOME\b|^\$\{HOME\}/, os.homedir());
+  // Other variables and substitutions can't be resolved without running the command
+  if (!expanded || expanded.includes('$') || expanded.includes('`')) {
+    return null;
+  }
+  return path.resolve(projectPath, expanded);
+}
+
+function isOutside(resolvedPath, projectPath) {
+  if (SAFE_DEVICES.includes(resolvedPath)) {
+    return false;
+  }
+  const within = (root) => {
+    const relative = path.relative(root, resolvedPath);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+  };
+  return !within(projectPath) && !within(os.tmpdir());
+}
+
+// Paths outside projectPath that a command writes to, as far as can be told from its text.
+// Redirections and the usual file commands are covered; changes of directory are not followed,
+// and the system temp directory doesn't count as outside.
+function findWritesOutside(command, projectPath) {
+  const targets = [];
+  const redirectPattern = /(?:^|[^<>&\d])(?:\d|&)?>>?\s*("[^"]*"|'[^']*'|[^\s;&|<>]+)/g;
+  let match;
+  while ((match = redirectPattern.exec(command)) !== null) {
+    if (!match[1].startsWith('&')) {
+      targets.push(match[1]);
+    }
+  }
+
+  for (const segment of command.split(/&&|\|\||[;|\n]/)) {
+    const tokens = tokenize(segment.replace(/(?:\d|&)?>>?\s*("[^"]*"|'[^']*'|[^\s;&|<>]+)/g, ' '));
+    while (tokens.length > 0 && (tokens[0] === 'sudo' || /^[A-Za-z_][A-Za-z0-9_]*=/.test(tokens[0]))) {
+      tokens.shift();
+    }
+    const [name, ...args] = tokens;
+    if (name === 'dd') {
+      targets.push(...args.filter(arg => arg.startsWith('of=')).map(arg => arg.slice(3)));
+      continue;
+    }
+    const mode = WRITE_COMMANDS[path.basename(name || '')];
+    if (!mode) {
+      continue;
+    }
+    const operands = args.filter(arg => !arg.startsWith('-'));
+    if (mode === 'last') {
+      targets.push(...operands.slice(-1));
+    } else {
+      targets.push(...(mode === 'skip-first' ? operands.slice(1) : operands));
+    }
+  }
+
+  const outside = [];
+  for (const target of targets) {
+    const resolved = resolveTarget(target, projectPath);
+    if (resolved && isOutside(resolved, projectPath) && !outside.includes(resolved)) {
+      outside.push(resolved);
+    }
+  }
+  return outside;
+}
+
+// Check a command against the rules. Returns { action, matches } with the strictest action
+// of the matching rules, or null when no rule matches.
+function analyzeCommand(command, { projectPath = null, rules = DEFAULT_SAFETY_RULES } = {}) {
+  if (typeof command !== 'string' || !command.trim()) {
+    return null;
+  }
+  const matches = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) {
+      continue;
+    }
+    if (rule.check === 'outside-project') {
+      const paths = projectPath ? findWritesOutside(command, projectPath) : [];
+      if (paths.length > 0) {
+        matches.push({ ruleId: rule.id, label: rule.label, action: rule.action, detail: paths.join(', ') });
+      }
+      continue;
+    }
+    // Rules are validated when saved; skip one saved before a check it now fails
+    if (checkPattern(rule.pattern) === null && new RegExp(rule.pattern, 'i').test(command)) {
+      matches.push({ ruleId: rule.id, label: rule.label, action: rule.action });
+    }
+  }
+  if (matches.length === 0) {
+    return null;
+  }
+  const action = matches.reduce((strictest, match) =>
+    SAFETY_ACTIONS.indexOf(match.action) > SAFETY_ACTIONS.indexOf(strictest) ? match.action : strictest, 'warn');
+  return { action, matches };
+}
+
+// analyzeCommand for a tool call; null for tools that aren't shell commands
+function analyzeToolCall(toolName, input, options) {
+  const command = getShellCommand(toolName, input);
+  const analysis = command ? analyzeCommand(command, options) : null;
+  return analysis ? { ...analysis, command } : null;
+}
+
+export {
+  DEFAULT_SAFETY_RULES,
+  SAFETY_ACTIONS,
+  sanitizeSafetyRules,
+  findWritesOutside,
+  hasEnforcingRules,
+  isShellToolRule,
+  analyzeCommand,
+  analyzeToolCall
+};
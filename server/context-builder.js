@@ -0,0 +1,207 @@
+// Conversation context builder
+//
+// Providers that don't keep their own conversation state get earlier turns
+// prepended to each prompt. How that transcript looks is decided by, in order:
+//   1. per-session settings from the chat UI (sessionManager.setContextSettings)
+//   2. the JSON file named by CONTEXT_TEMPLATES_PATH: the provider's entry, then "*"
+//      ({ "<provider>": { style, header, footer, budget, budgetUnit, overflow }, "*": {...} })
+//   3. the adapter's contextTemplate
+//   4. DEFAULT_CONTEXT_SETTINGS
+// The same settings hold imageNote, the line that tells CLIs without native image support
+// where a message's attached images were saved ({count} is replaced by their number).
+
+import fs from 'fs';
+import { getProviderAdapter } from './provider-registry.js';
+
+const CONTEXT_STYLES = ['plain', 'role-prefixed', 'xml'];
+const OVERFLOW_MODES = ['truncate', 'summarize'];
+
+const DEFAULT_CONTEXT_SETTINGS = {
+  enabled: true,
+  style: 'role-prefixed',
+  budget: 12000,
+  budgetUnit: 'chars',
+  overflow: 'summarize',
+  header: 'Here is the conversation so far:',
+  footer: 'Continue the conversation above. The next message from the user is:',
+  imageNote: 'The user attached {count} image(s), saved at these paths:'
+};
+
+// Rough token estimate, same ratio the OpenAI-compatible endpoint reports
+const measure = (text, unit) => (unit === 'tokens' ? Math.ceil(text.length / 4) : text.length);
+
+// The parsed templates file, read once and again only after it changes on disk
+let templateCache = null; // { path, templates, watcher }
+
+function loadTemplateFile() {
+  const templatesPath = process.env.CONTEXT_TEMPLATES_PATH;
+  if (!templatesPath) {
+    return {};
+  }
+  if (templateCache && templateCache.path === templatesPath) {
+    return templateCache.templates;
+  }
+  templateCache?.watcher?.close();
+
+  let templates = {};
+  try {
+    templates = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read context templates from ${templatesPath}:`, error.message);
+  }
+  let watcher = null;
+  try {
+    // Editors often replace the file, which ends the watch, so any event drops the cache
+    watcher = fs.watch(templatesPath, { persistent: false }, () => {
+      watcher.close();
+      if (templateCache?.watcher === watcher) {
+        templateCache = null;
+      }
+    });
+  } catch (error) {
+    // A missing file is read again once it exists
+  }
+  templateCache = { path: templatesPath, templates, watcher };
+  return templates;
+}
+
+// Drop unknown keys and invalid values so settings from the client can be stored as-is
+function normalizeContextSettings(input) {
+  const settings = input || {};
+  const normalized = {};
+  if (typeof settings.enabled === 'boolean') {
+    normalized.enabled = settings.enabled;
+  }
+  if (CONTEXT_STYLES.includes(settings.style)) {
+    normalized.style = settings.style;
+  }
+  if (Number.isFinite(Number(settings.budget)) && Number(settings.budget) > 0) {
+    normalized.budget = Math.floor(Number(settings.budget));
+  }
+  if (settings.budgetUnit === 'chars' || settings.budgetUnit === 'tokens') {
+    normalized.budgetUnit = settings.budgetUnit;
+  }
+  if (OVERFLOW_MODES.includes(settings.overflow)) {
+    normalized.overflow = settings.overflow;
+  }
+  for (const key of ['header', 'footer', 'imageNote']) {
+    if (typeof settings[key] === 'string') {
+      normalized[key] = settings[key];
+    }
+  }
+  return normalized;
+}
+
+function resolveContextSettings(provider, sessionSettings = {}) {
+  const adapter = getProviderAdapter(provider);
+  const templates = loadTemplateFile();
+  return {
+    ...DEFAULT_CONTEXT_SETTINGS,
+    ...normalizeContextSettings(adapter.contextTemplate),
+    ...normalizeContextSettings(templates['*']),
+    ...normalizeContextSettings(templates[adapter.id]),
+    ...normalizeContextSettings(sessionSettings)
+  };
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatMessage(message, style) {
+  const isUser = message.role === 'user';
+  switch (style) {
+    case 'xml':
+      return `<message role="${isUser ? 'user' : 'assistant'}">\n${escapeXml(message.content)}\n</message>`;
+    case 'plain':
+      return `${isUser ? 'The user said' : 'You replied'}:\n${message.content}`;
+    default:
+      return `${isUser ? 'User' : 'Assistant'}: ${message.content}`;
+  }
+}
+
+function formatNote(note, style) {
+  return style === 'xml' ? `<note>${escapeXml(note)}</note>` : `[${note}]`;
+}
+
+function truncateText(text, limit, unit) {
+  if (measure(text, unit) <= limit) {
+    return text;
+  }
+  const maxChars = Math.max(0, (unit === 'tokens' ? limit * 4 : limit) - 20);
+  return `${text.slice(0, maxChars)}… [truncated]`;
+}
+
+// One line listing what the omitted turns were about, taken from the user's messages
+function summarizeOmitted(messages, limit, unit) {
+  const topics = messages
+    .filter(message => message.role === 'user' && message.content)
+    .map(message => message.content.replace(/\s+/g, ' ').trim())
+    .map(content => (content.length > 80 ? `${content.slice(0, 77)}...` : content));
+  const summary = `${messages.length} earlier messages omitted. Earlier user requests: ${topics.join('; ')}`;
+  return truncateText(summary, limit, unit);
+}
+
+// Build the transcript prepended to a prompt; returns '' when there is nothing to add
+function buildContext(messages, { provider, settings } = {}) {
+  const resolved = resolveContextSettings(provider, settings);
+  // Recorded tool calls are not replayed; the CLI sees only what was said
+  const history = (messages || []).filter(message =>
+    message.content && (message.role === 'user' || message.role === 'assistant'));
+  if (!resolved.enabled || history.length === 0) {
+    return '';
+  }
+
+  const { style, budget, budgetUnit: unit } = resolved;
+  let used = measure(`${resolved.header}\n\n\n${resolved.footer}\n`, unit);
+  const perMessageLimit = Math.max(1, Math.floor(budget / 2));
+
+  // Newest turns are kept first; older ones are dropped once the budget runs out
+  const included = [];
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const message = { ...history[i], content: truncateText(history[i].content, perMessageLimit, unit) };
+    const formatted = formatMessage(message, style);
+    const size = measure(formatted, unit) + 1;
+    if (used + size > budget) {
+      break;
+    }
+    included.unshift(formatted);
+    used += size;
+  }
+
+  const omitted = history.slice(0, history.length - included.length);
+  if (omitted.length > 0) {
+    const noteBudget = Math.max(40, budget - used);
+    const note = resolved.overflow === 'summarize'
+      ? summarizeOmitted(omitted, noteBudget, unit)
+      : `${omitted.length} earlier messages omitted`;
+    included.unshift(formatNote(note, style));
+  }
+
+  let transcript = included.join(style === 'plain' ? '\n\n' : '\n');
+  if (style === 'xml') {
+    transcript = `<conversation>\n${transcript}\n</conversation>`;
+  }
+
+  return `${resolved.header}\n\n${transcript}\n\n${resolved.footer}\n`;
+}
+
+// The note appended to a prompt listing its attached images, with paths relative to the
+// working directory
+function buildImageNote(imagePaths, { provider, settings } = {}) {
+  if (!imagePaths || imagePaths.length === 0) {
+    return '';
+  }
+  const { imageNote } = resolveContextSettings(provider, settings);
+  const heading = imageNote.replace(/\{count\}/g, String(imagePaths.length));
+  return `\n\n[${heading}]\n${imagePaths.map((imagePath, index) => `${index + 1}. ${imagePath}`).join('\n')}`;
+}
+
+export {
+  CONTEXT_STYLES,
+  DEFAULT_CONTEXT_SETTINGS,
+  normalizeContextSettings,
+  resolveContextSettings,
+  buildContext,
+  buildImageNote
+};
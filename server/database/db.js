@@ -7,18 +7,45 @@ import { dirname } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DB_PATH = path.join(__dirname, 'geminicliui_auth.db');
+// DATABASE_PATH moves the database elsewhere, e.g. so tests don't touch real data
+const DB_PATH = process.env.DATABASE_PATH
+  ? path.resolve(process.env.DATABASE_PATH)
+  : path.join(__dirname, 'geminicliui_auth.db');
 const INIT_SQL_PATH = path.join(__dirname, 'init.sql');
+const SEARCH_INDEX_MIGRATION = 'session-messages-fts-v1';
 
 // Create database connection
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
 const db = new Database(DB_PATH);
 // console.log('Connected to SQLite database');
 
+const addMissingColumns = (table, columns) => {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+};
+
 // Initialize database with schema
 const initializeDatabase = async () => {
   try {
     const initSQL = fs.readFileSync(INIT_SQL_PATH, 'utf8');
     db.exec(initSQL);
+    // Columns added to tables that may already exist from an earlier version
+    addMissingColumns('geminicliui_sessions', {
+      parent_session_id: 'TEXT',
+      parent_message_id: 'INTEGER',
+      title: 'TEXT',
+      title_source: 'TEXT',
+      summary: 'TEXT'
+    });
+    // Index messages stored before the full-text table existed
+    if (!sessionDb.hasMigration(SEARCH_INDEX_MIGRATION)) {
+      sessionDb.rebuildSearchIndex();
+      sessionDb.recordMigration(SEARCH_INDEX_MIGRATION);
+    }
     // console.log('Database initialized successfully');
   } catch (error) {
     // console.error('Error initializing database:', error.message);
@@ -26,6 +53,17 @@ const initializeDatabase = async () => {
   }
 };
 
+// Store images ({ name, mimeType, data }) for a message; callers wrap this in their transaction
+const insertImages = (messageId, images) => {
+  if (!images || images.length === 0) return;
+  const insertImage = db.prepare('INSERT INTO geminicliui_message_images (message_id, name, mime_type, data) VALUES (?, ?, ?, ?)');
+  for (const image of images) {
+    if (image && typeof image.data === 'string') {
+      insertImage.run(messageId, image.name || null, image.mimeType || null, image.data);
+    }
+  }
+};
+
 // User database operations
 const userDb = {
   // Check if any users exist
@@ -79,8 +117,418 @@ const userDb = {
   }
 };
 
+// Session database operations
+const sessionDb = {
+  // Get a session row by ID
+  getSession: (sessionId) => {
+    try {
+      return db.prepare('SELECT * FROM geminicliui_sessions WHERE id = ?').get(sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get all messages of a session in order
+  getMessages: (sessionId) => {
+    try {
+      return db.prepare('SELECT id, role, content, created_at FROM geminicliui_session_messages WHERE session_id = ? ORDER BY id').all(sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // List sessions of a project with the first user message for the summary
+  getProjectSessions: (projectPath) => {
+    try {
+      return db.prepare(`
+        SELECT s.id, s.message_count, s.last_activity, s.parent_session_id, s.parent_message_id,
+          s.title, s.title_source, s.summary,
+          (SELECT m.content FROM geminicliui_session_messages m
+            WHERE m.session_id = s.id AND m.role = 'user' ORDER BY m.id LIMIT 1) AS first_user_message
+        FROM geminicliui_sessions s
+        WHERE s.project_path = ?
+        ORDER BY s.last_activity DESC
+      `).all(projectPath);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Create a session row
+  createSession: (session) => {
+    try {
+      db.prepare(`
+        INSERT INTO geminicliui_sessions (id, project_path, provider, external_session_id, context_settings, created_at, last_activity)
+        VALUES (@id, @projectPath, @provider, @externalSessionId, @contextSettings, @createdAt, @lastActivity)
+      `).run(session);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Append a message with its images and bump the session's activity time; returns the message ID
+  addMessage: db.transaction((sessionId, role, content, createdAt, images = []) => {
+    const result = db.prepare('INSERT INTO geminicliui_session_messages (session_id, role, content, created_at) VALUES (?, ?, ?, ?)')
+      .run(sessionId, role, content, createdAt);
+    const messageId = Number(result.lastInsertRowid);
+    insertImages(messageId, images);
+    db.prepare('UPDATE geminicliui_sessions SET message_count = message_count + 1, last_activity = ? WHERE id = ?')
+      .run(createdAt, sessionId);
+    return messageId;
+  }),
+
+  // Get the images attached to messages of a session
+  getSessionImages: (sessionId) => {
+    try {
+      return db.prepare(`
+        SELECT i.message_id, i.name, i.mime_type, i.data
+        FROM geminicliui_message_images i
+        JOIN geminicliui_session_messages m ON m.id = i.message_id
+        WHERE m.session_id = ?
+        ORDER BY i.id
+      `).all(sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Create a session from the messages of another one before `beforeMessageId` (exclusive),
+  // recording where it was forked from
+  forkSession: db.transaction((session, sourceSessionId, beforeMessageId) => {
+    db.prepare(`
+      INSERT INTO geminicliui_sessions (id, project_path, provider, context_settings, parent_session_id, parent_message_id, created_at, last_activity)
+      VALUES (@id, @projectPath, @provider, @contextSettings, @parentSessionId, @parentMessageId, @createdAt, @lastActivity)
+    `).run(session);
+    const messages = db.prepare('SELECT id, role, content, created_at FROM geminicliui_session_messages WHERE session_id = ? AND id < ? ORDER BY id')
+      .all(sourceSessionId, beforeMessageId);
+    const insertMessage = db.prepare('INSERT INTO geminicliui_session_messages (session_id, role, content, created_at) VALUES (?, ?, ?, ?)');
+    const copyImages = db.prepare(`
+      INSERT INTO geminicliui_message_images (message_id, name, mime_type, data)
+      SELECT ?, name, mime_type, data FROM geminicliui_message_images WHERE message_id = ? ORDER BY id
+    `);
+    for (const message of messages) {
+      const result = insertMessage.run(session.id, message.role, message.content, message.created_at);
+      copyImages.run(Number(result.lastInsertRowid), message.id);
+    }
+    db.prepare('UPDATE geminicliui_sessions SET message_count = ? WHERE id = ?').run(messages.length, session.id);
+  }),
+
+  // Update provider-side session ID
+  setExternalSessionId: (sessionId, externalSessionId) => {
+    try {
+      db.prepare('UPDATE geminicliui_sessions SET external_session_id = ? WHERE id = ?').run(externalSessionId, sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Store a generated title and summary; a title set by the user is kept
+  setGeneratedSummary: (sessionId, title, summary) => {
+    try {
+      db.prepare(`
+        UPDATE geminicliui_sessions
+        SET title = CASE WHEN title_source = 'user' THEN title ELSE ? END,
+            title_source = CASE WHEN title_source = 'user' THEN title_source ELSE 'auto' END,
+            summary = ?
+        WHERE id = ?
+      `).run(title, summary, sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Set the title chosen by the user; null clears it
+  setUserTitle: (sessionId, title) => {
+    try {
+      db.prepare('UPDATE geminicliui_sessions SET title = ?, title_source = ? WHERE id = ?')
+        .run(title, title ? 'user' : null, sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Update context settings (stored as JSON)
+  setContextSettings: (sessionId, contextSettings) => {
+    try {
+      db.prepare('UPDATE geminicliui_sessions SET context_settings = ? WHERE id = ?').run(JSON.stringify(contextSettings), sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Delete a session and its messages
+  deleteSession: (sessionId) => {
+    try {
+      db.prepare('DELETE FROM geminicliui_sessions WHERE id = ?').run(sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Insert a complete session with its messages unless it already exists
+  importSession: db.transaction((session, messages) => {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO geminicliui_sessions (id, project_path, provider, external_session_id, context_settings, message_count, created_at, last_activity)
+      VALUES (@id, @projectPath, @provider, @externalSessionId, @contextSettings, @messageCount, @createdAt, @lastActivity)
+    `).run({ ...session, messageCount: messages.length });
+    if (result.changes === 0) {
+      return false;
+    }
+    const insertMessage = db.prepare('INSERT INTO geminicliui_session_messages (session_id, role, content, created_at) VALUES (?, ?, ?, ?)');
+    for (const message of messages) {
+      const messageResult = insertMessage.run(session.id, message.role, message.content, message.createdAt);
+      insertImages(Number(messageResult.lastInsertRowid), message.images);
+    }
+    return true;
+  }),
+
+  // Full-text search over message content. `query` is an FTS5 MATCH expression;
+  // matches are wrapped in \u0002...\u0003 in the snippet.
+  searchMessages: ({ query, projectPath = null, provider = null, from = null, to = null, limit = 50 }) => {
+    try {
+      return db.prepare(`
+        SELECT m.id, m.session_id, m.role, m.created_at, s.project_path, s.provider,
+          snippet(geminicliui_session_messages_fts, 0, char(2), char(3), '…', 16) AS snippet,
+          (SELECT u.content FROM geminicliui_session_messages u
+            WHERE u.session_id = s.id AND u.role = 'user' ORDER BY u.id LIMIT 1) AS first_user_message
+        FROM geminicliui_session_messages_fts f
+        JOIN geminicliui_session_messages m ON m.id = f.rowid
+        JOIN geminicliui_sessions s ON s.id = m.session_id
+        WHERE geminicliui_session_messages_fts MATCH @query
+          AND (@projectPath IS NULL OR s.project_path = @projectPath)
+          AND (@provider IS NULL OR s.provider = @provider)
+          AND (@from IS NULL OR m.created_at >= @from)
+          AND (@to IS NULL OR m.created_at <= @to)
+        ORDER BY bm25(geminicliui_session_messages_fts), m.id DESC
+        LIMIT @limit
+      `).all({ query, projectPath, provider, from, to, limit });
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Re-index every stored message
+  rebuildSearchIndex: () => {
+    try {
+      db.prepare("INSERT INTO geminicliui_session_messages_fts(geminicliui_session_messages_fts) VALUES ('rebuild')").run();
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Check whether a one-time migration has run
+  hasMigration: (name) => {
+    try {
+      return !!db.prepare('SELECT 1 FROM geminicliui_migrations WHERE name = ?').get(name);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Record a one-time migration as done
+  recordMigration: (name) => {
+    try {
+      db.prepare('INSERT OR IGNORE INTO geminicliui_migrations (name) VALUES (?)').run(name);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+const checkpointDb = {
+  // Start a checkpoint and return its ID
+  createCheckpoint: ({ sessionId = null, messageId = null, projectPath, source = 'agent' }) => {
+    try {
+      const result = db.prepare(`
+        INSERT INTO geminicliui_checkpoints (session_id, message_id, project_path, source, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(sessionId, messageId, projectPath, source, new Date().toISOString());
+      return Number(result.lastInsertRowid);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Record a file's content before it changes; the first snapshot of a file wins
+  addFileBefore: (checkpointId, filePath, content) => {
+    try {
+      db.prepare(`
+        INSERT OR IGNORE INTO geminicliui_checkpoint_files (checkpoint_id, file_path, before_content, after_content)
+        VALUES (?, ?, ?, ?)
+      `).run(checkpointId, filePath, content, content);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Record a file's content after the change
+  setFileAfter: (checkpointId, filePath, content) => {
+    try {
+      db.prepare('UPDATE geminicliui_checkpoint_files SET after_content = ? WHERE checkpoint_id = ? AND file_path = ?')
+        .run(content, checkpointId, filePath);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Drop files that ended up unchanged, and the checkpoint itself if nothing changed
+  discardUnchanged: db.transaction((checkpointId) => {
+    db.prepare(`
+      DELETE FROM geminicliui_checkpoint_files
+      WHERE checkpoint_id = ? AND before_content IS after_content
+    `).run(checkpointId);
+    const remaining = db.prepare('SELECT COUNT(*) as count FROM geminicliui_checkpoint_files WHERE checkpoint_id = ?').get(checkpointId);
+    if (remaining.count === 0) {
+      db.prepare('DELETE FROM geminicliui_checkpoints WHERE id = ?').run(checkpointId);
+      return false;
+    }
+    return true;
+  }),
+
+  // Get a checkpoint row with its files, including their contents
+  getCheckpoint: (checkpointId) => {
+    try {
+      const checkpoint = db.prepare('SELECT * FROM geminicliui_checkpoints WHERE id = ?').get(checkpointId);
+      if (!checkpoint) return null;
+      checkpoint.files = db.prepare(`
+        SELECT file_path, before_content, after_content FROM geminicliui_checkpoint_files
+        WHERE checkpoint_id = ? ORDER BY id
+      `).all(checkpointId);
+      return checkpoint;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // List checkpoints with the paths of their files, newest first. Filters: sessionId,
+  // projectPath, source and filePath.
+  listCheckpoints: ({ sessionId = null, projectPath = null, source = null, filePath = null, limit = 100 }) => {
+    try {
+      const conditions = [];
+      const params = [];
+      if (sessionId) {
+        conditions.push('c.session_id = ?');
+        params.push(sessionId);
+      }
+      if (projectPath) {
+        conditions.push('c.project_path = ?');
+        params.push(projectPath);
+      }
+      if (source) {
+        conditions.push('c.source = ?');
+        params.push(source);
+      }
+      if (filePath) {
+        conditions.push('EXISTS (SELECT 1 FROM geminicliui_checkpoint_files f WHERE f.checkpoint_id = c.id AND f.file_path = ?)');
+        params.push(filePath);
+      }
+      const checkpoints = db.prepare(`
+        SELECT c.* FROM geminicliui_checkpoints c
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY c.id DESC
+        LIMIT ?
+      `).all(...params, limit);
+      const getFiles = db.prepare(`
+        SELECT file_path, before_content IS NULL as created, after_content IS NULL as deleted
+        FROM geminicliui_checkpoint_files WHERE checkpoint_id = ? ORDER BY id
+      `);
+      return checkpoints.map(checkpoint => ({ ...checkpoint, files: getFiles.all(checkpoint.id) }));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  markReverted: (checkpointId) => {
+    try {
+      db.prepare('UPDATE geminicliui_checkpoints SET reverted_at = ? WHERE id = ?').run(new Date().toISOString(), checkpointId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Keep only the newest `keep` editor checkpoints of a file
+  pruneEditorCheckpoints: (projectPath, filePath, keep) => {
+    try {
+      db.prepare(`
+        DELETE FROM geminicliui_checkpoints WHERE id IN (
+          SELECT c.id FROM geminicliui_checkpoints c
+          JOIN geminicliui_checkpoint_files f ON f.checkpoint_id = c.id
+          WHERE c.source = 'editor' AND c.project_path = ? AND f.file_path = ?
+          ORDER BY c.id DESC
+          LIMIT -1 OFFSET ?
+        )
+      `).run(projectPath, filePath, keep);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+const toolApprovalDb = {
+  // Record one decision; input is stored as JSON
+  recordDecision: ({ sessionId, projectPath, provider, toolName, input, decision, reason }) => {
+    try {
+      db.prepare(`
+        INSERT INTO geminicliui_tool_decisions (session_id, project_path, provider, tool_name, input, decision, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(sessionId || null, projectPath, provider || null, toolName, JSON.stringify(input ?? null), decision, reason, new Date().toISOString());
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Recent decisions for a project, optionally for one session, newest first
+  getDecisions: ({ projectPath, sessionId = null, limit = 100 }) => {
+    try {
+      return db.prepare(`
+        SELECT * FROM geminicliui_tool_decisions
+        WHERE project_path = ? AND (? IS NULL OR session_id = ?)
+        ORDER BY id DESC
+        LIMIT ?
+      `).all(projectPath, sessionId, sessionId, limit);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+// Tool permission profiles; '' is the global profile
+const toolProfileDb = {
+  getProfile: (projectPath) => {
+    try {
+      const row = db.prepare('SELECT settings, updated_at FROM geminicliui_tool_profiles WHERE project_path = ?').get(projectPath);
+      return row ? { settings: JSON.parse(row.settings), updatedAt: row.updated_at } : null;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  saveProfile: (projectPath, settings) => {
+    try {
+      db.prepare(`
+        INSERT INTO geminicliui_tool_profiles (project_path, settings, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(project_path) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at
+      `).run(projectPath, JSON.stringify(settings), new Date().toISOString());
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  deleteProfile: (projectPath) => {
+    try {
+      db.prepare('DELETE FROM geminicliui_tool_profiles WHERE project_path = ?').run(projectPath);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
 export {
   db,
   initializeDatabase,
-  userDb
+  userDb,
+  sessionDb,
+  checkpointDb,
+  toolApprovalDb,
+  toolProfileDb
 };
\ No newline at end of file
@@ -13,4 +13,111 @@ CREATE TABLE IF NOT EXISTS geminicliui_users (
 
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_geminicliui_users_username ON geminicliui_users(username);
-CREATE INDEX IF NOT EXISTS idx_geminicliui_users_active ON geminicliui_users(is_active);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_geminicliui_users_active ON geminicliui_users(is_active);
+
+-- Chat sessions (one row per UI session)
+CREATE TABLE IF NOT EXISTS geminicliui_sessions (
+    id TEXT PRIMARY KEY,
+    project_path TEXT NOT NULL DEFAULT '',
+    provider TEXT,
+    external_session_id TEXT,
+    context_settings TEXT,
+    parent_session_id TEXT,
+    parent_message_id INTEGER,
+    title TEXT,
+    title_source TEXT,
+    summary TEXT,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    last_activity TEXT NOT NULL
+);
+
+-- Messages belonging to a session, in insertion order
+CREATE TABLE IF NOT EXISTS geminicliui_session_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL REFERENCES geminicliui_sessions(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+-- Images attached to a message, stored as data URLs
+CREATE TABLE IF NOT EXISTS geminicliui_message_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id INTEGER NOT NULL REFERENCES geminicliui_session_messages(id) ON DELETE CASCADE,
+    name TEXT,
+    mime_type TEXT,
+    data TEXT NOT NULL
+);
+
+-- File snapshots taken around agent runs and editor saves. Agent checkpoints belong to the
+-- user message that started the run; editor checkpoints have no session.
+CREATE TABLE IF NOT EXISTS geminicliui_checkpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT REFERENCES geminicliui_sessions(id) ON DELETE CASCADE,
+    message_id INTEGER,
+    project_path TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'agent',
+    created_at TEXT NOT NULL,
+    reverted_at TEXT
+);
+
+-- Contents of each file in a checkpoint; NULL content means the file did not exist
+CREATE TABLE IF NOT EXISTS geminicliui_checkpoint_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    checkpoint_id INTEGER NOT NULL REFERENCES geminicliui_checkpoints(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL,
+    before_content TEXT,
+    after_content TEXT,
+    UNIQUE (checkpoint_id, file_path)
+);
+
+-- Tool permission profiles: allowed/disallowed tools, YOLO mode, default provider and model.
+-- The row with an empty project_path is the global profile; project rows override it
+-- field by field (settings is JSON holding only the overridden fields).
+CREATE TABLE IF NOT EXISTS geminicliui_tool_profiles (
+    project_path TEXT PRIMARY KEY,
+    settings TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Every tool approval decision; kept when the session is deleted
+CREATE TABLE IF NOT EXISTS geminicliui_tool_decisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT,
+    project_path TEXT NOT NULL,
+    provider TEXT,
+    tool_name TEXT NOT NULL,
+    input TEXT,
+    decision TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+-- One-time data migrations that have already run
+CREATE TABLE IF NOT EXISTS geminicliui_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_geminicliui_sessions_project ON geminicliui_sessions(project_path, last_activity DESC);
+CREATE INDEX IF NOT EXISTS idx_geminicliui_session_messages_session ON geminicliui_session_messages(session_id, id);
+CREATE INDEX IF NOT EXISTS idx_geminicliui_message_images_message ON geminicliui_message_images(message_id);
+CREATE INDEX IF NOT EXISTS idx_geminicliui_checkpoints_session ON geminicliui_checkpoints(session_id, message_id);
+CREATE INDEX IF NOT EXISTS idx_geminicliui_checkpoints_project ON geminicliui_checkpoints(project_path, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_geminicliui_tool_decisions_project ON geminicliui_tool_decisions(project_path, id DESC);
+
+-- Full-text index over message content, kept in sync by the triggers below
+CREATE VIRTUAL TABLE IF NOT EXISTS geminicliui_session_messages_fts USING fts5(
+    content,
+    content='geminicliui_session_messages',
+    content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS geminicliui_session_messages_fts_insert AFTER INSERT ON geminicliui_session_messages BEGIN
+    INSERT INTO geminicliui_session_messages_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS geminicliui_session_messages_fts_delete AFTER DELETE ON geminicliui_session_messages BEGIN
+    INSERT INTO geminicliui_session_messages_fts(geminicliui_session_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
@@ -0,0 +1,115 @@
+// Directory listing for the file tree
+//
+// The file tree loads one directory at a time, a page at a time, as folders are expanded, so
+// large repositories don't have to be walked up front. Names in the ignore list
+// (FILE_TREE_IGNORE, comma-separated, * and ? allowed) are never listed. In git repositories
+// entries ignored by .gitignore are left out too, unless the caller asks to see them.
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { TRASH_DIR, describeEntryStats } from './file-operations.js';
+
+const DEFAULT_IGNORE = ['node_modules', 'dist', 'build'];
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 2000;
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+// Compiled once per FILE_TREE_IGNORE value; callers check every path segment of every file
+let ignorePatterns = null;
+let ignorePatternsSource;
+
+function getIgnorePatterns() {
+  const configured = process.env.FILE_TREE_IGNORE;
+  if (ignorePatterns && configured === ignorePatternsSource) {
+    return ignorePatterns;
+  }
+  const names = configured === undefined
+    ? DEFAULT_IGNORE
+    : configured.split(',').map(name => name.trim()).filter(Boolean);
+  ignorePatterns = [...names, TRASH_DIR].map(globToRegExp);
+  ignorePatternsSource = configured;
+  return ignorePatterns;
+}
+
+// Whether a file or folder name is hidden from the file tree by the ignore list
+function isIgnoredName(name) {
+  return getIgnorePatterns().some(pattern => pattern.test(name));
+}
+
+// The names in dirPath that git ignores. Outside a git work tree nothing is ignored.
+function getGitIgnored(dirPath, names) {
+  return new Promise((resolve) => {
+    if (names.length === 0) {
+      resolve(new Set());
+      return;
+    }
+    const git = spawn('git', ['check-ignore', '-z', '--stdin'], { cwd: dirPath, stdio: ['pipe', 'pipe', 'ignore'] });
+    let output = '';
+    git.stdout.on('data', (chunk) => {
+      output += chunk;
+    });
+    git.on('error', () => resolve(new Set()));
+    git.on('close', (code) => {
+      // 0: some names matched, 1: none did, anything else: not a repository or no git
+      resolve(code === 0 ? new Set(output.split('\0').filter(Boolean)) : new Set());
+    });
+    git.stdin.on('error', () => {});
+    git.stdin.end(names.join('\0'));
+  });
+}
+
+// One page of a directory, folders first. Items have the file tree fields but no children;
+// folders are listed when they are expanded.
+async function listDirectory(dirPath, { offset = 0, limit = DEFAULT_PAGE_SIZE, showIgnored = false } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const entries = (await fs.readdir(dirPath, { withFileTypes: true }))
+    .filter(entry => !isIgnoredName(entry.name));
+  const gitIgnored = await getGitIgnored(dirPath, entries.map(entry => entry.name));
+  const visible = showIgnored ? entries : entries.filter(entry => !gitIgnored.has(entry.name));
+  visible.sort((a, b) => {
+    if (a.isDirectory() !== b.isDirectory()) {
+      return a.isDirectory() ? -1 : 1;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  const items = await Promise.all(visible.slice(start, start + pageSize).map(async (entry) => {
+    const itemPath = path.join(dirPath, entry.name);
+    const item = {
+      name: entry.name,
+      path: itemPath,
+      type: entry.isDirectory() ? 'directory' : 'file'
+    };
+    if (gitIgnored.has(entry.name)) {
+      item.ignored = true;
+    }
+    try {
+      Object.assign(item, describeEntryStats(await fs.stat(itemPath)));
+    } catch (error) {
+      // Broken symlinks and the like are still listed
+      Object.assign(item, { size: 0, modified: null, permissions: '000', permissionsRwx: '---------' });
+    }
+    return item;
+  }));
+
+  return {
+    path: dirPath,
+    items,
+    offset: start,
+    total: visible.length,
+    hasMore: start + items.length < visible.length
+  };
+}
+
+export {
+  isIgnoredName,
+  getGitIgnored,
+  listDirectory
+};
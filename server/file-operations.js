@@ -0,0 +1,230 @@
+// File management for the file tree
+//
+// Create, move, duplicate, upload and delete entries of a project. Callers pass paths that
+// are already checked against the workspace (see workspace-sandbox.js). Deleted entries are
+// moved to a trash folder in the project root, each with a JSON file recording where it
+// came from, so they can be restored.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const TRASH_DIR = '.cli-ui-trash';
+
+function fileError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function exists(targetPath) {
+  try {
+    await fs.lstat(targetPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+function getTrashDir(projectRoot) {
+  return path.join(projectRoot, TRASH_DIR);
+}
+
+// Rename, or copy and remove when the target is on another device
+async function renameAcrossDevices(fromPath, toPath) {
+  try {
+    await fs.rename(fromPath, toPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.cp(fromPath, toPath, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+    await fs.rm(fromPath, { recursive: true, force: true });
+  }
+}
+
+// "name copy.ext", then "name copy 2.ext", ... next to targetPath
+async function findFreePath(targetPath) {
+  if (!(await exists(targetPath))) {
+    return targetPath;
+  }
+  const dir = path.dirname(targetPath);
+  const ext = path.extname(targetPath);
+  const base = path.basename(targetPath, ext);
+  for (let n = 1; ; n += 1) {
+    const candidate = path.join(dir, `${base} copy${n > 1 ? ` ${n}` : ''}${ext}`);
+    if (!(await exists(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+function permToRwx(perm) {
+  const r = perm & 4 ? 'r' : '-';
+  const w = perm & 2 ? 'w' : '-';
+  const x = perm & 1 ? 'x' : '-';
+  return r + w + x;
+}
+
+// The size, time and permission fields of a file tree item
+function describeEntryStats(stats) {
+  const mode = stats.mode;
+  return {
+    size: stats.size,
+    modified: stats.mtime.toISOString(),
+    permissions: ((mode >> 6) & 7).toString() + ((mode >> 3) & 7).toString() + (mode & 7).toString(),
+    permissionsRwx: permToRwx((mode >> 6) & 7) + permToRwx((mode >> 3) & 7) + permToRwx(mode & 7)
+  };
+}
+
+function checkNotProtected(projectRoot, targetPath) {
+  if (path.resolve(targetPath) === path.resolve(projectRoot)) {
+    throw fileError('EINVAL', 'The project root cannot be changed');
+  }
+  if (isWithin(getTrashDir(projectRoot), targetPath)) {
+    throw fileError('EINVAL', 'Use the trash endpoints for entries in the trash');
+  }
+}
+
+async function createEntry(projectRoot, targetPath, type = 'file', content = '') {
+  checkNotProtected(projectRoot, targetPath);
+  if (await exists(targetPath)) {
+    throw fileError('EEXIST', `${path.basename(targetPath)} already exists`);
+  }
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  if (type === 'directory') {
+    await fs.mkdir(targetPath);
+  } else {
+    await fs.writeFile(targetPath, content, { encoding: 'utf8', flag: 'wx' });
+  }
+  return targetPath;
+}
+
+// Rename or move; never overwrites an existing entry
+async function moveEntry(projectRoot, fromPath, toPath) {
+  checkNotProtected(projectRoot, fromPath);
+  checkNotProtected(projectRoot, toPath);
+  if (isWithin(fromPath, toPath)) {
+    throw fileError('EINVAL', 'A folder cannot be moved into itself');
+  }
+  await fs.lstat(fromPath);
+  if (await exists(toPath)) {
+    throw fileError('EEXIST', `${path.basename(toPath)} already exists`);
+  }
+  await fs.mkdir(path.dirname(toPath), { recursive: true });
+  await renameAcrossDevices(fromPath, toPath);
+  return toPath;
+}
+
+async function duplicateEntry(projectRoot, sourcePath) {
+  checkNotProtected(projectRoot, sourcePath);
+  await fs.lstat(sourcePath);
+  const copyPath = await findFreePath(sourcePath);
+  await fs.cp(sourcePath, copyPath, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+  return copyPath;
+}
+
+// Write an uploaded file; an existing file keeps its name and the upload gets a free one
+async function saveUpload(projectRoot, targetPath, buffer) {
+  checkNotProtected(projectRoot, targetPath);
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  const freePath = await findFreePath(targetPath);
+  await fs.writeFile(freePath, buffer, { flag: 'wx' });
+  return freePath;
+}
+
+async function trashEntry(projectRoot, targetPath) {
+  checkNotProtected(projectRoot, targetPath);
+  const stats = await fs.lstat(targetPath);
+  const trashDir = getTrashDir(projectRoot);
+  await fs.mkdir(trashDir, { recursive: true });
+  // Keep the trash out of git without touching the project's .gitignore
+  await fs.writeFile(path.join(trashDir, '.gitignore'), '*\n', { flag: 'w' });
+
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const entry = {
+    id,
+    name: path.basename(targetPath),
+    originalPath: targetPath,
+    type: stats.isDirectory() ? 'directory' : 'file',
+    deletedAt: new Date().toISOString()
+  };
+  await renameAcrossDevices(targetPath, path.join(trashDir, id));
+  await fs.writeFile(path.join(trashDir, `${id}.json`), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+async function listTrash(projectRoot) {
+  const trashDir = getTrashDir(projectRoot);
+  let files;
+  try {
+    files = await fs.readdir(trashDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const entries = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    try {
+      entries.push(JSON.parse(await fs.readFile(path.join(trashDir, file), 'utf8')));
+    } catch (error) {
+      // Skip unreadable records; the entry stays in the folder
+    }
+  }
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+async function getTrashEntry(projectRoot, id) {
+  if (!/^[\w-]+$/.test(id || '')) {
+    throw fileError('ENOENT', 'Trash entry not found');
+  }
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(path.join(getTrashDir(projectRoot), `${id}.json`), 'utf8'));
+  } catch (error) {
+    throw fileError('ENOENT', 'Trash entry not found');
+  }
+  // The record lives in the project where an agent can edit it; its id is what the trashed
+  // entry's path is built from, so it has to be the id that was checked above
+  if (entry?.id !== id) {
+    throw fileError('ENOENT', 'Trash entry not found');
+  }
+  return entry;
+}
+
+// Put an entry back where it was deleted from. Returns the entry with the restored path.
+async function restoreTrashEntry(projectRoot, entry) {
+  if (await exists(entry.originalPath)) {
+    throw fileError('EEXIST', `${entry.name} already exists again; move it away first`);
+  }
+  const trashDir = getTrashDir(projectRoot);
+  await fs.mkdir(path.dirname(entry.originalPath), { recursive: true });
+  await renameAcrossDevices(path.join(trashDir, entry.id), entry.originalPath);
+  await fs.rm(path.join(trashDir, `${entry.id}.json`), { force: true });
+  return entry;
+}
+
+async function purgeTrashEntry(projectRoot, id) {
+  const entry = await getTrashEntry(projectRoot, id);
+  const trashDir = getTrashDir(projectRoot);
+  await fs.rm(path.join(trashDir, id), { recursive: true, force: true });
+  await fs.rm(path.join(trashDir, `${id}.json`), { force: true });
+  return entry;
+}
+
+export {
+  TRASH_DIR,
+  describeEntryStats,
+  createEntry,
+  moveEntry,
+  duplicateEntry,
+  saveUpload,
+  trashEntry,
+  listTrash,
+  getTrashEntry,
+  restoreTrashEntry,
+  purgeTrashEntry
+};
@@ -0,0 +1,11 @@
+// Worker thread for file-search.js: runs one search task and posts { result } or { error }
+
+import { parentPort, workerData } from 'worker_threads';
+import { searchTasks } from './file-search.js';
+
+const { task, args } = workerData;
+try {
+  parentPort.postMessage({ result: await searchTasks[task](...args) });
+} catch (error) {
+  parentPort.postMessage({ error: { code: error.code, message: error.message } });
+}
@@ -0,0 +1,353 @@
+// Project-wide find and replace
+//
+// Searches the text files under a folder of a project line by line, with plain text or a
+// regular expression. In git work trees the file list comes from git, so .gitignore is
+// respected; elsewhere the folder is walked. Either way the file tree's ignore list applies
+// and symlinks are skipped. Include and exclude globs narrow the files down: a glob without
+// a slash matches a file or folder name anywhere, one with a slash matches the path from the
+// search folder. Replacing uses the same search, so the preview shows exactly what applying
+// it will write.
+//
+// The patterns come from the client, so the matching runs in a worker thread
+// (file-search-worker.js) that is stopped after FILE_SEARCH_TIMEOUT_MS; a pattern with
+// catastrophic backtracking fails with EINVAL instead of freezing the server.
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { isIgnoredName } from './file-listing.js';
+
+const MAX_FILES = 50000;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_MATCHES = 5000;
+const MAX_PREVIEW_CHANGES_PER_FILE = 200;
+const PREVIEW_LENGTH = 200;
+const PREVIEW_CONTEXT = 40;
+const DEFAULT_SEARCH_TIMEOUT_MS = 15000;
+
+function searchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Turn { query, regex, caseSensitive, wholeWord } into a global RegExp
+function buildSearchPattern({ query, regex = false, caseSensitive = false, wholeWord = false }) {
+  if (typeof query !== 'string' || query === '') {
+    throw searchError('EINVAL', 'Search text is required');
+  }
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+  try {
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    throw searchError('EINVAL', error.message);
+  }
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of folders, a trailing "**" everything below
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+// "src, *.test.js" -> a function telling whether a relative path matches any of the globs
+function compileGlobs(globs) {
+  const patterns = (Array.isArray(globs) ? globs : String(globs || '').split(','))
+    .map(glob => glob.trim().replace(/^\.\//, '').replace(/^\/+/, ''))
+    .filter(Boolean)
+    .map(glob => ({ anywhere: !glob.includes('/'), regex: globToRegExp(glob) }));
+  if (patterns.length === 0) {
+    return null;
+  }
+  return (relativePath) => {
+    const segments = relativePath.split('/');
+    return patterns.some(({ anywhere, regex }) => (anywhere
+      ? segments.some(segment => regex.test(segment))
+      : regex.test(relativePath)));
+  };
+}
+
+// Files git tracks or would track under dirPath, relative to it; null outside a work tree
+function listGitFiles(dirPath) {
+  return new Promise((resolve) => {
+    const git = spawn('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { cwd: dirPath, stdio: ['ignore', 'pipe', 'ignore'] });
+    const chunks = [];
+    git.stdout.on('data', chunk => chunks.push(chunk));
+    git.on('error', () => resolve(null));
+    git.on('close', (code) => {
+      if (code !== 0) {
+        resolve(null);
+        return;
+      }
+      // Tracked files that were deleted are listed too; reading them fails and skips them
+      resolve([...new Set(Buffer.concat(chunks).toString('utf8').split('\0').filter(Boolean))]);
+    });
+  });
+}
+
+async function walkFiles(dirPath, relativeDir = '', files = []) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dirPath, relativeDir), { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+  for (const entry of entries) {
+    if (files.length >= MAX_FILES) break;
+    if (entry.name === '.git' || isIgnoredName(entry.name)) continue;
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      await walkFiles(dirPath, relativePath, files);
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// The files a search covers, as paths relative to dirPath
+async function listSearchFiles(dirPath, { include, exclude } = {}) {
+  const files = (await listGitFiles(dirPath)) || (await walkFiles(dirPath));
+  const isIncluded = compileGlobs(include);
+  const isExcluded = compileGlobs(exclude);
+  return files
+    .filter(relativePath => !relativePath.split('/').some(isIgnoredName))
+    .filter(relativePath => (!isIncluded || isIncluded(relativePath)) && !(isExcluded && isExcluded(relativePath)))
+    .sort()
+    .slice(0, MAX_FILES);
+}
+
+// The text of a file, or null for symlinks, large files and binary files
+async function readTextFile(filePath) {
+  let stats;
+  try {
+    stats = await fs.lstat(filePath);
+  } catch (error) {
+    return null;
+  }
+  if (!stats.isFile() || stats.size > MAX_FILE_BYTES) {
+    return null;
+  }
+  const buffer = await fs.readFile(filePath);
+  if (buffer.subarray(0, 8000).includes(0)) {
+    return null;
+  }
+  return buffer.toString('utf8');
+}
+
+// Lines without their line break, and the break to put back
+function splitLines(content) {
+  return content.split('\n').map((line) => (line.endsWith('\r')
+    ? { text: line.slice(0, -1), ending: '\r' }
+    : { text: line, ending: '' }));
+}
+
+function findInLine(pattern, text) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      // Empty matches (e.g. "^") are skipped, or nothing would ever advance
+      pattern.lastIndex += 1;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// A preview of a long line around its first match; ranges are shifted to the preview
+function previewLine(text, ranges) {
+  if (text.length <= PREVIEW_LENGTH) {
+    return { preview: text, highlights: ranges };
+  }
+  const start = Math.max(0, ranges[0][0] - PREVIEW_CONTEXT);
+  const preview = text.slice(start, start + PREVIEW_LENGTH);
+  return {
+    preview,
+    previewStart: start,
+    highlights: ranges
+      .map(([from, to]) => [from - start, Math.min(to - start, preview.length)])
+      .filter(([from, to]) => from >= 0 && from < to)
+  };
+}
+
+// Search the files under dirPath. Returns files with their matching lines, grouped per file;
+// stops after MAX_MATCHES matches and sets truncated.
+async function findMatches(dirPath, options) {
+  const pattern = buildSearchPattern(options);
+  const files = await listSearchFiles(dirPath, options);
+  const results = [];
+  let matchCount = 0;
+  let truncated = false;
+
+  for (const relativePath of files) {
+    if (truncated) break;
+    const filePath = path.join(dirPath, relativePath);
+    const content = await readTextFile(filePath);
+    if (content === null) continue;
+    const lines = [];
+    let fileMatchCount = 0;
+    splitLines(content).forEach(({ text }, index) => {
+      if (matchCount + fileMatchCount >= MAX_MATCHES) {
+        truncated = true;
+        return;
+      }
+      const ranges = findInLine(pattern, text);
+      if (ranges.length === 0) return;
+      fileMatchCount += ranges.length;
+      lines.push({ line: index + 1, column: ranges[0][0] + 1, ...previewLine(text, ranges) });
+    });
+    if (lines.length > 0) {
+      results.push({ path: filePath, relativePath, matchCount: fileMatchCount, lines });
+      matchCount += fileMatchCount;
+    }
+  }
+
+  return { files: results, fileCount: results.length, matchCount, searchedFiles: files.length, truncated };
+}
+
+// The new content of a file with every match replaced, line by line like the search.
+// Plain-text searches insert the replacement literally; regex ones support $1 and friends.
+function replaceInContent(content, pattern, replacement, isRegex) {
+  const changes = [];
+  const lines = splitLines(content).map(({ text, ending }, index) => {
+    pattern.lastIndex = 0;
+    const replaced = text.replace(pattern, isRegex ? replacement : () => replacement);
+    if (replaced !== text) {
+      changes.push({ line: index + 1, before: text, after: replaced });
+    }
+    return replaced + ending;
+  });
+  return { content: lines.join('\n'), changes };
+}
+
+// What replacing would change, per file, without writing anything
+async function findReplacements(dirPath, options, replacement) {
+  const pattern = buildSearchPattern(options);
+  const files = await listSearchFiles(dirPath, options);
+  const results = [];
+  let changeCount = 0;
+  for (const relativePath of files) {
+    const filePath = path.join(dirPath, relativePath);
+    const content = await readTextFile(filePath);
+    if (content === null) continue;
+    const { changes } = replaceInContent(content, pattern, replacement, !!options.regex);
+    if (changes.length === 0) continue;
+    changeCount += changes.length;
+    results.push({
+      path: filePath,
+      relativePath,
+      changeCount: changes.length,
+      changes: changes.slice(0, MAX_PREVIEW_CHANGES_PER_FILE)
+    });
+  }
+  return { files: results, fileCount: results.length, changeCount };
+}
+
+// The new content of the given files (absolute paths) with every match replaced. Paths the
+// search doesn't cover are ignored. Returns [{ filePath, before, after, changeCount }] for
+// each file that would change.
+async function findFileReplacements(dirPath, options, replacement, filePaths) {
+  const pattern = buildSearchPattern(options);
+  const requested = new Set(filePaths.map(filePath => path.resolve(dirPath, filePath)));
+  const files = (await listSearchFiles(dirPath, options))
+    .map(relativePath => path.join(dirPath, relativePath))
+    .filter(filePath => requested.has(filePath));
+
+  const replaced = [];
+  for (const filePath of files) {
+    const before = await readTextFile(filePath);
+    if (before === null) continue;
+    const { content: after, changes } = replaceInContent(before, pattern, replacement, !!options.regex);
+    if (changes.length === 0) continue;
+    replaced.push({ filePath, before, after, changeCount: changes.length });
+  }
+  return replaced;
+}
+
+// The work file-search-worker.js can be asked to do
+const searchTasks = {
+  search: findMatches,
+  preview: findReplacements,
+  replace: findFileReplacements
+};
+
+// Run a search task in a worker thread; fails with EINVAL when it takes too long
+function runSearchTask(task, args) {
+  const timeoutMs = Number(process.env.FILE_SEARCH_TIMEOUT_MS) || DEFAULT_SEARCH_TIMEOUT_MS;
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./file-search-worker.js', import.meta.url), { workerData: { task, args } });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(searchError('EINVAL', `The search took longer than ${timeoutMs / 1000} seconds. Simplify the pattern or search fewer files.`));
+    }, timeoutMs);
+    worker.once('message', ({ result, error }) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(searchError(error.code, error.message));
+      } else {
+        resolve(result);
+      }
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Bad patterns are reported right away, without starting a worker
+function searchFiles(dirPath, options) {
+  buildSearchPattern(options);
+  return runSearchTask('search', [dirPath, options]);
+}
+
+function previewReplace(dirPath, options, replacement) {
+  buildSearchPattern(options);
+  return runSearchTask('preview', [dirPath, options, replacement]);
+}
+
+// Replace in the given files (absolute paths) and write them. Paths the search doesn't cover
+// are ignored. Returns [{ filePath, before, after, changeCount }] for each file that changed.
+async function applyReplace(dirPath, options, replacement, filePaths) {
+  buildSearchPattern(options);
+  if (!Array.isArray(filePaths) || filePaths.length === 0) {
+    throw searchError('EINVAL', 'Choose the files to replace in');
+  }
+  const replaced = await runSearchTask('replace', [dirPath, options, replacement, filePaths.map(String)]);
+  for (const { filePath, after } of replaced) {
+    await fs.writeFile(filePath, after, 'utf8');
+  }
+  return replaced;
+}
+
+export {
+  searchTasks,
+  searchFiles,
+  previewReplace,
+  applyReplace
+};
@@ -1,184 +1,224 @@
 import { spawn } from 'child_process';
+import { createHash } from 'crypto';
 import pty from 'node-pty';
 import { promises as fs } from 'fs';
 import path from 'path';
-import os from 'os';
 import sessionManager from './sessionManager.js';
 import GeminiResponseHandler from './gemini-response-handler.js';
-import { buildSpawnEnv, getCliCommand, getCliInfo, normalizeProvider } from './cli-config.js';
+import { createEventQueue } from './cli-events.js';
+import sessionPool from './session-pool.js';
+import { createRunCheckpoint } from './checkpoints.js';
+import { buildImageNote } from './context-builder.js';
+import { cancelToolApprovals, requestToolApproval, reviewToolCall } from './tool-approvals.js';
+import { resolveToolSettings } from './tool-profiles.js';
+import { getProviderAdapter } from './provider-registry.js';
+import { buildSpawnEnv, getCliCommand, normalizeProvider } from './cli-config.js';
 
 let activeGeminiProcesses = new Map(); // Track active processes by session ID
 
-function splitCommandArgs(input) {
-  const args = [];
-  let current = '';
-  let quote = null;
-  let escaped = false;
+// How long a protocol CLI gets to exit after its stdin is closed
+const PROTOCOL_EXIT_GRACE_MS = 5000;
 
-  for (let i = 0; i < input.length; i += 1) {
-    const char = input[i];
+// stderr noise that should never reach the client
+const SUPPRESSED_STDERR = [
+  '[DEP0040]',
+  'DeprecationWarning',
+  '--trace-deprecation',
+  'Loaded cached credentials'
+];
 
-    if (escaped) {
-      current += char;
-      escaped = false;
-      continue;
-    }
+// Send raw input to a session's running CLI process (pooled or PTY), e.g. answers to prompts
+function sendSessionInput(sessionId, input) {
+  if (typeof input !== 'string') {
+    return false;
+  }
+  const entry = sessionPool.get(sessionId);
+  const target = entry || activeGeminiProcesses.get(sessionId);
+  if (!target || typeof target.write !== 'function') {
+    return false;
+  }
+  const payload = input.endsWith('\n') || input.endsWith('\r') ? input : `${input}${entry ? entry.newline : '\r'}`;
+  target.write(payload);
+  if (entry) {
+    entry.lastUsed = Date.now();
+  }
+  sessionManager.addMessage(sessionId, 'user', input);
+  return true;
+}
 
-    if (char === '\\' && quote !== "'") {
-      escaped = true;
-      continue;
-    }
+// What a persistent process was started with: provider, model and tool settings. A pooled
+// process only serves turns with the same key.
+function getSpawnKey(provider, model, settings) {
+  const { sources, ...values } = settings;
+  return createHash('sha1').update(JSON.stringify({ provider, model, settings: values })).digest('hex');
+}
 
-    if (quote) {
-      if (char === quote) {
-        quote = null;
-      } else {
-        current += char;
-      }
-      continue;
+// Start a provider's persistent process and add it to the session pool. Output is
+// routed to whichever turn is currently running on the entry.
+function startPersistentProcess(adapter, { cliPath, args, argsContext, workingDir, spawnEnv, processKey, spawnKey }) {
+  const persistent = adapter.persistent;
+  const parser = persistent.createParser(argsContext);
+  const entry = {
+    cliProvider: adapter.id,
+    spawnKey,
+    busy: false,
+    turn: null,
+    newline: persistent.pty ? '\r' : '\n',
+    // What to write for a prompt; protocol parsers keep the state their messages need
+    formatInput: (prompt, ctx) => (parser.input ? parser.input(prompt, ctx) : persistent.formatInput(prompt))
+  };
+
+  const route = (items) => {
+    if (entry.turn && items.length > 0) {
+      entry.turn.onItems(items);
     }
-
-    if (char === '"' || char === "'") {
-      quote = char;
-      continue;
+  };
+  const handleExit = (code) => {
+    sessionPool.delete(entry.sessionId, entry);
+    if (entry.turn) {
+      entry.turn.onExit(code);
     }
+  };
 
-    if (/\s/.test(char)) {
-      if (current) {
-        args.push(current);
-        current = '';
+  if (persistent.pty) {
+    const ptyProcess = pty.spawn(cliPath, args, {
+      name: 'xterm-256color',
+      cols: 120,
+      rows: 30,
+      cwd: workingDir,
+      env: spawnEnv
+    });
+    entry.process = ptyProcess;
+    entry.write = (data) => ptyProcess.write(data);
+    entry.kill = (signal) => ptyProcess.kill(signal);
+    ptyProcess.onData((data) => route(parser.stdout(data)));
+    ptyProcess.onExit(({ exitCode }) => {
+      route(parser.close(exitCode ?? 0));
+      handleExit(exitCode ?? 0);
+    });
+  } else {
+    const childProcess = spawn(cliPath, args, {
+      cwd: workingDir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: spawnEnv
+    });
+    entry.process = childProcess;
+    entry.write = (data) => childProcess.stdin.write(data);
+    entry.kill = (signal) => childProcess.kill(signal);
+    childProcess.stdout.on('data', (data) => route(parser.stdout(data.toString())));
+    childProcess.stderr.on('data', (data) => {
+      const errorMsg = data.toString();
+      if (SUPPRESSED_STDERR.some(marker => errorMsg.includes(marker))) {
+        return;
       }
-      continue;
-    }
-
-    current += char;
-  }
-
-  if (current) {
-    args.push(current);
+      route(parser.stderr(errorMsg));
+    });
+    // Writes after the process died surface here as EPIPE; the close handler reports the exit
+    childProcess.stdin.on('error', () => {});
+    childProcess.on('close', (code) => {
+      route(parser.close(code));
+      handleExit(code);
+    });
+    childProcess.on('error', (error) => {
+      sessionPool.delete(entry.sessionId, entry);
+      if (entry.turn) {
+        entry.turn.onError(error);
+      }
+    });
   }
 
-  return args;
+  entry.process.cliProvider = adapter.id;
+  return sessionPool.add(processKey, entry);
 }
 
-function sanitizeCliOutput(output) {
-  if (!output) return '';
-  // Strip ANSI escape sequences and control chars while preserving newlines.
-  const withoutAnsi = output
-    .replace(/\x1b\[[0-9;?]*[ -/]*[@-~]/g, '')
-    .replace(/\x1b\][^\x07]*(?:\x07|\x1b\\)/g, '')
-    .replace(/\x1b[()][A-Za-z0-9]/g, '');
-  return withoutAnsi.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-}
-
-function stripOllamaSpinner(output) {
-  if (!output) return '';
-  // Ollama uses braille spinner glyphs; strip them to avoid noise messages.
-  return output.replace(/[⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏]/g, '');
-}
-
-function sendBmadInput(sessionId, input) {
-  const process = activeGeminiProcesses.get(sessionId);
-  if (!process || process.cliProvider !== 'bmad') {
-    return false;
-  }
-  if (typeof input === 'string') {
-    const payload = input.endsWith('\n') || input.endsWith('\r') ? input : `${input}\r`;
-    if (typeof process.write === 'function') {
-      process.write(payload);
-    } else if (process.stdin) {
-      process.stdin.write(payload);
+// Run a CLI prompt and report progress as events on the given sink (see cli-events.js)
+async function spawnGemini(command, options = {}, sink = null) {
+  const emit = (event) => {
+    if (sink) {
+      sink.emit(event);
     }
-    sessionManager.addMessage(sessionId, 'user', input);
-    return true;
-  }
-  return false;
-}
+  };
 
-async function spawnGemini(command, options = {}, ws) {
   return new Promise(async (resolve, reject) => {
-    const { sessionId, projectPath, cwd, resume, toolsSettings, permissionMode, images } = options;
+    const { sessionId, projectPath, cwd, resume, permissionMode, images } = options;
     let capturedSessionId = sessionId; // Track session ID throughout the process
     let sessionCreatedSent = false; // Track if we've already sent session-created event
     let fullResponse = ''; // Accumulate the full response
-    const cliProvider = normalizeProvider(options.provider);
-    const providerLabel = cliProvider === 'codex' ? 'Codex' : cliProvider === 'claude' ? 'Claude' : cliProvider === 'ollama' ? 'Ollama' : cliProvider === 'bmad' ? 'BMAD' : 'Gemini';
+    // Use cwd (actual project directory) instead of projectPath (Gemini's metadata directory)
+    // Clean the path by removing any non-printable characters
+    const cleanPath = (cwd || process.cwd()).replace(/[^\x20-\x7E]/g, '').trim();
+    // Tools, YOLO mode and the default provider and model come from the project's tool
+    // profile; only server-side callers pick a provider or model explicitly
+    const settings = resolveToolSettings(cleanPath);
+    const cliProvider = normalizeProvider(options.provider || settings.provider);
+    const adapter = getProviderAdapter(cliProvider);
+    const providerLabel = adapter.label;
     let pendingExternalSessionId = null;
+    let userMessageId = null; // The message this run answers; file checkpoints are keyed by it
+    let writeToProcess = null; // Answers permission prompts and protocol messages of the running CLI
+    let permissionPrompts = null;
+    let stopProcess = null; // Ends the run when a CLI that can't ask reports a risky command
+    let onTurnComplete = null;
+    let stoppedBySafetyRule = false;
+
+    if (adapter.browserOnly) {
+      const error = new Error(`${adapter.displayName} runs in the browser and cannot be started by the server`);
+      emit({ type: 'error', error: error.message });
+      reject(error);
+      return;
+    }
 
-    if (cliProvider === 'bmad' && sessionId && activeGeminiProcesses.has(sessionId)) {
-      if (sendBmadInput(sessionId, command || '')) {
-        resolve();
-        return;
-      }
+    const usePool = !!adapter.persistent && adapter.persistent.enabled() && sessionPool.isEnabled();
+    let pooledEntry = usePool ? sessionPool.get(sessionId) : null;
+    const model = options.model || (cliProvider === settings.provider ? settings.model : null) || adapter.defaultModel;
+    const spawnKey = getSpawnKey(cliProvider, model, settings);
+
+    // A run is still in progress for this session, so the input is meant for it
+    const isRunning = pooledEntry ? pooledEntry.busy : adapter.interactive && activeGeminiProcesses.has(sessionId);
+    if (sessionId && isRunning && sendSessionInput(sessionId, command || '')) {
+      resolve();
+      return;
+    }
+
+    // The model or tool settings changed since the session's process was started; it can't
+    // pick up the change, so the turn gets a new process
+    if (pooledEntry && pooledEntry.spawnKey !== spawnKey) {
+      sessionPool.evict(sessionId);
+      pooledEntry = null;
     }
     
-    // Process images if provided
-    
-    // Use tools settings passed from frontend, or defaults
-    const settings = toolsSettings || {
-      allowedTools: [],
-      disallowedTools: [],
-      skipPermissions: false
-    };
-    
-    // Use tools settings
-    
-    // Build CLI command
-    const args = [];
+    if (sessionId && options.contextSettings) {
+      sessionManager.setContextSettings(sessionId, options.contextSettings);
+    }
+    const externalSessionId = sessionId ? sessionManager.getExternalSessionId(sessionId) : null;
     let promptToUse = '';
     
-    // Construct prompt if we have a command
+    // Construct prompt if we have a command. Earlier turns are prepended unless the
+    // provider keeps its own conversation state or a pooled process still holds it.
     if (command && command.trim()) {
-      if (sessionId) {
-        if (cliProvider === 'bmad') {
-          promptToUse = command;
-        } else {
-          const externalSessionId = cliProvider === 'codex' ? sessionManager.getExternalSessionId(sessionId) : null;
-          if (!externalSessionId) {
-            const context = sessionManager.buildConversationContext(sessionId);
-            if (context) {
-              promptToUse = context + command;
-            } else {
-              promptToUse = command;
-            }
-          } else {
-            promptToUse = command;
-          }
-        }
+      if (sessionId && adapter.usesConversationContext && !externalSessionId && !pooledEntry) {
+        const context = sessionManager.buildConversationContext(sessionId);
+        promptToUse = context ? context + command : command;
       } else {
         promptToUse = command;
       }
     }
     
-    // Use cwd (actual project directory) instead of projectPath (Gemini's metadata directory)
-    // Debug - cwd and projectPath
-    // Clean the path by removing any non-printable characters
-    const cleanPath = (cwd || process.cwd()).replace(/[^\x20-\x7E]/g, '').trim();
     let workingDir = cleanPath;
     try {
       await fs.access(workingDir);
     } catch {
       workingDir = process.env.HOME || process.cwd();
     }
-    // Debug - workingDir
     
     // Handle images by saving them to temporary files and passing paths to CLI
     const tempImagePaths = [];
     let tempDir = null;
-    if (images && images.length > 0 && cliProvider !== 'bmad') {
+    if (images && images.length > 0 && adapter.supportsImages) {
       try {
-        // Create temp directory in the project directory so Gemini can access it
+        // Create temp directory in the project directory so the CLI can access it
         // Use a non-hidden directory to avoid potential issues with CLI file access
-        const tempDirName = cliProvider === 'codex'
-          ? 'codex_tmp_images'
-          : cliProvider === 'claude'
-          ? 'claude_tmp_images'
-          : cliProvider === 'ollama'
-          ? 'ollama_tmp_images'
-          : cliProvider === 'bmad'
-          ? 'bmad_tmp_images'
-          : 'gemini_tmp_images';
-        tempDir = path.join(workingDir, tempDirName, Date.now().toString());
+        tempDir = path.join(workingDir, `${adapter.id}_tmp_images`, Date.now().toString());
         await fs.mkdir(tempDir, { recursive: true });
         
         // Save each image to a temp file
@@ -200,191 +240,298 @@ async function spawnGemini(command, options = {}, ws) {
           tempImagePaths.push(filepath);
         }
         
-        if (cliProvider !== 'codex') {
-          // Include the full image paths in the prompt for Gemini to reference
+        if (!adapter.nativeImages) {
+          // Include the image paths in the prompt for the CLI to reference
           // Use relative paths to ensure compatibility
           if (tempImagePaths.length > 0 && promptToUse) {
-            const imageNote = `\n\n[画像を添付しました: ${tempImagePaths.length}枚の画像があります。以下のパスに保存されています:]\n${tempImagePaths.map((p, i) => `${i + 1}. ${path.relative(workingDir, p)}`).join('\n')}`;
-            promptToUse += imageNote;
+            promptToUse += buildImageNote(tempImagePaths.map(p => path.relative(workingDir, p)), {
+              provider: adapter.id,
+              settings: sessionId ? sessionManager.getContextSettings(sessionId) : options.contextSettings
+            });
           }
         }
-        
-        
       } catch (error) {
-        // console.error('Error processing images for Gemini:', error);
+        // console.error('Error processing images for CLI:', error);
       }
     }
     
-    // Gemini doesn't support resume functionality
-    // Skip resume handling
+    const argsContext = {
+      prompt: promptToUse,
+      model,
+      settings,
+      imagePaths: tempImagePaths,
+      externalSessionId,
+      workingDir,
+      options
+    };
+
+    const cliPath = getCliCommand(cliProvider);
     
-    if (cliProvider === 'codex') {
-      args.push('exec', '--skip-git-repo-check', '--json');
-      const modelToUse = options.model || getCliInfo(cliProvider).defaultModel;
-      if (modelToUse) {
-        args.push('--model', modelToUse);
+    const spawnEnv = buildSpawnEnv(process.env);
+    if (process.env.CLI_DEBUG_PATHS === '1') {
+      // Useful for diagnosing spawn ENOENT issues without always spamming logs.
+      // eslint-disable-next-line no-console
+      console.log('[cli-spawn] PATH=', spawnEnv.PATH);
+    }
+
+    const parser = adapter.createParser(argsContext);
+    const checkpoint = createRunCheckpoint(workingDir);
+    // Callers that assemble the reply themselves (bufferText: false) get the text as parsed
+    const responseHandler = adapter.responseBuffer && options.bufferText !== false
+      ? new GeminiResponseHandler((text, isPartial) => {
+        emit({ type: 'text', text, isPartial });
+      }, adapter.responseBuffer)
+      : null;
+
+    // Route parsed output: text is buffered and recorded, everything else is forwarded
+    const handleItems = (items) => {
+      for (const item of items) {
+        if (item.type === 'text') {
+          // Streamed deltas continue the previous text instead of starting a new line
+          fullResponse += (fullResponse && !item.delta ? '\n' : '') + item.text;
+          if (responseHandler) {
+            responseHandler.processData(item.text);
+          } else {
+            emit({ type: 'text', text: item.text, isPartial: false, delta: !!item.delta });
+          }
+        } else if (item.type === 'turn-complete') {
+          // Pooled processes end the turn on it; a one-off protocol run is done
+          if (onTurnComplete) {
+            onTurnComplete();
+          }
+        } else if (item.type === 'write') {
+          if (writeToProcess) {
+            writeToProcess(item.data);
+          }
+        } else if (item.type === 'permission-request') {
+          if (responseHandler) {
+            responseHandler.forceFlush();
+          }
+          handlePermissionRequest(item);
+        } else if (item.type === 'external-session') {
+          pendingExternalSessionId = item.id;
+          if (capturedSessionId) {
+            sessionManager.setExternalSessionId(capturedSessionId, item.id);
+          }
+        } else {
+          // Keep tool cards in order with the text that preceded them
+          if (responseHandler) {
+            responseHandler.forceFlush();
+          }
+          // CLIs that can't ask have already started the command; stopping the run is the best that can be done
+          const stop = item.type === 'tool_use' && !permissionPrompts && !stoppedBySafetyRule && !!stopProcess && reviewToolCall({
+            sessionId: capturedSessionId || sessionId,
+            projectPath: workingDir,
+            provider: cliProvider,
+            toolName: item.name,
+            input: item.input,
+            emit
+          });
+          if (item.type === 'tool_use' && capturedSessionId) {
+            sessionManager.addToolUse(capturedSessionId, item);
+            checkpoint.track(item, capturedSessionId, userMessageId);
+          }
+          emit(item);
+          if (stop) {
+            stoppedBySafetyRule = true;
+            emit({ type: 'error', error: `Stopped ${providerLabel}: "${item.input?.command}" matches a command safety rule` });
+            stopProcess();
+          }
+        }
       }
-      if (settings.skipPermissions) {
-        args.push('--full-auto', '--sandbox', 'danger-full-access');
-      } else {
-        args.push('--sandbox', 'read-only');
+    };
+
+    // Ask for (or look up) a decision on a tool call the CLI paused for, then answer it
+    const handlePermissionRequest = async (item) => {
+      const { allow } = await requestToolApproval({
+        sessionId: capturedSessionId || sessionId,
+        projectPath: workingDir,
+        provider: cliProvider,
+        toolName: item.name,
+        input: item.input,
+        emit,
+        canAsk: !!sink?.canApprove,
+        owner: sink?.owner || null
+      });
+      // Snapshot the files before the CLI hears it may change them
+      if (allow && capturedSessionId) {
+        checkpoint.track(item, capturedSessionId, userMessageId);
       }
-      if (tempImagePaths.length > 0) {
-        args.push('--image', tempImagePaths.join(','));
+      if (permissionPrompts && writeToProcess) {
+        writeToProcess(permissionPrompts.formatResponse({ requestId: item.requestId, allow, input: item.input, options: item.options }));
       }
-      const externalSessionId = sessionId ? sessionManager.getExternalSessionId(sessionId) : null;
-      if (externalSessionId) {
-        args.push('resume', externalSessionId);
+    };
+
+    const saveUserMessage = (targetSessionId) => {
+      const session = sessionManager.addMessage(targetSessionId, 'user', command, images);
+      userMessageId = session.messages[session.messages.length - 1]?.id ?? null;
+    };
+
+    // Snapshot the files this run edited and tell the client the turn can be reverted
+    const finishCheckpoint = () => {
+      const fileCheckpoint = checkpoint.finish();
+      if (fileCheckpoint) {
+        emit({ type: 'checkpoint', checkpoint: fileCheckpoint });
       }
-    } else if (cliProvider === 'claude') {
-      const modelToUse = options.model || getCliInfo(cliProvider).defaultModel;
-      if (modelToUse) {
-        args.push('--model', modelToUse);
+    };
+
+    // For new sessions, create a session ID once the CLI starts producing output
+    const ensureSession = (childProcess, processKey) => {
+      if (sessionId || sessionCreatedSent || capturedSessionId) {
+        return;
       }
-    } else if (cliProvider === 'ollama') {
-      const modelToUse = options.model || getCliInfo(cliProvider).defaultModel;
-      args.push('run', modelToUse);
-    } else if (cliProvider === 'bmad') {
-      // BMAD CLI commands do not use model selection or Gemini-specific flags.
-    } else {
-      // Add basic flags for Gemini
-      if (options.debug) {
-        args.push('--debug');
+      capturedSessionId = `${adapter.id}_${Date.now()}`;
+      sessionCreatedSent = true;
+      
+      // Create session in session manager
+      sessionManager.createSession(capturedSessionId, cwd || process.cwd(), cliProvider);
+      if (options.contextSettings) {
+        sessionManager.setContextSettings(capturedSessionId, options.contextSettings);
       }
       
-      // Add MCP config flag only if MCP servers are configured
-      try {
-        // Use already imported modules (fs.promises is imported as fs, path, os)
-        const fsSync = await import('fs'); // Import synchronous fs methods
-        
-        // Check for MCP config in ~/.gemini.json
-        const geminiConfigPath = path.join(os.homedir(), '.gemini.json');
-        
-        
-        let hasMcpServers = false;
-        
-        // Check Gemini config for MCP servers
-        if (fsSync.existsSync(geminiConfigPath)) {
-          try {
-            const geminiConfig = JSON.parse(fsSync.readFileSync(geminiConfigPath, 'utf8'));
-            
-            // Check global MCP servers
-            if (geminiConfig.mcpServers && Object.keys(geminiConfig.mcpServers).length > 0) {
-              hasMcpServers = true;
-            }
-            
-            // Check project-specific MCP servers
-            if (!hasMcpServers && geminiConfig.geminiProjects) {
-              const currentProjectPath = process.cwd();
-              const projectConfig = geminiConfig.geminiProjects[currentProjectPath];
-              if (projectConfig && projectConfig.mcpServers && Object.keys(projectConfig.mcpServers).length > 0) {
-                hasMcpServers = true;
-              }
-            }
-          } catch (e) {
-          }
-        }
-        
-        
-        if (hasMcpServers) {
-          // Use Gemini config file if it has MCP servers
-          let configPath = null;
-          
-          if (fsSync.existsSync(geminiConfigPath)) {
-            try {
-              const geminiConfig = JSON.parse(fsSync.readFileSync(geminiConfigPath, 'utf8'));
-              
-              // Check if we have any MCP servers (global or project-specific)
-              const hasGlobalServers = geminiConfig.mcpServers && Object.keys(geminiConfig.mcpServers).length > 0;
-              const currentProjectPath = process.cwd();
-              const projectConfig = geminiConfig.geminiProjects && geminiConfig.geminiProjects[currentProjectPath];
-              const hasProjectServers = projectConfig && projectConfig.mcpServers && Object.keys(projectConfig.mcpServers).length > 0;
-              
-              if (hasGlobalServers || hasProjectServers) {
-                configPath = geminiConfigPath;
-              }
-            } catch (e) {
-              // No valid config found
-            }
-          }
-          
-          if (configPath) {
-            args.push('--mcp-config', configPath);
-          } else {
-          }
-        }
-      } catch (error) {
-        // If there's any error checking for MCP configs, don't add the flag
-        // MCP config check failed, proceeding without MCP support
+      // Save the user message now that we have a session ID
+      if (command) {
+        saveUserMessage(capturedSessionId);
       }
       
-      // Add model for all sessions (both new and resumed)
-      const modelToUse = options.model || 'gemini-2.5-flash';
-      args.push('--model', modelToUse);
+      if (pendingExternalSessionId) {
+        sessionManager.setExternalSessionId(capturedSessionId, pendingExternalSessionId);
+      }
       
-      // Add --yolo flag if skipPermissions is enabled
-      if (settings.skipPermissions) {
-        args.push('--yolo');
-      } else {
-        // Pass allowed tools to Gemini CLI
-        // Ensure critical tools are always available by adding them to the allowed list
-        const criticalTools = [
-          'run_shell_command', 
-          'Bash', 
-          'Bash(git log:*)', 
-          'Bash(git diff:*)', 
-          'Bash(git status:*)',
-          'write_file',
-          'read_file',
-          'search_file_content',
-          'save_memory',
-          'replace',
-          'Write',
-          'Read',
-          'Edit',
-          'Glob',
-          'Grep'
-        ];
-        
-        let toolsToAllow = [...(settings.allowedTools || [])];
-        
-        // Add critical tools if not already present
-        criticalTools.forEach(tool => {
-          if (!toolsToAllow.includes(tool)) {
-            toolsToAllow.push(tool);
-          }
+      // Update process key with captured session ID
+      if (processKey !== capturedSessionId) {
+        activeGeminiProcesses.delete(processKey);
+        activeGeminiProcesses.set(capturedSessionId, childProcess);
+        childProcess.sessionId = capturedSessionId;
+      }
+      
+      emit({ type: 'session-created', sessionId: capturedSessionId });
+    };
+
+    const cleanupTempImages = async () => {
+      for (const imagePath of tempImagePaths) {
+        await fs.unlink(imagePath).catch(() => {});
+      }
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+      }
+    };
+
+    // Providers with a persistent mode keep one process per session and get each prompt as input
+    if (usePool && (pooledEntry || sessionPool.reserve())) {
+      const processKey = capturedSessionId || sessionId || Date.now().toString();
+      const entry = pooledEntry || startPersistentProcess(adapter, {
+        cliPath,
+        args: adapter.persistent.buildArgs(argsContext),
+        argsContext,
+        workingDir,
+        spawnEnv,
+        processKey,
+        spawnKey
+      });
+      const promptInArgs = !pooledEntry && adapter.persistent.promptInArgs;
+      let turnFinished = false;
+      let hasReceivedOutput = false;
+      let idleTimer = null;
+
+      const finishTurn = async (exitCode, error = null) => {
+        if (turnFinished) {
+          return;
+        }
+        turnFinished = true;
+        clearTimeout(timeout);
+        clearTimeout(idleTimer);
+        if (responseHandler) {
+          responseHandler.forceFlush();
+          responseHandler.destroy();
+        }
+
+        entry.turn = null;
+        entry.busy = false;
+        entry.lastUsed = Date.now();
+        const finalSessionId = capturedSessionId || sessionId || processKey;
+        activeGeminiProcesses.delete(finalSessionId);
+        cancelToolApprovals(finalSessionId, 'run-ended');
+
+        if (finalSessionId && fullResponse) {
+          sessionManager.addMessage(finalSessionId, 'assistant', fullResponse);
+        }
+        finishCheckpoint();
+        if (error) {
+          emit({ type: 'error', error: error.message });
+        }
+        emit({
+          type: 'complete',
+          exitCode,
+          sessionId: capturedSessionId || sessionId || null,
+          isNewSession: !sessionId && !!command
         });
-        
-        if (toolsToAllow.length > 0) {
-          args.push('--allowed-tools', ...toolsToAllow);
+        await cleanupTempImages();
+
+        if (error) {
+          reject(error);
+        } else if (exitCode === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${providerLabel} CLI exited with code ${exitCode}`));
         }
+      };
+
+      const timeout = setTimeout(() => {
+        if (!hasReceivedOutput) {
+          emit({ type: 'error', error: `${providerLabel} CLI timeout - no response received` });
+          entry.kill('SIGTERM');
+        }
+      }, adapter.timeoutMs);
+
+      permissionPrompts = adapter.persistent.permissionPrompts();
+      writeToProcess = entry.write;
+      stopProcess = () => entry.kill('SIGTERM');
+      entry.busy = true;
+      entry.lastUsed = Date.now();
+      entry.process.sessionId = processKey;
+      activeGeminiProcesses.set(processKey, entry.process);
+
+      if (command && capturedSessionId) {
+        saveUserMessage(capturedSessionId);
       }
-    }
-    
-    // console.log('Spawning Gemini CLI with args:', args);
-    // console.log('Working directory:', workingDir);
-    
-    // Add prompt as a positional argument at the end
-    if (promptToUse) {
-      if (cliProvider === 'bmad') {
-        args.push(...splitCommandArgs(promptToUse));
-      } else {
-        args.push(promptToUse);
+
+      entry.turn = {
+        onItems(items) {
+          hasReceivedOutput = true;
+          clearTimeout(timeout);
+          ensureSession(entry.process, processKey);
+          if (capturedSessionId) {
+            sessionPool.rekey(processKey, capturedSessionId);
+          }
+          handleItems(items);
+
+          // The turn ends on an explicit marker, or after a quiet period for CLIs without one
+          if (items.some(item => item.type === 'turn-complete')) {
+            finishTurn(0);
+          } else if (adapter.persistent.idleTurnMs) {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finishTurn(0), adapter.persistent.idleTurnMs);
+          }
+        },
+        onExit(code) {
+          finishTurn(code);
+        },
+        onError(error) {
+          finishTurn(1, error);
+        }
+      };
+
+      if (promptToUse && !promptInArgs) {
+        entry.write(entry.formatInput(promptToUse, argsContext));
       }
+      return;
     }
 
-    // Try to find gemini in PATH first, then fall back to environment variable
-    const geminiPath = getCliCommand(cliProvider);
-    // console.log('Full command:', geminiPath, args.join(' '));
-    
-    const spawnEnv = buildSpawnEnv(process.env);
-    if (process.env.CLI_DEBUG_PATHS === '1') {
-      // Useful for diagnosing spawn ENOENT issues without always spamming logs.
-      // eslint-disable-next-line no-console
-      console.log('[cli-spawn] PATH=', spawnEnv.PATH);
-    }
-    if (cliProvider === 'bmad') {
-      const bmadProcess = pty.spawn(geminiPath, args, {
+    const args = adapter.buildArgs(argsContext);
+
+    if (adapter.interactive) {
+      const ptyProcess = pty.spawn(cliPath, args, {
         name: 'xterm-256color',
         cols: 120,
         rows: 30,
@@ -393,79 +540,40 @@ async function spawnGemini(command, options = {}, ws) {
       });
 
       const processKey = capturedSessionId || sessionId || Date.now().toString();
-      bmadProcess.cliProvider = 'bmad';
-      bmadProcess.sessionId = processKey;
-      activeGeminiProcesses.set(processKey, bmadProcess);
+      ptyProcess.cliProvider = cliProvider;
+      ptyProcess.sessionId = processKey;
+      activeGeminiProcesses.set(processKey, ptyProcess);
+      stopProcess = () => ptyProcess.kill();
 
       if (command && capturedSessionId) {
-        sessionManager.addMessage(capturedSessionId, 'user', command);
-      }
-
-      let responseHandler = null;
-      if (ws) {
-        responseHandler = new GeminiResponseHandler(ws, {
-          partialDelay: 150,
-          maxWaitTime: 800,
-          minBufferSize: 1
-        });
+        saveUserMessage(capturedSessionId);
       }
 
-      bmadProcess.onData((data) => {
-        const sanitizedOutput = sanitizeCliOutput(data);
-        if (!sanitizedOutput.trim()) {
+      ptyProcess.onData((data) => {
+        const items = parser.stdout(data);
+        if (items.length === 0) {
           return;
         }
-
-        fullResponse += (fullResponse ? '\n' : '') + sanitizedOutput;
-
-        if (responseHandler) {
-          responseHandler.processData(sanitizedOutput);
-        } else if (ws) {
-          ws.send(JSON.stringify({
-            type: 'gemini-response',
-            data: {
-              type: 'message',
-              content: sanitizedOutput
-            }
-          }));
-        }
-
-        if (!sessionId && !sessionCreatedSent && !capturedSessionId) {
-          const sessionPrefix = 'bmad';
-          capturedSessionId = `${sessionPrefix}_${Date.now()}`;
-          sessionCreatedSent = true;
-
-          sessionManager.createSession(capturedSessionId, cwd || process.cwd(), cliProvider);
-          if (command) {
-            sessionManager.addMessage(capturedSessionId, 'user', command);
-          }
-
-          if (processKey !== capturedSessionId) {
-            activeGeminiProcesses.delete(processKey);
-            activeGeminiProcesses.set(capturedSessionId, bmadProcess);
-            bmadProcess.sessionId = capturedSessionId;
-          }
-
-          if (ws) {
-            ws.send(JSON.stringify({
-              type: 'session-created',
-              sessionId: capturedSessionId
-            }));
-          }
-        }
+        ensureSession(ptyProcess, processKey);
+        handleItems(items);
       });
 
-      bmadProcess.onExit(({ exitCode }) => {
+      ptyProcess.onExit(({ exitCode }) => {
         const finalSessionId = capturedSessionId || sessionId || processKey;
         activeGeminiProcesses.delete(finalSessionId);
-
-        if (ws) {
-          ws.send(JSON.stringify({
-            type: 'gemini-complete',
-            exitCode: exitCode ?? 0,
-            isNewSession: !sessionId && !!command
-          }));
+        handleItems(parser.close(exitCode ?? 0));
+        if (responseHandler) {
+          responseHandler.destroy();
         }
+        finishCheckpoint();
+
+        emit({
+          type: 'complete',
+          exitCode: exitCode ?? 0,
+          sessionId: capturedSessionId || sessionId || null,
+          isNewSession: !sessionId && !!command
+        });
+        cleanupTempImages();
 
         if (exitCode === 0 || exitCode === undefined) {
           resolve();
@@ -477,254 +585,83 @@ async function spawnGemini(command, options = {}, ws) {
       return;
     }
 
-    const geminiProcess = spawn(geminiPath, args, {
+    const geminiProcess = spawn(cliPath, args, {
       cwd: workingDir,
       stdio: ['pipe', 'pipe', 'pipe'],
       env: spawnEnv // Inherit all environment variables plus a safe PATH
     });
-    
-    // Attach temp file info to process for cleanup later
-    geminiProcess.tempImagePaths = tempImagePaths;
-    geminiProcess.tempDir = tempDir;
+    geminiProcess.cliProvider = cliProvider;
     
     // Store process reference for potential abort
     const processKey = capturedSessionId || sessionId || Date.now().toString();
     activeGeminiProcesses.set(processKey, geminiProcess);
-    // Debug - Stored Gemini process with key
     
     // Store sessionId on the process object for debugging
     geminiProcess.sessionId = processKey;
     
-    // Close stdin to signal we're done sending input
-    geminiProcess.stdin.end();
+    // Prompt is passed as an argument, or written as a protocol message for CLIs whose
+    // parser takes input. Stdin stays open only to answer permission prompts, which are
+    // used in YOLO mode too so the command safety rules still apply, and for the protocol.
+    permissionPrompts = adapter.permissionPrompts();
+    stopProcess = () => geminiProcess.kill('SIGTERM');
+    let turnCompleted = false;
+    if (permissionPrompts || parser.input) {
+      writeToProcess = (data) => geminiProcess.stdin.write(data);
+      geminiProcess.stdin.on('error', () => {});
+    } else {
+      geminiProcess.stdin.end();
+    }
+    if (parser.input) {
+      // Protocol CLIs keep running after the turn; closing stdin lets them exit
+      onTurnComplete = () => {
+        turnCompleted = true;
+        geminiProcess.stdin.end();
+        setTimeout(() => geminiProcess.kill('SIGTERM'), PROTOCOL_EXIT_GRACE_MS).unref();
+      };
+      if (promptToUse) {
+        writeToProcess(parser.input(promptToUse, argsContext));
+      }
+    }
     
     // Add timeout handler
     let hasReceivedOutput = false;
-    const timeoutMs = cliProvider === 'codex' ? 120000 : cliProvider === 'ollama' ? 120000 : cliProvider === 'bmad' ? 120000 : 30000; // 120s for Codex/Ollama/BMAD
     const timeout = setTimeout(() => {
       if (!hasReceivedOutput) {
-        // console.error('⏰ Gemini CLI timeout - no output received after', timeoutMs, 'ms');
-        ws.send(JSON.stringify({
-          type: 'gemini-error',
-          error: `${providerLabel} CLI timeout - no response received`
-        }));
+        // console.error('⏰ CLI timeout - no output received after', adapter.timeoutMs, 'ms');
+        emit({ type: 'error', error: `${providerLabel} CLI timeout - no response received` });
         geminiProcess.kill('SIGTERM');
       }
-    }, timeoutMs);
+    }, adapter.timeoutMs);
     
     // Save user message to session when starting
     if (command && capturedSessionId) {
-      sessionManager.addMessage(capturedSessionId, 'user', command);
+      saveUserMessage(capturedSessionId);
     }
     
-    // Create response handler for intelligent buffering
-    let responseHandler;
-    if (ws && cliProvider !== 'ollama') {
-      responseHandler = new GeminiResponseHandler(ws, {
-        partialDelay: 300,
-        maxWaitTime: 1500,
-        minBufferSize: 30
-      });
-    }
-    
-    // Handle stdout (Gemini outputs plain text)
-    let outputBuffer = '';
-    let codexLineBuffer = '';
-    let codexStderrBuffer = '';
-    
     geminiProcess.stdout.on('data', (data) => {
-      const rawOutput = data.toString();
-      outputBuffer += rawOutput;
       hasReceivedOutput = true;
       clearTimeout(timeout);
-      
-      if (cliProvider === 'codex') {
-        codexLineBuffer += rawOutput;
-        const lines = codexLineBuffer.split('\n');
-        codexLineBuffer = lines.pop() || '';
-        
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed) continue;
-          
-          let event;
-          try {
-            event = JSON.parse(trimmed);
-          } catch (e) {
-            continue;
-          }
-          
-          if (event.type === 'thread.started' && event.thread_id) {
-            pendingExternalSessionId = event.thread_id;
-            if (capturedSessionId) {
-              sessionManager.setExternalSessionId(capturedSessionId, event.thread_id);
-            }
-          }
-          
-          if (event.type === 'item.completed' && event.item?.type === 'agent_message') {
-            const content = event.item.text || '';
-            if (content) {
-              fullResponse += (fullResponse ? '\n' : '') + content;
-              if (responseHandler) {
-                responseHandler.processData(content);
-              } else {
-                ws.send(JSON.stringify({
-                  type: 'gemini-response',
-                  data: {
-                    type: 'message',
-                    content: content
-                  }
-                }));
-              }
-            }
-          }
-          
-          if (event.type === 'turn.failed' || event.type === 'error') {
-            ws.send(JSON.stringify({
-              type: 'gemini-error',
-              error: event.error?.message || event.message || 'Codex CLI error'
-            }));
-          }
-        }
-      } else if (cliProvider === 'gemini') {
-        // Filter out debug messages and system messages
-        const lines = rawOutput.split('\n');
-        const filteredLines = lines.filter(line => {
-          // Skip debug messages and "Loaded cached credentials"
-          if (line.includes('[DEBUG]') || 
-              line.includes('Flushing log events') || 
-              line.includes('Clearcut response') ||
-              line.includes('[MemoryDiscovery]') ||
-              line.includes('[BfsFileSearch]') ||
-              line.includes('Loaded cached credentials')) {
-            return false;
-          }
-          return true;
-        });
-        
-        const filteredOutput = filteredLines.join('\n').trim();
-        
-        if (filteredOutput) {
-          fullResponse += (fullResponse ? '\n' : '') + filteredOutput;
-          
-          if (responseHandler) {
-            responseHandler.processData(filteredOutput);
-          } else {
-            ws.send(JSON.stringify({
-              type: 'gemini-response',
-              data: {
-                type: 'message',
-                content: filteredOutput
-              }
-            }));
-          }
-        }
-      } else if (cliProvider === 'ollama') {
-        const sanitizedOutput = stripOllamaSpinner(sanitizeCliOutput(rawOutput));
-        if (sanitizedOutput.trim()) {
-          fullResponse += sanitizedOutput;
-        }
-      } else {
-        const trimmedOutput = rawOutput.trim();
-        if (trimmedOutput) {
-          fullResponse += (fullResponse ? '\n' : '') + trimmedOutput;
-          
-          if (responseHandler) {
-            responseHandler.processData(trimmedOutput);
-          } else {
-            ws.send(JSON.stringify({
-              type: 'gemini-response',
-              data: {
-                type: 'message',
-                content: trimmedOutput
-              }
-            }));
-          }
-        }
-      }
-      
-      // For new sessions, create a session ID
-      if (!sessionId && !sessionCreatedSent && !capturedSessionId) {
-        const sessionPrefix = cliProvider === 'codex' ? 'codex' : cliProvider === 'claude' ? 'claude' : cliProvider === 'ollama' ? 'ollama' : cliProvider === 'bmad' ? 'bmad' : 'gemini';
-        capturedSessionId = `${sessionPrefix}_${Date.now()}`;
-        sessionCreatedSent = true;
-        
-        // Create session in session manager
-        sessionManager.createSession(capturedSessionId, cwd || process.cwd(), cliProvider);
-        
-        // Save the user message now that we have a session ID
-        if (command) {
-          sessionManager.addMessage(capturedSessionId, 'user', command);
-        }
-        
-        if (pendingExternalSessionId) {
-          sessionManager.setExternalSessionId(capturedSessionId, pendingExternalSessionId);
-        }
-        
-        // Update process key with captured session ID
-        if (processKey !== capturedSessionId) {
-          activeGeminiProcesses.delete(processKey);
-          activeGeminiProcesses.set(capturedSessionId, geminiProcess);
-        }
-        
-        ws.send(JSON.stringify({
-          type: 'session-created',
-          sessionId: capturedSessionId
-        }));
-      }
+      ensureSession(geminiProcess, processKey);
+      handleItems(parser.stdout(data.toString()));
     });
     
     // Handle stderr
     geminiProcess.stderr.on('data', (data) => {
       const errorMsg = data.toString();
-      // Debug - Raw Gemini stderr
       
       // Filter out deprecation warnings and "Loaded cached credentials" message
-      if (errorMsg.includes('[DEP0040]') || 
-          errorMsg.includes('DeprecationWarning') ||
-          errorMsg.includes('--trace-deprecation') ||
-          errorMsg.includes('Loaded cached credentials')) {
-        // Log but don't send to client
-        // Debug - Gemini CLI warning (suppressed)
-        return;
-      }
-      if (cliProvider === 'codex') {
-        codexStderrBuffer += errorMsg;
-        return;
-      }
-      
-      if (cliProvider === 'ollama') {
-        const sanitizedError = stripOllamaSpinner(sanitizeCliOutput(errorMsg)).trim();
-        if (!sanitizedError) {
-          return;
-        }
-        ws.send(JSON.stringify({
-          type: 'gemini-error',
-          error: sanitizedError
-        }));
+      if (SUPPRESSED_STDERR.some(marker => errorMsg.includes(marker))) {
         return;
       }
-      
-      ws.send(JSON.stringify({
-        type: 'gemini-error',
-        error: errorMsg
-      }));
+      handleItems(parser.stderr(errorMsg));
     });
     
     // Handle process completion
-    geminiProcess.on('close', async (code) => {
-      // console.log(`Gemini CLI process exited with code ${code}`);
+    geminiProcess.on('close', async (exitCode) => {
       clearTimeout(timeout);
-      
-      if (cliProvider === 'codex' && codexLineBuffer.trim()) {
-        try {
-          const event = JSON.parse(codexLineBuffer.trim());
-          if (event.type === 'item.completed' && event.item?.type === 'agent_message' && event.item?.text) {
-            fullResponse += (fullResponse ? '\n' : '') + event.item.text;
-          }
-        } catch (e) {
-        }
-      }
+      // How a protocol CLI exits once its turn is over doesn't matter
+      const code = turnCompleted ? 0 : exitCode;
+      handleItems(parser.close(code));
       
       // Flush any remaining buffered content
       if (responseHandler) {
@@ -735,48 +672,23 @@ async function spawnGemini(command, options = {}, ws) {
       // Clean up process reference
       const finalSessionId = capturedSessionId || sessionId || processKey;
       activeGeminiProcesses.delete(finalSessionId);
+      cancelToolApprovals(finalSessionId, 'run-ended');
       
       // Save assistant response to session if we have one
       if (finalSessionId && fullResponse) {
         sessionManager.addMessage(finalSessionId, 'assistant', fullResponse);
       }
+      finishCheckpoint();
       
-      if (cliProvider === 'codex' && code !== 0 && codexStderrBuffer.trim()) {
-        ws.send(JSON.stringify({
-          type: 'gemini-error',
-          error: codexStderrBuffer.trim()
-        }));
-      }
-
-      if (cliProvider === 'ollama' && fullResponse.trim()) {
-        ws.send(JSON.stringify({
-          type: 'gemini-response',
-          data: {
-            type: 'message',
-            content: fullResponse.trim()
-          }
-        }));
-      }
-      
-      ws.send(JSON.stringify({
-        type: 'gemini-complete',
+      emit({
+        type: 'complete',
         exitCode: code,
+        sessionId: capturedSessionId || sessionId || null,
         isNewSession: !sessionId && !!command // Flag to indicate this was a new session
-      }));
+      });
       
       // Clean up temporary image files if any
-      if (geminiProcess.tempImagePaths && geminiProcess.tempImagePaths.length > 0) {
-        for (const imagePath of geminiProcess.tempImagePaths) {
-          await fs.unlink(imagePath).catch(err => {
-            // console.error(`Failed to delete temp image ${imagePath}:`, err)
-          });
-        }
-        if (geminiProcess.tempDir) {
-          await fs.rm(geminiProcess.tempDir, { recursive: true, force: true }).catch(err => {
-            // console.error(`Failed to delete temp directory ${geminiProcess.tempDir}:`, err)
-          });
-        }
-      }
+      await cleanupTempImages();
       
       if (code === 0) {
         resolve();
@@ -787,35 +699,107 @@ async function spawnGemini(command, options = {}, ws) {
     
     // Handle process errors
     geminiProcess.on('error', (error) => {
-      // console.error('Gemini CLI process error:', error);
+      clearTimeout(timeout);
       
       // Clean up process reference on error
       const finalSessionId = capturedSessionId || sessionId || processKey;
       activeGeminiProcesses.delete(finalSessionId);
       
-      ws.send(JSON.stringify({
-        type: 'gemini-error',
-        error: error.message
-      }));
+      emit({ type: 'error', error: error.message });
       
       reject(error);
     });
-    
-    // Handle stdin for interactive mode
-    // Gemini with positional prompt doesn't need stdin
-    if (command && command.trim()) {
-      // We're using a positional prompt, so just close stdin
-      geminiProcess.stdin.end();
+  });
+}
+
+// Same run as spawnGemini, exposed as an async iterator of events. With options.canApprove
+// the caller answers the permission requests; otherwise they are refused.
+function streamGemini(command, options = {}) {
+  const events = createEventQueue({ canApprove: !!options.canApprove });
+  spawnGemini(command, options, events.sink)
+    .then(() => events.close())
+    .catch(error => events.close(error));
+  return events;
+}
+
+// Run one prompt outside any chat session and resolve with the reply text. Nothing is
+// recorded; used for background jobs such as session titles.
+function runPrompt(prompt, { provider, model, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const cliProvider = normalizeProvider(provider);
+    const adapter = getProviderAdapter(cliProvider);
+    if (adapter.browserOnly || adapter.interactive) {
+      reject(new Error(`${adapter.displayName} can't answer prompts in the background`));
+      return;
+    }
+
+    const argsContext = {
+      prompt,
+      model: model || adapter.defaultModel,
+      settings: { allowedTools: [], disallowedTools: [], skipPermissions: false },
+      imagePaths: [],
+      externalSessionId: null,
+      workingDir: cwd || process.cwd(),
+      options: {}
+    };
+    const args = adapter.buildArgs(argsContext);
+    const child = spawn(getCliCommand(cliProvider), args, {
+      cwd: argsContext.workingDir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: buildSpawnEnv(process.env)
+    });
+
+    const parser = adapter.createParser(argsContext);
+    const permissionPrompts = adapter.permissionPrompts();
+    let turnCompleted = false;
+    if (parser.input) {
+      child.stdin.on('error', () => {});
+      child.stdin.write(parser.input(prompt, argsContext));
     } else {
-      // Interactive mode without initial prompt
-      // Keep stdin open for interactive use
+      child.stdin.end();
     }
+
+    let text = '';
+    const collect = (items) => {
+      for (const item of items) {
+        if (item.type === 'text') {
+          text += (text && !item.delta ? '\n' : '') + item.text;
+        } else if (item.type === 'write') {
+          child.stdin.write(item.data);
+        } else if (item.type === 'permission-request' && permissionPrompts) {
+          // Background prompts never get to use tools
+          child.stdin.write(permissionPrompts.formatResponse({ requestId: item.requestId, allow: false, input: item.input, options: item.options }));
+        } else if (item.type === 'turn-complete' && parser.input) {
+          turnCompleted = true;
+          child.stdin.end();
+          setTimeout(() => child.kill('SIGTERM'), PROTOCOL_EXIT_GRACE_MS).unref();
+        }
+      }
+    };
+    const timeout = setTimeout(() => child.kill('SIGTERM'), adapter.timeoutMs);
+
+    child.stdout.on('data', (data) => collect(parser.stdout(data.toString())));
+    child.on('close', (exitCode) => {
+      clearTimeout(timeout);
+      collect(parser.close(exitCode));
+      const code = turnCompleted ? 0 : exitCode;
+      if (code === 0) {
+        resolve(text);
+      } else {
+        reject(new Error(`${adapter.label} CLI exited with code ${code}`));
+      }
+    });
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
   });
 }
 
 function abortGeminiSession(sessionId) {
   // Debug - Attempting to abort Gemini session
   // Debug - Active processes
+  cancelToolApprovals(sessionId, 'aborted');
   
   // Try to find the process by session ID or any key that contains the session ID
   let process = activeGeminiProcesses.get(sessionId);
@@ -865,6 +849,8 @@ function abortGeminiSession(sessionId) {
 
 export {
   spawnGemini,
+  streamGemini,
   abortGeminiSession,
-  sendBmadInput
+  runPrompt,
+  sendSessionInput
 };
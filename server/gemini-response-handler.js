@@ -1,7 +1,8 @@
 // Gemini Response Handler - Intelligent message buffering
+// onMessage(content, isPartial) is called whenever a buffered chunk is ready
 class GeminiResponseHandler {
-  constructor(ws, options = {}) {
-    this.ws = ws;
+  constructor(onMessage, options = {}) {
+    this.onMessage = onMessage;
     this.buffer = '';
     this.lastSentTime = Date.now();
     this.flushTimer = null;
@@ -147,14 +148,7 @@ class GeminiResponseHandler {
 
     // Send if we have content
     if (content) {
-      this.ws.send(JSON.stringify({
-        type: 'gemini-response',
-        data: {
-          type: 'message',
-          content: content,
-          isPartial: !this.isComplete(content)
-        }
-      }));
+      this.onMessage(content, !this.isComplete(content));
       
       this.lastSentTime = Date.now();
     }
@@ -0,0 +1,132 @@
+// Partial patches for staging, unstaging and discarding single hunks or lines
+//
+// parseDiff splits the output of `git diff` for one file into its file header and hunks.
+// buildPartialPatch turns a selection of hunks (and optionally of the changed lines in them)
+// back into a patch for `git apply`. Unselected changes are left out the way `git add -p`
+// does it: for a forward patch an unselected added line is dropped and an unselected removed
+// line becomes context; for a patch applied in reverse (-R) it is the other way round.
+
+function patchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// { header: [lines], hunks: [{ header, oldStart, oldCount, newStart, newCount, lines }] }
+function parseDiff(diff) {
+  const header = [];
+  const hunks = [];
+  const lines = diff.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  for (const line of lines) {
+    const match = line.match(HUNK_HEADER);
+    if (match) {
+      hunks.push({
+        header: line,
+        oldStart: Number(match[1]),
+        oldCount: match[2] === undefined ? 1 : Number(match[2]),
+        newStart: Number(match[3]),
+        newCount: match[4] === undefined ? 1 : Number(match[4]),
+        lines: []
+      });
+    } else if (hunks.length > 0) {
+      hunks[hunks.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+  return { header, hunks };
+}
+
+// The lines of one hunk with only the selected changes; selected is null for all of them
+function selectHunkLines(hunk, selected, reverse) {
+  const result = [];
+  let dropped = false;
+  hunk.lines.forEach((line, index) => {
+    const type = line[0];
+    if (type === '\\') {
+      // "\ No newline at end of file" belongs to the line before it
+      if (!dropped) result.push(line);
+      return;
+    }
+    dropped = false;
+    if ((type === '+' || type === '-') && selected && !selected.has(index)) {
+      if (type === (reverse ? '-' : '+')) {
+        dropped = true;
+      } else {
+        result.push(` ${line.slice(1)}`);
+      }
+      return;
+    }
+    result.push(line);
+  });
+  return result;
+}
+
+// A side of a hunk without lines is numbered by the line before it
+const firstLine = (start, count) => (count === 0 ? start + 1 : start);
+const startLine = (first, count) => (count === 0 ? first - 1 : first);
+
+// The file header for a patch that keeps part of a new or deleted file as context: git only
+// accepts /dev/null on a side the patch leaves empty, so it becomes a change of the file
+function fileHeader(header, oldEmpty, newEmpty) {
+  const oldName = header.find(line => line.startsWith('--- '))?.slice(4);
+  const newName = header.find(line => line.startsWith('+++ '))?.slice(4);
+  if ((oldName !== '/dev/null' || oldEmpty) && (newName !== '/dev/null' || newEmpty)) {
+    return header;
+  }
+  const name = (oldName === '/dev/null' ? newName : oldName).replace(/^[ab]\//, '');
+  return header
+    .filter(line => !/^(?:new|deleted) file mode |^index /.test(line))
+    .map(line => (line === '--- /dev/null' ? `--- a/${name}` : line === '+++ /dev/null' ? `+++ b/${name}` : line));
+}
+
+// A patch with the chosen hunks of a parsed diff. selections is [{ index, header, lines? }]:
+// index and header identify the hunk (a different header means the diff changed since the
+// client saw it), lines are indexes into hunk.lines and limit it to those changes.
+function buildPartialPatch(parsed, selections, { reverse = false } = {}) {
+  const chosen = [...selections].sort((a, b) => a.index - b.index);
+  const output = [];
+  let delta = 0;
+  let changeCount = 0;
+  let oldLines = 0;
+  let newLines = 0;
+
+  for (const selection of chosen) {
+    const hunk = parsed.hunks[selection.index];
+    if (!hunk || hunk.header !== selection.header) {
+      throw patchError('ESTALE', 'The changes were modified since they were loaded. Refresh and try again.');
+    }
+    const selected = Array.isArray(selection.lines) ? new Set(selection.lines) : null;
+    const lines = selectHunkLines(hunk, selected, reverse);
+    const oldCount = lines.filter(line => line[0] === ' ' || line[0] === '-').length;
+    const newCount = lines.filter(line => line[0] === ' ' || line[0] === '+').length;
+    const changes = lines.filter(line => line[0] === '+' || line[0] === '-').length;
+    if (changes === 0) continue;
+    changeCount += changes;
+    oldLines += oldCount;
+    newLines += newCount;
+
+    // The side the patch applies to keeps its line numbers; the other one is shifted by
+    // what the hunks before it change
+    const oldStart = reverse ? startLine(firstLine(hunk.newStart, hunk.newCount) + delta, oldCount) : hunk.oldStart;
+    const newStart = reverse ? hunk.newStart : startLine(firstLine(hunk.oldStart, hunk.oldCount) + delta, newCount);
+    delta += reverse ? oldCount - newCount : newCount - oldCount;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...lines);
+  }
+
+  if (changeCount === 0) {
+    throw patchError('EINVAL', 'Select the changes to apply');
+  }
+  const header = fileHeader(parsed.header, oldLines === 0, newLines === 0);
+  return `${[...header, ...output].join('\n')}\n`;
+}
+
+export {
+  parseDiff,
+  buildPartialPatch
+};
@@ -37,14 +37,30 @@ import fetch from 'node-fetch';
 import mime from 'mime-types';
 
 import { getProjects, getSessions, getSessionMessages, renameProject, deleteSession, deleteProject, addProjectManually, extractProjectDirectory, clearProjectDirectoryCache } from './projects.js';
-import { spawnGemini, abortGeminiSession, sendBmadInput } from './gemini-cli.js';
+import { spawnGemini, abortGeminiSession } from './gemini-cli.js';
+import { createWebSocketSink } from './cli-events.js';
 import { buildSpawnEnv, getCliCommand, getCliInfo, getCliProvider, getProjectsRoot, normalizeProvider } from './cli-config.js';
+import { getProviderAdapter, listProviderAdapters, loadProviderAdapters } from './provider-registry.js';
+import { CONTEXT_STYLES, resolveContextSettings } from './context-builder.js';
+import { EXPORT_FORMATS, detectImportFormat } from './session-transfer.js';
 import sessionManager from './sessionManager.js';
+import { summarizeSession, startAutoSummaries } from './session-summarizer.js';
+import { listCheckpoints, previewRevert, recordEditorSave, recordReplace, revertCheckpoint } from './checkpoints.js';
+import { answerToolApproval, cancelClientToolApprovals, listToolDecisions } from './tool-approvals.js';
+import { deleteProjectToolProfile, getGlobalToolProfile, getProjectToolProfile, resolveToolSettings, saveGlobalToolProfile, saveProjectToolProfile } from './tool-profiles.js';
+import { analyzeCommand, sanitizeSafetyRules } from './command-safety.js';
+import { resolveWorkspacePath } from './workspace-sandbox.js';
+import { sendWatchStatus, unwatchClient, watchProject } from './workspace-watcher.js';
+import { isIgnoredName, listDirectory } from './file-listing.js';
+import { applyReplace, previewReplace, searchFiles } from './file-search.js';
+import { sendToLanguageServer, startLanguageServer, stopClientLanguageServers, stopLanguageServer } from './language-servers.js';
+import { createEntry, describeEntryStats, duplicateEntry, getTrashEntry, listTrash, moveEntry, purgeTrashEntry, restoreTrashEntry, saveUpload, trashEntry } from './file-operations.js';
 import gitRoutes from './routes/git.js';
 import authRoutes from './routes/auth.js';
 import mcpRoutes from './routes/mcp.js';
+import openaiRoutes from './routes/openai.js';
 import { initializeDatabase } from './database/db.js';
-import { validateApiKey, authenticateToken, authenticateWebSocket } from './middleware/auth.js';
+import { validateApiKey, authenticateToken, authenticateOpenAiKey, authenticateWebSocket } from './middleware/auth.js';
 
 // File system watchers for projects folders
 const projectWatchers = new Map();
@@ -53,7 +69,9 @@ const connectedClients = new Set();
 // Setup file system watchers for provider projects folders using chokidar
 async function setupProjectsWatcher() {
   const chokidar = (await import('chokidar')).default;
-  const providersToWatch = ['gemini', 'codex', 'claude', 'ollama', 'bmad'];
+  const providersToWatch = listProviderAdapters()
+    .filter(adapter => !adapter.browserOnly)
+    .map(adapter => adapter.id);
   projectWatchers.forEach(watcher => watcher.close());
   projectWatchers.clear();
   
@@ -164,6 +182,14 @@ const wss = new WebSocketServer({
 });
 
 app.use(cors());
+
+// OpenAI-compatible API (bearer key auth). Mounted before the global JSON parser
+// so inline base64 images are not rejected by the default body size limit.
+app.use('/v1', authenticateOpenAiKey, express.json({ limit: '25mb' }), openaiRoutes);
+
+// Session imports can carry images too
+app.use('/api/projects/:projectName/sessions/import', express.json({ limit: '50mb' }));
+
 app.use(express.json());
 
 // Optional API key validation (if configured)
@@ -199,6 +225,26 @@ app.get('/api/cli-info', authenticateToken, (req, res) => {
   res.json(getCliInfo(provider));
 });
 
+// List every registered provider adapter (built-in and CLI_PROVIDERS_DIR)
+app.get('/api/cli-providers', authenticateToken, (req, res) => {
+  res.json({
+    current: getCliProvider(),
+    providers: listProviderAdapters().map(adapter => ({
+      id: adapter.id,
+      label: adapter.label,
+      displayName: adapter.displayName,
+      description: adapter.description,
+      browserOnly: adapter.browserOnly,
+      interactive: adapter.interactive,
+      persistent: !!adapter.persistent && adapter.persistent.enabled(),
+      // Whether tool calls can be approved (and safety rules applied) before they run
+      approvals: !!adapter.permissionPrompts(),
+      defaultModel: adapter.defaultModel,
+      models: adapter.models
+    }))
+  });
+});
+
 app.get('/api/projects', authenticateToken, async (req, res) => {
   try {
     const provider = req.query.provider || null;
@@ -231,6 +277,32 @@ app.get('/api/projects/:projectName/sessions', authenticateToken, async (req, re
   }
 });
 
+// Full-text search over session messages; project, provider and date range are optional filters
+app.get('/api/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, project, provider, from, to } = req.query;
+    const toIso = (value) => {
+      if (!value) return null;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    };
+    const normalizedProvider = provider && provider !== 'all' ? normalizeProvider(provider) : null;
+    const projectPath = project ? await extractProjectDirectory(project, normalizedProvider) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const results = sessionManager.searchMessages(q, {
+      projectPath,
+      provider: normalizedProvider,
+      from: toIso(from),
+      to: toIso(to),
+      limit
+    });
+    res.json({ results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get messages for a specific session
 app.get('/api/projects/:projectName/sessions/:sessionId/messages', authenticateToken, async (req, res) => {
   try {
@@ -242,6 +314,35 @@ app.get('/api/projects/:projectName/sessions/:sessionId/messages', authenticateT
   }
 });
 
+// Get context settings for a session, plus the effective values after provider defaults
+app.get('/api/projects/:projectName/sessions/:sessionId/context-settings', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = sessionManager.getSession(sessionId);
+    const settings = sessionManager.getContextSettings(sessionId);
+    const provider = session?.provider || normalizeProvider(req.query.provider || null);
+    res.json({ settings, effective: resolveContextSettings(provider, settings), styles: CONTEXT_STYLES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update context settings for a session
+app.put('/api/projects/:projectName/sessions/:sessionId/context-settings', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    sessionManager.setContextSettings(sessionId, req.body?.settings || {});
+    const settings = sessionManager.getContextSettings(sessionId);
+    res.json({ settings, effective: resolveContextSettings(session.provider, settings), styles: CONTEXT_STYLES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Rename project endpoint
 app.put('/api/projects/:projectName/rename', authenticateToken, async (req, res) => {
   try {
@@ -265,6 +366,259 @@ app.delete('/api/projects/:projectName/sessions/:sessionId', authenticateToken,
   }
 });
 
+// Generate a title and summary for a session with its provider
+app.post('/api/projects/:projectName/sessions/:sessionId/summarize', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const result = await summarizeSession(sessionId);
+    if (!result) {
+      return res.status(400).json({ error: 'Session has no messages to summarize yet' });
+    }
+    res.json({ summary: result.title, description: result.summary });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a session ({ title }); an empty title clears it
+app.put('/api/projects/:projectName/sessions/:sessionId/title', authenticateToken, async (req, res) => {
+  try {
+    const session = sessionManager.setUserTitle(req.params.sessionId, req.body.title);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ summary: sessionManager.getSessionSummary(session), description: session.description, titleSource: session.titleSource });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fork a session at a message ({ messageId }); returns the new session and, when forking
+// at a user message, that message's text to edit and resend
+app.post('/api/projects/:projectName/sessions/:sessionId/fork', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const messageId = Number(req.body.messageId);
+    const forked = sessionManager.forkSession(sessionId, messageId);
+    if (!forked) {
+      return res.status(404).json({ error: 'Session or message not found' });
+    }
+
+    const { session, prompt } = forked;
+    res.json({
+      session: {
+        id: session.id,
+        summary: sessionManager.getSessionSummary(session),
+        messageCount: session.messages.length,
+        lastActivity: session.lastActivity,
+        parentSessionId: session.parentSessionId,
+        parentMessageId: session.parentMessageId
+      },
+      prompt
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// File checkpoints recorded during a session's runs, newest first
+app.get('/api/projects/:projectName/sessions/:sessionId/checkpoints', authenticateToken, async (req, res) => {
+  try {
+    res.json({ checkpoints: listCheckpoints({ sessionId: req.params.sessionId }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Checkpoints of a project, optionally only those of one source ('agent' or 'editor') or file
+app.get('/api/projects/:projectName/checkpoints', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    const { source, filePath } = req.query;
+    res.json({ checkpoints: listCheckpoints({ projectPath, source: source || null, filePath: filePath || null }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff of what reverting a checkpoint would change
+app.get('/api/projects/:projectName/checkpoints/:checkpointId', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    const preview = await previewRevert(Number(req.params.checkpointId), projectPath, { user: req.user?.username });
+    if (!preview) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+    res.json({ checkpoint: preview });
+  } catch (error) {
+    res.status(error.code === 'EACCES' ? 403 : 500).json({ error: error.message });
+  }
+});
+
+// Restore the files of a checkpoint to their content before it
+app.post('/api/projects/:projectName/checkpoints/:checkpointId/revert', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    const result = await revertCheckpoint(Number(req.params.checkpointId), projectPath, { user: req.user?.username });
+    if (!result) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.code === 'EACCES' ? 403 : 500).json({ error: error.message });
+  }
+});
+
+// Recorded tool approval decisions for a project, optionally for one session (?sessionId=)
+app.get('/api/projects/:projectName/tool-decisions', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    res.json({ decisions: listToolDecisions(projectPath, req.query.sessionId || null) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Global tool permission profile (allowed/disallowed tools, YOLO mode, safety rules, default
+// provider and model) and the settings it resolves to outside any project
+app.get('/api/tool-profile', authenticateToken, async (req, res) => {
+  try {
+    res.json({ profile: getGlobalToolProfile(), effective: resolveToolSettings(null) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/tool-profile', authenticateToken, async (req, res) => {
+  try {
+    const { profile } = req.body;
+    if (!profile || typeof profile !== 'object') {
+      return res.status(400).json({ error: 'profile is required' });
+    }
+    res.json({ profile: saveGlobalToolProfile(profile) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A project's tool profile (null fields use the global value) and the settings runs resolve to
+app.get('/api/projects/:projectName/tool-profile', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    res.json({
+      profile: getProjectToolProfile(projectPath),
+      global: getGlobalToolProfile(),
+      effective: resolveToolSettings(projectPath)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/projects/:projectName/tool-profile', authenticateToken, async (req, res) => {
+  try {
+    const { profile } = req.body;
+    if (!profile || typeof profile !== 'object') {
+      return res.status(400).json({ error: 'profile is required' });
+    }
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    res.json({
+      profile: saveProjectToolProfile(projectPath, profile),
+      effective: resolveToolSettings(projectPath)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop a project's overrides so it follows the global profile again
+app.delete('/api/projects/:projectName/tool-profile', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    deleteProjectToolProfile(projectPath);
+    res.json({ success: true, effective: resolveToolSettings(projectPath) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check a command against the safety rules without running it. Uses the given rules, or
+// those of the project (or the global profile) when none are given.
+app.post('/api/command-safety/check', authenticateToken, async (req, res) => {
+  try {
+    const { command, rules, projectName } = req.body;
+    if (typeof command !== 'string') {
+      return res.status(400).json({ error: 'command is required' });
+    }
+    const projectPath = projectName ? await extractProjectDirectory(projectName, req.query.provider || null) : null;
+    const analysis = analyzeCommand(command, {
+      projectPath,
+      rules: rules ? sanitizeSafetyRules(rules) : resolveToolSettings(projectPath).safetyRules
+    });
+    res.json({ analysis });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a session as Markdown, JSON or provider-native JSONL
+app.get('/api/projects/:projectName/sessions/:sessionId/export', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const format = req.query.format || 'markdown';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format: ${format}` });
+    }
+
+    const exported = sessionManager.exportSession(sessionId, format);
+    if (!exported) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // attachment() quotes and encodes the name, since session ids come from the URL
+    res.attachment(`${sessionId}.${exported.extension}`);
+    res.setHeader('Content-Type', `${exported.mimeType}; charset=utf-8`);
+    res.send(exported.content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new session in a project from an exported file ({ content, format?, fileName? })
+app.post('/api/projects/:projectName/sessions/import', authenticateToken, async (req, res) => {
+  try {
+    const { content, fileName } = req.body;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    const provider = normalizeProvider(req.query.provider || null);
+    const projectPath = await extractProjectDirectory(req.params.projectName, provider);
+    const format = req.body.format || detectImportFormat(fileName, content);
+
+    let session;
+    try {
+      session = sessionManager.importSession(projectPath, provider, content, format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      session: {
+        id: session.id,
+        summary: sessionManager.getSessionSummary(session),
+        messageCount: session.messages.length,
+        lastActivity: session.lastActivity
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete project endpoint (only if empty)
 app.delete('/api/projects/:projectName', authenticateToken, async (req, res) => {
   try {
@@ -295,20 +649,36 @@ app.post('/api/projects/create', authenticateToken, async (req, res) => {
   }
 });
 
+// Resolve a file path from a request inside the project's workspace (see workspace-sandbox.js).
+// Responds 403 and returns null when the path is outside it.
+async function resolveRequestPath(req, res, requestedPath, operation) {
+  let projectRoot = null;
+  try {
+    projectRoot = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+  } catch (error) {
+    // Without a project root nothing is allowed
+  }
+  const resolved = await resolveWorkspacePath(projectRoot, requestedPath, { operation, user: req.user?.username });
+  if (!resolved) {
+    res.status(403).json({ error: 'Path is outside the project workspace' });
+  }
+  return { projectRoot, filePath: resolved };
+}
+
 // Read file content endpoint
 app.get('/api/projects/:projectName/file', authenticateToken, async (req, res) => {
   try {
     const { projectName } = req.params;
-    const { filePath } = req.query;
     
-    // console.log('📄 File read request:', projectName, filePath);
+    // console.log('📄 File read request:', projectName, req.query.filePath);
     
-    // Using fsPromises from import
-    
-    // Security check - ensure the path is safe and absolute
-    if (!filePath || !path.isAbsolute(filePath)) {
+    if (!req.query.filePath) {
       return res.status(400).json({ error: 'Invalid file path' });
     }
+    const { filePath } = await resolveRequestPath(req, res, req.query.filePath, 'read');
+    if (!filePath) {
+      return;
+    }
     
     const content = await fsPromises.readFile(filePath, 'utf8');
     res.json({ content, path: filePath });
@@ -328,17 +698,18 @@ app.get('/api/projects/:projectName/file', authenticateToken, async (req, res) =
 app.get('/api/projects/:projectName/files/content', authenticateToken, async (req, res) => {
   try {
     const { projectName } = req.params;
-    const { path: filePath } = req.query;
     
-    // console.log('🖼️ Binary file serve request:', projectName, filePath);
+    // console.log('🖼️ Binary file serve request:', projectName, req.query.path);
     
-    // Using fs from import
     // Using mime from import
     
-    // Security check - ensure the path is safe and absolute
-    if (!filePath || !path.isAbsolute(filePath)) {
+    if (!req.query.path) {
       return res.status(400).json({ error: 'Invalid file path' });
     }
+    const { filePath } = await resolveRequestPath(req, res, req.query.path, 'read');
+    if (!filePath) {
+      return;
+    }
     
     // Check if file exists
     try {
@@ -374,14 +745,11 @@ app.get('/api/projects/:projectName/files/content', authenticateToken, async (re
 app.put('/api/projects/:projectName/file', authenticateToken, async (req, res) => {
   try {
     const { projectName } = req.params;
-    const { filePath, content } = req.body;
+    const { content } = req.body;
     
-    // console.log('💾 File save request:', projectName, filePath);
+    // console.log('💾 File save request:', projectName, req.body.filePath);
     
-    // Using fsPromises from import
-    
-    // Security check - ensure the path is safe and absolute
-    if (!filePath || !path.isAbsolute(filePath)) {
+    if (!req.body.filePath) {
       return res.status(400).json({ error: 'Invalid file path' });
     }
     
@@ -389,17 +757,21 @@ app.put('/api/projects/:projectName/file', authenticateToken, async (req, res) =
       return res.status(400).json({ error: 'Content is required' });
     }
     
-    // Create backup of original file
+    const { projectRoot, filePath } = await resolveRequestPath(req, res, req.body.filePath, 'write');
+    if (!filePath) {
+      return;
+    }
+    
+    // Keep the previous content in the checkpoint store
     try {
-      const backupPath = filePath + '.backup.' + Date.now();
-      await fsPromises.copyFile(filePath, backupPath);
-      // console.log('📋 Created backup:', backupPath);
-    } catch (backupError) {
-      // console.warn('Could not create backup:', backupError.message);
+      recordEditorSave(projectRoot, filePath, content);
+    } catch (checkpointError) {
+      // console.warn('Could not record checkpoint:', checkpointError.message);
     }
     
     // Write the new content
     await fsPromises.writeFile(filePath, content, 'utf8');
+    broadcastFilesUpdated(projectName, 'save', [filePath]);
     
     res.json({ 
       success: true, 
@@ -418,6 +790,246 @@ app.put('/api/projects/:projectName/file', authenticateToken, async (req, res) =
   }
 });
 
+// Tell every chat client that files of a project changed, so open file trees refresh
+function broadcastFilesUpdated(projectName, operation, paths) {
+  const message = JSON.stringify({ type: 'files_updated', projectName, operation, paths, timestamp: new Date().toISOString() });
+  connectedClients.forEach(client => {
+    if (client.readyState === client.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+function sendFileOperationError(res, error) {
+  const statuses = { ENOENT: 404, EEXIST: 409, ENOTEMPTY: 409, EINVAL: 400, ENOTDIR: 400, EACCES: 403, EPERM: 403 };
+  res.status(statuses[error.code] || 500).json({ error: error.message });
+}
+
+// Create a file or folder: { path, type: 'file' | 'directory', content? }
+app.post('/api/projects/:projectName/files', authenticateToken, async (req, res) => {
+  try {
+    const { type = 'file', content = '' } = req.body;
+    if (!req.body.path || !['file', 'directory'].includes(type)) {
+      return res.status(400).json({ error: 'path and a type of file or directory are required' });
+    }
+    const { projectRoot, filePath } = await resolveRequestPath(req, res, req.body.path, 'create');
+    if (!filePath) {
+      return;
+    }
+    await createEntry(projectRoot, filePath, type, content);
+    broadcastFilesUpdated(req.params.projectName, 'create', [filePath]);
+    res.json({ success: true, path: filePath, type });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Rename or move a file or folder: { from, to }
+app.post('/api/projects/:projectName/files/move', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.from || !req.body.to) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+    const source = await resolveRequestPath(req, res, req.body.from, 'move');
+    if (!source.filePath) {
+      return;
+    }
+    const target = await resolveRequestPath(req, res, req.body.to, 'move');
+    if (!target.filePath) {
+      return;
+    }
+    await moveEntry(source.projectRoot, source.filePath, target.filePath);
+    broadcastFilesUpdated(req.params.projectName, 'move', [source.filePath, target.filePath]);
+    res.json({ success: true, from: source.filePath, path: target.filePath });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Copy a file or folder next to itself: { path }
+app.post('/api/projects/:projectName/files/duplicate', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const { projectRoot, filePath } = await resolveRequestPath(req, res, req.body.path, 'duplicate');
+    if (!filePath) {
+      return;
+    }
+    const copyPath = await duplicateEntry(projectRoot, filePath);
+    broadcastFilesUpdated(req.params.projectName, 'duplicate', [copyPath]);
+    res.json({ success: true, path: copyPath });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Upload files into a folder (multipart: files, targetDir, and optional relativePaths for
+// dropped folders). Existing files are kept; uploads with the same name get a free one.
+app.post('/api/projects/:projectName/files/upload', authenticateToken, async (req, res) => {
+  const multer = (await import('multer')).default;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024, files: 100 }
+  });
+
+  upload.array('files', 100)(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+    try {
+      const relativePaths = [].concat(req.body.relativePaths || []);
+      const targetDir = req.body.targetDir || '.';
+      // Check every target before writing any of them
+      const targets = [];
+      for (const [index, file] of req.files.entries()) {
+        const relativePath = relativePaths[index] || file.originalname;
+        const target = await resolveRequestPath(req, res, path.join(targetDir, relativePath), 'upload');
+        if (!target.filePath) {
+          return;
+        }
+        targets.push({ ...target, buffer: file.buffer });
+      }
+      const saved = [];
+      for (const { projectRoot, filePath, buffer } of targets) {
+        saved.push(await saveUpload(projectRoot, filePath, buffer));
+      }
+      broadcastFilesUpdated(req.params.projectName, 'upload', saved);
+      res.json({ success: true, paths: saved });
+    } catch (error) {
+      sendFileOperationError(res, error);
+    }
+  });
+});
+
+// Move a file or folder to the project's trash (?path=)
+app.delete('/api/projects/:projectName/files', authenticateToken, async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+    const { projectRoot, filePath } = await resolveRequestPath(req, res, req.query.path, 'delete');
+    if (!filePath) {
+      return;
+    }
+    const entry = await trashEntry(projectRoot, filePath);
+    broadcastFilesUpdated(req.params.projectName, 'delete', [filePath]);
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Entries in the project's trash, newest first
+app.get('/api/projects/:projectName/trash', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    res.json({ entries: await listTrash(projectPath) });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+app.post('/api/projects/:projectName/trash/:entryId/restore', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    const entry = await getTrashEntry(projectPath, req.params.entryId);
+    // The record lives in the project, so check where it points before writing there
+    const { filePath } = await resolveRequestPath(req, res, entry.originalPath, 'restore');
+    if (!filePath) {
+      return;
+    }
+    await restoreTrashEntry(projectPath, entry);
+    broadcastFilesUpdated(req.params.projectName, 'restore', [entry.originalPath]);
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Delete a trash entry for good
+app.delete('/api/projects/:projectName/trash/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const projectPath = await extractProjectDirectory(req.params.projectName, req.query.provider || null);
+    const entry = await purgeTrashEntry(projectPath, req.params.entryId);
+    res.json({ success: true, entry });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// One page of one directory, for a file tree that loads folders as they are expanded:
+// ?path (defaults to the project root), offset, limit, showIgnored=1 for .gitignore'd entries
+app.get('/api/projects/:projectName/files/list', authenticateToken, async (req, res) => {
+  try {
+    const { filePath } = await resolveRequestPath(req, res, req.query.path || '.', 'list');
+    if (!filePath) {
+      return;
+    }
+    const { offset, limit, showIgnored } = req.query;
+    res.json(await listDirectory(filePath, { offset, limit, showIgnored: showIgnored === '1' || showIgnored === 'true' }));
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Search file contents under a folder of the project (the root by default)
+app.get('/api/projects/:projectName/search', authenticateToken, async (req, res) => {
+  try {
+    const { filePath } = await resolveRequestPath(req, res, req.query.path || '.', 'list');
+    if (!filePath) {
+      return;
+    }
+    const flag = (value) => value === '1' || value === 'true';
+    const { query, include, exclude } = req.query;
+    res.json(await searchFiles(filePath, {
+      query,
+      regex: flag(req.query.regex),
+      caseSensitive: flag(req.query.caseSensitive),
+      wholeWord: flag(req.query.wholeWord),
+      include,
+      exclude
+    }));
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
+// Replace search matches. Without apply it only previews the changes; with apply it writes
+// the files listed in paths and records them as one checkpoint.
+app.post('/api/projects/:projectName/replace', authenticateToken, async (req, res) => {
+  try {
+    const { path: searchPath, query, regex, caseSensitive, wholeWord, include, exclude, replacement = '', apply, paths } = req.body;
+    const { projectRoot, filePath } = await resolveRequestPath(req, res, searchPath || '.', 'write');
+    if (!filePath) {
+      return;
+    }
+    const options = { query, regex: !!regex, caseSensitive: !!caseSensitive, wholeWord: !!wholeWord, include, exclude };
+    if (!apply) {
+      return res.json(await previewReplace(filePath, options, String(replacement)));
+    }
+    const written = await applyReplace(filePath, options, String(replacement), paths);
+    try {
+      recordReplace(projectRoot, written);
+    } catch (checkpointError) {
+      // console.warn('Could not record checkpoint:', checkpointError.message);
+    }
+    if (written.length > 0) {
+      broadcastFilesUpdated(req.params.projectName, 'replace', written.map(file => file.filePath));
+    }
+    res.json({
+      files: written.map(file => ({ path: file.filePath, changeCount: file.changeCount })),
+      fileCount: written.length,
+      changeCount: written.reduce((total, file) => total + file.changeCount, 0)
+    });
+  } catch (error) {
+    sendFileOperationError(res, error);
+  }
+});
+
 app.get('/api/projects/:projectName/files', authenticateToken, async (req, res) => {
   try {
     const provider = req.query.provider || null;
@@ -469,6 +1081,35 @@ wss.on('connection', (ws, request) => {
   }
 });
 
+// Let open chats know when a session could not be saved
+sessionManager.on('write-error', ({ sessionId, operation, error }) => {
+  const message = JSON.stringify({
+    type: 'session-save-error',
+    sessionId,
+    error: `Failed to ${operation}: ${error.message}`
+  });
+  connectedClients.forEach(client => {
+    if (client.readyState === client.OPEN) {
+      client.send(message);
+    }
+  });
+});
+
+// Let clients update session titles in place when a summary is generated or a session renamed
+sessionManager.on('summary-updated', ({ sessionId, title, description }) => {
+  const message = JSON.stringify({
+    type: 'session-summary-updated',
+    sessionId,
+    summary: title,
+    description
+  });
+  connectedClients.forEach(client => {
+    if (client.readyState === client.OPEN) {
+      client.send(message);
+    }
+  });
+});
+
 // Handle chat WebSocket connections
 function handleChatConnection(ws) {
   // console.log('💬 Chat WebSocket connected');
@@ -484,11 +1125,43 @@ function handleChatConnection(ws) {
         // console.log('💬 User message:', data.command || '[Continue/Resume]');
         // console.log('📁 Project:', data.options?.projectPath || 'Unknown');
         // console.log('🔄 Session:', data.options?.sessionId ? 'Resume' : 'New');
-        const provider = normalizeProvider(data.options?.provider || null);
-        if (provider === 'bmad' && data.options?.sessionId && sendBmadInput(data.options.sessionId, data.command || '')) {
-          return;
+        // Tool settings, provider and model come from the project's tool profile, not the client
+        const { toolsSettings, provider, model, ...options } = data.options || {};
+        await spawnGemini(data.command, options, createWebSocketSink(ws));
+      } else if (data.type === 'permission-response') {
+        // Answer to a permission-request sent to this client: decision is 'allow', 'deny' or 'always'
+        if (!answerToolApproval(data.requestId, data.decision, ws)) {
+          ws.send(JSON.stringify({ type: 'permission-resolved', requestId: data.requestId, expired: true }));
+        }
+      } else if (data.type === 'watch-project') {
+        // Live file changes for the project open in this client; no projectName stops them
+        if (!data.projectName) {
+          unwatchClient(ws);
+        } else {
+          try {
+            const projectRoot = await extractProjectDirectory(data.projectName, data.provider || null);
+            await watchProject(ws, data.projectName, projectRoot);
+          } catch (error) {
+            unwatchClient(ws);
+            sendWatchStatus(ws, data.projectName, false, error.message);
+          }
         }
-        await spawnGemini(data.command, data.options, ws);
+      } else if (data.type === 'lsp-start') {
+        // Run a language server for the editor in the project directory
+        try {
+          const projectRoot = await extractProjectDirectory(data.projectName, data.provider || null);
+          await startLanguageServer(ws, data.sessionId, data.language, projectRoot);
+        } catch (error) {
+          ws.send(JSON.stringify({ type: 'lsp-error', sessionId: data.sessionId, error: error.message }));
+        }
+      } else if (data.type === 'lsp-message') {
+        try {
+          sendToLanguageServer(ws, data.sessionId, data.message);
+        } catch (error) {
+          ws.send(JSON.stringify({ type: 'lsp-exit', sessionId: data.sessionId, code: null, error: error.message }));
+        }
+      } else if (data.type === 'lsp-stop') {
+        stopLanguageServer(ws, data.sessionId);
       } else if (data.type === 'abort-session') {
         // console.log('🛑 Abort session request:', data.sessionId);
         const success = abortGeminiSession(data.sessionId);
@@ -511,6 +1184,10 @@ function handleChatConnection(ws) {
     // console.log('🔌 Chat client disconnected');
     // Remove from connected clients
     connectedClients.delete(ws);
+    unwatchClient(ws);
+    stopClientLanguageServers(ws);
+    // Runs waiting on this client for an approval get a denial and carry on
+    cancelClientToolApprovals(ws);
   });
 }
 
@@ -529,11 +1206,21 @@ function handleShellConnection(ws) {
         const projectPath = data.projectPath || process.cwd();
         const sessionId = data.sessionId;
         const hasSession = data.hasSession;
-        const toolsSettings = data.toolsSettings;
+        // Resolve the project's tool profile rather than using settings sent by the client
+        const profile = resolveToolSettings(projectPath);
+        const toolsSettings = {
+          allowedTools: profile.allowedTools,
+          disallowedTools: profile.disallowedTools,
+          skipPermissions: profile.skipPermissions,
+          safetyRules: profile.safetyRules,
+          selectedModel: profile.model,
+          provider: profile.provider
+        };
         
         // First send a welcome message
-        const cliProvider = normalizeProvider(toolsSettings?.provider || null);
-        const cliLabel = cliProvider === 'codex' ? 'Codex' : cliProvider === 'claude' ? 'Claude' : cliProvider === 'ollama' ? 'Ollama' : cliProvider === 'bmad' ? 'BMAD' : 'Gemini';
+        const cliProvider = normalizeProvider(profile.provider);
+        const adapter = getProviderAdapter(cliProvider);
+        const cliLabel = adapter.label;
         const welcomeMsg = hasSession ? 
           `\x1b[36mResuming ${cliLabel} session ${sessionId} in: ${projectPath}\x1b[0m\r\n` :
           `\x1b[36mStarting new ${cliLabel} session in: ${projectPath}\x1b[0m\r\n`;
@@ -553,31 +1240,19 @@ function handleShellConnection(ws) {
             // console.error('❌ CLI not found in PATH');
             ws.send(JSON.stringify({
               type: 'output',
-              data: `\r\n\x1b[31mError: ${cliPath} not found. Please check:\x1b[0m\r\n\x1b[33m1. Install the CLI globally (gemini, codex, claude, ollama, or bmad)\x1b[0m\r\n\x1b[33m2. Or set GEMINI_PATH/CODEX_PATH/CLAUDE_PATH/OLLAMA_PATH/BMAD_PATH in .env file\x1b[0m\r\n`
+              data: `\r\n\x1b[31mError: ${cliPath} not found. Please check:\x1b[0m\r\n\x1b[33m1. Install the ${adapter.displayName} globally\x1b[0m\r\n\x1b[33m2. Or set ${adapter.id.toUpperCase()}_PATH in .env file\x1b[0m\r\n`
             }));
             return;
           }
           
-          // Build shell command that changes to project directory first, then runs gemini
-          let geminiCommand = cliPath;
-          
-          // Add YOLO flag if enabled
-          if (toolsSettings?.skipPermissions && cliProvider === 'gemini') {
-            geminiCommand += ' --yolo';
-          }
-          
-          if (hasSession && sessionId && cliProvider === 'gemini') {
-            // Try to resume session, but with fallback to new session if it fails
-            geminiCommand += ` --resume ${sessionId} || ${cliPath}${toolsSettings?.skipPermissions ? ' --yolo' : ''}`;
-          } else if (cliProvider === 'codex') {
-            geminiCommand += ` --cd "${projectPath}"`;
-          } else if (cliProvider === 'ollama') {
-            const model = toolsSettings?.selectedModel || 'llama2:latest';
-            geminiCommand += ` run ${model}`;
-          }
-          
-          // Create shell command that cds to the project directory first
-          const shellCommand = cliProvider === 'codex' ? geminiCommand : `cd "${projectPath}" && ${geminiCommand}`;
+          // Build shell command (usually cd to the project directory, then run the CLI)
+          const shellCommand = adapter.buildShellCommand({
+            cliPath,
+            projectPath,
+            sessionId,
+            hasSession,
+            toolsSettings
+          });
           
           
           // Start shell using PTY for proper terminal emulation
@@ -950,14 +1625,6 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../dist/index.html'));
 });
 
-// Helper function to convert permissions to rwx format
-function permToRwx(perm) {
-  const r = perm & 4 ? 'r' : '-';
-  const w = perm & 2 ? 'w' : '-';
-  const x = perm & 1 ? 'x' : '-';
-  return r + w + x;
-}
-
 async function getFileTree(dirPath, maxDepth = 3, currentDepth = 0, showHidden = true) {
   // Using fsPromises from import
   const items = [];
@@ -969,10 +1636,8 @@ async function getFileTree(dirPath, maxDepth = 3, currentDepth = 0, showHidden =
       // Debug: log all entries including hidden files
    
       
-      // Skip only heavy build directories
-      if (entry.name === 'node_modules' || 
-          entry.name === 'dist' || 
-          entry.name === 'build') continue;
+      // Skip the ignore list (heavy build directories by default) and the file tree's trash
+      if (isIgnoredName(entry.name)) continue;
       
       const itemPath = path.join(dirPath, entry.name);
       const item = {
@@ -984,16 +1649,7 @@ async function getFileTree(dirPath, maxDepth = 3, currentDepth = 0, showHidden =
       // Get file stats for additional metadata
       try {
         const stats = await fsPromises.stat(itemPath);
-        item.size = stats.size;
-        item.modified = stats.mtime.toISOString();
-        
-        // Convert permissions to rwx format
-        const mode = stats.mode;
-        const ownerPerm = (mode >> 6) & 7;
-        const groupPerm = (mode >> 3) & 7;
-        const otherPerm = mode & 7;
-        item.permissions = ((mode >> 6) & 7).toString() + ((mode >> 3) & 7).toString() + (mode & 7).toString();
-        item.permissionsRwx = permToRwx(ownerPerm) + permToRwx(groupPerm) + permToRwx(otherPerm);
+        Object.assign(item, describeEntryStats(stats));
       } catch (statError) {
         // If stat fails, provide default values
         item.size = 0;
@@ -1038,6 +1694,19 @@ async function startServer() {
   try {
     // Initialize authentication database
     await initializeDatabase();
+
+    // Import sessions saved as JSON files before the session tables existed
+    const importedSessions = await sessionManager.migrateJsonSessions();
+    if (importedSessions > 0) {
+      console.log(`Imported ${importedSessions} sessions into the database`);
+    }
+
+    startAutoSummaries();
+
+    // Register any additional provider adapters
+    if (process.env.CLI_PROVIDERS_DIR) {
+      await loadProviderAdapters(path.resolve(process.env.CLI_PROVIDERS_DIR));
+    }
     // console.log('✅ Database initialization skipped (testing)');
     
     server.listen(PORT, '0.0.0.0', async () => {
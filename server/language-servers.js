@@ -0,0 +1,216 @@
+// Bridge between the editor and language servers installed on this machine
+//
+// The editor speaks the Language Server Protocol over the chat WebSocket: it sends lsp-start
+// for a project and language, then relays JSON-RPC messages with lsp-message. The server runs
+// the language server in the project directory and frames the messages for its stdio. Each
+// client gets its own processes, stopped with lsp-stop or when the client disconnects.
+//
+// The servers below are used when their command is on the PATH. LANGUAGE_SERVERS overrides
+// them with a JSON object of language -> command line, or turns the bridge off with "off".
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { buildSpawnEnv } from './cli-config.js';
+
+const DEFAULT_SERVERS = {
+  typescript: 'typescript-language-server --stdio',
+  python: 'pylsp',
+  go: 'gopls',
+  rust: 'rust-analyzer',
+  cpp: 'clangd',
+  java: 'jdtls',
+  php: 'intelephense --stdio',
+  shellscript: 'bash-language-server start',
+  yaml: 'yaml-language-server --stdio',
+  css: 'vscode-css-language-server --stdio',
+  html: 'vscode-html-language-server --stdio',
+  json: 'vscode-json-language-server --stdio'
+};
+
+// Language servers a client may run at once
+const MAX_SESSIONS_PER_CLIENT = 8;
+
+const clientSessions = new Map(); // ws -> Map<sessionId, { process, language }>
+
+function send(client, message) {
+  if (client.readyState === client.OPEN) {
+    client.send(JSON.stringify(message));
+  }
+}
+
+function getServerCommands() {
+  const configured = process.env.LANGUAGE_SERVERS;
+  if (!configured) {
+    return DEFAULT_SERVERS;
+  }
+  if (configured.trim().toLowerCase() === 'off') {
+    return {};
+  }
+  try {
+    return { ...DEFAULT_SERVERS, ...JSON.parse(configured) };
+  } catch (error) {
+    console.error('LANGUAGE_SERVERS is not valid JSON; using the default language servers');
+    return DEFAULT_SERVERS;
+  }
+}
+
+// The full path of an executable, looked up on the PATH unless it is a path already
+async function findExecutable(command) {
+  const candidates = command.includes('/')
+    ? [path.resolve(command)]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (error) {
+      // Not here; keep looking
+    }
+  }
+  return null;
+}
+
+async function resolveServerCommand(language) {
+  const commandLine = getServerCommands()[language];
+  if (!commandLine) {
+    return null;
+  }
+  const [command, ...args] = Array.isArray(commandLine) ? commandLine : commandLine.trim().split(/\s+/);
+  const executable = await findExecutable(command);
+  return executable ? { command: executable, args } : null;
+}
+
+// Split stdout into JSON-RPC messages framed by Content-Length headers
+function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = /Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+      if (!match) {
+        // Not a header we understand; drop it and resynchronise on the next one
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+      const bodyStart = headerEnd + 4;
+      const bodyEnd = bodyStart + parseInt(match[1], 10);
+      if (buffer.length < bodyEnd) return;
+      const body = buffer.subarray(bodyStart, bodyEnd).toString('utf8');
+      buffer = buffer.subarray(bodyEnd);
+      try {
+        onMessage(JSON.parse(body));
+      } catch (error) {
+        // Skip messages that aren't JSON
+      }
+    }
+  };
+}
+
+function writeMessage(child, message) {
+  const body = JSON.stringify(message);
+  child.stdin.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+}
+
+function stopLanguageServer(client, sessionId) {
+  const sessions = clientSessions.get(client);
+  const session = sessions?.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  if (sessions.size === 0) {
+    clientSessions.delete(client);
+  }
+  session.stopped = true;
+  // A session whose command is still being looked up has no process yet
+  session.process?.kill();
+}
+
+function stopClientLanguageServers(client) {
+  for (const sessionId of [...(clientSessions.get(client)?.keys() || [])]) {
+    stopLanguageServer(client, sessionId);
+  }
+}
+
+// Start a language server for a client. The client gets lsp-started with the root to
+// initialize it with, or lsp-error; lsp-exit follows when the server stops on its own.
+async function startLanguageServer(client, sessionId, language, projectRoot) {
+  const sessions = clientSessions.get(client) || new Map();
+  if (sessions.has(sessionId)) {
+    throw new Error(`Language server session ${sessionId} is already running`);
+  }
+  if (sessions.size >= MAX_SESSIONS_PER_CLIENT) {
+    throw new Error('Too many language servers are running; close some files first');
+  }
+  // Hold the slot while the command is looked up, so a second lsp-start can't take it too
+  const session = { process: null, language, stopped: false };
+  sessions.set(sessionId, session);
+  clientSessions.set(client, sessions);
+
+  let server = null;
+  try {
+    server = await resolveServerCommand(language);
+  } finally {
+    if (!server && sessions.get(sessionId) === session) {
+      stopLanguageServer(client, sessionId);
+    }
+  }
+  if (!server) {
+    throw new Error(`No language server is available for ${language}`);
+  }
+  if (session.stopped) {
+    // Stopped, or the client disconnected, while the command was looked up
+    return;
+  }
+
+  // Language servers run whatever is on the PATH, so they get no credentials
+  const child = spawn(server.command, server.args, {
+    cwd: projectRoot,
+    env: buildSpawnEnv(process.env, { credentials: false }),
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  session.process = child;
+
+  child.stdout.on('data', createMessageReader((message) => {
+    send(client, { type: 'lsp-message', sessionId, message });
+  }));
+  // Language servers log to stderr; only keep it around for failures
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+  child.stdin.on('error', () => {});
+  child.on('error', (error) => {
+    stderr = error.message;
+  });
+  child.on('close', (code) => {
+    if (session.stopped) return;
+    stopLanguageServer(client, sessionId);
+    send(client, { type: 'lsp-exit', sessionId, code, error: stderr.trim().split('\n').pop() || null });
+  });
+
+  send(client, {
+    type: 'lsp-started',
+    sessionId,
+    language,
+    rootPath: projectRoot,
+    rootUri: pathToFileURL(projectRoot).href
+  });
+}
+
+function sendToLanguageServer(client, sessionId, message) {
+  const session = clientSessions.get(client)?.get(sessionId);
+  if (!session) {
+    throw new Error(`Language server session ${sessionId} is not running`);
+  }
+  writeMessage(session.process, message);
+}
+
+export {
+  startLanguageServer,
+  sendToLanguageServer,
+  stopLanguageServer,
+  stopClientLanguageServers
+};
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { userDb } from '../database/db.js';
 
@@ -56,6 +57,36 @@ const generateToken = (user) => {
   );
 };
 
+// OpenAI-compatible API key middleware for /v1 (separate from the JWT login)
+const authenticateOpenAiKey = (req, res, next) => {
+  const expectedKey = process.env.OPENAI_COMPAT_API_KEY;
+  if (!expectedKey || process.env.OPENAI_COMPAT_ENABLED === '0') {
+    return res.status(503).json({
+      error: {
+        message: 'OpenAI-compatible API is disabled. Set OPENAI_COMPAT_API_KEY to enable it.',
+        type: 'server_error',
+        code: 'api_disabled'
+      }
+    });
+  }
+
+  const authHeader = req.headers['authorization'] || '';
+  const [scheme, token] = authHeader.split(' ');
+  const provided = Buffer.from(scheme === 'Bearer' && token ? token : '');
+  const expected = Buffer.from(expectedKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: {
+        message: 'Incorrect API key provided.',
+        type: 'invalid_request_error',
+        code: 'invalid_api_key'
+      }
+    });
+  }
+  next();
+};
+
 // WebSocket authentication function
 const authenticateWebSocket = (token) => {
   if (!token) {
@@ -74,6 +105,7 @@ const authenticateWebSocket = (token) => {
 export {
   validateApiKey,
   authenticateToken,
+  authenticateOpenAiKey,
   generateToken,
   authenticateWebSocket,
   JWT_SECRET
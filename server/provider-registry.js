@@ -0,0 +1,207 @@
+// CLI provider adapter registry
+//
+// Each provider is one module (see server/providers/) whose default export is an
+// adapter object:
+//
+//   id                 provider key used by CLI_PROVIDER and ?provider=
+//   label              short name shown in messages ("Codex")
+//   displayName        name shown in settings ("Codex CLI")
+//   description        one-line description for the settings screen
+//   docsUrl            setup documentation link
+//   command()          CLI binary to run
+//   home()             UI metadata directory (projects, sessions)
+//   installCommand()   optional install hint
+//   loginCommand()     optional login hint
+//   models             model catalog [{ value, label, description }]
+//   defaultModel       model used when none is selected
+//   timeoutMs          give up if the CLI prints nothing for this long (default 30s)
+//   responseBuffer     GeminiResponseHandler options, or null to emit text unbuffered
+//   interactive        run in a PTY and keep the process for follow-up input
+//   browserOnly        runs in the browser; the server never spawns it
+//   nativeImages       images are passed as CLI arguments instead of listed in the prompt
+//   supportsImages     set false to ignore attached images
+//   usesConversationContext  set false to skip prepending earlier turns to the prompt
+//   contextTemplate    optional defaults for the earlier-turns transcript
+//                      { style, header, footer, budget, budgetUnit, overflow } (see context-builder.js)
+//   buildArgs(ctx)     argv for a run: { prompt, model, settings, imagePaths, externalSessionId,
+//                      workingDir, options }
+//   createParser(ctx)  { stdout(chunk), stderr(chunk), close(code) } each returning items:
+//                      text / tool_use / tool_result / error events, or
+//                      { type: 'external-session', id } for provider-side session IDs, or
+//                      { type: 'write', data } for protocol messages to write to the CLI's stdin.
+//                      ctx is the one buildArgs got. CLIs that take prompts as protocol messages
+//                      also implement input(prompt, ctx), returning what to write for a prompt
+//                      (the prompt is then left out of the arguments).
+//   permissionPrompts  optional; the CLI can pause before a tool call to ask for permission.
+//                      The parser emits { type: 'permission-request', requestId, name, input,
+//                      options } and the answer is written to stdin as
+//                      formatResponse({ requestId, allow, input, options }) (see tool-approvals.js).
+//                      May be a function returning it, or null when the configured mode can't ask.
+//                      A persistent block inherits it unless it declares its own.
+//   buildShellCommand(ctx)  bash command for the interactive terminal:
+//                      { cliPath, projectPath, sessionId, hasSession, toolsSettings }, where
+//                      toolsSettings is the project's resolved tool profile (tool-profiles.js)
+//   persistent         optional; keep one process per chat session (see session-pool.js)
+//                      and write each prompt to it instead of spawning per prompt:
+//                      { buildArgs(ctx), formatInput(prompt), createParser(ctx), pty,
+//                        promptInArgs, idleTurnMs, enabled() }
+//                      A turn ends when the parser emits { type: 'turn-complete' }, or
+//                      after idleTurnMs without output for CLIs that have no such marker.
+//                      enabled() returning false runs the provider per prompt instead.
+//
+// Only id and buildArgs are required. Additional adapters are loaded at startup
+// from the directory named by CLI_PROVIDERS_DIR.
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import gemini from './providers/gemini.js';
+import codex from './providers/codex.js';
+import claude from './providers/claude.js';
+import ollama from './providers/ollama.js';
+import bmad from './providers/bmad.js';
+import webllm from './providers/webllm.js';
+import mock from './providers/mock.js';
+
+const DEFAULT_PROVIDER = 'gemini';
+const adapters = new Map();
+
+// Plain-text parser used when an adapter doesn't provide its own
+function createTextParser() {
+  return {
+    stdout(chunk) {
+      const trimmedOutput = chunk.trim();
+      return trimmedOutput ? [{ type: 'text', text: trimmedOutput }] : [];
+    },
+    stderr(chunk) {
+      return [{ type: 'error', error: chunk }];
+    },
+    close() {
+      return [];
+    }
+  };
+}
+
+function defaultShellCommand({ cliPath, projectPath }) {
+  return `cd "${projectPath}" && ${cliPath}`;
+}
+
+// permissionPrompts as a function, so callers can ask for the current mode's answer format
+function toPermissionPrompts(permissionPrompts) {
+  return typeof permissionPrompts === 'function' ? permissionPrompts : () => permissionPrompts || null;
+}
+
+function withPersistentDefaults(persistent, parserFactory, permissionPrompts) {
+  const persistentParserFactory = persistent.createParser || parserFactory;
+  return {
+    pty: false,
+    promptInArgs: false,
+    idleTurnMs: 0,
+    enabled: () => true,
+    formatInput: (prompt) => `${prompt}${persistent.pty ? '\r' : '\n'}`,
+    ...persistent,
+    permissionPrompts: toPermissionPrompts(persistent.permissionPrompts || permissionPrompts),
+    createParser: (ctx) => ({ ...createTextParser(), ...(persistentParserFactory ? persistentParserFactory(ctx) : {}) })
+  };
+}
+
+// Fill in optional adapter members so callers don't need to check for them
+function withDefaults(adapter) {
+  const id = adapter.id.toLowerCase();
+  const label = adapter.label || id.charAt(0).toUpperCase() + id.slice(1);
+  const idUpper = id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const parserFactory = adapter.createParser;
+
+  return {
+    label,
+    displayName: `${label} CLI`,
+    description: `Use ${label} CLI for coding sessions.`,
+    docsUrl: '',
+    command: () => process.env[`${idUpper}_PATH`] || id,
+    home: () => path.join(os.homedir(), `.${id}`, 'cli-ui'),
+    installCommand: () => process.env[`${idUpper}_INSTALL_CMD`] || '',
+    loginCommand: () => process.env[`${idUpper}_LOGIN_CMD`] || '',
+    models: [],
+    defaultModel: adapter.models?.[0]?.value || '',
+    timeoutMs: 30000,
+    responseBuffer: {
+      partialDelay: 300,
+      maxWaitTime: 1500,
+      minBufferSize: 30
+    },
+    interactive: false,
+    browserOnly: false,
+    nativeImages: false,
+    supportsImages: true,
+    usesConversationContext: true,
+    buildShellCommand: defaultShellCommand,
+    ...adapter,
+    id,
+    permissionPrompts: toPermissionPrompts(adapter.permissionPrompts),
+    createParser: (ctx) => ({ ...createTextParser(), ...(parserFactory ? parserFactory(ctx) : {}) }),
+    persistent: adapter.persistent
+      ? withPersistentDefaults(adapter.persistent, parserFactory, adapter.permissionPrompts || null)
+      : null
+  };
+}
+
+function registerProviderAdapter(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+    throw new Error('Provider adapter must declare an id');
+  }
+  if (!adapter.browserOnly && typeof adapter.buildArgs !== 'function') {
+    throw new Error(`Provider adapter "${adapter.id}" must implement buildArgs()`);
+  }
+  const normalized = withDefaults(adapter);
+  adapters.set(normalized.id, normalized);
+  return normalized;
+}
+
+// Load every *.js / *.mjs module in dir as a provider adapter
+async function loadProviderAdapters(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const loaded = [];
+  for (const entry of entries.sort()) {
+    if (!/\.(m?js)$/.test(entry)) continue;
+    const modulePath = path.join(dir, entry);
+    try {
+      const module = await import(pathToFileURL(modulePath).href);
+      loaded.push(registerProviderAdapter(module.default || module.adapter));
+    } catch (error) {
+      console.error(`Failed to load provider adapter ${modulePath}:`, error.message);
+    }
+  }
+  return loaded;
+}
+
+function getProviderAdapter(providerId) {
+  const key = (providerId || '').toLowerCase();
+  return adapters.get(key) || adapters.get(DEFAULT_PROVIDER);
+}
+
+function hasProviderAdapter(providerId) {
+  return adapters.has((providerId || '').toLowerCase());
+}
+
+function listProviderAdapters() {
+  return Array.from(adapters.values());
+}
+
+[gemini, codex, claude, ollama, bmad, webllm, mock].forEach(registerProviderAdapter);
+
+export {
+  DEFAULT_PROVIDER,
+  registerProviderAdapter,
+  loadProviderAdapters,
+  getProviderAdapter,
+  hasProviderAdapter,
+  listProviderAdapters
+};
@@ -0,0 +1,53 @@
+import os from 'os';
+import path from 'path';
+import { sanitizeCliOutput, splitCommandArgs } from '../cli-utils.js';
+
+// BMAD CLI commands do not use model selection; the prompt is the command line itself
+function commandArgs({ prompt }) {
+  return prompt ? splitCommandArgs(prompt) : [];
+}
+
+// BMAD CLI - runs in a PTY and stays alive so follow-up input can be sent to it
+export default {
+  id: 'bmad',
+  label: 'BMAD',
+  displayName: 'BMAD CLI',
+  description: 'Use BMAD CLI for project workflow commands.',
+  docsUrl: 'https://github.com/bmad-code-org/BMAD-METHOD',
+  command: () => process.env.BMAD_PATH || 'bmad',
+  home: () => path.join(process.env.BMAD_HOME || path.join(os.homedir(), '.bmad'), 'cli-ui'),
+  installCommand: () => process.env.BMAD_INSTALL_CMD || '',
+  loginCommand: () => process.env.BMAD_LOGIN_CMD || '',
+  defaultModel: 'bmad-default',
+  models: [
+    { value: 'bmad-default', label: 'BMAD Default', description: 'BMAD CLI does not use model selection (ignored).' }
+  ],
+  timeoutMs: 120000,
+  interactive: true,
+  supportsImages: false,
+  usesConversationContext: false,
+  responseBuffer: {
+    partialDelay: 150,
+    maxWaitTime: 800,
+    minBufferSize: 1
+  },
+
+  buildArgs: commandArgs,
+
+  // The first prompt starts the command; later prompts answer it in the same PTY
+  persistent: {
+    pty: true,
+    promptInArgs: true,
+    idleTurnMs: 1500,
+    buildArgs: commandArgs
+  },
+
+  createParser() {
+    return {
+      stdout(chunk) {
+        const sanitizedOutput = sanitizeCliOutput(chunk);
+        return sanitizedOutput.trim() ? [{ type: 'text', text: sanitizedOutput }] : [];
+      }
+    };
+  }
+};
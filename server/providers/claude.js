@@ -0,0 +1,153 @@
+import os from 'os';
+import path from 'path';
+
+// tool_result content is either a string or a list of content blocks
+function toolResultText(content) {
+  if (Array.isArray(content)) {
+    return content.map(block => (block.type === 'text' ? block.text : '')).filter(Boolean).join('\n');
+  }
+  return content ?? '';
+}
+
+// Parser for --output-format stream-json; a "result" event ends the turn
+function createStreamJsonParser() {
+  let lineBuffer = '';
+
+  const parseLine = (line) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      return [{ type: 'text', text: line }];
+    }
+
+    switch (event.type) {
+      case 'system':
+        return event.subtype === 'init' && event.session_id
+          ? [{ type: 'external-session', id: event.session_id }]
+          : [];
+      case 'assistant':
+        return (event.message?.content || []).flatMap((block) => {
+          if (block.type === 'text' && block.text) {
+            return [{ type: 'text', text: block.text }];
+          }
+          if (block.type === 'tool_use') {
+            return [{ type: 'tool_use', id: block.id, name: block.name, input: block.input }];
+          }
+          return [];
+        });
+      case 'user':
+        return (event.message?.content || [])
+          .filter(block => block.type === 'tool_result')
+          .map(block => ({
+            type: 'tool_result',
+            toolUseId: block.tool_use_id,
+            content: toolResultText(block.content),
+            isError: !!block.is_error
+          }));
+      case 'control_request':
+        // Sent with --permission-prompt-tool stdio before a tool that needs approval
+        return event.request?.subtype === 'can_use_tool'
+          ? [{ type: 'permission-request', requestId: event.request_id, name: event.request.tool_name, input: event.request.input }]
+          : [];
+      case 'result': {
+        const items = [];
+        if (event.is_error) {
+          items.push({ type: 'error', error: typeof event.result === 'string' ? event.result : `Claude run failed (${event.subtype})` });
+        }
+        items.push({ type: 'turn-complete' });
+        return items;
+      }
+      default:
+        return [];
+    }
+  };
+
+  return {
+    stdout(chunk) {
+      lineBuffer += chunk;
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop() || '';
+      return lines.filter(line => line.trim()).flatMap(parseLine);
+    },
+    close() {
+      const remaining = lineBuffer.trim();
+      lineBuffer = '';
+      return remaining ? parseLine(remaining) : [];
+    }
+  };
+}
+
+// Claude CLI - plain text output for one-off runs; chat sessions keep a
+// stream-json process open and send each prompt as a user message
+export default {
+  id: 'claude',
+  label: 'Claude',
+  displayName: 'Claude CLI',
+  description: 'Use Anthropic Claude CLI for coding sessions.',
+  docsUrl: 'https://docs.anthropic.com/en/docs/claude-code/cli',
+  command: () => process.env.CLAUDE_PATH || 'claude',
+  home: () => path.join(process.env.CLAUDE_HOME || path.join(os.homedir(), '.claude'), 'cli-ui'),
+  installCommand: () => process.env.CLAUDE_INSTALL_CMD || '',
+  loginCommand: () => process.env.CLAUDE_LOGIN_CMD || '',
+  defaultModel: 'claude-3-5-sonnet-latest',
+  models: [
+    { value: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet', description: 'Strong reasoning and coding with balanced speed' },
+    { value: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet', description: 'High-quality output with reliable coding performance' },
+    { value: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', description: 'Fast, lightweight model for quick iterations' }
+  ],
+
+  // Claude follows XML-tagged transcripts most reliably
+  contextTemplate: { style: 'xml' },
+
+  buildArgs({ prompt, model, externalSessionId }) {
+    const args = [];
+    if (model) {
+      args.push('--model', model);
+    }
+    if (externalSessionId) {
+      args.push('--resume', externalSessionId);
+    }
+    if (prompt) {
+      args.push(prompt);
+    }
+    return args;
+  },
+
+  persistent: {
+    buildArgs({ model, settings, externalSessionId }) {
+      const args = ['-p', '--input-format', 'stream-json', '--output-format', 'stream-json', '--verbose'];
+      if (model) {
+        args.push('--model', model);
+      }
+      if (externalSessionId) {
+        args.push('--resume', externalSessionId);
+      }
+      // Ask over stdin/stdout before every tool call, even in YOLO mode: the server answers
+      // allowed tools itself and checks shell commands against the safety rules
+      // (see tool-approvals.js)
+      args.push('--permission-prompt-tool', 'stdio');
+      if (settings.disallowedTools?.length) {
+        args.push('--disallowedTools', ...settings.disallowedTools);
+      }
+      return args;
+    },
+    formatInput: (prompt) => `${JSON.stringify({
+      type: 'user',
+      message: { role: 'user', content: [{ type: 'text', text: prompt }] }
+    })}\n`,
+    permissionPrompts: {
+      formatResponse: ({ requestId, allow, input }) => `${JSON.stringify({
+        type: 'control_response',
+        response: {
+          subtype: 'success',
+          request_id: requestId,
+          response: allow
+            ? { behavior: 'allow', updatedInput: input }
+            : { behavior: 'deny', message: 'The user denied this tool call' }
+        }
+      })}\n`
+    },
+    createParser: createStreamJsonParser
+  }
+};
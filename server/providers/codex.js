@@ -0,0 +1,309 @@
+import os from 'os';
+import path from 'path';
+import { hasEnforcingRules } from '../command-safety.js';
+
+// 'app-server' (default) runs `codex app-server`, which asks before commands and patches;
+// 'exec' runs `codex exec --json` for CLIs without it, which can't ask
+const useAppServer = () => (process.env.CODEX_INTERFACE || 'app-server') !== 'exec';
+
+// A command as Codex reports it (an argv array) as one shell line
+function formatCommand(command) {
+  if (!Array.isArray(command)) {
+    return typeof command === 'string' ? command : '';
+  }
+  // ["bash", "-lc", "<script>"] is how Codex runs most commands
+  if (command.length === 3 && /(^|\/)(ba|z)?sh$/.test(command[0]) && /^-l?c$/.test(command[1])) {
+    return command[2];
+  }
+  return command.map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)).join(' ');
+}
+
+// The chat tool for a patch Codex wants to apply ({ path: change })
+function toPatchTool(fileChanges = {}) {
+  const paths = Object.keys(fileChanges);
+  const change = fileChanges[paths[0]] || {};
+  const input = { file_path: paths[0] || '' };
+  if (paths.length > 1) {
+    input.files = paths;
+  }
+  return { name: change.add || change.type === 'add' ? 'Write' : 'Edit', input };
+}
+
+// Parser for `codex app-server`: JSON-RPC over stdin/stdout without the "jsonrpc" member.
+// The first prompt starts the handshake (initialize, newConversation) and is sent once the
+// conversation exists; later prompts go to the same conversation. Commands and patches
+// that need approval arrive as execCommandApproval / applyPatchApproval requests.
+function createAppServerParser(ctx = {}) {
+  let lineBuffer = '';
+  let stderrBuffer = '';
+  let nextId = 0;
+  let conversationId = null;
+  let starting = false;
+  const queued = []; // [prompt, ctx] written before the conversation exists
+  const pending = new Map(); // request id -> method
+
+  const send = (message) => `${JSON.stringify(message)}\n`;
+  const request = (method, params) => {
+    nextId += 1;
+    pending.set(nextId, method);
+    return send({ id: nextId, method, params });
+  };
+  const promptMessage = (prompt, promptCtx = ctx) => request('sendUserMessage', {
+    conversationId,
+    items: [
+      { type: 'text', data: { text: prompt } },
+      ...(promptCtx.imagePaths || []).map(imagePath => ({ type: 'localImage', data: { path: imagePath } }))
+    ]
+  });
+
+  const handleResponse = (message) => {
+    const method = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      const items = [{ type: 'error', error: message.error.message || `Codex CLI ${method} failed` }];
+      return method === 'addConversationListener' ? items : [...items, { type: 'turn-complete' }];
+    }
+    if (method === 'initialize') {
+      const settings = ctx.settings || {};
+      return [{
+        type: 'write',
+        data: send({ method: 'initialized' }) + request('newConversation', {
+          model: ctx.model || undefined,
+          cwd: ctx.workingDir || process.cwd(),
+          // Ask for everything but known-safe reads; the server answers allowed tools and
+          // YOLO mode itself after checking the command safety rules (see tool-approvals.js)
+          approvalPolicy: 'untrusted',
+          sandbox: settings.skipPermissions ? 'danger-full-access' : 'workspace-write'
+        })
+      }];
+    }
+    if (method === 'newConversation') {
+      conversationId = message.result?.conversationId;
+      const data = request('addConversationListener', { conversationId })
+        + queued.splice(0).map(([prompt, promptCtx]) => promptMessage(prompt, promptCtx)).join('');
+      return [{ type: 'write', data }];
+    }
+    return [];
+  };
+
+  const handleEvent = (event = {}) => {
+    switch (event.type) {
+      case 'agent_message':
+        return event.message ? [{ type: 'text', text: event.message }] : [];
+      case 'exec_command_begin':
+        return [{ type: 'tool_use', id: event.call_id, name: 'Bash', input: { command: formatCommand(event.command) } }];
+      case 'exec_command_end':
+        return [{
+          type: 'tool_result',
+          toolUseId: event.call_id,
+          content: event.aggregated_output ?? event.formatted_output ?? event.stdout ?? '',
+          isError: typeof event.exit_code === 'number' && event.exit_code !== 0
+        }];
+      case 'error':
+        return [{ type: 'error', error: event.message || 'Codex CLI error' }, { type: 'turn-complete' }];
+      case 'task_complete':
+      case 'turn_aborted':
+        return [{ type: 'turn-complete' }];
+      default:
+        return [];
+    }
+  };
+
+  const parseLine = (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      return [];
+    }
+
+    if (typeof message.method === 'string' && message.method.startsWith('codex/event/')) {
+      return handleEvent(message.params?.msg);
+    }
+    if (message.method === 'execCommandApproval') {
+      const { command, reason } = message.params || {};
+      return [{ type: 'permission-request', requestId: message.id, name: 'Bash', input: { command: formatCommand(command), ...(reason ? { description: reason } : {}) } }];
+    }
+    if (message.method === 'applyPatchApproval') {
+      const tool = toPatchTool(message.params?.fileChanges);
+      return [{ type: 'permission-request', requestId: message.id, name: tool.name, input: tool.input }];
+    }
+    if (message.method && message.id !== undefined) {
+      return [{ type: 'write', data: send({ id: message.id, error: { code: -32601, message: 'Method not found' } }) }];
+    }
+    if (message.id !== undefined && pending.has(message.id)) {
+      return handleResponse(message);
+    }
+    return [];
+  };
+
+  return {
+    input(prompt, promptCtx) {
+      if (conversationId) {
+        return promptMessage(prompt, promptCtx);
+      }
+      queued.push([prompt, promptCtx || ctx]);
+      if (starting) {
+        return '';
+      }
+      starting = true;
+      return request('initialize', { clientInfo: { name: 'gemini-cli-ui', version: '1.0.0' } });
+    },
+    stdout(chunk) {
+      lineBuffer += chunk;
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop() || '';
+      return lines.map(line => line.trim()).filter(Boolean).flatMap(parseLine);
+    },
+    // stderr is only reported if the run fails
+    stderr(chunk) {
+      stderrBuffer += chunk;
+      return [];
+    },
+    close(code) {
+      const items = lineBuffer.trim() ? parseLine(lineBuffer.trim()) : [];
+      if (code !== 0 && stderrBuffer.trim()) {
+        items.push({ type: 'error', error: stderrBuffer.trim() });
+      }
+      return items;
+    }
+  };
+}
+
+const appServerPermissionPrompts = {
+  formatResponse: ({ requestId, allow }) => `${JSON.stringify({ id: requestId, result: { decision: allow ? 'approved' : 'denied' } })}\n`
+};
+
+// Codex CLI - `codex app-server`, or `codex exec --json` which emits one JSON event per line
+export default {
+  id: 'codex',
+  label: 'Codex',
+  displayName: 'Codex CLI',
+  description: 'Use OpenAI Codex CLI for coding sessions.',
+  docsUrl: 'https://github.com/openai/codex',
+  command: () => process.env.CODEX_PATH || 'codex',
+  home: () => path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'cli-ui'),
+  installCommand: () => process.env.CODEX_INSTALL_CMD || '',
+  loginCommand: () => process.env.CODEX_LOGIN_CMD || '',
+  defaultModel: 'gpt-5.1-codex-max',
+  models: [
+    { value: 'gpt-5.1-codex-max', label: 'GPT-5.1 Codex Max', description: 'Largest Codex reasoning profile and tool depth' },
+    { value: 'gpt-5.1-codex', label: 'GPT-5.1 Codex', description: 'Balanced Codex model for coding tasks' },
+    { value: 'gpt-5.1', label: 'GPT-5.1', description: 'General-purpose GPT-5.1 for mixed workloads' },
+    { value: 'gpt-5.2', label: 'GPT-5.2', description: 'Latest general model with strong reasoning' },
+    { value: 'o3', label: 'o3', description: 'Reasoning-focused model' },
+    { value: 'o4-mini', label: 'o4-mini', description: 'Fast, lightweight reasoning model' }
+  ],
+  timeoutMs: 120000,
+  nativeImages: true,
+
+  buildArgs({ prompt, model, settings, imagePaths, externalSessionId }) {
+    if (useAppServer()) {
+      // Model, sandbox and prompt are sent over the protocol
+      return ['app-server'];
+    }
+    const args = ['exec', '--skip-git-repo-check', '--json'];
+    if (model) {
+      args.push('--model', model);
+    }
+    // exec can't ask, so commands only run unsandboxed while no safety rule could refuse one
+    if (settings.skipPermissions && !hasEnforcingRules(settings.safetyRules)) {
+      args.push('--full-auto', '--sandbox', 'danger-full-access');
+    } else {
+      args.push('--sandbox', 'read-only');
+    }
+    if (imagePaths.length > 0) {
+      args.push('--image', imagePaths.join(','));
+    }
+    if (externalSessionId) {
+      args.push('resume', externalSessionId);
+    }
+    if (prompt) {
+      args.push(prompt);
+    }
+    return args;
+  },
+
+  permissionPrompts: () => (useAppServer() ? appServerPermissionPrompts : null),
+
+  // One app-server process per chat session; each prompt goes to its conversation over the
+  // protocol (see createAppServerParser). `codex exec` answers one prompt and exits, so that
+  // mode starts a process per prompt and resumes the thread instead.
+  persistent: {
+    enabled: useAppServer,
+    buildArgs: () => ['app-server']
+  },
+
+  createParser(ctx) {
+    if (useAppServer()) {
+      return createAppServerParser(ctx);
+    }
+    let lineBuffer = '';
+    let stderrBuffer = '';
+
+    const parseEvent = (line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return [];
+      }
+
+      const items = [];
+      if (event.type === 'thread.started' && event.thread_id) {
+        items.push({ type: 'external-session', id: event.thread_id });
+      }
+
+      if (event.type === 'item.completed' && event.item?.type === 'agent_message' && event.item.text) {
+        items.push({ type: 'text', text: event.item.text });
+      }
+
+      // Shell commands run by Codex surface as Bash tool calls
+      if (event.item?.type === 'command_execution') {
+        if (event.type === 'item.started') {
+          items.push({ type: 'tool_use', id: event.item.id, name: 'Bash', input: { command: event.item.command } });
+        } else if (event.type === 'item.completed') {
+          items.push({
+            type: 'tool_result',
+            toolUseId: event.item.id,
+            content: event.item.aggregated_output || '',
+            isError: typeof event.item.exit_code === 'number' && event.item.exit_code !== 0
+          });
+        }
+      }
+
+      if (event.type === 'turn.failed' || event.type === 'error') {
+        items.push({ type: 'error', error: event.error?.message || event.message || 'Codex CLI error' });
+      }
+      return items;
+    };
+
+    return {
+      stdout(chunk) {
+        lineBuffer += chunk;
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop() || '';
+        return lines
+          .map(line => line.trim())
+          .filter(Boolean)
+          .flatMap(parseEvent);
+      },
+      // stderr is only reported if the run fails
+      stderr(chunk) {
+        stderrBuffer += chunk;
+        return [];
+      },
+      close(code) {
+        const items = lineBuffer.trim() ? parseEvent(lineBuffer.trim()) : [];
+        if (code !== 0 && stderrBuffer.trim()) {
+          items.push({ type: 'error', error: stderrBuffer.trim() });
+        }
+        return items;
+      }
+    };
+  },
+
+  buildShellCommand({ cliPath, projectPath }) {
+    return `${cliPath} --cd "${projectPath}"`;
+  }
+};
@@ -0,0 +1,413 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hasEnforcingRules, isShellToolRule } from '../command-safety.js';
+
+// Output lines the Gemini CLI prints for diagnostics rather than for the user
+const NOISE_MARKERS = [
+  '[DEBUG]',
+  'Flushing log events',
+  'Clearcut response',
+  '[MemoryDiscovery]',
+  '[BfsFileSearch]',
+  'Loaded cached credentials'
+];
+
+// Return ~/.gemini.json when it declares MCP servers (global or for this project)
+function findMcpConfigPath() {
+  const geminiConfigPath = path.join(os.homedir(), '.gemini.json');
+  if (!fs.existsSync(geminiConfigPath)) {
+    return null;
+  }
+
+  try {
+    const geminiConfig = JSON.parse(fs.readFileSync(geminiConfigPath, 'utf8'));
+    const hasGlobalServers = geminiConfig.mcpServers && Object.keys(geminiConfig.mcpServers).length > 0;
+    const projectConfig = geminiConfig.geminiProjects && geminiConfig.geminiProjects[process.cwd()];
+    const hasProjectServers = projectConfig && projectConfig.mcpServers && Object.keys(projectConfig.mcpServers).length > 0;
+    return hasGlobalServers || hasProjectServers ? geminiConfigPath : null;
+  } catch (e) {
+    // No valid config found
+    return null;
+  }
+}
+
+// Map Gemini tool calls onto the tool names and inputs the chat UI renders
+function toChatTool(toolName, params = {}) {
+  switch (toolName) {
+    case 'read_file':
+      return { name: 'Read', input: { ...params, file_path: params.file_path || params.absolute_path } };
+    case 'write_file':
+      return { name: 'Write', input: { file_path: params.file_path, content: params.content ?? '' } };
+    case 'replace':
+      return {
+        name: 'Edit',
+        input: { file_path: params.file_path, old_string: params.old_string, new_string: params.new_string }
+      };
+    case 'run_shell_command':
+      return { name: 'Bash', input: { command: params.command, description: params.description } };
+    case 'write_todos':
+      return {
+        name: 'TodoWrite',
+        input: {
+          todos: (params.todos || []).map((todo, index) => ({
+            id: String(index + 1),
+            content: todo.description || todo.content || '',
+            status: todo.status || 'pending',
+            priority: todo.priority || 'medium'
+          }))
+        }
+      };
+    default:
+      return { name: toolName, input: params };
+  }
+}
+
+function filterNoise(text) {
+  return text
+    .split('\n')
+    .filter(line => !NOISE_MARKERS.some(marker => line.includes(marker)))
+    .join('\n')
+    .trim();
+}
+
+// Plain-text parser for GEMINI_OUTPUT_FORMAT=text (older CLI versions)
+function createTextParser() {
+  return {
+    stdout(chunk) {
+      const filteredOutput = filterNoise(chunk);
+      return filteredOutput ? [{ type: 'text', text: filteredOutput }] : [];
+    }
+  };
+}
+
+// Parser for --output-format stream-json; lines that aren't JSON are treated as text
+function createStreamJsonParser() {
+  let lineBuffer = '';
+
+  const parseLine = (line) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      const text = filterNoise(line);
+      return text ? [{ type: 'text', text }] : [];
+    }
+
+    switch (event.type) {
+      case 'message':
+        if (event.role !== 'assistant' || !event.content) {
+          return [];
+        }
+        return [{ type: 'text', text: event.content, delta: !!event.delta }];
+      case 'tool_use': {
+        const tool = toChatTool(event.tool_name, event.parameters);
+        return [{ type: 'tool_use', id: event.tool_id, name: tool.name, input: tool.input }];
+      }
+      case 'tool_result':
+        return [{
+          type: 'tool_result',
+          toolUseId: event.tool_id,
+          content: event.output ?? event.error?.message ?? '',
+          isError: event.status === 'error'
+        }];
+      case 'error':
+        // Warnings (e.g. loop detection notices) don't fail the run
+        return event.severity === 'warning' ? [] : [{ type: 'error', error: event.message }];
+      case 'result':
+        return event.status === 'error' && event.error?.message
+          ? [{ type: 'error', error: event.error.message }]
+          : [];
+      default:
+        return [];
+    }
+  };
+
+  return {
+    stdout(chunk) {
+      lineBuffer += chunk;
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop() || '';
+      return lines.filter(line => line.trim()).flatMap(parseLine);
+    },
+    close() {
+      const remaining = lineBuffer.trim();
+      lineBuffer = '';
+      return remaining ? parseLine(remaining) : [];
+    }
+  };
+}
+
+// Chat tool for an ACP tool call ({ kind, title, rawInput, locations, content }), named the
+// way the chat UI and the tool profiles (allowed tools, safety rules) know it
+function toAcpChatTool(toolCall = {}) {
+  const rawInput = toolCall.rawInput && typeof toolCall.rawInput === 'object' ? toolCall.rawInput : {};
+  const filePath = rawInput.file_path || rawInput.absolute_path || toolCall.locations?.[0]?.path;
+  const diff = (toolCall.content || []).find(block => block.type === 'diff');
+  switch (toolCall.kind) {
+    case 'execute':
+      // Older CLIs only describe the command in the title, which starts with it
+      return { name: 'Bash', input: { command: rawInput.command || toolCall.title || '', description: rawInput.description } };
+    case 'edit':
+      return diff && diff.oldText == null
+        ? { name: 'Write', input: { file_path: filePath || diff.path, content: diff.newText ?? '' } }
+        : { name: 'Edit', input: { file_path: filePath || diff?.path, old_string: diff?.oldText, new_string: diff?.newText } };
+    case 'read':
+      return { name: 'Read', input: { ...rawInput, file_path: filePath } };
+    default:
+      return { name: toolCall.title || toolCall.kind || 'tool', input: rawInput };
+  }
+}
+
+function toolCallOutput(content = []) {
+  return content
+    .map(block => (block.type === 'content' && block.content?.type === 'text' ? block.content.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Parser for --experimental-acp: the Agent Client Protocol, JSON-RPC 2.0 over stdin/stdout.
+// The first prompt starts the handshake (initialize, session/new) and is sent once the
+// session exists; later prompts go to the same session. Tool calls that need confirmation
+// arrive as session/request_permission requests before they run.
+function createAcpParser(ctx = {}) {
+  let lineBuffer = '';
+  let nextId = 0;
+  let sessionId = null;
+  let starting = false;
+  const queued = []; // prompts written before the session exists
+  const pending = new Map(); // request id -> 'initialize' | 'session/new' | 'session/prompt'
+
+  const request = (method, params) => {
+    nextId += 1;
+    pending.set(nextId, method);
+    return `${JSON.stringify({ jsonrpc: '2.0', id: nextId, method, params })}\n`;
+  };
+  const promptMessage = (prompt) => request('session/prompt', { sessionId, prompt: [{ type: 'text', text: prompt }] });
+
+  const handleResponse = (message) => {
+    const method = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      const items = [{ type: 'error', error: message.error.message || `Gemini CLI ${method} failed` }];
+      // Nothing more comes for a prompt that failed or a session that couldn't start
+      return method === 'session/prompt' || method === 'session/new' || method === 'initialize'
+        ? [...items, { type: 'turn-complete' }]
+        : items;
+    }
+    if (method === 'initialize') {
+      return [{ type: 'write', data: request('session/new', { cwd: ctx.workingDir || process.cwd(), mcpServers: [] }) }];
+    }
+    if (method === 'session/new') {
+      sessionId = message.result?.sessionId;
+      return queued.splice(0).map(prompt => ({ type: 'write', data: promptMessage(prompt) }));
+    }
+    if (method === 'session/prompt') {
+      return [{ type: 'turn-complete' }];
+    }
+    return [];
+  };
+
+  const handleUpdate = (update = {}) => {
+    switch (update.sessionUpdate) {
+      case 'agent_message_chunk':
+        return update.content?.type === 'text' && update.content.text
+          ? [{ type: 'text', text: update.content.text, delta: true }]
+          : [];
+      case 'tool_call': {
+        const tool = toAcpChatTool(update);
+        const items = [{ type: 'tool_use', id: update.toolCallId, name: tool.name, input: tool.input }];
+        if (update.status === 'completed' || update.status === 'failed') {
+          items.push({ type: 'tool_result', toolUseId: update.toolCallId, content: toolCallOutput(update.content), isError: update.status === 'failed' });
+        }
+        return items;
+      }
+      case 'tool_call_update':
+        return update.status === 'completed' || update.status === 'failed'
+          ? [{ type: 'tool_result', toolUseId: update.toolCallId, content: toolCallOutput(update.content), isError: update.status === 'failed' }]
+          : [];
+      default:
+        return [];
+    }
+  };
+
+  const parseLine = (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      const text = filterNoise(line);
+      return text ? [{ type: 'text', text }] : [];
+    }
+
+    if (message.method === 'session/update') {
+      return handleUpdate(message.params?.update);
+    }
+    if (message.method === 'session/request_permission') {
+      const tool = toAcpChatTool(message.params?.toolCall);
+      return [{ type: 'permission-request', requestId: message.id, name: tool.name, input: tool.input, options: message.params?.options || [] }];
+    }
+    if (message.method && message.id !== undefined) {
+      // A client method this UI doesn't offer (it declares no capabilities)
+      return [{ type: 'write', data: `${JSON.stringify({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } })}\n` }];
+    }
+    if (message.id !== undefined && pending.has(message.id)) {
+      return handleResponse(message);
+    }
+    return [];
+  };
+
+  return {
+    input(prompt) {
+      if (sessionId) {
+        return promptMessage(prompt);
+      }
+      queued.push(prompt);
+      if (starting) {
+        return '';
+      }
+      starting = true;
+      return request('initialize', {
+        protocolVersion: 1,
+        clientCapabilities: { fs: { readTextFile: false, writeTextFile: false } }
+      });
+    },
+    stdout(chunk) {
+      lineBuffer += chunk;
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop() || '';
+      return lines.filter(line => line.trim()).flatMap(parseLine);
+    },
+    stderr(chunk) {
+      const text = filterNoise(chunk);
+      return text ? [{ type: 'error', error: text }] : [];
+    },
+    close() {
+      const remaining = lineBuffer.trim();
+      lineBuffer = '';
+      return remaining ? parseLine(remaining) : [];
+    }
+  };
+}
+
+// Answer a session/request_permission request with one of the options it offered
+const acpPermissionPrompts = {
+  formatResponse: ({ requestId, allow, options = [] }) => {
+    const option = options.find(item => item.kind === (allow ? 'allow_once' : 'reject_once'))
+      || options.find(item => item.kind === (allow ? 'allow_always' : 'reject_always'));
+    const outcome = option ? { outcome: 'selected', optionId: option.optionId } : { outcome: 'cancelled' };
+    return `${JSON.stringify({ jsonrpc: '2.0', id: requestId, result: { outcome } })}\n`;
+  }
+};
+
+// 'acp' (default), 'stream-json' or 'text'; the last two are for CLIs without ACP support
+const getOutputFormat = () => process.env.GEMINI_OUTPUT_FORMAT || 'acp';
+const useAcp = () => getOutputFormat() === 'acp';
+const useStreamJson = () => getOutputFormat() === 'stream-json';
+
+// Arguments for a run, and for the persistent ACP process of a session
+function buildArgs({ prompt, model, settings, options }) {
+  const args = [];
+  if (options.debug) {
+    args.push('--debug');
+  }
+
+  // Add MCP config flag only if MCP servers are configured
+  const mcpConfigPath = findMcpConfigPath();
+  if (mcpConfigPath) {
+    args.push('--mcp-config', mcpConfigPath);
+  }
+
+  args.push('--model', model);
+
+  if (useAcp()) {
+    // Every tool call that needs confirmation is sent to the server, which answers
+    // allowed tools and YOLO mode itself and checks shell commands against the safety
+    // rules first (see tool-approvals.js). The prompt is sent over the protocol.
+    args.push('--experimental-acp');
+    return args;
+  }
+
+  if (useStreamJson()) {
+    args.push('--output-format', 'stream-json');
+  }
+
+  // Without YOLO mode only the allowed tools run; in these modes the Gemini CLI can't ask
+  // for approval, so other tools that need confirmation are refused. Shell commands would
+  // run before the safety rules could stop them, so while a rule can refuse one they are
+  // never approved up front: YOLO mode only auto-approves edits.
+  const enforcing = hasEnforcingRules(settings.safetyRules);
+  const allowedTools = (settings.allowedTools || []).filter(rule => !enforcing || !isShellToolRule(rule));
+  if (settings.skipPermissions && !enforcing) {
+    args.push('--yolo');
+  } else {
+    if (settings.skipPermissions) {
+      args.push('--approval-mode', 'auto_edit');
+    }
+    if (allowedTools.length) {
+      args.push('--allowed-tools', ...allowedTools);
+    }
+  }
+
+  if (prompt) {
+    args.push(prompt);
+  }
+  return args;
+}
+
+// Gemini CLI - the default provider
+export default {
+  id: 'gemini',
+  label: 'Gemini',
+  displayName: 'Gemini CLI',
+  description: 'Use Google Gemini CLI for coding sessions.',
+  docsUrl: 'https://github.com/google-gemini/gemini-cli',
+  command: () => process.env.GEMINI_PATH || 'gemini',
+  home: () => path.join(os.homedir(), '.gemini'),
+  installCommand: () => process.env.GEMINI_INSTALL_CMD || '',
+  loginCommand: () => process.env.GEMINI_LOGIN_CMD || '',
+  defaultModel: 'gemini-2.5-flash',
+  models: [
+    { value: 'gemini-3-pro-preview', label: 'Gemini 3.0 Pro', description: 'Next generation reasoning and capabilities' },
+    { value: 'gemini-3.0-flash', label: 'Gemini 3.0 Flash', description: 'Ultra-fast next gen model' },
+    { value: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', description: 'Fast and efficient latest model (Recommended)' },
+    { value: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', description: 'Most advanced model (Note: May have quota limits)' },
+    { value: 'gemini-2.0-flash-thinking-exp-01-21', label: 'Gemini 2.0 Flash Thinking', description: 'Thinking model with extended reasoning capabilities' },
+    { value: 'gemini-2.0-pro-exp-02-05', label: 'Gemini 2.0 Pro', description: 'Advanced experimental model' },
+    { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', description: 'Balanced performance and capabilities' },
+    { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', description: 'Fast and cost-effective' }
+  ],
+
+  buildArgs,
+
+  permissionPrompts: () => (useAcp() ? acpPermissionPrompts : null),
+
+  // One ACP process per chat session; each prompt goes to its session over the protocol
+  // (see createAcpParser). stream-json and text runs take the prompt as an argument and
+  // exit after one reply, so those modes start a process per prompt.
+  persistent: {
+    enabled: useAcp,
+    buildArgs
+  },
+
+  createParser(ctx) {
+    if (useAcp()) {
+      return createAcpParser(ctx);
+    }
+    return useStreamJson() ? createStreamJsonParser() : createTextParser();
+  },
+
+  // The terminal CLI asks its user itself; YOLO mode keeps it from asking about shell
+  // commands only while no safety rule could refuse one
+  buildShellCommand({ cliPath, projectPath, sessionId, hasSession, toolsSettings }) {
+    const yolo = !toolsSettings?.skipPermissions
+      ? ''
+      : hasEnforcingRules(toolsSettings.safetyRules) ? ' --approval-mode auto_edit' : ' --yolo';
+    let command = `${cliPath}${yolo}`;
+    if (hasSession && sessionId) {
+      // Try to resume session, but with fallback to new session if it fails
+      command += ` --resume ${sessionId} || ${cliPath}${yolo}`;
+    }
+    return `cd "${projectPath}" && ${command}`;
+  }
+};
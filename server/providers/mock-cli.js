@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Mock CLI - replays a fixture transcript as JSON lines for the mock provider
+//
+// Usage: node mock-cli.js --fixture <path> [--resume <id>] [--repl | --serve] [prompt]
+//
+// --serve keeps running and replays the fixture for every {"prompt": "..."} line on
+// stdin, ending each turn with {"type":"turn-complete"}.
+//
+// Fixture format:
+//   {
+//     "sessionId": "mock-thread-1",        optional provider-side session ID
+//     "steps": [
+//       { "text": "Hello {{prompt}}", "delay": 100 },
+//       { "text": "more of it", "delta": true },  continues the previous text (a streamed delta)
+//       { "toolUse": { "id": "t1", "name": "Read", "input": { "file_path": "README.md" } } },
+//       { "toolResult": { "id": "t1", "content": "...", "isError": false } },
+//       { "permission": { "id": "t2", "name": "Bash", "input": { "command": "ls" } },
+//         "result": { "content": "..." } },  ask over stdin; runs the tool only if allowed
+//       { "error": "printed to stderr" },
+//       { "hang": true },                   stop producing output (exercises timeouts)
+//       { "exit": 1 }                       exit with this code
+//     ]
+//   }
+
+import fs from 'fs';
+import readline from 'readline';
+
+function parseArgs(argv) {
+  const parsed = { fixture: null, resume: null, repl: false, serve: false, prompt: '' };
+  const rest = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--fixture') {
+      parsed.fixture = argv[++i];
+    } else if (arg === '--resume') {
+      parsed.resume = argv[++i];
+    } else if (arg === '--repl') {
+      parsed.repl = true;
+    } else if (arg === '--serve') {
+      parsed.serve = true;
+    } else {
+      rest.push(arg);
+    }
+  }
+  parsed.prompt = rest.join(' ');
+  return parsed;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function writeEvent(event) {
+  process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+// Stdin is read line by line from one place, shared by prompts and permission answers
+let stdinLines = null;
+async function readLine() {
+  if (!stdinLines) {
+    stdinLines = readline.createInterface({ input: process.stdin })[Symbol.asyncIterator]();
+  }
+  const { value, done } = await stdinLines.next();
+  return done ? null : value;
+}
+
+// Ask the server whether a tool may run and wait for {"type":"permission_response","id","allow"}
+async function askPermission(tool) {
+  writeEvent({ type: 'permission_request', id: tool.id, name: tool.name, input: tool.input });
+  let line;
+  while ((line = await readLine()) !== null) {
+    try {
+      const answer = JSON.parse(line);
+      if (answer.type === 'permission_response' && answer.id === tool.id) {
+        return !!answer.allow;
+      }
+    } catch (e) {
+      // Not an answer
+    }
+  }
+  return false;
+}
+
+async function replay(fixture, prompt, resume, reportSession = true) {
+  if (fixture.sessionId && reportSession) {
+    writeEvent({ type: 'session', id: resume || fixture.sessionId });
+  }
+
+  for (const step of fixture.steps || []) {
+    if (step.delay) {
+      await sleep(step.delay);
+    }
+    if (step.text !== undefined) {
+      writeEvent({ type: 'text', text: step.text.replace(/\{\{prompt\}\}/g, prompt), delta: !!step.delta });
+    } else if (step.toolUse) {
+      writeEvent({ type: 'tool_use', ...step.toolUse });
+    } else if (step.toolResult) {
+      writeEvent({ type: 'tool_result', ...step.toolResult });
+    } else if (step.permission) {
+      const allowed = await askPermission(step.permission);
+      if (allowed) {
+        writeEvent({ type: 'tool_use', ...step.permission });
+        writeEvent({ type: 'tool_result', id: step.permission.id, content: '', isError: false, ...step.result });
+      } else {
+        writeEvent({ type: 'tool_result', id: step.permission.id, content: 'Permission denied', isError: true });
+      }
+    } else if (step.error) {
+      process.stderr.write(`${step.error}\n`);
+    } else if (step.hang) {
+      // Keep the process alive without output until it is killed
+      await new Promise(() => setInterval(() => {}, 1000));
+    } else if (step.exit !== undefined) {
+      process.exit(step.exit);
+    }
+  }
+}
+
+// Plain-text replay for the interactive terminal
+async function repl(fixture) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'mock> ' });
+  rl.prompt();
+  for await (const line of rl) {
+    for (const step of fixture.steps || []) {
+      if (step.text !== undefined) {
+        console.log(step.text.replace(/\{\{prompt\}\}/g, line));
+      } else if (step.toolUse) {
+        console.log(`[${step.toolUse.name}] ${JSON.stringify(step.toolUse.input)}`);
+      }
+    }
+    rl.prompt();
+  }
+}
+
+// Long-lived mode for the session process pool
+async function serve(fixture, resume) {
+  let turns = 0;
+  let line;
+  while ((line = await readLine()) !== null) {
+    if (!line.trim()) {
+      continue;
+    }
+    let prompt = line;
+    try {
+      prompt = JSON.parse(line).prompt || '';
+    } catch (e) {
+      // Plain-text prompt
+    }
+    turns += 1;
+    await replay(fixture, prompt, resume, turns === 1);
+    writeEvent({ type: 'turn-complete', turn: turns });
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+let fixture;
+try {
+  fixture = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+} catch (error) {
+  process.stderr.write(`Mock CLI: could not load fixture ${args.fixture}: ${error.message}\n`);
+  process.exit(2);
+}
+
+if (args.repl) {
+  await repl(fixture);
+} else if (args.serve) {
+  await serve(fixture, args.resume);
+} else {
+  await replay(fixture, args.prompt, args.resume);
+  // Stdin may still be open for permission answers; let a one-off run exit
+  process.stdin.destroy();
+}
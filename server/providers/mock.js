@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MOCK_CLI_PATH = path.join(__dirname, 'mock-cli.js');
+const BUILTIN_FIXTURES_DIR = path.join(__dirname, 'mock-fixtures');
+
+// Model "mock-<name>" replays <name>.json, looked up in MOCK_CLI_FIXTURES_DIR first
+function resolveFixture(model) {
+  const name = (process.env.MOCK_CLI_FIXTURE || model || 'mock-basic').replace(/^mock-/, '');
+  const dirs = [process.env.MOCK_CLI_FIXTURES_DIR, BUILTIN_FIXTURES_DIR].filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, `${path.basename(name)}.json`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return path.join(BUILTIN_FIXTURES_DIR, 'basic.json');
+}
+
+// Mock provider - replays scripted fixtures so the UI and tests run without a real CLI
+export default {
+  id: 'mock',
+  label: 'Mock',
+  displayName: 'Mock CLI (Offline)',
+  description: 'Replay scripted transcripts for offline development and tests.',
+  docsUrl: '',
+  command: () => process.execPath,
+  home: () => path.join(process.env.MOCK_HOME || path.join(os.homedir(), '.cli-ui-mock'), 'cli-ui'),
+  installCommand: () => '',
+  loginCommand: () => '',
+  defaultModel: 'mock-basic',
+  models: [
+    { value: 'mock-basic', label: 'Basic', description: 'Streams a few text chunks and reports a session ID' },
+    { value: 'mock-tools', label: 'Tools', description: 'Read, Edit, Bash and TodoWrite tool calls with results' },
+    { value: 'mock-approvals', label: 'Approvals', description: 'Asks for permission before running Bash and Write' },
+    { value: 'mock-risky', label: 'Risky', description: 'Runs shell commands that match the command safety rules' },
+    { value: 'mock-error', label: 'Error', description: 'Writes to stderr and exits with a non-zero code' },
+    { value: 'mock-timeout', label: 'Timeout', description: 'Never responds, so the run times out' }
+  ],
+  timeoutMs: Number(process.env.MOCK_CLI_TIMEOUT_MS) || 5000,
+  responseBuffer: null,
+
+  buildArgs({ prompt, model, externalSessionId }) {
+    const args = [MOCK_CLI_PATH, '--fixture', resolveFixture(model)];
+    if (externalSessionId) {
+      args.push('--resume', externalSessionId);
+    }
+    if (prompt) {
+      args.push(prompt);
+    }
+    return args;
+  },
+
+  // One replay process per chat session; each prompt is sent as a JSON line
+  persistent: {
+    buildArgs({ model, externalSessionId }) {
+      const args = [MOCK_CLI_PATH, '--serve', '--fixture', resolveFixture(model)];
+      if (externalSessionId) {
+        args.push('--resume', externalSessionId);
+      }
+      return args;
+    },
+    formatInput: (prompt) => `${JSON.stringify({ prompt })}\n`
+  },
+
+  permissionPrompts: {
+    formatResponse: ({ requestId, allow }) => `${JSON.stringify({ type: 'permission_response', id: requestId, allow })}\n`
+  },
+
+  createParser() {
+    let lineBuffer = '';
+
+    const parseLine = (line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return [{ type: 'text', text: line }];
+      }
+      switch (event.type) {
+        case 'session':
+          return [{ type: 'external-session', id: event.id }];
+        case 'text':
+          return [{ type: 'text', text: event.text, delta: !!event.delta }];
+        case 'tool_use':
+          return [{ type: 'tool_use', id: event.id, name: event.name, input: event.input }];
+        case 'tool_result':
+          return [{ type: 'tool_result', toolUseId: event.id, content: event.content, isError: !!event.isError }];
+        case 'permission_request':
+          return [{ type: 'permission-request', requestId: event.id, name: event.name, input: event.input }];
+        case 'turn-complete':
+          return [{ type: 'turn-complete' }];
+        default:
+          return [];
+      }
+    };
+
+    return {
+      stdout(chunk) {
+        lineBuffer += chunk;
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop() || '';
+        return lines.filter(line => line.trim()).flatMap(parseLine);
+      },
+      stderr(chunk) {
+        return chunk.trim() ? [{ type: 'error', error: chunk.trim() }] : [];
+      },
+      close() {
+        return lineBuffer.trim() ? parseLine(lineBuffer.trim()) : [];
+      }
+    };
+  },
+
+  buildShellCommand({ projectPath, toolsSettings }) {
+    const fixture = resolveFixture(toolsSettings?.selectedModel);
+    return `cd "${projectPath}" && "${process.execPath}" "${MOCK_CLI_PATH}" --repl --fixture "${fixture}"`;
+  }
+};
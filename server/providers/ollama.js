@@ -0,0 +1,63 @@
+import os from 'os';
+import path from 'path';
+import { sanitizeCliOutput } from '../cli-utils.js';
+
+function stripOllamaSpinner(output) {
+  if (!output) return '';
+  // Ollama uses braille spinner glyphs; strip them to avoid noise messages.
+  return output.replace(/[⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏]/g, '');
+}
+
+// Ollama - `ollama run <model>`; output is collected and sent once the run ends
+export default {
+  id: 'ollama',
+  label: 'Ollama',
+  displayName: 'Ollama (Local)',
+  description: 'Run local Ollama models from your machine.',
+  docsUrl: 'https://ollama.com/',
+  command: () => process.env.OLLAMA_PATH || 'ollama',
+  home: () => path.join(process.env.OLLAMA_HOME || path.join(os.homedir(), '.ollama'), 'cli-ui'),
+  installCommand: () => process.env.OLLAMA_INSTALL_CMD || '',
+  loginCommand: () => '',
+  defaultModel: 'llama2:latest',
+  models: [
+    { value: 'llama2:latest', label: 'Llama 2', description: 'Stable default model from Ollama registry' },
+    { value: 'llama3.2:1b', label: 'Llama 3.2 1B', description: 'Small model (requires compatible Ollama version)' },
+    { value: 'deepseek-r1:1.5b', label: 'DeepSeek R1 1.5B', description: 'Compact reasoning model' }
+  ],
+  timeoutMs: 120000,
+  responseBuffer: null,
+
+  buildArgs({ prompt, model }) {
+    const args = ['run', model];
+    if (prompt) {
+      args.push(prompt);
+    }
+    return args;
+  },
+
+  createParser() {
+    let output = '';
+    return {
+      stdout(chunk) {
+        const sanitizedOutput = stripOllamaSpinner(sanitizeCliOutput(chunk));
+        if (sanitizedOutput.trim()) {
+          output += sanitizedOutput;
+        }
+        return [];
+      },
+      stderr(chunk) {
+        const sanitizedError = stripOllamaSpinner(sanitizeCliOutput(chunk)).trim();
+        return sanitizedError ? [{ type: 'error', error: sanitizedError }] : [];
+      },
+      close() {
+        return output.trim() ? [{ type: 'text', text: output.trim() }] : [];
+      }
+    };
+  },
+
+  buildShellCommand({ cliPath, projectPath, toolsSettings }) {
+    const model = toolsSettings?.selectedModel || 'llama2:latest';
+    return `cd "${projectPath}" && ${cliPath} run ${model}`;
+  }
+};
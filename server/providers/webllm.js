@@ -0,0 +1,24 @@
+import os from 'os';
+import path from 'path';
+
+// WebLLM runs entirely in the browser (WebGPU); the server only serves its model catalog
+export default {
+  id: 'webllm',
+  label: 'WebLLM',
+  displayName: 'WebLLM (Local)',
+  description: 'Run AI models locally in your browser using WebGPU. Private and offline-capable.',
+  docsUrl: 'https://webllm.mlc.ai/',
+  browserOnly: true,
+  home: () => path.join(os.homedir(), '.gemini'),
+  installCommand: () => '',
+  loginCommand: () => '',
+  defaultModel: 'Llama-3.2-1B-Instruct-q4f32_1-MLC',
+  models: [
+    { value: 'Llama-3.2-1B-Instruct-q4f32_1-MLC', label: 'Llama 3.2 1B', description: 'Smallest model, fastest loading (Recommended to test)' },
+    { value: 'Llama-3.2-3B-Instruct-q4f32_1-MLC', label: 'Llama 3.2 3B', description: 'Lightweight model, good balance' },
+    { value: 'Llama-3.1-8B-Instruct-q4f32_1-MLC', label: 'Llama 3.1 8B', description: 'Larger model, better quality' },
+    { value: 'Phi-3.5-mini-instruct-q4f32_1-MLC', label: 'Phi 3.5 Mini', description: 'Microsoft Phi model, efficient' },
+    { value: 'gemma-2-2b-it-q4f16_1-MLC', label: 'Gemma 2 2B', description: 'Google Gemma, small and fast' },
+    { value: 'Qwen3-0.6B-q4f16_1-MLC', label: 'Qwen 3 0.6B', description: 'Tiny model for quick testing' }
+  ]
+};
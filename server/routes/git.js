@@ -1,12 +1,34 @@
 import express from 'express';
-import { exec } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
 import { promises as fs } from 'fs';
 import { extractProjectDirectory } from '../projects.js';
+import { parseDiff, buildPartialPatch } from '../git-patch.js';
 
 const router = express.Router();
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Porcelain status codes of unmerged paths
+const CONFLICT_STATUSES = ['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU'];
+const CONFLICT_MARKER = /^(<{7}|={7}|>{7})( |$)/m;
+
+// What "ours" (stage 2) and "theirs" (stage 3) are during each operation; during a rebase
+// HEAD is the branch being rebased onto, so the user's own commit is "theirs"
+const CONFLICT_LABELS = {
+  merge: { ours: 'Current (HEAD)', theirs: 'Incoming' },
+  rebase: { ours: 'Upstream (HEAD)', theirs: 'Your commit' },
+  'cherry-pick': { ours: 'Current (HEAD)', theirs: 'Picked commit' },
+  revert: { ours: 'Current (HEAD)', theirs: 'Reverted commit' }
+};
+
+const CONTINUE_COMMANDS = {
+  merge: ['commit', '--no-edit'],
+  rebase: ['rebase', '--continue'],
+  'cherry-pick': ['cherry-pick', '--continue'],
+  revert: ['revert', '--continue']
+};
 
 // Helper function to get the actual project path from the encoded project name
 async function getActualProjectPath(projectName) {
@@ -46,6 +68,92 @@ async function validateGitRepository(projectPath) {
   }
 }
 
+// The merge, rebase, cherry-pick or revert that is waiting for conflicts to be resolved, or null
+async function getPendingOperation(projectPath) {
+  const { stdout } = await execAsync('git rev-parse --absolute-git-dir', { cwd: projectPath });
+  const gitDir = stdout.trim();
+  const markers = [
+    ['rebase', 'rebase-merge'],
+    ['rebase', 'rebase-apply'],
+    ['cherry-pick', 'CHERRY_PICK_HEAD'],
+    ['revert', 'REVERT_HEAD'],
+    ['merge', 'MERGE_HEAD']
+  ];
+  for (const [operation, marker] of markers) {
+    try {
+      await fs.access(path.join(gitDir, marker));
+      return operation;
+    } catch {
+      // Not in progress
+    }
+  }
+  return null;
+}
+
+// A path from the client, relative to the repository root; throws for paths outside it
+function resolveRepositoryFile(projectPath, file) {
+  const filePath = path.resolve(projectPath, file);
+  if (!filePath.startsWith(path.resolve(projectPath) + path.sep)) {
+    throw new Error(`File is outside the repository: ${file}`);
+  }
+  return path.relative(projectPath, filePath).split(path.sep).join('/');
+}
+
+// Run git with input on stdin; rejects with git's error output
+function runGitWithInput(args, projectPath, input) {
+  return new Promise((resolve, reject) => {
+    const git = spawn('git', args, { cwd: projectPath });
+    let stdout = '';
+    let stderr = '';
+    git.stdout.on('data', chunk => stdout += chunk);
+    git.stderr.on('data', chunk => stderr += chunk);
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (code === 0) {
+        resolve({ stdout });
+      } else {
+        reject(new Error(stderr.trim() || `git ${args[0]} exited with code ${code}`));
+      }
+    });
+    git.stdin.end(input);
+  });
+}
+
+// The staged (index against HEAD) or unstaged (working tree against index) diff of a file,
+// in the plain form `git apply` takes back whatever the user's diff settings are
+async function getFileDiff(projectPath, relativePath, staged) {
+  const args = ['diff', ...(staged ? ['--cached'] : []), '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', '--', relativePath];
+  const { stdout } = await execFileAsync('git', args, { cwd: projectPath, maxBuffer: 10 * 1024 * 1024 });
+  return stdout;
+}
+
+// An untracked file's content as a new-file diff, in the same form `git diff` gives for a
+// tracked one, so its hunks can be staged or discarded like any other
+async function getUntrackedFileDiff(projectPath, relativePath) {
+  const args = ['diff', '--no-index', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', '--', '/dev/null', relativePath];
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd: projectPath, maxBuffer: 10 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    // --no-index exits with 1 when the files differ
+    if (error.code === 1) {
+      return error.stdout;
+    }
+    throw error;
+  }
+}
+
+async function isUntrackedFile(projectPath, relativePath) {
+  const { stdout } = await execFileAsync('git', ['status', '--porcelain', '--', relativePath], { cwd: projectPath });
+  return stdout.startsWith('??');
+}
+
+// The index stages (1 base, 2 ours, 3 theirs) an unmerged file has; empty when it isn't unmerged
+async function getConflictStages(projectPath, relativePath) {
+  const { stdout } = await execFileAsync('git', ['ls-files', '-u', '-z', '--', relativePath], { cwd: projectPath });
+  return stdout.split('\0').filter(Boolean).map(entry => Number(entry.split('\t')[0].split(' ')[2]));
+}
+
 // Get git status for a project
 router.get('/status', async (req, res) => {
   const { project } = req.query;
@@ -71,6 +179,11 @@ router.get('/status', async (req, res) => {
     const added = [];
     const deleted = [];
     const untracked = [];
+    const conflicted = [];
+    // The same changes split by where they are: { file, status } with status M, A, D, R or
+    // (for untracked files) U
+    const staged = [];
+    const unstaged = [];
     
     statusOutput.split('\n').forEach(line => {
       if (!line.trim()) return;
@@ -78,6 +191,19 @@ router.get('/status', async (req, res) => {
       const status = line.substring(0, 2);
       const file = line.substring(3);
       
+      if (CONFLICT_STATUSES.includes(status)) {
+        conflicted.push(file);
+        return;
+      }
+      if (status === '??') {
+        unstaged.push({ file, status: 'U' });
+      } else {
+        // Renames are listed as "old -> new"
+        const currentFile = file.split(' -> ').pop();
+        if (status[0] !== ' ') staged.push({ file: currentFile, status: status[0] });
+        if (status[1] !== ' ') unstaged.push({ file: currentFile, status: status[1] });
+      }
+      
       if (status === 'M ' || status === ' M' || status === 'MM') {
         modified.push(file);
       } else if (status === 'A ' || status === 'AM') {
@@ -94,7 +220,11 @@ router.get('/status', async (req, res) => {
       modified,
       added,
       deleted,
-      untracked
+      untracked,
+      conflicted,
+      staged,
+      unstaged,
+      operation: await getPendingOperation(projectPath)
     });
   } catch (error) {
     // console.error('Git status error:', error);
@@ -109,9 +239,10 @@ router.get('/status', async (req, res) => {
   }
 });
 
-// Get diff for a specific file
+// Get diff for a specific file. view=staged or view=unstaged limits it to the changes in the
+// index or in the working tree; without a view it is the diff against HEAD.
 router.get('/diff', async (req, res) => {
-  const { project, file } = req.query;
+  const { project, file, view } = req.query;
   
   if (!project || !file) {
     return res.status(400).json({ error: 'Project name and file path are required' });
@@ -130,10 +261,9 @@ router.get('/diff', async (req, res) => {
     let diff;
     if (isUntracked) {
       // For untracked files, show the entire file content as additions
-      const fileContent = await fs.readFile(path.join(projectPath, file), 'utf-8');
-      const lines = fileContent.split('\n');
-      diff = `--- /dev/null\n+++ b/${file}\n@@ -0,0 +1,${lines.length} @@\n` + 
-             lines.map(line => `+${line}`).join('\n');
+      diff = view === 'staged' ? '' : await getUntrackedFileDiff(projectPath, resolveRepositoryFile(projectPath, file));
+    } else if (view === 'staged' || view === 'unstaged') {
+      diff = await getFileDiff(projectPath, resolveRepositoryFile(projectPath, file), view === 'staged');
     } else {
       // Get diff for tracked files
       const { stdout } = await execAsync(`git diff HEAD -- "${file}"`, { cwd: projectPath });
@@ -153,11 +283,11 @@ router.get('/diff', async (req, res) => {
   }
 });
 
-// Commit changes
+// Commit changes: the given files as a whole, or with staged set what is staged already
 router.post('/commit', async (req, res) => {
-  const { project, message, files } = req.body;
+  const { project, message, files, staged } = req.body;
   
-  if (!project || !message || !files || files.length === 0) {
+  if (!project || !message || (!staged && (!files || files.length === 0))) {
     return res.status(400).json({ error: 'Project name, commit message, and files are required' });
   }
 
@@ -168,7 +298,7 @@ router.post('/commit', async (req, res) => {
     await validateGitRepository(projectPath);
     
     // Stage selected files
-    for (const file of files) {
+    for (const file of staged ? [] : files) {
       await execAsync(`git add "${file}"`, { cwd: projectPath });
     }
     
@@ -561,7 +691,7 @@ router.post('/pull', async (req, res) => {
     
     if (error.message.includes('CONFLICT')) {
       errorMessage = 'Merge conflicts detected';
-      details = 'Pull created merge conflicts. Please resolve conflicts manually in the editor, then commit the changes.';
+      details = 'Pull created merge conflicts. Resolve the conflicted files in the Conflicts section, then continue the merge.';
     } else if (error.message.includes('Please commit your changes or stash them')) {
       errorMessage = 'Uncommitted changes detected';  
       details = 'Please commit or stash your local changes before pulling.';
@@ -578,7 +708,8 @@ router.post('/pull', async (req, res) => {
     
     res.status(500).json({ 
       error: errorMessage, 
-      details: details
+      details: details,
+      conflicts: error.message.includes('CONFLICT')
     });
   }
 });
@@ -653,6 +784,100 @@ router.post('/push', async (req, res) => {
   }
 });
 
+// Stage whole files
+router.post('/stage', async (req, res) => {
+  const { project, files } = req.body;
+
+  if (!project || !Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({ error: 'Project name and files are required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+    const relativePaths = files.map(file => resolveRepositoryFile(projectPath, file));
+
+    await execFileAsync('git', ['add', '--all', '--', ...relativePaths], { cwd: projectPath });
+
+    res.json({ success: true });
+  } catch (error) {
+    // console.error('Git stage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unstage whole files, keeping their changes in the working tree
+router.post('/unstage', async (req, res) => {
+  const { project, files } = req.body;
+
+  if (!project || !Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({ error: 'Project name and files are required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+    const relativePaths = files.map(file => resolveRepositoryFile(projectPath, file));
+
+    try {
+      await execAsync('git rev-parse --verify --quiet HEAD', { cwd: projectPath });
+      await execFileAsync('git', ['reset', '--quiet', 'HEAD', '--', ...relativePaths], { cwd: projectPath });
+    } catch {
+      // No commits yet, so everything staged is a new file
+      await execFileAsync('git', ['rm', '--cached', '--quiet', '-r', '--', ...relativePaths], { cwd: projectPath });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    // console.error('Git unstage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stage, unstage or discard single hunks of a file, or single changed lines in them.
+// hunks is [{ index, header, lines? }] as in the diff of /diff?view=unstaged (for stage and
+// discard) or view=staged (for unstage); lines are indexes of the lines after the hunk header.
+router.post('/apply-hunks', async (req, res) => {
+  const { project, file, action, hunks } = req.body;
+
+  if (!project || !file || !['stage', 'unstage', 'discard'].includes(action) || !Array.isArray(hunks) || hunks.length === 0) {
+    return res.status(400).json({ error: 'Project name, file path, action (stage, unstage or discard), and hunks are required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+    const relativePath = resolveRepositoryFile(projectPath, file);
+
+    // An untracked file has nothing staged, and its diff is the one /diff showed for it
+    const untracked = await isUntrackedFile(projectPath, relativePath);
+    const diff = untracked
+      ? (action === 'unstage' ? '' : await getUntrackedFileDiff(projectPath, relativePath))
+      : await getFileDiff(projectPath, relativePath, action === 'unstage');
+    const parsed = parseDiff(diff);
+    if (parsed.hunks.length === 0) {
+      return res.status(409).json({ error: `No ${action === 'unstage' ? 'staged' : 'unstaged'} changes in ${relativePath}. Refresh and try again.` });
+    }
+
+    // Staging applies the changes to the index; unstaging takes them back out of it and
+    // discarding takes them out of the working tree
+    const reverse = action !== 'stage';
+    let patch;
+    try {
+      patch = buildPartialPatch(parsed, hunks, { reverse });
+    } catch (error) {
+      return res.status(error.code === 'ESTALE' ? 409 : 400).json({ error: error.message });
+    }
+    const args = ['apply', '--whitespace=nowarn', ...(action === 'discard' ? [] : ['--cached']), ...(reverse ? ['-R'] : [])];
+    await runGitWithInput([...args, '-'], projectPath, patch);
+
+    res.json({ success: true });
+  } catch (error) {
+    // console.error('Git apply hunks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Discard changes for a specific file
 router.post('/discard', async (req, res) => {
   const { project, file } = req.body;
@@ -692,4 +917,175 @@ router.post('/discard', async (req, res) => {
   }
 });
 
+// The versions of a conflicted file: base, ours and theirs from the index (null where the
+// file doesn't exist on that side) and the working tree copy with conflict markers
+router.get('/conflict', async (req, res) => {
+  const { project, file } = req.query;
+
+  if (!project || !file) {
+    return res.status(400).json({ error: 'Project name and file path are required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+    const relativePath = resolveRepositoryFile(projectPath, file);
+
+    const stages = await getConflictStages(projectPath, relativePath);
+    if (stages.length === 0) {
+      return res.status(404).json({ error: `${file} has no conflicts` });
+    }
+
+    const readStage = async (stage) => {
+      if (!stages.includes(stage)) return null;
+      const { stdout } = await execFileAsync('git', ['show', `:${stage}:${relativePath}`], { cwd: projectPath, maxBuffer: 10 * 1024 * 1024 });
+      return stdout;
+    };
+    const [base, ours, theirs] = await Promise.all([readStage(1), readStage(2), readStage(3)]);
+
+    let merged = null;
+    try {
+      merged = await fs.readFile(path.join(projectPath, relativePath), 'utf-8');
+    } catch {
+      // Deleted in the working tree
+    }
+
+    const operation = await getPendingOperation(projectPath);
+    res.json({
+      file: relativePath,
+      base,
+      ours,
+      theirs,
+      merged,
+      binary: [base, ours, theirs, merged].some(text => text !== null && text.includes('\0')),
+      operation,
+      labels: CONFLICT_LABELS[operation] || CONFLICT_LABELS.merge
+    });
+  } catch (error) {
+    // console.error('Git conflict error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a conflicted file resolved, either with the merged content from the editor or by
+// taking one side ('ours', 'theirs' or 'delete'). Content that still has conflict markers is
+// refused unless force is set.
+router.post('/resolve', async (req, res) => {
+  const { project, file, content, resolution, force } = req.body;
+
+  if (!project || !file || (typeof content !== 'string' && !['ours', 'theirs', 'delete'].includes(resolution))) {
+    return res.status(400).json({ error: 'Project name, file path, and the merged content or a resolution are required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+    const relativePath = resolveRepositoryFile(projectPath, file);
+
+    const stages = await getConflictStages(projectPath, relativePath);
+    if (stages.length === 0) {
+      return res.status(400).json({ error: `${file} has no conflicts` });
+    }
+
+    if (typeof content === 'string') {
+      if (!force && CONFLICT_MARKER.test(content)) {
+        return res.status(409).json({
+          error: 'Conflict markers remain',
+          details: 'The file still contains conflict markers. Resolve every conflict first, or mark it resolved anyway.'
+        });
+      }
+      await fs.writeFile(path.join(projectPath, relativePath), content, 'utf-8');
+      await execFileAsync('git', ['add', '--', relativePath], { cwd: projectPath });
+    } else {
+      const stage = resolution === 'ours' ? 2 : 3;
+      if (resolution === 'delete' || !stages.includes(stage)) {
+        // The chosen side deleted the file
+        await execFileAsync('git', ['rm', '--quiet', '--force', '--', relativePath], { cwd: projectPath });
+      } else {
+        await execFileAsync('git', ['checkout', `--${resolution}`, '--', relativePath], { cwd: projectPath });
+        await execFileAsync('git', ['add', '--', relativePath], { cwd: projectPath });
+      }
+    }
+
+    res.json({ success: true, message: `Resolved ${relativePath}` });
+  } catch (error) {
+    // console.error('Git resolve error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finish the merge, rebase, cherry-pick or revert once every conflict is resolved
+router.post('/continue', async (req, res) => {
+  const { project } = req.body;
+
+  if (!project) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+
+    const operation = await getPendingOperation(projectPath);
+    if (!operation) {
+      return res.status(400).json({ error: 'No merge, rebase, cherry-pick or revert is in progress' });
+    }
+
+    const { stdout: unmerged } = await execAsync('git diff --name-only --diff-filter=U', { cwd: projectPath });
+    if (unmerged.trim()) {
+      return res.status(409).json({
+        error: 'Unresolved conflicts',
+        details: 'Mark every conflicted file resolved before continuing.',
+        conflicts: true
+      });
+    }
+
+    // GIT_EDITOR keeps the prepared commit messages instead of opening an editor
+    const { stdout } = await execFileAsync('git', CONTINUE_COMMANDS[operation], {
+      cwd: projectPath,
+      env: { ...process.env, GIT_EDITOR: 'true' }
+    });
+
+    res.json({ success: true, output: stdout, operation });
+  } catch (error) {
+    // console.error('Git continue error:', error);
+    const output = `${error.stdout || ''}${error.message}`;
+    if (output.includes('CONFLICT')) {
+      // The next commit of a rebase or cherry-pick conflicts as well
+      return res.status(409).json({
+        error: 'Merge conflicts detected',
+        details: 'The next commit has conflicts too. Resolve them, then continue again.',
+        conflicts: true
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Abort the merge, rebase, cherry-pick or revert and go back to the state before it
+router.post('/abort', async (req, res) => {
+  const { project } = req.body;
+
+  if (!project) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  try {
+    const projectPath = await getActualProjectPath(project);
+    await validateGitRepository(projectPath);
+
+    const operation = await getPendingOperation(projectPath);
+    if (!operation) {
+      return res.status(400).json({ error: 'No merge, rebase, cherry-pick or revert is in progress' });
+    }
+
+    await execFileAsync('git', [operation, '--abort'], { cwd: projectPath });
+
+    res.json({ success: true, operation });
+  } catch (error) {
+    // console.error('Git abort error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,286 @@
+import express from 'express';
+import crypto from 'crypto';
+import path from 'path';
+import { streamGemini, abortGeminiSession } from '../gemini-cli.js';
+import { getCliInfo, getCliProvider, normalizeProvider } from '../cli-config.js';
+import { getProjects } from '../projects.js';
+
+const router = express.Router();
+
+// OpenAI-style error body
+function sendError(res, status, message, type = 'invalid_request_error', param = null, code = null) {
+  return res.status(status).json({
+    error: {
+      message,
+      type,
+      param,
+      code
+    }
+  });
+}
+
+function sendModelNotFound(res, model) {
+  return sendError(res, 404, `The model '${model}' does not exist`, 'invalid_request_error', 'model', 'model_not_found');
+}
+
+// Provider comes from the x-cli-provider header, falling back to CLI_PROVIDER
+function resolveProvider(req) {
+  const requested = req.headers['x-cli-provider'] || req.query.provider || null;
+  return requested ? normalizeProvider(requested) : getCliProvider();
+}
+
+// The provider default when no model is given; null for a model the provider doesn't have
+function resolveModel(provider, requestedModel) {
+  const cliInfo = getCliInfo(provider);
+  if (!requestedModel) {
+    return cliInfo.defaultModel;
+  }
+  return cliInfo.models.some(model => model.value === requestedModel) ? requestedModel : null;
+}
+
+// metadata.project_path must be the folder of a project the UI knows about, so a key holder
+// can't point the CLI at an arbitrary directory. Returns null for any other path.
+async function resolveProjectPath(provider, requestedPath) {
+  if (!requestedPath) {
+    return process.env.OPENAI_COMPAT_PROJECT_PATH || process.cwd();
+  }
+  if (typeof requestedPath !== 'string' || !path.isAbsolute(requestedPath)) {
+    return null;
+  }
+  const projects = await getProjects(provider);
+  const project = projects.find(item => item.path && path.resolve(item.path) === path.resolve(requestedPath));
+  return project ? path.resolve(project.path) : null;
+}
+
+// Flatten OpenAI "array parts" content into text and inline images
+function normalizeContent(content) {
+  if (typeof content === 'string') {
+    return { text: content, images: [] };
+  }
+  if (!Array.isArray(content)) {
+    return { text: content == null ? '' : String(content), images: [] };
+  }
+
+  const textParts = [];
+  const images = [];
+  for (const part of content) {
+    if (part?.type === 'text') {
+      textParts.push(part.text || '');
+    } else if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (!url || !url.startsWith('data:')) {
+        const error = new Error('Only data: URIs are supported for image_url content parts');
+        error.param = 'messages';
+        throw error;
+      }
+      images.push({ name: `image_${images.length}`, data: url });
+    }
+  }
+  return { text: textParts.join('\n'), images };
+}
+
+// Convert messages[] into a single CLI prompt
+function buildPrompt(messages) {
+  const systemParts = [];
+  const transcript = [];
+  const images = [];
+
+  for (const message of messages) {
+    const { text, images: messageImages } = normalizeContent(message.content);
+    images.push(...messageImages);
+
+    if (message.role === 'system' || message.role === 'developer') {
+      systemParts.push(text);
+    } else if (message.role === 'assistant') {
+      transcript.push(`Assistant: ${text}`);
+    } else {
+      transcript.push(`User: ${text}`);
+    }
+  }
+
+  // A lone user message is passed through as-is
+  if (systemParts.length === 0 && transcript.length === 1 && messages[0].role === 'user') {
+    return { prompt: normalizeContent(messages[0].content).text, images };
+  }
+
+  let prompt = '';
+  if (systemParts.length > 0) {
+    prompt += `[System]\n${systemParts.join('\n\n')}\n\n`;
+  }
+  prompt += `[Conversation]\n${transcript.join('\n')}\nAssistant:`;
+  return { prompt, images };
+}
+
+// Rough token estimate; CLI providers don't report usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// GET /v1/models - List models for the configured provider
+router.get('/models', (req, res) => {
+  const provider = resolveProvider(req);
+  const cliInfo = getCliInfo(provider);
+  const created = Math.floor(Date.now() / 1000);
+  res.json({
+    object: 'list',
+    data: cliInfo.models.map(model => ({
+      id: model.value,
+      object: 'model',
+      created,
+      owned_by: cliInfo.provider
+    }))
+  });
+});
+
+// GET /v1/models/:model - Retrieve a single model
+router.get('/models/:model', (req, res) => {
+  const provider = resolveProvider(req);
+  const cliInfo = getCliInfo(provider);
+  const model = cliInfo.models.find(m => m.value === req.params.model);
+  if (!model) {
+    return sendModelNotFound(res, req.params.model);
+  }
+  res.json({
+    id: model.value,
+    object: 'model',
+    created: Math.floor(Date.now() / 1000),
+    owned_by: cliInfo.provider
+  });
+});
+
+// POST /v1/chat/completions - Run a prompt through the configured CLI
+router.post('/chat/completions', async (req, res) => {
+  const { messages, stream = false, metadata = {} } = req.body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return sendError(res, 400, "'messages' must be a non-empty array", 'invalid_request_error', 'messages');
+  }
+
+  let prompt;
+  let images;
+  try {
+    ({ prompt, images } = buildPrompt(messages));
+  } catch (error) {
+    return sendError(res, 400, error.message, 'invalid_request_error', error.param || null);
+  }
+
+  if (!prompt.trim()) {
+    return sendError(res, 400, 'The conversation does not contain any text', 'invalid_request_error', 'messages');
+  }
+
+  const provider = resolveProvider(req);
+  const model = resolveModel(provider, req.body.model);
+  if (!model) {
+    return sendModelNotFound(res, req.body.model);
+  }
+  const projectPath = await resolveProjectPath(provider, metadata.project_path);
+  if (!projectPath) {
+    return sendError(res, 400, "'metadata.project_path' is not the folder of a known project", 'invalid_request_error', 'metadata.project_path');
+  }
+  const completionId = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const requestedSessionId = req.headers['x-session-id'] || metadata.session_id || null;
+
+  let content = '';
+  let sessionId = requestedSessionId;
+  let finished = false;
+  const errors = [];
+
+  const writeChunk = (delta, finishReason = null) => {
+    res.write(`data: ${JSON.stringify({
+      id: completionId,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    })}\n\n`);
+  };
+
+  if (stream) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    writeChunk({ role: 'assistant', content: '' });
+  }
+
+  // Stop the CLI if the client goes away mid-request
+  res.on('close', () => {
+    if (!finished && sessionId) {
+      abortGeminiSession(sessionId);
+    }
+  });
+
+  let runError = null;
+  try {
+    const events = streamGemini(prompt, {
+      sessionId: requestedSessionId || undefined,
+      projectPath,
+      cwd: projectPath,
+      provider,
+      model,
+      images,
+      bufferText: false
+    });
+
+    for await (const event of events) {
+      if (event.type === 'text' && event.text) {
+        // Streamed deltas are joined as they are; whole messages start on a new line
+        const piece = content && !event.delta ? `\n${event.text}` : event.text;
+        content += piece;
+        if (stream) {
+          writeChunk({ content: piece });
+        }
+      } else if (event.type === 'error' && event.error) {
+        errors.push(String(event.error).trim());
+      } else if (event.type === 'session-created') {
+        sessionId = event.sessionId;
+      }
+    }
+  } catch (error) {
+    runError = error;
+  }
+  finished = true;
+
+  const failed = !content && (runError || errors.length > 0);
+  const errorMessage = errors.filter(Boolean).join('\n') || runError?.message || 'CLI request failed';
+
+  if (stream) {
+    if (failed) {
+      res.write(`data: ${JSON.stringify({ error: { message: errorMessage, type: 'server_error', param: null, code: null } })}\n\n`);
+    } else {
+      writeChunk({}, 'stop');
+    }
+    res.write('data: [DONE]\n\n');
+    return res.end();
+  }
+
+  if (failed) {
+    return sendError(res, 500, errorMessage, 'server_error');
+  }
+
+  if (sessionId) {
+    res.setHeader('x-session-id', sessionId);
+  }
+
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(content);
+  res.json({
+    id: completionId,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: 'stop'
+    }],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,132 @@
+// Session process pool - keeps one long-lived CLI process per chat session
+//
+// Entries are created by spawnGemini for providers with a `persistent` mode and
+// look like { sessionId, cliProvider, spawnKey, process, busy, lastUsed, write(input), kill(signal) }.
+// spawnKey identifies the provider, model and tool settings the process was started with;
+// spawnGemini replaces the process when a turn needs different ones.
+// Idle entries are stopped after CLI_SESSION_IDLE_TIMEOUT_MS, and the least recently
+// used idle entry is evicted when CLI_SESSION_POOL_SIZE is reached.
+
+const DEFAULT_POOL_SIZE = 4;
+const DEFAULT_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+class SessionProcessPool {
+  constructor() {
+    this.entries = new Map();
+    this.sweepTimer = null;
+  }
+
+  get maxSize() {
+    return readNumber('CLI_SESSION_POOL_SIZE', DEFAULT_POOL_SIZE);
+  }
+
+  get idleTimeoutMs() {
+    return readNumber('CLI_SESSION_IDLE_TIMEOUT_MS', DEFAULT_IDLE_TIMEOUT_MS);
+  }
+
+  isEnabled() {
+    return this.maxSize > 0;
+  }
+
+  get(sessionId) {
+    return sessionId ? this.entries.get(sessionId) || null : null;
+  }
+
+  // Make room for a new entry; returns false when every pooled process is busy
+  reserve() {
+    while (this.entries.size >= this.maxSize) {
+      const idle = Array.from(this.entries.entries())
+        .filter(([, entry]) => !entry.busy)
+        .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+      if (idle.length === 0) {
+        return false;
+      }
+      this.evict(idle[0][0]);
+    }
+    return true;
+  }
+
+  add(key, entry) {
+    entry.sessionId = key;
+    entry.lastUsed = Date.now();
+    this.entries.set(key, entry);
+    this.startSweep();
+    return entry;
+  }
+
+  // Move an entry once a new chat session gets its real ID
+  rekey(oldKey, newKey) {
+    const entry = this.entries.get(oldKey);
+    if (!entry || oldKey === newKey) {
+      return;
+    }
+    this.entries.delete(oldKey);
+    entry.sessionId = newKey;
+    this.entries.set(newKey, entry);
+  }
+
+  // Forget an entry whose process has exited
+  delete(key, entry) {
+    if (this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+  }
+
+  evict(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    try {
+      entry.kill('SIGTERM');
+    } catch (e) {
+      // Process already gone
+    }
+    return true;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (!entry.busy && now - entry.lastUsed > this.idleTimeoutMs) {
+        this.evict(key);
+      }
+    }
+    if (this.entries.size === 0 && this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  startSweep() {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(SWEEP_INTERVAL_MS, this.idleTimeoutMs || SWEEP_INTERVAL_MS));
+    this.sweepTimer.unref();
+  }
+
+  stats() {
+    return {
+      maxSize: this.maxSize,
+      idleTimeoutMs: this.idleTimeoutMs,
+      sessions: Array.from(this.entries.values()).map(entry => ({
+        sessionId: entry.sessionId,
+        provider: entry.cliProvider,
+        busy: entry.busy,
+        lastUsed: new Date(entry.lastUsed).toISOString()
+      }))
+    };
+  }
+}
+
+const sessionPool = new SessionProcessPool();
+
+export default sessionPool;
@@ -0,0 +1,123 @@
+// Background session titles and summaries
+//
+// After a session's first exchange, and whenever one is requested, the session's own
+// provider is asked for a short title and a one-paragraph summary. Jobs run one at a
+// time. A title the user typed in is never replaced; the summary still is.
+// Set SESSION_AUTO_SUMMARY=0 to only summarize on request.
+
+import { existsSync } from 'fs';
+import os from 'os';
+import { buildContext } from './context-builder.js';
+import { runPrompt } from './gemini-cli.js';
+import { getProviderAdapter } from './provider-registry.js';
+import sessionManager from './sessionManager.js';
+
+const TRANSCRIPT_BUDGET = 8000;
+const MAX_TITLE_LENGTH = 60;
+
+const PROMPT_HEADER = 'Summarize the conversation below.';
+const PROMPT_FOOTER = [
+  'Reply with only a JSON object and nothing else, in this form:',
+  '{"title": "<at most 6 words>", "summary": "<one paragraph of at most 3 sentences>"}',
+  'Do not use any tools.'
+].join('\n');
+
+let queue = Promise.resolve();
+const pending = new Map();
+const attempted = new Set();
+
+function isAutoEnabled() {
+  return process.env.SESSION_AUTO_SUMMARY !== '0';
+}
+
+function canSummarize(provider) {
+  const adapter = getProviderAdapter(provider);
+  return !adapter.browserOnly && !adapter.interactive;
+}
+
+function clean(text, maxLength) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim().replace(/^["'`]+|["'`]+$/g, '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 3).trimEnd()}...` : value;
+}
+
+// Take the first JSON object in the reply; a plain reply becomes the title
+function parseReply(reply) {
+  const match = reply.match(/\{[\s\S]*\}/);
+  if (match) {
+    try {
+      const data = JSON.parse(match[0]);
+      if (data.title || data.summary) {
+        return { title: clean(data.title, MAX_TITLE_LENGTH), summary: clean(data.summary, 1000) };
+      }
+    } catch (e) {
+      // Fall through to the plain-text reading
+    }
+  }
+  const [firstLine, ...rest] = reply.trim().split('\n');
+  return { title: clean(firstLine, MAX_TITLE_LENGTH), summary: clean(rest.join(' '), 1000) };
+}
+
+async function runSummary(sessionId) {
+  const session = sessionManager.getSession(sessionId);
+  if (!session || !session.messages.some(message => message.role === 'user')) {
+    return null;
+  }
+  if (!canSummarize(session.provider)) {
+    throw new Error(`${getProviderAdapter(session.provider).displayName} can't generate summaries`);
+  }
+
+  const prompt = buildContext(session.messages, {
+    provider: session.provider,
+    settings: {
+      enabled: true,
+      style: 'role-prefixed',
+      budget: TRANSCRIPT_BUDGET,
+      budgetUnit: 'chars',
+      overflow: 'summarize',
+      header: PROMPT_HEADER,
+      footer: PROMPT_FOOTER
+    }
+  });
+  const cwd = session.projectPath && existsSync(session.projectPath) ? session.projectPath : os.homedir();
+  const reply = await runPrompt(prompt, { provider: session.provider, cwd });
+
+  const { title, summary } = parseReply(reply);
+  if (!title) {
+    throw new Error('The provider returned an empty summary');
+  }
+  sessionManager.setGeneratedSummary(sessionId, title, summary || null);
+  return { title: sessionManager.getSessionSummary(session), summary: summary || null };
+}
+
+// Queue a summary for a session; requests for a session already in the queue share its result
+function summarizeSession(sessionId) {
+  if (pending.has(sessionId)) {
+    return pending.get(sessionId);
+  }
+  const job = queue.then(() => runSummary(sessionId)).finally(() => pending.delete(sessionId));
+  pending.set(sessionId, job);
+  queue = job.catch(() => {});
+  return job;
+}
+
+// Summarize new sessions once their first reply has been saved
+function startAutoSummaries() {
+  sessionManager.on('message-added', ({ sessionId, role }) => {
+    if (!isAutoEnabled() || role !== 'assistant' || attempted.has(sessionId)) {
+      return;
+    }
+    const session = sessionManager.getSession(sessionId);
+    if (!session || session.title || !canSummarize(session.provider)) {
+      return;
+    }
+    attempted.add(sessionId);
+    summarizeSession(sessionId).catch(error => {
+      console.error(`Failed to summarize session ${sessionId}:`, error.message);
+    });
+  });
+}
+
+export {
+  summarizeSession,
+  startAutoSummaries
+};
@@ -0,0 +1,306 @@
+// Session export and import
+//
+// Formats:
+//   markdown - readable transcript; an HTML comment before each message carries what import needs
+//   json     - { format: 'gemini-cli-ui-session', version: 1, session, messages }
+//   jsonl    - one provider-native entry per line ({ type, sessionId, cwd, timestamp, message: { role, content } }),
+//              the same shape as the CLI session logs read by projects.js
+//
+// Messages passed to exportSession are { role, content, timestamp, images }, where role is
+// 'user', 'assistant' or 'tool_use' (content is then the JSON { id, name, input }) and
+// images are { name, mimeType, data } with data as a data URL.
+
+const JSON_FORMAT_ID = 'gemini-cli-ui-session';
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' }
+};
+
+const MESSAGE_MARKER = /<!-- message role="(user|assistant|tool_use)" timestamp="([^"]*)"(?: tool="([A-Za-z0-9+/=]*)")? -->\n?/g;
+const IMAGE_LINE = /^!\[([^\]]*)\]\((data:([^;]+);base64,[A-Za-z0-9+/=]+)\)$/;
+
+function parseToolUse(content) {
+  try {
+    const tool = JSON.parse(content);
+    return { id: tool.id, name: tool.name || 'Unknown', input: tool.input ?? {} };
+  } catch (e) {
+    return { id: undefined, name: 'Unknown', input: content };
+  }
+}
+
+function toIso(value) {
+  const date = new Date(value || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// A code fence longer than any backtick run inside the text
+function fence(text, language = '') {
+  const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(Math.max(3, longest + 1));
+  return `${ticks}${language}\n${text}\n${ticks}`;
+}
+
+function diffBlock(oldText, newText) {
+  const lines = [
+    ...String(oldText ?? '').split('\n').map(line => `- ${line}`),
+    ...String(newText ?? '').split('\n').map(line => `+ ${line}`)
+  ];
+  return fence(lines.join('\n'), 'diff');
+}
+
+function formatToolMarkdown(tool) {
+  const input = tool.input && typeof tool.input === 'object' ? tool.input : {};
+  const target = input.file_path || input.path || '';
+  const heading = `#### Tool: ${tool.name}${target ? ` \`${target}\`` : ''}`;
+
+  switch (tool.name) {
+    case 'Edit':
+      return `${heading}\n\n${diffBlock(input.old_string, input.new_string)}`;
+    case 'MultiEdit':
+      return [heading, ...(input.edits || []).map(edit => diffBlock(edit.old_string, edit.new_string))].join('\n\n');
+    case 'Write':
+      return `${heading}\n\n${fence(input.content ?? '')}`;
+    case 'Bash':
+      return `${heading}\n\n${fence(input.command ?? '', 'bash')}`;
+    default:
+      return `${heading}\n\n${fence(JSON.stringify(tool.input, null, 2), 'json')}`;
+  }
+}
+
+function toMarkdown(session, messages) {
+  const lines = [
+    `# ${session.summary || 'Session'}`,
+    '',
+    `- Session: \`${session.id}\``,
+    `- Project: \`${session.projectPath || ''}\``,
+    `- Provider: ${session.provider || 'unknown'}`,
+    `- Started: ${toIso(session.createdAt)}`,
+    `- Messages: ${messages.length}`,
+    ''
+  ];
+
+  for (const message of messages) {
+    const timestamp = toIso(message.timestamp);
+    if (message.role === 'tool_use') {
+      const tool = parseToolUse(message.content);
+      const encoded = Buffer.from(JSON.stringify(tool)).toString('base64');
+      lines.push(`<!-- message role="tool_use" timestamp="${timestamp}" tool="${encoded}" -->`, formatToolMarkdown(tool), '');
+      continue;
+    }
+
+    lines.push(`<!-- message role="${message.role}" timestamp="${timestamp}" -->`);
+    lines.push(`### ${message.role === 'user' ? 'User' : 'Assistant'}`, '', message.content, '');
+    for (const image of message.images || []) {
+      lines.push(`![${(image.name || 'image').replace(/[[\]]/g, '')}](${image.data})`, '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function toJson(session, messages) {
+  return JSON.stringify({
+    format: JSON_FORMAT_ID,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      projectPath: session.projectPath,
+      provider: session.provider,
+      summary: session.summary,
+      contextSettings: session.contextSettings || {},
+      createdAt: toIso(session.createdAt),
+      lastActivity: toIso(session.lastActivity)
+    },
+    messages: messages.map(message => ({
+      role: message.role,
+      content: message.role === 'tool_use' ? parseToolUse(message.content) : message.content,
+      timestamp: toIso(message.timestamp),
+      images: message.images || []
+    }))
+  }, null, 2);
+}
+
+function toJsonl(session, messages) {
+  return messages.map(message => {
+    let content;
+    if (message.role === 'tool_use') {
+      const tool = parseToolUse(message.content);
+      content = [{ type: 'tool_use', id: tool.id, name: tool.name, input: tool.input }];
+    } else if (message.role === 'assistant') {
+      content = [{ type: 'text', text: message.content }];
+    } else if (message.images && message.images.length > 0) {
+      content = [
+        { type: 'text', text: message.content },
+        ...message.images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data.replace(/^data:[^;]+;base64,/, '') }
+        }))
+      ];
+    } else {
+      content = message.content;
+    }
+
+    const role = message.role === 'tool_use' ? 'assistant' : message.role;
+    return JSON.stringify({
+      type: role,
+      sessionId: session.id,
+      cwd: session.projectPath,
+      timestamp: toIso(message.timestamp),
+      message: { role, content }
+    });
+  }).join('\n') + '\n';
+}
+
+function exportSession(session, messages, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  const content = format === 'markdown'
+    ? toMarkdown(session, messages)
+    : format === 'json' ? toJson(session, messages) : toJsonl(session, messages);
+  return { content, ...spec };
+}
+
+function fromMarkdown(text) {
+  const messages = [];
+  const markers = [...text.matchAll(MESSAGE_MARKER)];
+
+  markers.forEach((marker, i) => {
+    const [, role, timestamp, encodedTool] = marker;
+    const bodyStart = marker.index + marker[0].length;
+    const bodyEnd = i + 1 < markers.length ? markers[i + 1].index : text.length;
+    const body = text.slice(bodyStart, bodyEnd);
+
+    if (role === 'tool_use') {
+      if (!encodedTool) return;
+      const tool = JSON.parse(Buffer.from(encodedTool, 'base64').toString('utf8'));
+      messages.push({ role, content: JSON.stringify(tool), timestamp });
+      return;
+    }
+
+    const images = [];
+    const contentLines = body.replace(/^### (User|Assistant)\n\n?/, '').split('\n').filter(line => {
+      const match = line.match(IMAGE_LINE);
+      if (match) {
+        images.push({ name: match[1], data: match[2], mimeType: match[3] });
+        return false;
+      }
+      return true;
+    });
+    messages.push({ role, content: contentLines.join('\n').trim(), timestamp, images });
+  });
+
+  if (messages.length === 0) {
+    throw new Error('No messages found. Only Markdown exported from this app can be imported.');
+  }
+  return { messages };
+}
+
+function fromJson(text) {
+  const data = JSON.parse(text);
+  if (data.format !== JSON_FORMAT_ID || !Array.isArray(data.messages)) {
+    throw new Error('Not a session export');
+  }
+  return {
+    contextSettings: data.session?.contextSettings || {},
+    messages: data.messages
+      .filter(message => ['user', 'assistant', 'tool_use'].includes(message.role))
+      .map(message => ({
+        role: message.role,
+        content: message.role === 'tool_use'
+          ? JSON.stringify(typeof message.content === 'string' ? parseToolUse(message.content) : message.content)
+          : String(message.content ?? ''),
+        timestamp: message.timestamp,
+        images: Array.isArray(message.images) ? message.images : []
+      }))
+  };
+}
+
+function fromJsonl(text) {
+  const messages = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    const role = entry.message?.role;
+    const content = entry.message?.content;
+    if ((role !== 'user' && role !== 'assistant') || content === undefined) continue;
+
+    if (typeof content === 'string') {
+      messages.push({ role, content, timestamp: entry.timestamp, images: [] });
+      continue;
+    }
+    if (!Array.isArray(content)) continue;
+
+    // Tool results are not kept; the rest of an entry becomes one message plus its tool calls
+    const textParts = [];
+    const images = [];
+    const tools = [];
+    for (const part of content) {
+      if (part.type === 'text' && part.text) {
+        textParts.push(part.text);
+      } else if (part.type === 'image' && part.source?.type === 'base64') {
+        images.push({
+          name: `image_${images.length + 1}.${part.source.media_type?.split('/')[1] || 'png'}`,
+          mimeType: part.source.media_type,
+          data: `data:${part.source.media_type};base64,${part.source.data}`
+        });
+      } else if (part.type === 'tool_use') {
+        tools.push({ id: part.id, name: part.name, input: part.input });
+      }
+    }
+    if (textParts.length > 0 || images.length > 0) {
+      messages.push({ role, content: textParts.join('\n'), timestamp: entry.timestamp, images });
+    }
+    for (const tool of tools) {
+      messages.push({ role: 'tool_use', content: JSON.stringify(tool), timestamp: entry.timestamp, images: [] });
+    }
+  }
+
+  if (messages.length === 0) {
+    throw new Error('No messages found in JSONL');
+  }
+  return { messages };
+}
+
+// Parse an export back into { messages, contextSettings? }; timestamps are ISO strings
+function parseSessionImport(text, format) {
+  const parsers = { markdown: fromMarkdown, json: fromJson, jsonl: fromJsonl };
+  const parse = parsers[format];
+  if (!parse) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+  const result = parse(String(text || ''));
+  result.messages = result.messages.map(message => ({
+    ...message,
+    timestamp: toIso(message.timestamp),
+    images: (message.images || []).filter(image => typeof image.data === 'string' && image.data.startsWith('data:image/'))
+  }));
+  return result;
+}
+
+// Guess the format from a file name, falling back to sniffing the content
+function detectImportFormat(fileName, text) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl';
+  if (extension === 'json') return 'json';
+  const trimmed = String(text || '').trimStart();
+  if (trimmed.startsWith('{') && trimmed.includes(JSON_FORMAT_ID)) return 'json';
+  return trimmed.startsWith('{') ? 'jsonl' : 'markdown';
+}
+
+export {
+  EXPORT_FORMATS,
+  exportSession,
+  parseSessionImport,
+  detectImportFormat
+};
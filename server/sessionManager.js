@@ -1,11 +1,66 @@
+import { EventEmitter } from 'events';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { getCliProvider, getSessionsRoot } from './cli-config.js';
+import { buildContext, normalizeContextSettings } from './context-builder.js';
+import { sessionDb } from './database/db.js';
+import { exportSession, parseSessionImport } from './session-transfer.js';
 
-class SessionManager {
+// Sessions live in SQLite (geminicliui_sessions / geminicliui_session_messages) and are
+// loaded on first use. A <sessionId>.json copy is still written for external tools
+// unless SESSION_JSON_MIRROR=0. Failed writes are logged and emitted as 'write-error'.
+
+const JSON_MIGRATION = 'json-sessions-v1';
+const MAX_CACHED_SESSIONS = 200;
+const MIRROR_DELAY_MS = 250;
+
+function summarize(content) {
+  if (!content) {
+    return 'New Session';
+  }
+  return content.length > 50 ? content.substring(0, 50) + '...' : content;
+}
+
+// Turn free text into an FTS5 query: every word must appear, the last one as a prefix
+function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.map((word, i) => `"${word}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Split a snippet marked with \u0002...\u0003 into plain and highlighted parts
+function splitSnippet(snippet) {
+  const parts = [];
+  for (const piece of (snippet || '').split('\u0002')) {
+    const [match, rest] = piece.includes('\u0003') ? piece.split('\u0003') : [null, piece];
+    if (match) parts.push({ text: match, highlight: true });
+    if (rest) parts.push({ text: rest, highlight: false });
+  }
+  return parts;
+}
+
+function parseToolUse(content) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    return { name: 'Unknown', input: content };
+  }
+}
+
+function parseContextSettings(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+class SessionManager extends EventEmitter {
   constructor() {
-    // Store sessions in memory with conversation history
+    super();
+    // Recently used sessions with their messages, in least-recently-used order
     this.sessions = new Map();
+    this.mirrorTimers = new Map();
     this.sessionsDir = getSessionsRoot();
     this.initSessionsDir();
   }
@@ -18,6 +73,28 @@ class SessionManager {
     }
   }
 
+  isMirrorEnabled() {
+    return process.env.SESSION_JSON_MIRROR !== '0';
+  }
+
+  reportWriteError(sessionId, operation, error) {
+    console.error(`Failed to ${operation} for session ${sessionId}:`, error.message);
+    this.emit('write-error', { sessionId, operation, error });
+  }
+
+  cacheSession(session) {
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+    while (this.sessions.size > MAX_CACHED_SESSIONS) {
+      const oldestId = this.sessions.keys().next().value;
+      if (this.mirrorTimers.has(oldestId)) {
+        break;
+      }
+      this.sessions.delete(oldestId);
+    }
+    return session;
+  }
+
   // Create a new session
   createSession(sessionId, projectPath, providerOverride = null) {
     const session = {
@@ -25,167 +102,306 @@ class SessionManager {
       projectPath: projectPath,
       provider: providerOverride || getCliProvider(),
       externalSessionId: null,
+      contextSettings: {},
+      parentSessionId: null,
+      parentMessageId: null,
+      title: null,
+      titleSource: null,
+      description: null,
       messages: [],
       createdAt: new Date(),
       lastActivity: new Date()
     };
-    
-    this.sessions.set(sessionId, session);
+
+    try {
+      sessionDb.createSession({
+        id: session.id,
+        projectPath: session.projectPath || '',
+        provider: session.provider,
+        externalSessionId: null,
+        contextSettings: null,
+        createdAt: session.createdAt.toISOString(),
+        lastActivity: session.lastActivity.toISOString()
+      });
+    } catch (error) {
+      this.reportWriteError(sessionId, 'create session', error);
+    }
+
+    this.cacheSession(session);
     this.saveSession(sessionId);
-    
+
     return session;
   }
 
-  // Add a message to session
-  addMessage(sessionId, role, content) {
-    let session = this.sessions.get(sessionId);
-    
+  // Add a message to session; images are { name, mimeType, data } from upload-images
+  addMessage(sessionId, role, content, images = []) {
+    let session = this.getSession(sessionId);
+
     if (!session) {
       // Create session if it doesn't exist
       session = this.createSession(sessionId, '');
     }
-    
+
     const message = {
-      role: role, // 'user' or 'assistant'
+      id: null,
+      role: role, // 'user', 'assistant' or 'tool_use'
       content: content,
       timestamp: new Date()
     };
-    
+
+    try {
+      message.id = sessionDb.addMessage(sessionId, role, content, message.timestamp.toISOString(), images || []);
+    } catch (error) {
+      this.reportWriteError(sessionId, 'save message', error);
+    }
+
     session.messages.push(message);
-    session.lastActivity = new Date();
-    
+    session.lastActivity = message.timestamp;
+
     this.saveSession(sessionId);
-    
+    this.emit('message-added', { sessionId, role });
+
     return session;
   }
 
-  // Get session by ID
+  // Record a tool call so it is shown when the session is reopened and can be searched
+  addToolUse(sessionId, { id, name, input }) {
+    return this.addMessage(sessionId, 'tool_use', JSON.stringify({ id, name, input }));
+  }
+
+  // Get session by ID, loading it from the database on first use
   getSession(sessionId) {
-    return this.sessions.get(sessionId);
+    if (!sessionId) return undefined;
+
+    const cached = this.sessions.get(sessionId);
+    if (cached) {
+      return this.cacheSession(cached);
+    }
+
+    const row = sessionDb.getSession(sessionId);
+    if (!row) return undefined;
+
+    return this.cacheSession({
+      id: row.id,
+      projectPath: row.project_path,
+      provider: row.provider,
+      externalSessionId: row.external_session_id,
+      contextSettings: parseContextSettings(row.context_settings),
+      parentSessionId: row.parent_session_id,
+      parentMessageId: row.parent_message_id,
+      title: row.title,
+      titleSource: row.title_source,
+      description: row.summary,
+      messages: sessionDb.getMessages(sessionId).map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        content: msg.content,
+        timestamp: new Date(msg.created_at)
+      })),
+      createdAt: new Date(row.created_at),
+      lastActivity: new Date(row.last_activity)
+    });
   }
 
   // Track provider-specific session ID (e.g., Codex thread ID)
   setExternalSessionId(sessionId, externalSessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this.getSession(sessionId);
     if (!session) return;
     session.externalSessionId = externalSessionId;
+    try {
+      sessionDb.setExternalSessionId(sessionId, externalSessionId);
+    } catch (error) {
+      this.reportWriteError(sessionId, 'save external session ID', error);
+    }
     this.saveSession(sessionId);
   }
 
   getExternalSessionId(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this.getSession(sessionId);
     return session ? session.externalSessionId : null;
   }
 
   // Get all sessions for a project
   getProjectSessions(projectPath) {
-    const sessions = [];
-    
-    for (const [id, session] of this.sessions) {
-      if (session.projectPath === projectPath) {
-        sessions.push({
-          id: session.id,
-          summary: this.getSessionSummary(session),
-          messageCount: session.messages.length,
-          lastActivity: session.lastActivity
-        });
-      }
-    }
-    
-    return sessions.sort((a, b) => 
-      new Date(b.lastActivity) - new Date(a.lastActivity)
-    );
+    return sessionDb.getProjectSessions(projectPath).map(row => ({
+      id: row.id,
+      summary: row.title || summarize(row.first_user_message),
+      description: row.summary,
+      titleSource: row.title_source,
+      messageCount: row.message_count,
+      lastActivity: new Date(row.last_activity),
+      parentSessionId: row.parent_session_id,
+      parentMessageId: row.parent_message_id
+    }));
   }
 
-  // Get session summary
+  // Search messages of all sessions; filters are optional
+  searchMessages(text, { projectPath = null, provider = null, from = null, to = null, limit = 50 } = {}) {
+    const query = toMatchQuery(text);
+    if (!query) return [];
+
+    return sessionDb.searchMessages({ query, projectPath, provider, from, to, limit }).map(row => ({
+      sessionId: row.session_id,
+      messageId: row.id,
+      role: row.role,
+      projectPath: row.project_path,
+      provider: row.provider,
+      timestamp: row.created_at,
+      sessionSummary: summarize(row.first_user_message),
+      snippet: splitSnippet(row.snippet)
+    }));
+  }
+
+  // Get session summary: the generated or user-set title, else the start of the first prompt
   getSessionSummary(session) {
-    if (session.messages.length === 0) {
-      return 'New Session';
+    if (session.title) {
+      return session.title;
     }
-    
-    // Find first user message
     const firstUserMessage = session.messages.find(m => m.role === 'user');
-    if (firstUserMessage) {
-      const content = firstUserMessage.content;
-      return content.length > 50 ? content.substring(0, 50) + '...' : content;
+    return summarize(firstUserMessage?.content);
+  }
+
+  // Store a title and summary from the summarizer; a title set by the user is kept
+  setGeneratedSummary(sessionId, title, description) {
+    const session = this.getSession(sessionId);
+    if (!session) return;
+    try {
+      sessionDb.setGeneratedSummary(sessionId, title, description);
+    } catch (error) {
+      this.reportWriteError(sessionId, 'save session summary', error);
+      return;
     }
-    
-    return 'New Session';
+    if (session.titleSource !== 'user') {
+      session.title = title;
+      session.titleSource = 'auto';
+    }
+    session.description = description;
+    this.saveSession(sessionId);
+    this.emit('summary-updated', { sessionId, title: this.getSessionSummary(session), description });
   }
 
-  // Build conversation context for Gemini
-  buildConversationContext(sessionId, maxMessages = 10) {
-    const session = this.sessions.get(sessionId);
-    
+  // Rename a session; an empty title goes back to the first-message preview
+  setUserTitle(sessionId, title) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+    const trimmed = (title || '').trim() || null;
+    sessionDb.setUserTitle(sessionId, trimmed);
+    session.title = trimmed;
+    session.titleSource = trimmed ? 'user' : null;
+    this.saveSession(sessionId);
+    this.emit('summary-updated', { sessionId, title: this.getSessionSummary(session), description: session.description });
+    return session;
+  }
+
+  // Per-session transcript settings chosen in the chat UI (see context-builder.js)
+  setContextSettings(sessionId, settings) {
+    const session = this.getSession(sessionId);
+    if (!session) return;
+    session.contextSettings = normalizeContextSettings(settings);
+    try {
+      sessionDb.setContextSettings(sessionId, session.contextSettings);
+    } catch (error) {
+      this.reportWriteError(sessionId, 'save context settings', error);
+    }
+    this.saveSession(sessionId);
+  }
+
+  getContextSettings(sessionId) {
+    const session = this.getSession(sessionId);
+    return session ? session.contextSettings || {} : {};
+  }
+
+  // Build the earlier-turns transcript prepended to the next prompt
+  buildConversationContext(sessionId, overrides = null) {
+    const session = this.getSession(sessionId);
+
     if (!session || session.messages.length === 0) {
       return '';
     }
-    
-    // Get last N messages for context
-    const recentMessages = session.messages.slice(-maxMessages);
-    
-    let context = '以下は過去の会話履歴です:\n\n';
-    
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        context += `ユーザー: ${msg.content}\n`;
-      } else {
-        context += `アシスタント: ${msg.content}\n`;
-      }
+
+    return buildContext(session.messages, {
+      provider: session.provider,
+      settings: { ...session.contextSettings, ...normalizeContextSettings(overrides) }
+    });
+  }
+
+  // Write the JSON copy of a session; bursts of changes are coalesced into one write
+  saveSession(sessionId) {
+    if (!this.isMirrorEnabled() || this.mirrorTimers.has(sessionId)) {
+      return;
     }
-    
-    context += '\n上記の会話履歴を踏まえて、次の質問に答えてください:\n';
-    
-    return context;
+    this.mirrorTimers.set(sessionId, setTimeout(() => {
+      this.mirrorTimers.delete(sessionId);
+      this.writeSessionFile(sessionId);
+    }, MIRROR_DELAY_MS));
   }
 
-  // Save session to disk
-  async saveSession(sessionId) {
+  async writeSessionFile(sessionId) {
     const session = this.sessions.get(sessionId);
     if (!session) return;
-    
+
     try {
       const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
       await fs.writeFile(filePath, JSON.stringify(session, null, 2));
     } catch (error) {
-      // console.error('Error saving session:', error);
+      this.reportWriteError(sessionId, 'write session file', error);
     }
   }
 
-  // Load sessions from disk
-  async loadSessions() {
+  // One-time import of <sessionId>.json files written before sessions moved to SQLite
+  async migrateJsonSessions() {
+    if (sessionDb.hasMigration(JSON_MIGRATION)) {
+      return 0;
+    }
+
+    let files = [];
     try {
-      const files = await fs.readdir(this.sessionsDir);
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          try {
-            const filePath = path.join(this.sessionsDir, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const session = JSON.parse(data);
-            
-            // Convert dates
-            session.createdAt = new Date(session.createdAt);
-            session.lastActivity = new Date(session.lastActivity);
-            session.messages.forEach(msg => {
-              msg.timestamp = new Date(msg.timestamp);
-            });
-            
-            this.sessions.set(session.id, session);
-          } catch (error) {
-            // console.error(`Error loading session ${file}:`, error);
-          }
-        }
-      }
+      files = await fs.readdir(this.sessionsDir);
     } catch (error) {
-      // console.error('Error loading sessions:', error);
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    let imported = 0;
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const data = await fs.readFile(path.join(this.sessionsDir, file), 'utf8');
+        const session = JSON.parse(data);
+        if (!session.id || !Array.isArray(session.messages)) continue;
+
+        const toIso = (value) => new Date(value || Date.now()).toISOString();
+        const added = sessionDb.importSession({
+          id: session.id,
+          projectPath: session.projectPath || '',
+          provider: session.provider || null,
+          externalSessionId: session.externalSessionId || null,
+          contextSettings: session.contextSettings ? JSON.stringify(session.contextSettings) : null,
+          createdAt: toIso(session.createdAt),
+          lastActivity: toIso(session.lastActivity)
+        }, session.messages.map(msg => ({
+          role: msg.role,
+          content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content),
+          createdAt: toIso(msg.timestamp)
+        })));
+        if (added) imported += 1;
+      } catch (error) {
+        console.error(`Skipping session file ${file}:`, error.message);
+      }
     }
+
+    sessionDb.recordMigration(JSON_MIGRATION);
+    return imported;
   }
 
   // Delete a session
   async deleteSession(sessionId) {
     this.sessions.delete(sessionId);
-    
+    clearTimeout(this.mirrorTimers.get(sessionId));
+    this.mirrorTimers.delete(sessionId);
+    sessionDb.deleteSession(sessionId);
+
     try {
       const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
       await fs.unlink(filePath);
@@ -194,26 +410,114 @@ class SessionManager {
     }
   }
 
+  // Images are only kept in the database; group them by message ID
+  getSessionImages(sessionId) {
+    const images = new Map();
+    for (const row of sessionDb.getSessionImages(sessionId)) {
+      if (!images.has(row.message_id)) {
+        images.set(row.message_id, []);
+      }
+      images.get(row.message_id).push({ name: row.name, mimeType: row.mime_type, data: row.data });
+    }
+    return images;
+  }
+
+  // Start a new session from the history of another one. Forking at a user message leaves
+  // that message out so it can be edited and sent again; any other message is kept.
+  forkSession(sessionId, messageId) {
+    const source = this.getSession(sessionId);
+    const target = source?.messages.find(msg => msg.id === messageId);
+    if (!target) return null;
+
+    const provider = source.provider || getCliProvider();
+    const forkId = `${provider}_${Date.now()}`;
+    const now = new Date().toISOString();
+    sessionDb.forkSession({
+      id: forkId,
+      projectPath: source.projectPath || '',
+      provider,
+      contextSettings: JSON.stringify(source.contextSettings || {}),
+      parentSessionId: sessionId,
+      parentMessageId: messageId,
+      createdAt: now,
+      lastActivity: now
+    }, sessionId, target.role === 'user' ? target.id : target.id + 1);
+
+    const session = this.getSession(forkId);
+    this.saveSession(forkId);
+    return { session, prompt: target.role === 'user' ? target.content : null };
+  }
+
+  // Render a session as markdown, json or jsonl (see session-transfer.js)
+  exportSession(sessionId, format) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const images = this.getSessionImages(sessionId);
+    const messages = session.messages.map(msg => ({ ...msg, images: images.get(msg.id) || [] }));
+    return exportSession({ ...session, summary: this.getSessionSummary(session) }, messages, format);
+  }
+
+  // Create a new session under a project from an exported file
+  importSession(projectPath, provider, text, format) {
+    const parsed = parseSessionImport(text, format);
+    const sessionId = `${provider}_${Date.now()}`;
+    const now = new Date().toISOString();
+
+    sessionDb.importSession({
+      id: sessionId,
+      projectPath: projectPath || '',
+      provider,
+      externalSessionId: null,
+      contextSettings: JSON.stringify(normalizeContextSettings(parsed.contextSettings)),
+      createdAt: parsed.messages[0]?.timestamp || now,
+      lastActivity: now
+    }, parsed.messages.map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      createdAt: msg.timestamp,
+      images: msg.images
+    })));
+
+    const session = this.getSession(sessionId);
+    this.saveSession(sessionId);
+    return session;
+  }
+
   // Get session messages for display
   getSessionMessages(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this.getSession(sessionId);
     if (!session) return [];
-    
-    return session.messages.map(msg => ({
-      type: 'message',
-      message: {
-        role: msg.role,
-        content: msg.content
-      },
-      timestamp: msg.timestamp.toISOString()
-    }));
+
+    const images = this.getSessionImages(sessionId);
+    return session.messages.map(msg => {
+      if (msg.role === 'tool_use') {
+        const tool = parseToolUse(msg.content);
+        return {
+          id: msg.id,
+          type: 'message',
+          message: {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id: tool.id, name: tool.name, input: tool.input }]
+          },
+          timestamp: msg.timestamp.toISOString()
+        };
+      }
+      return {
+        id: msg.id,
+        type: 'message',
+        message: {
+          role: msg.role,
+          content: msg.content
+        },
+        images: images.get(msg.id),
+        timestamp: msg.timestamp.toISOString()
+      };
+    });
   }
 }
 
-// Singleton instance
+// Singleton instance; migrateJsonSessions() runs once the database is initialized
 const sessionManager = new SessionManager();
 
-// Load existing sessions on startup
-sessionManager.loadSessions();
-
 export default sessionManager;
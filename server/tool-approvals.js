@@ -0,0 +1,171 @@
+// Interactive tool approval
+//
+// Providers that can pause a run to ask for permission (see permissionPrompts in
+// provider-registry.js) report each tool call that needs it. Calls matching the project's
+// allowed tools (see tool-profiles.js) are approved right away, calls matching the
+// disallowed tools are refused, and the rest are sent to the chat client as a permission
+// request and wait for an answer. Shell commands are also checked against the command
+// safety rules (see command-safety.js) first. Every decision is recorded. A request belongs
+// to the client it was sent to: only that client can answer it, and it is denied when that
+// client disconnects.
+
+import { toolApprovalDb } from './database/db.js';
+import { allowToolForProject, resolveToolSettings } from './tool-profiles.js';
+import { analyzeToolCall } from './command-safety.js';
+
+const pending = new Map(); // requestId -> { sessionId, projectPath, toolName, owner, finish }
+let requestCounter = 0;
+
+// A rule is a tool name, or "Name(prefix:*)" to match shell commands starting with prefix
+function matchesToolRule(rule, toolName, input) {
+  const match = rule.match(/^([^(]+)\((.*)\)$/);
+  if (!match) {
+    return rule === toolName;
+  }
+  const [, ruleTool, pattern] = match;
+  if (ruleTool !== toolName) {
+    return false;
+  }
+  const command = typeof input?.command === 'string' ? input.command.trim() : '';
+  return pattern.endsWith(':*') ? command.startsWith(pattern.slice(0, -2)) : command === pattern;
+}
+
+function record(request, decision, reason) {
+  try {
+    toolApprovalDb.recordDecision({ ...request, decision, reason });
+  } catch (error) {
+    console.error('Failed to record tool decision:', error.message);
+  }
+}
+
+// Run the safety rules on a tool call and tell the client about any match. Returns the
+// analysis, or null when nothing matched.
+function checkCommandSafety({ sessionId, projectPath, toolName, input, emit }, settings, outcome) {
+  const safety = analyzeToolCall(toolName, input, { projectPath, rules: settings.safetyRules });
+  if (safety) {
+    const { action, matches, command } = safety;
+    emit({ type: 'safety-warning', sessionId, toolName, command, action, matches, outcome: outcome(action) });
+  }
+  return safety;
+}
+
+// Decide on a tool call. Resolves with { allow, reason }; `emit` sends run events to the
+// client, `canAsk` says whether anyone is there to answer and `owner` identifies that client
+// (the chat WebSocket). The project's profile is read on every call, so tools allowed earlier
+// in the same run count.
+function requestToolApproval({ sessionId, projectPath, provider, toolName, input, emit, canAsk, owner = null }) {
+  const request = { sessionId, projectPath, provider, toolName, input };
+  const settings = resolveToolSettings(projectPath);
+  const matches = (rules) => (rules || []).some(rule => matchesToolRule(rule, toolName, input));
+
+  if (matches(settings.disallowedTools)) {
+    record(request, 'deny', 'disallowed-tools');
+    return Promise.resolve({ allow: false, reason: 'disallowed-tools' });
+  }
+  const safety = checkCommandSafety({ sessionId, projectPath, toolName, input, emit }, settings, action => {
+    if (action === 'block') return 'blocked';
+    if (action === 'confirm') return canAsk ? 'confirm' : 'blocked';
+    return 'allowed';
+  });
+  if (safety?.action === 'block' || (safety?.action === 'confirm' && !canAsk)) {
+    record(request, 'deny', 'safety-rule');
+    return Promise.resolve({ allow: false, reason: 'safety-rule' });
+  }
+  // A command that needs confirmation is asked about even in YOLO mode or when allowed
+  if (safety?.action !== 'confirm' && (settings.skipPermissions || matches(settings.allowedTools))) {
+    const reason = settings.skipPermissions ? 'yolo' : 'allowed-tools';
+    record(request, 'allow', reason);
+    return Promise.resolve({ allow: true, reason });
+  }
+  if (!canAsk) {
+    record(request, 'deny', 'no-client');
+    return Promise.resolve({ allow: false, reason: 'no-client' });
+  }
+
+  requestCounter += 1;
+  const requestId = `perm_${Date.now()}_${requestCounter}`;
+  return new Promise(resolve => {
+    const finish = (allow, reason) => {
+      pending.delete(requestId);
+      record(request, allow ? 'allow' : 'deny', reason);
+      emit({ type: 'permission-resolved', requestId, allow, reason });
+      resolve({ allow, reason });
+    };
+    pending.set(requestId, { sessionId, projectPath, toolName, owner, finish });
+    emit({ type: 'permission-request', requestId, sessionId, toolName, input });
+  });
+}
+
+// For providers that can't pause a run: check a tool call the CLI has already started.
+// Returns true when the run should be stopped because a 'confirm' or 'block' rule matched.
+function reviewToolCall({ sessionId, projectPath, provider, toolName, input, emit }) {
+  const settings = resolveToolSettings(projectPath);
+  const safety = checkCommandSafety({ sessionId, projectPath, toolName, input, emit }, settings,
+    action => action === 'warn' ? 'allowed' : 'stopped');
+  if (!safety || safety.action === 'warn') {
+    return false;
+  }
+  record({ sessionId, projectPath, provider, toolName, input }, 'deny', 'safety-rule');
+  return true;
+}
+
+// Answer a pending request with 'allow', 'deny' or 'always' (allow and add the tool to the
+// project's allowed tools). Returns false when the request is no longer waiting, or when
+// owner is given and the request was sent to another client.
+function answerToolApproval(requestId, decision, owner = null) {
+  const entry = pending.get(requestId);
+  if (!entry || (owner && entry.owner !== owner)) {
+    return false;
+  }
+  if (decision === 'always') {
+    try {
+      allowToolForProject(entry.projectPath, entry.toolName);
+    } catch (error) {
+      console.error('Failed to save always-allowed tool:', error.message);
+    }
+  }
+  const allow = decision === 'allow' || decision === 'always';
+  entry.finish(allow, decision === 'always' ? 'user-always' : 'user');
+  return true;
+}
+
+// Deny everything a session is still waiting on, e.g. when its run ends or is aborted
+function cancelToolApprovals(sessionId, reason = 'cancelled') {
+  for (const entry of [...pending.values()]) {
+    if (entry.sessionId === sessionId) {
+      entry.finish(false, reason);
+    }
+  }
+}
+
+// Deny everything sent to a client that went away; nobody else can answer it
+function cancelClientToolApprovals(owner, reason = 'client-disconnected') {
+  for (const entry of [...pending.values()]) {
+    if (entry.owner === owner) {
+      entry.finish(false, reason);
+    }
+  }
+}
+
+function listToolDecisions(projectPath, sessionId = null) {
+  return toolApprovalDb.getDecisions({ projectPath, sessionId }).map(row => ({
+    id: row.id,
+    sessionId: row.session_id,
+    provider: row.provider,
+    toolName: row.tool_name,
+    input: JSON.parse(row.input),
+    decision: row.decision,
+    reason: row.reason,
+    createdAt: row.created_at
+  }));
+}
+
+export {
+  matchesToolRule,
+  requestToolApproval,
+  reviewToolCall,
+  answerToolApproval,
+  cancelToolApprovals,
+  cancelClientToolApprovals,
+  listToolDecisions
+};
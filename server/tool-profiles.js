@@ -0,0 +1,135 @@
+// Tool permission profiles
+//
+// Allowed and disallowed tools, YOLO mode, command safety rules and the default provider
+// and model are stored on the server: once globally and optionally per project. A project profile holds only
+// the fields it overrides; everything else comes from the global profile. Runs and shells
+// resolve their settings here instead of taking them from the client.
+
+import { toolProfileDb } from './database/db.js';
+import { getProviderAdapter } from './provider-registry.js';
+import { normalizeProvider } from './cli-config.js';
+import { DEFAULT_SAFETY_RULES, sanitizeSafetyRules } from './command-safety.js';
+
+const GLOBAL_PROFILE = '';
+const PROFILE_FIELDS = ['allowedTools', 'disallowedTools', 'skipPermissions', 'safetyRules', 'provider', 'model'];
+
+const DEFAULT_SETTINGS = {
+  allowedTools: [],
+  disallowedTools: [],
+  skipPermissions: false,
+  safetyRules: DEFAULT_SAFETY_RULES,
+  provider: null,
+  model: null
+};
+
+// Keep the known fields with the right types; null or missing fields are dropped
+function sanitizeProfile(profile = {}) {
+  const settings = {};
+  for (const field of PROFILE_FIELDS) {
+    const value = profile?.[field];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (field === 'allowedTools' || field === 'disallowedTools') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${field} must be an array of tool names`);
+      }
+      settings[field] = [...new Set(value.filter(tool => typeof tool === 'string' && tool.trim()).map(tool => tool.trim()))];
+    } else if (field === 'safetyRules') {
+      settings[field] = sanitizeSafetyRules(value);
+    } else if (field === 'skipPermissions') {
+      settings[field] = !!value;
+    } else if (typeof value === 'string' && value.trim()) {
+      settings[field] = value.trim();
+    }
+  }
+  return settings;
+}
+
+// A profile with every field present; null means "not set here"
+function formatProfile(stored) {
+  const profile = { updatedAt: stored?.updatedAt || null };
+  for (const field of PROFILE_FIELDS) {
+    profile[field] = stored?.settings[field] ?? null;
+  }
+  return profile;
+}
+
+function getGlobalToolProfile() {
+  return formatProfile(toolProfileDb.getProfile(GLOBAL_PROFILE));
+}
+
+function saveGlobalToolProfile(profile) {
+  toolProfileDb.saveProfile(GLOBAL_PROFILE, sanitizeProfile(profile));
+  return getGlobalToolProfile();
+}
+
+function getProjectToolProfile(projectPath) {
+  return formatProfile(toolProfileDb.getProfile(projectPath));
+}
+
+function saveProjectToolProfile(projectPath, profile) {
+  const settings = sanitizeProfile(profile);
+  if (Object.keys(settings).length === 0) {
+    toolProfileDb.deleteProfile(projectPath);
+  } else {
+    toolProfileDb.saveProfile(projectPath, settings);
+  }
+  return getProjectToolProfile(projectPath);
+}
+
+function deleteProjectToolProfile(projectPath) {
+  toolProfileDb.deleteProfile(projectPath);
+}
+
+// The settings a run in projectPath uses, with where each field came from
+function resolveToolSettings(projectPath) {
+  const global = toolProfileDb.getProfile(GLOBAL_PROFILE)?.settings || {};
+  const project = (projectPath && toolProfileDb.getProfile(projectPath)?.settings) || {};
+  const settings = {};
+  const sources = {};
+  for (const field of PROFILE_FIELDS) {
+    if (field in project) {
+      settings[field] = project[field];
+      sources[field] = 'project';
+    } else if (field in global) {
+      settings[field] = global[field];
+      sources[field] = 'global';
+    } else {
+      settings[field] = DEFAULT_SETTINGS[field];
+      sources[field] = 'default';
+    }
+  }
+
+  settings.provider = normalizeProvider(settings.provider);
+  // A global model belongs to the global provider; a project that only switches the
+  // provider gets that provider's default model instead
+  if (sources.model === 'global' && sources.provider === 'project' && normalizeProvider(global.provider) !== settings.provider) {
+    settings.model = null;
+    sources.model = 'default';
+  }
+  if (!settings.model) {
+    settings.model = getProviderAdapter(settings.provider).defaultModel || null;
+  }
+  return { ...settings, sources };
+}
+
+// "Always allow" from an approval prompt: add the tool to the project's allowed tools,
+// starting from the global list if the project doesn't override it yet
+function allowToolForProject(projectPath, toolName) {
+  const stored = toolProfileDb.getProfile(projectPath)?.settings || {};
+  const allowedTools = stored.allowedTools || resolveToolSettings(projectPath).allowedTools;
+  if (!allowedTools.includes(toolName)) {
+    toolProfileDb.saveProfile(projectPath, { ...stored, allowedTools: [...allowedTools, toolName] });
+  }
+}
+
+export {
+  getGlobalToolProfile,
+  saveGlobalToolProfile,
+  getProjectToolProfile,
+  saveProjectToolProfile,
+  deleteProjectToolProfile,
+  resolveToolSettings,
+  allowToolForProject
+};
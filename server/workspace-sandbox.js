@@ -0,0 +1,89 @@
+// Workspace path sandboxing
+//
+// The file endpoints take paths from the client. A path is accepted only if it resolves,
+// with symlinks followed, inside the project root or one of the extra roots listed in
+// WORKSPACE_ALLOWED_ROOTS (separated like PATH). Relative paths are taken from the
+// project root. Rejected paths are logged.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Follow symlinks as far as the path exists; the missing rest is appended as is
+async function realpathLenient(targetPath) {
+  const missing = [];
+  let current = targetPath;
+  for (;;) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing);
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) {
+        throw error;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+// Names that merely start with dots, like '..env.backup', are inside
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+function getExtraRoots() {
+  return (process.env.WORKSPACE_ALLOWED_ROOTS || '')
+    .split(path.delimiter)
+    .map(root => root.trim())
+    .filter(Boolean)
+    .map(root => path.resolve(root.replace(/^~(?=$|\/)/, os.homedir())));
+}
+
+// The real paths of the roots file requests in projectRoot may touch
+async function getWorkspaceRoots(projectRoot) {
+  const roots = [];
+  for (const root of [projectRoot, ...getExtraRoots()]) {
+    try {
+      roots.push(await fs.realpath(root));
+    } catch (error) {
+      // A root that doesn't exist can't contain anything
+    }
+  }
+  return roots;
+}
+
+// Resolve a client path against the project's workspace. Returns the absolute path, or null
+// (after logging why) when it points outside every allowed root.
+async function resolveWorkspacePath(projectRoot, requestedPath, { operation = 'access', user = null } = {}) {
+  const reject = (reason) => {
+    console.warn(`Rejected file ${operation} by ${user || 'unknown user'}: ${requestedPath} (${reason}; project ${projectRoot || 'unknown'})`);
+    return null;
+  };
+
+  if (typeof requestedPath !== 'string' || !requestedPath || requestedPath.includes('\0')) {
+    return reject('invalid path');
+  }
+  if (!projectRoot || !path.isAbsolute(projectRoot) || path.dirname(projectRoot) === projectRoot) {
+    return reject('no usable project root');
+  }
+
+  const resolved = path.resolve(projectRoot, requestedPath);
+  const roots = await getWorkspaceRoots(projectRoot);
+  let real;
+  try {
+    real = await realpathLenient(resolved);
+  } catch (error) {
+    return reject(error.code || error.message);
+  }
+  if (!roots.some(root => isWithin(root, real))) {
+    return reject(real === resolved ? 'outside the workspace' : `resolves to ${real}, outside the workspace`);
+  }
+  return resolved;
+}
+
+export {
+  resolveWorkspacePath
+};
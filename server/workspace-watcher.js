@@ -0,0 +1,163 @@
+// Live file changes for open projects
+//
+// Each chat client tells the server which project it has open. The project directory gets
+// one chokidar watcher, shared by every client that has it open and closed when the last
+// one leaves. Changes are batched briefly and sent as a file-changes message carrying the
+// fields the file tree needs to patch itself, so clients don't refetch the whole tree.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import chokidar from 'chokidar';
+import { describeEntryStats } from './file-operations.js';
+import { getGitIgnored, isIgnoredName } from './file-listing.js';
+
+// Folders deeper than this are refreshed when they are expanded instead
+const WATCH_DEPTH = 3;
+const BATCH_DELAY = 150;
+
+const workspaces = new Map(); // projectRoot -> { watcher, clients: Map<ws, projectName>, changes, timer, ready }
+const clientRoots = new Map(); // ws -> projectRoot
+
+function send(client, message) {
+  if (client.readyState === client.OPEN) {
+    client.send(JSON.stringify(message));
+  }
+}
+
+function sendWatchStatus(client, projectName, watching, error = null) {
+  send(client, { type: 'project-watch', projectName, watching, ...(error ? { error } : {}) });
+}
+
+// Drop added or changed entries that .gitignore hides from the file tree
+async function withoutGitIgnored(changes) {
+  const namesByDir = new Map();
+  for (const change of changes) {
+    if (change.event !== 'unlink' && change.event !== 'unlinkDir') {
+      const dir = path.dirname(change.path);
+      namesByDir.set(dir, [...(namesByDir.get(dir) || []), change.name]);
+    }
+  }
+  const ignored = new Set();
+  for (const [dir, names] of namesByDir) {
+    for (const name of await getGitIgnored(dir, names)) {
+      ignored.add(path.join(dir, name));
+    }
+  }
+  return changes.filter(change => !ignored.has(change.path));
+}
+
+async function flushChanges(projectRoot) {
+  const workspace = workspaces.get(projectRoot);
+  if (!workspace) return;
+  workspace.timer = null;
+  const changes = await withoutGitIgnored(workspace.changes.splice(0));
+  if (changes.length === 0) return;
+  const timestamp = new Date().toISOString();
+  for (const [client, projectName] of workspace.clients) {
+    send(client, { type: 'file-changes', projectName, root: projectRoot, changes, timestamp });
+  }
+}
+
+function queueChange(projectRoot, event, filePath, stats) {
+  const workspace = workspaces.get(projectRoot);
+  if (!workspace) return;
+  const change = { event, path: filePath };
+  if (event === 'add' || event === 'addDir' || event === 'change') {
+    change.name = path.basename(filePath);
+    change.type = event === 'addDir' ? 'directory' : 'file';
+    if (stats) {
+      Object.assign(change, describeEntryStats(stats));
+    }
+  }
+  // Only the last event for a path within one batch matters
+  workspace.changes = workspace.changes.filter(queued => queued.path !== filePath);
+  workspace.changes.push(change);
+  if (!workspace.timer) {
+    workspace.timer = setTimeout(() => flushChanges(projectRoot), BATCH_DELAY);
+  }
+}
+
+function closeWorkspace(projectRoot) {
+  const workspace = workspaces.get(projectRoot);
+  if (!workspace) return;
+  clearTimeout(workspace.timer);
+  workspace.watcher.close().catch(() => {});
+  workspaces.delete(projectRoot);
+  for (const client of workspace.clients.keys()) {
+    clientRoots.delete(client);
+  }
+}
+
+function createWorkspace(projectRoot) {
+  const watcher = chokidar.watch(projectRoot, {
+    ignored: (filePath) => path.relative(projectRoot, filePath).split(path.sep).some(name => name === '.git' || isIgnoredName(name)),
+    ignoreInitial: true,
+    followSymlinks: false,
+    depth: WATCH_DEPTH,
+    alwaysStat: true
+  });
+  const workspace = { watcher, clients: new Map(), changes: [], timer: null, ready: false };
+
+  for (const event of ['add', 'addDir', 'change', 'unlink', 'unlinkDir']) {
+    watcher.on(event, (filePath, stats) => queueChange(projectRoot, event, filePath, stats));
+  }
+  watcher.on('ready', () => {
+    workspace.ready = true;
+    for (const [client, projectName] of workspace.clients) {
+      sendWatchStatus(client, projectName, true);
+    }
+  });
+  watcher.on('error', (error) => {
+    console.error(`File watcher for ${projectRoot} stopped:`, error.message);
+    for (const [client, projectName] of workspace.clients) {
+      sendWatchStatus(client, projectName, false, error.message);
+    }
+    closeWorkspace(projectRoot);
+  });
+  return workspace;
+}
+
+// Stop sending file changes to a client, closing its watcher if nobody else uses it
+function unwatchClient(client) {
+  const projectRoot = clientRoots.get(client);
+  if (!projectRoot) return;
+  clientRoots.delete(client);
+  const workspace = workspaces.get(projectRoot);
+  if (!workspace) return;
+  workspace.clients.delete(client);
+  if (workspace.clients.size === 0) {
+    closeWorkspace(projectRoot);
+  }
+}
+
+// Send a client the file changes of projectRoot, replacing the project it watched before.
+// The client gets a project-watch message once the watcher is running.
+async function watchProject(client, projectName, projectRoot) {
+  if (!path.isAbsolute(projectRoot) || path.dirname(projectRoot) === projectRoot) {
+    throw new Error(`Cannot watch ${projectRoot}`);
+  }
+  const stats = await fs.stat(projectRoot);
+  if (!stats.isDirectory()) {
+    throw new Error(`Not a directory: ${projectRoot}`);
+  }
+
+  if (clientRoots.get(client) !== projectRoot) {
+    unwatchClient(client);
+  }
+  let workspace = workspaces.get(projectRoot);
+  if (!workspace) {
+    workspace = createWorkspace(projectRoot);
+    workspaces.set(projectRoot, workspace);
+  }
+  workspace.clients.set(client, projectName);
+  clientRoots.set(client, projectRoot);
+  if (workspace.ready) {
+    sendWatchStatus(client, projectName, true);
+  }
+}
+
+export {
+  watchProject,
+  unwatchClient,
+  sendWatchStatus
+};
@@ -28,11 +28,12 @@ import QuickSettingsPanel from './components/QuickSettingsPanel';
 import ErrorBoundary from './components/ErrorBoundary';
 
 import { useWebSocket } from './utils/websocket';
+import { connectLanguageClient } from './utils/languageClient';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { AuthProvider } from './contexts/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import { useVersionCheck } from './hooks/useVersionCheck';
-import { api } from './utils/api';
+import { api, getSelectedProvider } from './utils/api';
 import { copyToClipboard } from './lib/utils';
 
 
@@ -47,6 +48,8 @@ function AppContent() {
   const [projects, setProjects] = useState([]);
   const [selectedProject, setSelectedProject] = useState(null);
   const [selectedSession, setSelectedSession] = useState(null);
+  // Message to scroll to after opening a session from search results
+  const [messageTarget, setMessageTarget] = useState(null);
   const [activeTab, setActiveTab] = useState('chat'); // 'chat' or 'files'
   const [isMobile, setIsMobile] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -100,6 +103,24 @@ function AppContent() {
     fetchProjects();
   }, []);
 
+  // Ask the server for live file changes of the open project; sent again after a reconnect
+  useEffect(() => {
+    if (!ws) {
+      window.dispatchEvent(new CustomEvent('project-watch', { detail: { projectName: null, watching: false } }));
+      return;
+    }
+    ws.send(JSON.stringify({
+      type: 'watch-project',
+      projectName: selectedProject?.name || null,
+      provider: getSelectedProvider()
+    }));
+  }, [ws, selectedProject?.name]);
+
+  // The editor's language servers talk over the same connection
+  useEffect(() => {
+    connectLanguageClient(ws);
+  }, [ws]);
+
   // Helper function to determine if an update is purely additive (new sessions/projects)
   // vs modifying existing selected items that would interfere with active conversations
   const isUpdateAdditive = (currentProjects, updatedProjects, selectedProject, selectedSession) => {
@@ -202,6 +223,30 @@ function AppContent() {
             }
           }
         }
+      } else if (latestMessage.type === 'files_updated') {
+        // Another client (or this one) changed files; open file trees refresh on this event
+        window.dispatchEvent(new CustomEvent('file-operation', {
+          detail: {
+            projectName: latestMessage.projectName,
+            operation: latestMessage.operation,
+            paths: latestMessage.paths
+          }
+        }));
+      } else if (latestMessage.type === 'file-changes' || latestMessage.type === 'project-watch') {
+        // Live changes from the project's file watcher; the file tree and editor patch themselves
+        window.dispatchEvent(new CustomEvent(latestMessage.type, { detail: latestMessage }));
+      } else if (latestMessage.type === 'session-summary-updated') {
+        // Patch the title in place; a full refresh would disturb an active conversation
+        const { sessionId, summary, description } = latestMessage;
+        const patchSession = (session) =>
+          session.id === sessionId ? { ...session, summary, description } : session;
+        const patchProject = (project) => project.sessions?.some(s => s.id === sessionId)
+          ? { ...project, sessions: project.sessions.map(patchSession) }
+          : project;
+
+        setProjects(prev => prev.map(patchProject));
+        setSelectedProject(prev => prev ? patchProject(prev) : prev);
+        setSelectedSession(prev => prev ? patchSession(prev) : prev);
       }
     }
   }, [messages, selectedProject, selectedSession, activeSessions]);
@@ -283,8 +328,9 @@ function AppContent() {
     }
   };
 
-  const handleSessionSelect = (session) => {
+  const handleSessionSelect = (session, messageId = null) => {
     setSelectedSession(session);
+    setMessageTarget(messageId ? { sessionId: session.id, messageId } : null);
     // Only switch to chat tab when user explicitly selects a session
     // This prevents tab switching during automatic updates
     if (activeTab !== 'git' && activeTab !== 'preview') {
@@ -595,6 +641,8 @@ function AppContent() {
           autoExpandTools={autoExpandTools}
           showRawParameters={showRawParameters}
           autoScrollToBottom={autoScrollToBottom}
+          messageTarget={messageTarget}
+          onMessageTargetHandled={() => setMessageTarget(null)}
         />
       </main>
 
@@ -634,6 +682,7 @@ function AppContent() {
       <ToolsSettings
         isOpen={showToolsSettings}
         onClose={() => setShowToolsSettings(false)}
+        selectedProject={selectedProject}
       />
 
       {/* Version Upgrade Modal */}
@@ -23,13 +23,15 @@ import TodoList from './TodoList';
 import GeminiLogo from './GeminiLogo.jsx';
 import { EnhancedMessageRenderer } from './EnhancedMessageRenderer';
 import GeminiStatus from './GeminiStatus';
+import ContextSettingsControl from './ContextSettingsControl';
+import CheckpointRevertDialog from './CheckpointRevertDialog';
 import { MicButton } from './MicButton.jsx';
 import { api } from '../utils/api';
 import { playNotificationSound } from '../utils/notificationSound';
 import * as webllmEngine from '../utils/webllmEngine';
 
 // Memoized message component to prevent unnecessary re-renders
-const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFileOpen, onShowSettings, autoExpandTools, showRawParameters, providerLabel, markdownComponents, onInlineCodeClick }) => {
+const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFileOpen, onShowSettings, autoExpandTools, showRawParameters, providerLabel, markdownComponents, onInlineCodeClick, onFork, checkpoint, onRevert, onPermissionDecision }) => {
   const isGrouped = prevMessage && prevMessage.type === message.type && 
                    prevMessage.type === 'assistant' && 
                    !prevMessage.isToolUse && !message.isToolUse;
@@ -66,6 +68,7 @@ const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFile
   return (
     <div
       ref={messageRef}
+      data-message-id={message.messageId}
       className={`chat-message ${message.type} ${isGrouped ? 'grouped' : ''} ${message.type === 'user' ? 'flex justify-end px-3 sm:px-0' : 'px-3 sm:px-0'}`}
       style={{ minHeight: '1px' }} // Prevent collapse
     >
@@ -97,6 +100,24 @@ const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFile
               </div>
             )}
             <div className="text-xs text-blue-100 mt-1 text-right">
+              {checkpoint && onRevert && (
+                <button
+                  onClick={() => onRevert(checkpoint)}
+                  className="mr-2 underline opacity-70 hover:opacity-100"
+                  title={checkpoint.files.map(file => file.path).join('\n')}
+                >
+                  {checkpoint.revertedAt ? 'Reverted' : `Revert this turn (${checkpoint.files.length} file${checkpoint.files.length === 1 ? '' : 's'})`}
+                </button>
+              )}
+              {onFork && message.messageId && (
+                <button
+                  onClick={() => onFork(message)}
+                  className="mr-2 underline opacity-70 hover:opacity-100"
+                  title="Start a new session from here and edit this message"
+                >
+                  Fork from here
+                </button>
+              )}
               {new Date(message.timestamp).toLocaleTimeString()}
             </div>
           </div>
@@ -786,6 +807,84 @@ const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFile
                   </div>
                 )}
               </div>
+            ) : message.isSafetyWarning ? (
+              // Shell command that matched a safety rule (see server/command-safety.js)
+              <div className={`rounded-lg p-4 border ${
+                message.safetyAction === 'block'
+                  ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 text-red-900 dark:text-red-100'
+                  : 'bg-orange-50 dark:bg-orange-900/20 border-orange-200 dark:border-orange-800 text-orange-900 dark:text-orange-100'
+              }`}>
+                <h4 className="font-semibold text-sm mb-2">
+                  {{
+                    blocked: 'Blocked by a command safety rule',
+                    stopped: `Stopped ${providerLabel}: command matched a safety rule`,
+                    confirm: 'Risky command - confirm before it runs',
+                    allowed: 'Command safety warning'
+                  }[message.outcome] || 'Command safety warning'}
+                </h4>
+                <pre className="text-xs bg-black/5 dark:bg-white/10 rounded p-2 mb-2 whitespace-pre-wrap break-all">
+                  {message.command}
+                </pre>
+                <ul className="text-xs space-y-0.5">
+                  {message.matches.map(match => (
+                    <li key={match.ruleId}>
+                      {match.label}{match.detail ? `: ${match.detail}` : ''}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : message.isPermissionRequest ? (
+              // Tool call waiting for approval (see server/tool-approvals.js)
+              <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4">
+                <h4 className="font-semibold text-amber-900 dark:text-amber-100 text-sm mb-2">
+                  {providerLabel} wants to use {message.toolName}
+                </h4>
+                {message.toolInput?.command ? (
+                  <pre className="text-xs bg-amber-100 dark:bg-amber-800/30 text-amber-900 dark:text-amber-100 rounded p-2 mb-3 whitespace-pre-wrap break-all">
+                    {message.toolInput.command}
+                  </pre>
+                ) : message.toolInput?.file_path ? (
+                  <p className="text-xs font-mono text-amber-800 dark:text-amber-200 mb-3 break-all">
+                    {message.toolInput.file_path}
+                  </p>
+                ) : (
+                  <pre className="text-xs bg-amber-100 dark:bg-amber-800/30 text-amber-900 dark:text-amber-100 rounded p-2 mb-3 whitespace-pre-wrap break-words max-h-48 overflow-y-auto">
+                    {JSON.stringify(message.toolInput, null, 2)}
+                  </pre>
+                )}
+                {message.permissionStatus === 'pending' && onPermissionDecision ? (
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => onPermissionDecision(message.requestId, 'allow')}
+                      className="px-3 py-1.5 text-sm rounded-md bg-green-600 hover:bg-green-700 text-white"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => onPermissionDecision(message.requestId, 'deny')}
+                      className="px-3 py-1.5 text-sm rounded-md bg-red-600 hover:bg-red-700 text-white"
+                    >
+                      Deny
+                    </button>
+                    <button
+                      onClick={() => onPermissionDecision(message.requestId, 'always')}
+                      className="px-3 py-1.5 text-sm rounded-md border border-amber-300 dark:border-amber-700 text-amber-900 dark:text-amber-100 hover:bg-amber-100 dark:hover:bg-amber-800/40"
+                    >
+                      Always allow {message.toolName} for this project
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-xs text-amber-800 dark:text-amber-200">
+                    {{
+                      allow: 'Approved',
+                      always: `Approved; ${message.toolName} is now always allowed in this project`,
+                      deny: 'Denied',
+                      cancelled: 'No longer waiting: the run ended',
+                      expired: 'No longer waiting: the run ended'
+                    }[message.permissionStatus] || 'Waiting for an answer...'}
+                  </p>
+                )}
+              </div>
             ) : message.isInteractivePrompt ? (
               // Special handling for interactive prompts
               <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4">
@@ -955,6 +1054,15 @@ const MessageComponent = memo(({ message, index, prevMessage, createDiff, onFile
             
             <div className={`text-xs text-gray-500 dark:text-gray-400 mt-1 ${isGrouped ? 'opacity-0 group-hover:opacity-100' : ''}`}>
               {new Date(message.timestamp).toLocaleTimeString()}
+              {onFork && message.messageId && message.type === 'assistant' && !message.isToolUse && (
+                <button
+                  onClick={() => onFork(message)}
+                  className="ml-2 underline hover:text-gray-700 dark:hover:text-gray-200"
+                  title="Start a new session that continues from this reply"
+                >
+                  Fork from here
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -1008,7 +1116,7 @@ const ImageAttachment = ({ file, onRemove, uploadProgress, error }) => {
 // - onReplaceTemporarySession: Called to replace temporary session ID with real WebSocket session ID
 //
 // This ensures uninterrupted chat experience by pausing sidebar refreshes during conversations.
-function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, messages, onFileOpen, onInputFocusChange, onSessionActive, onSessionInactive, onReplaceTemporarySession, onNavigateToSession, onShowSettings, autoExpandTools, showRawParameters, autoScrollToBottom }) {
+function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, messages, onFileOpen, onInputFocusChange, onSessionActive, onSessionInactive, onReplaceTemporarySession, onNavigateToSession, onShowSettings, autoExpandTools, showRawParameters, autoScrollToBottom, messageTarget, onMessageTargetHandled }) {
   const [input, setInput] = useState(() => {
     if (typeof window !== 'undefined' && selectedProject) {
       return localStorage.getItem(`draft_input_${selectedProject.name}`) || '';
@@ -1055,9 +1163,15 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
       return 'gemini-2.5-flash';
     }
   });
+  // Effective tool profile of the selected project (see server/tool-profiles.js)
+  const projectToolSettingsRef = useRef(null);
+  const [toolProfileVersion, setToolProfileVersion] = useState(0);
   const [isLoadingSessionMessages, setIsLoadingSessionMessages] = useState(false);
   const [isSystemSessionChange, setIsSystemSessionChange] = useState(false);
   const [permissionMode, setPermissionMode] = useState('default');
+  // Transcript settings for this session; kept locally until a new session gets its ID
+  const [contextSettings, setContextSettings] = useState({});
+  const [effectiveContextSettings, setEffectiveContextSettings] = useState(null);
   const [attachedImages, setAttachedImages] = useState([]);
   const [uploadingImages, setUploadingImages] = useState(new Map());
   const [imageErrors, setImageErrors] = useState(new Map());
@@ -1083,6 +1197,8 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
   const [selectedCommandIndex, setSelectedCommandIndex] = useState(-1);
   const [slashPosition, setSlashPosition] = useState(-1);
   const [visibleMessageCount, setVisibleMessageCount] = useState(100);
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [revertTarget, setRevertTarget] = useState(null);
   const [geminiStatus, setGeminiStatus] = useState(null);
 
   // WebLLM state
@@ -1355,7 +1471,9 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
           converted.push({
             type: messageType,
             content: content,
-            timestamp: msg.timestamp || new Date().toISOString()
+            images: msg.images,
+            timestamp: msg.timestamp || new Date().toISOString(),
+            messageId: msg.id
           });
         }
       }
@@ -1368,7 +1486,8 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
               converted.push({
                 type: 'assistant',
                 content: part.text,
-                timestamp: msg.timestamp || new Date().toISOString()
+                timestamp: msg.timestamp || new Date().toISOString(),
+                messageId: msg.id
               });
             } else if (part.type === 'tool_use') {
               // Get the corresponding tool result
@@ -1378,6 +1497,7 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
                 type: 'assistant',
                 content: '',
                 timestamp: msg.timestamp || new Date().toISOString(),
+                messageId: msg.id,
                 isToolUse: true,
                 toolName: part.name,
                 toolInput: JSON.stringify(part.input),
@@ -1391,7 +1511,8 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
           converted.push({
             type: 'assistant',
             content: msg.message.content,
-            timestamp: msg.timestamp || new Date().toISOString()
+            timestamp: msg.timestamp || new Date().toISOString(),
+            messageId: msg.id
           });
         }
       }
@@ -1523,6 +1644,44 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
     }
   }, [isLoading]);
 
+  // Load the session's context settings whenever the session changes
+  useEffect(() => {
+    if (!currentSessionId || !selectedProject) {
+      setContextSettings({});
+      setEffectiveContextSettings(null);
+      return;
+    }
+    let isActive = true;
+    api.contextSettings(selectedProject.name, currentSessionId)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (isActive && data) {
+          setContextSettings(data.settings || {});
+          setEffectiveContextSettings(data.effective || null);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      isActive = false;
+    };
+  }, [currentSessionId, selectedProject?.name]);
+
+  const handleContextSettingsChange = async (settings) => {
+    setContextSettings(settings);
+    if (!currentSessionId || !selectedProject) {
+      return;
+    }
+    try {
+      const response = await api.saveContextSettings(selectedProject.name, currentSessionId, settings);
+      if (response.ok) {
+        const data = await response.json();
+        setEffectiveContextSettings(data.effective || null);
+      }
+    } catch (error) {
+      // console.error('Error saving context settings:', error);
+    }
+  };
+
   // Persist input draft to localStorage
   useEffect(() => {
     if (selectedProject && input !== '') {
@@ -1568,6 +1727,15 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
         setSelectedProvider(cliInfo.provider || 'gemini');
         setSelectedModel(cliInfo.defaultModel || 'gemini-2.5-flash');
       }
+      // Runs use the project's tool profile, which may override this browser's settings
+      const projectSettings = projectToolSettingsRef.current;
+      if (projectSettings) {
+        setIsYoloMode(projectSettings.skipPermissions);
+        setSelectedProvider(projectSettings.provider);
+        if (projectSettings.model) {
+          setSelectedModel(projectSettings.model);
+        }
+      }
     };
     
     // Check on mount and when storage changes
@@ -1576,6 +1744,7 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
     const handleStorageChange = (e) => {
       if (e.key === 'gemini-tools-settings') {
         checkSettings();
+        setToolProfileVersion(version => version + 1);
         // Add a system message to notify settings have been applied
         setChatMessages(prev => [...prev, {
           id: `system-${Date.now()}`,
@@ -1598,6 +1767,53 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
     };
   }, []);
 
+  // Load the selected project's tool profile again whenever it or the settings change
+  useEffect(() => {
+    projectToolSettingsRef.current = null;
+    if (!selectedProject) {
+      return;
+    }
+    let cancelled = false;
+    const loadToolProfile = async () => {
+      try {
+        const response = await api.projectToolProfile(selectedProject.name);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (cancelled) return;
+
+        // Carry tool settings saved only in this browser over to the server once
+        const savedSettings = localStorage.getItem('gemini-tools-settings');
+        if (!data.global.updatedAt && savedSettings) {
+          const settings = JSON.parse(savedSettings);
+          const saveResponse = await api.saveToolProfile({
+            allowedTools: settings.allowedTools,
+            disallowedTools: settings.disallowedTools,
+            skipPermissions: settings.skipPermissions,
+            provider: settings.selectedProvider,
+            model: settings.selectedModel
+          });
+          if (saveResponse.ok && !cancelled) {
+            setToolProfileVersion(version => version + 1);
+          }
+          return;
+        }
+
+        projectToolSettingsRef.current = data.effective;
+        setIsYoloMode(data.effective.skipPermissions);
+        setSelectedProvider(data.effective.provider);
+        if (data.effective.model) {
+          setSelectedModel(data.effective.model);
+        }
+      } catch (error) {
+        // console.error('Error loading tool profile:', error);
+      }
+    };
+    loadToolProfile();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProject?.name, toolProfileVersion]);
+
   useEffect(() => {
     // Handle WebSocket messages
     if (messages.length > 0) {
@@ -1779,6 +1995,67 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
           setGeminiStatus(null);
           break;
           
+        case 'session-save-error':
+          // The run continues; only this session's history could not be stored
+          if (!latestMessage.sessionId || latestMessage.sessionId === currentSessionId) {
+            setChatMessages(prev => [...prev, {
+              type: 'error',
+              content: `Session not saved: ${latestMessage.error}`,
+              timestamp: new Date()
+            }]);
+          }
+          break;
+
+        case 'permission-request':
+          setChatMessages(prev => [...prev, {
+            type: 'assistant',
+            isPermissionRequest: true,
+            requestId: latestMessage.requestId,
+            toolName: latestMessage.toolName,
+            toolInput: latestMessage.input,
+            permissionStatus: 'pending',
+            timestamp: new Date()
+          }]);
+          break;
+
+        case 'safety-warning':
+          setChatMessages(prev => [...prev, {
+            type: 'assistant',
+            isSafetyWarning: true,
+            toolName: latestMessage.toolName,
+            command: latestMessage.command,
+            safetyAction: latestMessage.action,
+            matches: latestMessage.matches,
+            outcome: latestMessage.outcome,
+            timestamp: new Date()
+          }]);
+          break;
+
+        case 'permission-resolved': {
+          const status = latestMessage.expired ? 'expired'
+            : latestMessage.allow ? (latestMessage.reason === 'user-always' ? 'always' : 'allow')
+            : latestMessage.reason === 'user' ? 'deny' : 'cancelled';
+          setChatMessages(prev => prev.map(message =>
+            message.isPermissionRequest && message.requestId === latestMessage.requestId
+              ? { ...message, permissionStatus: status }
+              : message
+          ));
+          break;
+        }
+
+        case 'gemini-checkpoint': {
+          const { checkpoint } = latestMessage;
+          setCheckpoints(prev => [checkpoint, ...prev.filter(existing => existing.id !== checkpoint.id)]);
+          setChatMessages(prev => {
+            const index = prev.map(message => message.type).lastIndexOf('user');
+            if (index === -1 || prev[index].messageId) return prev;
+            const updated = [...prev];
+            updated[index] = { ...updated[index], checkpointId: checkpoint.id };
+            return updated;
+          });
+          break;
+        }
+
         case 'gemini-complete':
           // console.log('Gemini completed, setting isLoading to false');
           setIsLoading(false);
@@ -2059,6 +2336,117 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
     setVisibleMessageCount(prevCount => prevCount + 100);
   }, []);
 
+  // File checkpoints of the current session's turns, fetched on load and pushed after each run
+  useEffect(() => {
+    if (!selectedProject || !currentSessionId) {
+      setCheckpoints([]);
+      return;
+    }
+    let cancelled = false;
+    api.sessionCheckpoints(selectedProject.name, currentSessionId)
+      .then(response => response.ok ? response.json() : { checkpoints: [] })
+      .then(data => {
+        if (!cancelled) setCheckpoints(data.checkpoints || []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProject, currentSessionId]);
+
+  const checkpointsByMessage = useMemo(() => {
+    const byMessage = new Map();
+    for (const checkpoint of checkpoints) {
+      byMessage.set(checkpoint.messageId, checkpoint);
+    }
+    return byMessage;
+  }, [checkpoints]);
+
+  // Messages sent in this view have no stored ID yet, so runs tag them with their checkpoint
+  const getMessageCheckpoint = (message) => {
+    if (message.type !== 'user') return null;
+    if (message.checkpointId) {
+      return checkpoints.find(checkpoint => checkpoint.id === message.checkpointId) || null;
+    }
+    return message.messageId ? checkpointsByMessage.get(message.messageId) || null : null;
+  };
+
+  const handleCheckpointReverted = useCallback((checkpointId, files) => {
+    const revertedAt = new Date().toISOString();
+    setCheckpoints(prev => prev.map(checkpoint =>
+      checkpoint.id === checkpointId ? { ...checkpoint, revertedAt } : checkpoint
+    ));
+    setChatMessages(prev => [...prev, {
+      type: 'system',
+      content: `Reverted ${files.length} file${files.length === 1 ? '' : 's'} to their state before the turn`,
+      timestamp: new Date()
+    }]);
+  }, []);
+
+  // Answer a permission request; the server confirms with permission-resolved
+  const handlePermissionDecision = useCallback((requestId, decision) => {
+    sendMessage({ type: 'permission-response', requestId, decision });
+    setChatMessages(prev => prev.map(message =>
+      message.isPermissionRequest && message.requestId === requestId
+        ? { ...message, permissionStatus: decision }
+        : message
+    ));
+  }, [sendMessage]);
+
+  // Branch the session at a message and switch to the new session
+  const handleForkMessage = useCallback(async (message) => {
+    if (!selectedProject || !currentSessionId) return;
+    try {
+      const response = await api.forkSession(selectedProject.name, currentSessionId, message.messageId);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fork session');
+      }
+      if (window.refreshProjects) {
+        await window.refreshProjects();
+      }
+      onNavigateToSession?.(data.session.id);
+      if (data.prompt) {
+        setInput(data.prompt);
+        textareaRef.current?.focus();
+      }
+    } catch (error) {
+      setChatMessages(prev => [...prev, {
+        type: 'error',
+        content: `Failed to fork session: ${error.message}`,
+        timestamp: new Date()
+      }]);
+    }
+  }, [selectedProject, currentSessionId, onNavigateToSession]);
+
+  // Scroll to and briefly highlight a message opened from sidebar search
+  useEffect(() => {
+    if (!messageTarget || messageTarget.sessionId !== currentSessionId) return;
+
+    const targetIndex = chatMessages.findIndex(message => message.messageId === messageTarget.messageId);
+    if (targetIndex === -1) return;
+
+    // Make sure the message is rendered before looking for it
+    const neededCount = chatMessages.length - targetIndex;
+    if (neededCount > visibleMessageCount) {
+      setVisibleMessageCount(neededCount);
+      return;
+    }
+
+    // Runs after the initial scroll-to-bottom of a freshly loaded session
+    const timer = setTimeout(() => {
+      const element = scrollContainerRef.current?.querySelector(`[data-message-id="${messageTarget.messageId}"]`);
+      if (element) {
+        element.scrollIntoView({ block: 'center' });
+        element.classList.add('ring-2', 'ring-yellow-400', 'rounded-lg');
+        setTimeout(() => element.classList.remove('ring-2', 'ring-yellow-400', 'rounded-lg'), 2500);
+      }
+      onMessageTargetHandled?.();
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [messageTarget, currentSessionId, chatMessages, visibleMessageCount]);
+
   // Handle image files from drag & drop or file picker
   const handleImageFiles = useCallback((files) => {
     const validFiles = files.filter(file => {
@@ -2193,68 +2581,12 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
       onSessionActive(sessionToActivate);
     }
 
-    // Get tools settings from localStorage
-    const getToolsSettings = () => {
-      // Critical tools that should always be allowed
-      const criticalTools = [
-        'run_shell_command', 
-        'Bash', 
-        'Bash(git log:*)', 
-        'Bash(git diff:*)', 
-        'Bash(git status:*)',
-        'write_file',
-        'read_file',
-        'search_file_content',
-        'save_memory',
-        'replace',
-        'Write',
-        'Read',
-        'Edit',
-        'Glob',
-        'Grep'
-      ];
-
-      try {
-        const savedSettings = localStorage.getItem('gemini-tools-settings');
-        if (savedSettings) {
-          const settings = JSON.parse(savedSettings);
-          
-          // Merge saved allowed tools with critical tools
-          const savedAllowed = settings.allowedTools || [];
-          const mergedAllowed = [...new Set([...savedAllowed, ...criticalTools])];
-          const provider = settings.selectedProvider || cliInfo.provider || 'gemini';
-          
-          const fallbackModel = cliInfo.defaultModel || 'gemini-2.5-flash';
-          const candidateModel = settings.selectedModel || fallbackModel;
-          const shouldValidate = provider === (cliInfo.provider || 'gemini');
-          const hasModel = !shouldValidate || cliInfo.models.length === 0 || cliInfo.models.some(model => model.value === candidateModel);
-          return {
-            allowedTools: mergedAllowed,
-            disallowedTools: settings.disallowedTools || [],
-            skipPermissions: settings.skipPermissions || false,
-            selectedModel: hasModel ? candidateModel : fallbackModel,
-            provider
-          };
-        }
-      } catch (error) {
-        // console.error('Error loading tools settings:', error);
-      }
-      return {
-        allowedTools: criticalTools,
-        disallowedTools: [],
-        skipPermissions: false,
-        selectedModel: cliInfo.defaultModel || 'gemini-2.5-flash',
-        provider: cliInfo.provider || 'gemini'
-      };
-    };
-
-    const toolsSettings = getToolsSettings();
-
     // Handle WebLLM provider locally (runs in browser)
-    if (toolsSettings.provider === 'webllm') {
-      await handleWebLLMSubmit(input, toolsSettings.selectedModel);
+    if (selectedProvider === 'webllm') {
+      await handleWebLLMSubmit(input, selectedModel);
     } else {
-      // Send command to Gemini CLI via WebSocket with images
+      // Send command to the CLI via WebSocket with images. Tools, YOLO mode, provider and
+      // model are resolved by the server from the project's tool profile.
       sendMessage({
         type: 'gemini-command',
         command: input,
@@ -2263,10 +2595,8 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
           cwd: selectedProject.path,
           sessionId: currentSessionId,
           resume: !!currentSessionId,
-          toolsSettings: toolsSettings,
           permissionMode: permissionMode,
-          model: toolsSettings.selectedModel || cliInfo.defaultModel || 'gemini-2.5-flash',
-          provider: toolsSettings.provider || cliInfo.provider || 'gemini',
+          contextSettings,
           images: uploadedImages // Pass images to backend
         }
       });
@@ -2661,6 +2991,10 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
                   providerLabel={providerLabel}
                   markdownComponents={markdownComponents}
                   onInlineCodeClick={handleInlineCodeClick}
+                  onFork={isLoading ? null : handleForkMessage}
+                  checkpoint={getMessageCheckpoint(message)}
+                  onRevert={isLoading ? null : setRevertTarget}
+                  onPermissionDecision={handlePermissionDecision}
                 />
               );
             })}
@@ -2757,6 +3091,14 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
               </div>
             </div>
             
+            {selectedProvider !== 'webllm' && (
+              <ContextSettingsControl
+                settings={contextSettings}
+                effective={effectiveContextSettings}
+                onChange={handleContextSettingsChange}
+              />
+            )}
+
             {/* Scroll to bottom button - positioned next to mode indicator */}
             {isUserScrolledUp && chatMessages.length > 0 && (
               <button
@@ -2967,6 +3309,14 @@ function ChatInterface({ selectedProject, selectedSession, ws, sendMessage, mess
         </form>
       </div>
     </div>
+    {revertTarget && selectedProject && (
+      <CheckpointRevertDialog
+        projectName={selectedProject.name}
+        checkpointId={revertTarget.id}
+        onClose={() => setRevertTarget(null)}
+        onReverted={handleCheckpointReverted}
+      />
+    )}
     </>
   );
 }
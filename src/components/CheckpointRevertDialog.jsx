@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, RotateCcw, X } from 'lucide-react';
+import { api } from '../utils/api';
+
+const STATUS_LABELS = {
+  created: 'Created',
+  modified: 'Modified',
+  deleted: 'Deleted'
+};
+
+// Shows what reverting a turn's file checkpoint would change, then restores the files
+function CheckpointRevertDialog({ projectName, checkpointId, onClose, onReverted }) {
+  const [checkpoint, setCheckpoint] = useState(null);
+  const [error, setError] = useState(null);
+  const [isReverting, setIsReverting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadPreview = async () => {
+      try {
+        const response = await api.checkpoint(projectName, checkpointId);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load checkpoint');
+        }
+        if (!cancelled) setCheckpoint(data.checkpoint);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [projectName, checkpointId]);
+
+  const handleRevert = async () => {
+    setIsReverting(true);
+    setError(null);
+    try {
+      const response = await api.revertCheckpoint(projectName, checkpointId);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revert');
+      }
+      onReverted?.(checkpointId, data.files);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsReverting(false);
+    }
+  };
+
+  const renderDiffLine = (line, index) => {
+    const isAddition = line.startsWith('+') && !line.startsWith('+++');
+    const isDeletion = line.startsWith('-') && !line.startsWith('---');
+    const isHeader = line.startsWith('@@');
+
+    return (
+      <div
+        key={index}
+        className={`font-mono text-xs whitespace-pre ${
+          isAddition ? 'bg-green-50 dark:bg-green-950 text-green-700 dark:text-green-300' :
+          isDeletion ? 'bg-red-50 dark:bg-red-950 text-red-700 dark:text-red-300' :
+          isHeader ? 'bg-blue-50 dark:bg-blue-950 text-blue-700 dark:text-blue-300' :
+          'text-gray-600 dark:text-gray-400'
+        }`}
+      >
+        {line}
+      </div>
+    );
+  };
+
+  const changedSince = checkpoint?.files.some(file => file.changedSince);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="fixed inset-0 bg-black bg-opacity-50" onClick={onClose} />
+      <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[85vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Revert this turn</h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {!checkpoint && !error && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Loading changes...</p>
+          )}
+          {checkpoint && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              These files will be put back the way they were before this turn.
+              {checkpoint.revertedAt && ` This turn was already reverted on ${new Date(checkpoint.revertedAt).toLocaleString()}.`}
+            </p>
+          )}
+          {changedSince && (
+            <div className="flex items-start gap-2 p-3 rounded-md bg-yellow-50 dark:bg-yellow-900/20 text-sm text-yellow-800 dark:text-yellow-200">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>Some files changed again after this turn. Reverting also discards those later changes.</span>
+            </div>
+          )}
+          {checkpoint?.files.map(file => (
+            <div key={file.path} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+              <div className="flex items-center justify-between px-3 py-2 bg-gray-100 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700">
+                <span className="text-xs font-mono truncate text-gray-900 dark:text-gray-100" title={file.path}>
+                  {file.relativePath}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0 ml-2">
+                  {STATUS_LABELS[file.status]}{file.changedSince ? ' · changed since' : ''}
+                </span>
+              </div>
+              <div className="overflow-x-auto max-h-80">
+                {file.diff.split('\n').map((line, index) => renderDiffLine(line, index))}
+              </div>
+            </div>
+          ))}
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleRevert}
+            disabled={!checkpoint || isReverting}
+            className="px-4 py-2 text-sm text-white bg-red-600 hover:bg-red-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            <span>{isReverting ? 'Reverting...' : `Revert ${checkpoint ? checkpoint.files.length : ''} file${checkpoint?.files.length === 1 ? '' : 's'}`}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CheckpointRevertDialog;
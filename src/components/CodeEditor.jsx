@@ -1,26 +1,27 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
-import { javascript } from '@codemirror/lang-javascript';
-import { python } from '@codemirror/lang-python';
-import { html } from '@codemirror/lang-html';
-import { css } from '@codemirror/lang-css';
-import { json } from '@codemirror/lang-json';
-import { markdown } from '@codemirror/lang-markdown';
 import { oneDark } from '@codemirror/theme-one-dark';
 import { EditorView, Decoration } from '@codemirror/view';
 import { StateField, StateEffect, RangeSetBuilder } from '@codemirror/state';
-import { X, Save, Download, Maximize2, Minimize2, Eye, EyeOff } from 'lucide-react';
+import { Save, Download, Eye, EyeOff } from 'lucide-react';
 import { api } from '../utils/api';
+import { getLanguageDescription, loadLanguageSupport } from '../utils/editorLanguages';
+import { languageServer } from '../utils/languageClient';
 
-function CodeEditor({ file, onClose, projectPath }) {
+// One file in the editor area. EditorTabs keeps an instance per open tab, so only the
+// active one (isActive) handles keyboard shortcuts. file.position ({ line, column }, 1-based)
+// moves the cursor there; onOpenLocation opens another file at a position. `extensions` adds
+// CodeMirror extensions and onContentChange gets the text after every edit.
+function CodeEditor({ file, onClose, isActive = true, onDirtyChange, onOpenLocation, extensions = [], onContentChange }) {
   const [content, setContent] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [isFullscreen, setIsFullscreen] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(true);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [showDiff, setShowDiff] = useState(!!file.diffInfo);
   const [wordWrap, setWordWrap] = useState(false);
+  const [diskChange, setDiskChange] = useState(null); // { type: 'changed', content } or { type: 'deleted' }
+  const diskContentRef = useRef(null); // the content last loaded from or saved to disk
 
   // Create diff highlighting
   const diffEffect = StateEffect.define();
@@ -106,33 +107,29 @@ function CodeEditor({ file, onClose, projectPath }) {
     }
   });
 
-  // Get language extension based on file extension
-  const getLanguageExtension = (filename) => {
-    const ext = filename.split('.').pop()?.toLowerCase();
-    switch (ext) {
-      case 'js':
-      case 'jsx':
-      case 'ts':
-      case 'tsx':
-        return [javascript({ jsx: true, typescript: ext.includes('ts') })];
-      case 'py':
-        return [python()];
-      case 'html':
-      case 'htm':
-        return [html()];
-      case 'css':
-      case 'scss':
-      case 'less':
-        return [css()];
-      case 'json':
-        return [json()];
-      case 'md':
-      case 'markdown':
-        return [markdown()];
-      default:
-        return [];
-    }
-  };
+  // Syntax highlighting is loaded on demand for the file's language
+  const [languageSupport, setLanguageSupport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLanguageSupport(null);
+    loadLanguageSupport(file.name)
+      .then(support => !cancelled && setLanguageSupport(support))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [file.name]);
+
+  // Diagnostics, hover, completion and go to definition from a language server, if there is one.
+  // Kept stable per file so the server's copy of the document isn't reopened on every render.
+  const onOpenLocationRef = useRef(onOpenLocation);
+  onOpenLocationRef.current = onOpenLocation;
+  const languageServerExtension = useMemo(() => languageServer({
+    projectName: file.projectName,
+    filePath: file.path,
+    onOpenLocation: (filePath, position) => onOpenLocationRef.current?.(filePath, position)
+  }), [file.projectName, file.path]);
 
   // Load file content
   useEffect(() => {
@@ -142,12 +139,14 @@ function CodeEditor({ file, onClose, projectPath }) {
         
         const response = await api.readFile(file.projectName, file.path);
         
+        const data = await response.json();
         if (!response.ok) {
-          throw new Error(`Failed to load file: ${response.status} ${response.statusText}`);
+          throw new Error(data.error || `Failed to load file: ${response.status} ${response.statusText}`);
         }
-        
-        const data = await response.json();
+
         setContent(data.content);
+        diskContentRef.current = data.content;
+        setDiskChange(null);
       } catch (error) {
         console.error('Error loading file:', error);
         setContent(`// Error loading file: ${error.message}\n// File: ${file.name}\n// Path: ${file.path}`);
@@ -157,7 +156,49 @@ function CodeEditor({ file, onClose, projectPath }) {
     };
 
     loadFileContent();
-  }, [file, projectPath]);
+  }, [file.projectName, file.path, file.diffInfo]);
+
+  // Warn when the file changes on disk while it is open; our own saves are recognised by
+  // their content
+  useEffect(() => {
+    const isOpenFile = (changedPath) =>
+      changedPath === file.path || (!file.path.startsWith('/') && changedPath.endsWith(`/${file.path}`));
+
+    const handleFileChanges = async (event) => {
+      const { projectName, changes } = event.detail;
+      const change = projectName === file.projectName && changes.find(item => isOpenFile(item.path));
+      if (!change) return;
+      if (change.event === 'unlink') {
+        setDiskChange({ type: 'deleted' });
+        return;
+      }
+      try {
+        const response = await api.readFile(file.projectName, file.path);
+        const data = await response.json();
+        if (response.ok && data.content !== diskContentRef.current) {
+          setDiskChange({ type: 'changed', content: data.content });
+        }
+      } catch (error) {
+        // console.error('Error checking changed file:', error);
+      }
+    };
+
+    window.addEventListener('file-changes', handleFileChanges);
+    return () => window.removeEventListener('file-changes', handleFileChanges);
+  }, [file.projectName, file.path]);
+
+  const reloadFromDisk = () => {
+    setContent(diskChange.content);
+    diskContentRef.current = diskChange.content;
+    setDiskChange(null);
+  };
+
+  const keepLocalVersion = () => {
+    if (diskChange.type === 'changed') {
+      diskContentRef.current = diskChange.content;
+    }
+    setDiskChange(null);
+  };
 
   // Update diff decorations when content or diff info changes
   const editorRef = useRef(null);
@@ -174,6 +215,20 @@ function CodeEditor({ file, onClose, projectPath }) {
     }
   }, [content, file.diffInfo, showDiff, isDarkMode]);
 
+  // Jump to file.position once the content is shown
+  useEffect(() => {
+    const view = editorRef.current?.view;
+    if (loading || !file.position || !view) return;
+    const doc = view.state.doc;
+    const line = doc.line(Math.min(Math.max(file.position.line, 1), doc.lines));
+    const pos = Math.min(line.from + Math.max((file.position.column || 1) - 1, 0), line.to);
+    view.dispatch({
+      selection: { anchor: pos },
+      effects: EditorView.scrollIntoView(pos, { y: 'center' })
+    });
+    view.focus();
+  }, [file.position, loading]);
+
   const handleSave = async () => {
     setSaving(true);
     try {
@@ -185,6 +240,8 @@ function CodeEditor({ file, onClose, projectPath }) {
       }
 
       const result = await response.json();
+      diskContentRef.current = content;
+      setDiskChange(null);
       
       // Show success feedback
       setSaveSuccess(true);
@@ -210,12 +267,21 @@ function CodeEditor({ file, onClose, projectPath }) {
     URL.revokeObjectURL(url);
   };
 
-  const toggleFullscreen = () => {
-    setIsFullscreen(!isFullscreen);
-  };
+  const isDirty = !loading && diskContentRef.current !== null && content !== diskContentRef.current;
+
+  useEffect(() => {
+    onDirtyChange?.(isDirty);
+  }, [isDirty]);
+
+  useEffect(() => {
+    if (!loading) {
+      onContentChange?.(content);
+    }
+  }, [content, loading]);
 
   // Handle keyboard shortcuts
   useEffect(() => {
+    if (!isActive) return;
     const handleKeyDown = (e) => {
       if (e.ctrlKey || e.metaKey) {
         if (e.key === 's') {
@@ -230,189 +296,180 @@ function CodeEditor({ file, onClose, projectPath }) {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [content]);
+  }, [content, isActive]);
 
   if (loading) {
     return (
-      <>
-        <style>
-          {`
-            .code-editor-loading {
-              background-color: ${isDarkMode ? '#111827' : '#ffffff'} !important;
-            }
-            .code-editor-loading:hover {
-              background-color: ${isDarkMode ? '#111827' : '#ffffff'} !important;
-            }
-          `}
-        </style>
-        <div className="fixed inset-0 z-50 md:bg-black/50 md:flex md:items-center md:justify-center">
-          <div className="code-editor-loading w-full h-full md:rounded-lg md:w-auto md:h-auto p-8 flex items-center justify-center">
-            <div className="flex items-center gap-3">
-              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-              <span className="text-gray-900 dark:text-white">Loading {file.name}...</span>
-            </div>
-          </div>
+      <div className={`h-full flex items-center justify-center ${isDarkMode ? 'bg-gray-900' : 'bg-white'}`}>
+        <div className="flex items-center gap-3">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          <span className={isDarkMode ? 'text-white' : 'text-gray-900'}>Loading {file.name}...</span>
         </div>
-      </>
+      </div>
     );
   }
 
   return (
-    <div className={`fixed inset-0 z-50 ${
-      // Mobile: native fullscreen, Desktop: modal with backdrop
-      'md:bg-black/50 md:flex md:items-center md:justify-center md:p-4'
-    } ${isFullscreen ? 'md:p-0' : ''}`}>
-      <div className={`bg-white shadow-2xl flex flex-col ${
-        // Mobile: always fullscreen, Desktop: modal sizing
-        'w-full h-full md:rounded-lg md:shadow-2xl' +
-        (isFullscreen ? ' md:w-full md:h-full md:rounded-none' : ' md:w-full md:max-w-6xl md:h-[80vh] md:max-h-[80vh]')
-      }`}>
-        {/* Header */}
-        <div className="flex items-center justify-between p-4 border-b border-gray-200 flex-shrink-0 min-w-0">
-          <div className="flex items-center gap-3 min-w-0 flex-1">
-            <div className="w-8 h-8 bg-blue-600 rounded flex items-center justify-center flex-shrink-0">
-              <span className="text-white text-sm font-mono">
-                {file.name.split('.').pop()?.toUpperCase() || 'FILE'}
-              </span>
-            </div>
-            <div className="min-w-0 flex-1">
-              <div className="flex items-center gap-2 min-w-0">
-                <h3 className="font-medium text-gray-900 truncate">{file.name}</h3>
-                {file.diffInfo && (
-                  <span className="text-xs bg-blue-100 text-blue-600 px-2 py-1 rounded whitespace-nowrap">
-                    📝 Has changes
-                  </span>
-                )}
-              </div>
-              <p className="text-sm text-gray-500 truncate">{file.path}</p>
+    <div className="h-full bg-white flex flex-col min-w-0">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 flex-shrink-0 min-w-0">
+        <div className="flex items-center gap-3 min-w-0 flex-1">
+          <div className="w-8 h-8 bg-blue-600 rounded flex items-center justify-center flex-shrink-0">
+            <span className="text-white text-sm font-mono">
+              {file.name.split('.').pop()?.toUpperCase() || 'FILE'}
+            </span>
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="flex items-center gap-2 min-w-0">
+              <h3 className="font-medium text-gray-900 truncate">{file.name}</h3>
+              {file.diffInfo && (
+                <span className="text-xs bg-blue-100 text-blue-600 px-2 py-1 rounded whitespace-nowrap">
+                  📝 Has changes
+                </span>
+              )}
             </div>
+            <p className="text-sm text-gray-500 truncate">{file.path}</p>
           </div>
+        </div>
           
-          <div className="flex items-center gap-1 md:gap-2 flex-shrink-0">
-            {file.diffInfo && (
-              <button
-                onClick={() => setShowDiff(!showDiff)}
-                className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-                title={showDiff ? "Hide diff highlighting" : "Show diff highlighting"}
-              >
-                {showDiff ? <EyeOff className="w-5 h-5 md:w-4 md:h-4" /> : <Eye className="w-5 h-5 md:w-4 md:h-4" />}
-              </button>
-            )}
-            
+        <div className="flex items-center gap-1 md:gap-2 flex-shrink-0">
+          {file.diffInfo && (
             <button
-              onClick={() => setWordWrap(!wordWrap)}
-              className={`p-2 md:p-2 rounded-md hover:bg-gray-100 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center ${
-                wordWrap 
-                  ? 'text-blue-600 bg-blue-50' 
-                  : 'text-gray-600 hover:text-gray-900'
-              }`}
-              title={wordWrap ? 'Disable word wrap' : 'Enable word wrap'}
-            >
-              <span className="text-sm md:text-xs font-mono font-bold">↵</span>
-            </button>
-            
-            <button
-              onClick={() => setIsDarkMode(!isDarkMode)}
+              onClick={() => setShowDiff(!showDiff)}
               className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-              title="Toggle theme"
+              title={showDiff ? "Hide diff highlighting" : "Show diff highlighting"}
             >
-              <span className="text-lg md:text-base">{isDarkMode ? '☀️' : '🌙'}</span>
+              {showDiff ? <EyeOff className="w-5 h-5 md:w-4 md:h-4" /> : <Eye className="w-5 h-5 md:w-4 md:h-4" />}
             </button>
+          )}
             
-            <button
-              onClick={handleDownload}
-              className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-              title="Download file"
-            >
-              <Download className="w-5 h-5 md:w-4 md:h-4" />
-            </button>
+          <button
+            onClick={() => setWordWrap(!wordWrap)}
+            className={`p-2 md:p-2 rounded-md hover:bg-gray-100 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center ${
+              wordWrap 
+                ? 'text-blue-600 bg-blue-50' 
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+            title={wordWrap ? 'Disable word wrap' : 'Enable word wrap'}
+          >
+            <span className="text-sm md:text-xs font-mono font-bold">↵</span>
+          </button>
             
-            <button
-              onClick={handleSave}
-              disabled={saving}
-              className={`px-3 py-2 text-white rounded-md disabled:opacity-50 flex items-center gap-2 transition-colors min-h-[44px] md:min-h-0 ${
-                saveSuccess 
-                  ? 'bg-green-600 hover:bg-green-700' 
-                  : 'bg-blue-600 hover:bg-blue-700'
-              }`}
-            >
-              {saveSuccess ? (
-                <>
-                  <svg className="w-5 h-5 md:w-4 md:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                  </svg>
-                  <span className="hidden sm:inline">Saved!</span>
-                </>
-              ) : (
-                <>
-                  <Save className="w-5 h-5 md:w-4 md:h-4" />
-                  <span className="hidden sm:inline">{saving ? 'Saving...' : 'Save'}</span>
-                </>
-              )}
-            </button>
+          <button
+            onClick={() => setIsDarkMode(!isDarkMode)}
+            className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
+            title="Toggle theme"
+          >
+            <span className="text-lg md:text-base">{isDarkMode ? '☀️' : '🌙'}</span>
+          </button>
             
-            <button
-              onClick={toggleFullscreen}
-              className="hidden md:flex p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 items-center justify-center"
-              title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
-            >
-              {isFullscreen ? <Minimize2 className="w-4 h-4" /> : <Maximize2 className="w-4 h-4" />}
-            </button>
+          <button
+            onClick={handleDownload}
+            className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
+            title="Download file"
+          >
+            <Download className="w-5 h-5 md:w-4 md:h-4" />
+          </button>
             
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className={`px-3 py-2 text-white rounded-md disabled:opacity-50 flex items-center gap-2 transition-colors min-h-[44px] md:min-h-0 ${
+              saveSuccess 
+                ? 'bg-green-600 hover:bg-green-700' 
+                : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {saveSuccess ? (
+              <>
+                <svg className="w-5 h-5 md:w-4 md:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                <span className="hidden sm:inline">Saved!</span>
+              </>
+            ) : (
+              <>
+                <Save className="w-5 h-5 md:w-4 md:h-4" />
+                <span className="hidden sm:inline">{saving ? 'Saving...' : 'Save'}</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+
+      {diskChange && (
+        <div className="flex items-center justify-between gap-3 px-4 py-2 text-sm border-b border-yellow-200 bg-yellow-50 text-yellow-800 flex-shrink-0">
+          <span className="min-w-0">
+            {diskChange.type === 'deleted'
+              ? 'This file was deleted on disk. Saving will create it again.'
+              : content !== diskContentRef.current
+                ? 'This file changed on disk. Reloading discards your unsaved edits.'
+                : 'This file changed on disk.'}
+          </span>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            {diskChange.type === 'changed' && (
+              <button
+                onClick={reloadFromDisk}
+                className="px-2 py-1 rounded-md bg-yellow-600 text-white hover:bg-yellow-700"
+              >
+                Reload
+              </button>
+            )}
             <button
-              onClick={onClose}
-              className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-              title="Close"
+              onClick={keepLocalVersion}
+              className="px-2 py-1 rounded-md hover:bg-yellow-100"
             >
-              <X className="w-6 h-6 md:w-4 md:h-4" />
+              {diskChange.type === 'changed' ? 'Keep mine' : 'Dismiss'}
             </button>
           </div>
         </div>
+      )}
 
-        {/* Editor */}
-        <div className="flex-1 overflow-hidden">
-          <CodeMirror
-            ref={editorRef}
-            value={content}
-            onChange={setContent}
-            extensions={[
-              ...getLanguageExtension(file.name),
-              diffField,
-              diffTheme,
-              ...(wordWrap ? [EditorView.lineWrapping] : [])
-            ]}
-            theme={isDarkMode ? oneDark : undefined}
-            height="100%"
-            style={{
-              fontSize: '14px',
-              height: '100%',
-            }}
-            basicSetup={{
-              lineNumbers: true,
-              foldGutter: true,
-              dropCursor: false,
-              allowMultipleSelections: false,
-              indentOnInput: true,
-              bracketMatching: true,
-              closeBrackets: true,
-              autocompletion: true,
-              highlightSelectionMatches: true,
-              searchKeymap: true,
-            }}
-          />
-        </div>
+              {/* Editor */}
+      <div className="flex-1 overflow-hidden">
+        <CodeMirror
+          ref={editorRef}
+          value={content}
+          onChange={setContent}
+          extensions={[
+            ...(languageSupport ? [languageSupport] : []),
+            languageServerExtension,
+            diffField,
+            diffTheme,
+            ...(wordWrap ? [EditorView.lineWrapping] : []),
+            ...extensions
+          ]}
+          theme={isDarkMode ? oneDark : undefined}
+          height="100%"
+          style={{
+            fontSize: '14px',
+            height: '100%',
+          }}
+          basicSetup={{
+            lineNumbers: true,
+            foldGutter: true,
+            dropCursor: false,
+            allowMultipleSelections: false,
+            indentOnInput: true,
+            bracketMatching: true,
+            closeBrackets: true,
+            autocompletion: true,
+            highlightSelectionMatches: true,
+            searchKeymap: true,
+          }}
+        />
+      </div>
 
-        {/* Footer */}
-        <div className="flex items-center justify-between p-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 flex-shrink-0">
-          <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
-            <span>Lines: {content.split('\n').length}</span>
-            <span>Characters: {content.length}</span>
-            <span>Language: {file.name.split('.').pop()?.toUpperCase() || 'Text'}</span>
-          </div>
+      {/* Footer */}
+      <div className="flex items-center justify-between p-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 flex-shrink-0">
+        <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
+          <span>Lines: {content.split('\n').length}</span>
+          <span>Characters: {content.length}</span>
+          <span>Language: {getLanguageDescription(file.name)?.name || 'Plain text'}</span>
+        </div>
           
-          <div className="text-sm text-gray-500 dark:text-gray-400">
-            Press Ctrl+S to save • Esc to close
-          </div>
+        <div className="text-sm text-gray-500 dark:text-gray-400">
+          Press Ctrl+S to save • Ctrl+Esc to close the tab
         </div>
       </div>
     </div>
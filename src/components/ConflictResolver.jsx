@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import CodeMirror from '@uiw/react-codemirror';
+import { EditorView } from '@codemirror/view';
+import { Check, X, RefreshCw } from 'lucide-react';
+import { authenticatedFetch } from '../utils/api';
+import { loadLanguageSupport } from '../utils/editorLanguages';
+import { conflictMarkers, countConflicts } from '../utils/conflictMarkers';
+import CodeEditor from './CodeEditor';
+
+// Three-way view of a conflicted file: ours and theirs read-only on the sides, and the working
+// tree copy (with conflict markers) editable in the middle. Each conflict block has buttons to
+// accept either side or both; "Mark resolved" saves the merged text and stages it.
+function ConflictResolver({ projectName, filePath, onClose, onResolved }) {
+  const [conflict, setConflict] = useState(null);
+  const [merged, setMerged] = useState(null);
+  const [error, setError] = useState(null);
+  const [isResolving, setIsResolving] = useState(false);
+  const [languageSupport, setLanguageSupport] = useState(null);
+
+  useEffect(() => {
+    const loadConflict = async () => {
+      try {
+        const response = await authenticatedFetch(`/api/git/conflict?project=${encodeURIComponent(projectName)}&file=${encodeURIComponent(filePath)}`);
+        const data = await response.json();
+        if (data.error) {
+          setError(data.error);
+        } else {
+          setConflict(data);
+        }
+      } catch (error) {
+        setError(error.message);
+      }
+    };
+
+    loadConflict();
+    loadLanguageSupport(filePath)
+      .then(setLanguageSupport)
+      .catch(() => {});
+  }, [projectName, filePath]);
+
+  const markerExtensions = useMemo(() => (
+    conflict ? [conflictMarkers({ labels: conflict.labels })] : []
+  ), [conflict]);
+
+  const resolve = async (body) => {
+    setIsResolving(true);
+    setError(null);
+    try {
+      const response = await authenticatedFetch('/api/git/resolve', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          project: projectName,
+          file: filePath,
+          ...body
+        })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        onResolved();
+      } else if (response.status === 409 && window.confirm(`${data.details} Mark it resolved anyway?`)) {
+        await resolve({ ...body, force: true });
+      } else {
+        setError(data.details || data.error);
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const takeSide = (side) => {
+    const label = conflict.labels[side];
+    const message = conflict[side] === null
+      ? `${label} deleted this file. Delete it?`
+      : `Replace the whole file with the ${label} version? Edits in the merged version are lost.`;
+    if (window.confirm(message)) {
+      resolve({ resolution: side });
+    }
+  };
+
+  const remaining = merged === null ? 0 : countConflicts(merged);
+  const canEditMerged = conflict && !conflict.binary && conflict.merged !== null;
+
+  const renderSide = (side) => (
+    <div className="hidden md:flex flex-col min-w-0 min-h-0 border-gray-200 first:border-r last:border-l">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-gray-200 bg-gray-50 flex-shrink-0">
+        <span className="text-sm font-medium text-gray-900 truncate">{conflict.labels[side]}</span>
+        <button
+          onClick={() => takeSide(side)}
+          disabled={isResolving}
+          className="px-2 py-1 text-xs text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50 flex-shrink-0"
+        >
+          {conflict[side] === null ? 'Delete file' : 'Use this version'}
+        </button>
+      </div>
+      <div className="flex-1 overflow-hidden">
+        {conflict[side] === null ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">Deleted on this side</div>
+        ) : conflict.binary ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">Binary file</div>
+        ) : (
+          <CodeMirror
+            value={conflict[side]}
+            editable={false}
+            extensions={[
+              ...(languageSupport ? [languageSupport] : []),
+              EditorView.lineWrapping
+            ]}
+            height="100%"
+            style={{ fontSize: '13px', height: '100%' }}
+            basicSetup={{ lineNumbers: true, foldGutter: false, highlightActiveLine: false }}
+          />
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 md:bg-black/50 md:flex md:items-center md:justify-center md:p-4">
+      <div className="bg-white shadow-2xl flex flex-col w-full h-full md:rounded-lg md:max-w-7xl md:h-[90vh]">
+        {/* Header */}
+        <div className="flex items-center justify-between gap-3 px-4 py-2 border-b border-gray-200 flex-shrink-0">
+          <div className="min-w-0">
+            <h3 className="font-medium text-gray-900 truncate">Resolve conflicts: {filePath}</h3>
+            <p className="text-xs text-gray-500">
+              {!conflict ? 'Loading...' : !canEditMerged
+                ? 'Choose the version to keep'
+                : remaining > 0
+                  ? `${remaining} conflict${remaining !== 1 ? 's' : ''} left`
+                  : 'No conflicts left'}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            {canEditMerged && (
+              <button
+                onClick={() => resolve({ content: merged })}
+                disabled={isResolving || merged === null}
+                className="px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+              >
+                {isResolving ? <RefreshCw className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+                <span>Mark resolved</span>
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-600 hover:text-gray-900 rounded-md hover:bg-gray-100"
+              title="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="px-4 py-2 text-sm border-b border-red-200 bg-red-50 text-red-700 flex-shrink-0">{error}</div>
+        )}
+
+        {/* Ours | merged | theirs */}
+        {conflict && (
+          <div className="flex-1 grid grid-cols-1 md:grid-cols-3 min-h-0">
+            {renderSide('ours')}
+            <div className="flex flex-col min-w-0 min-h-0">
+              {canEditMerged ? (
+                <CodeEditor
+                  file={{ name: filePath.split('/').pop(), path: conflict.file, projectName }}
+                  onClose={onClose}
+                  extensions={markerExtensions}
+                  onContentChange={setMerged}
+                />
+              ) : (
+                <div className="h-full flex flex-col items-center justify-center gap-3 p-4 text-sm text-gray-500 text-center">
+                  <p>{conflict.binary ? 'Binary files can only be resolved by keeping one version.' : 'The file was deleted on one side.'}</p>
+                  <div className="flex gap-2 md:hidden">
+                    <button onClick={() => takeSide('ours')} className="px-3 py-1.5 border border-gray-300 rounded-md hover:bg-gray-50">
+                      Keep {conflict.labels.ours}
+                    </button>
+                    <button onClick={() => takeSide('theirs')} className="px-3 py-1.5 border border-gray-300 rounded-md hover:bg-gray-50">
+                      Keep {conflict.labels.theirs}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+            {renderSide('theirs')}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ConflictResolver;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const STYLE_OPTIONS = [
+  { value: '', label: 'Provider default' },
+  { value: 'role-prefixed', label: 'Role-prefixed (User: / Assistant:)' },
+  { value: 'xml', label: 'XML-tagged' },
+  { value: 'plain', label: 'Plain prose' },
+  { value: 'off', label: 'Off (no earlier turns)' }
+];
+
+const STYLE_LABELS = {
+  'role-prefixed': 'Role-prefixed',
+  xml: 'XML',
+  plain: 'Plain'
+};
+
+// Per-session control for how earlier turns are prepended to the prompt
+function ContextSettingsControl({ settings, effective, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const current = { ...effective, ...settings };
+  const styleValue = settings.enabled === false ? 'off' : settings.style || '';
+  const budgetUnit = current.budgetUnit || 'chars';
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    Object.keys(next).forEach(key => {
+      if (next[key] === undefined || next[key] === '') {
+        delete next[key];
+      }
+    });
+    onChange(next);
+  };
+
+  const handleStyleChange = (value) => {
+    if (value === 'off') {
+      update({ enabled: false, style: undefined });
+    } else {
+      update({ enabled: undefined, style: value || undefined });
+    }
+  };
+
+  const summary = current.enabled === false
+    ? 'Off'
+    : `${STYLE_LABELS[current.style] || 'Default'}${current.budget ? ` · ${Math.round(current.budget / 1000)}k ${budgetUnit}` : ''}`;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-3 py-1.5 rounded-lg text-xs font-medium border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+        title="How earlier messages are sent to the CLI"
+      >
+        Context: {summary}
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full mb-2 right-0 w-72 z-50 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-3 space-y-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Transcript style
+            </label>
+            <select
+              value={styleValue}
+              onChange={(e) => handleStyleChange(e.target.value)}
+              className="w-full text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-gray-900 dark:text-gray-100"
+            >
+              {STYLE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Budget
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="500"
+                step="500"
+                value={settings.budget ?? ''}
+                placeholder={effective?.budget ? String(effective.budget) : ''}
+                onChange={(e) => update({ budget: e.target.value ? Number(e.target.value) : undefined })}
+                className="flex-1 min-w-0 text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-gray-900 dark:text-gray-100"
+              />
+              <select
+                value={budgetUnit}
+                onChange={(e) => update({ budgetUnit: e.target.value })}
+                className="text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-gray-900 dark:text-gray-100"
+              >
+                <option value="chars">chars</option>
+                <option value="tokens">tokens</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Older turns over budget
+            </label>
+            <select
+              value={current.overflow || 'summarize'}
+              onChange={(e) => update({ overflow: e.target.value })}
+              className="w-full text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-gray-900 dark:text-gray-100"
+            >
+              <option value="summarize">Summarize</option>
+              <option value="truncate">Drop</option>
+            </select>
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Applies to this session whenever earlier turns are resent to the CLI.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContextSettingsControl;
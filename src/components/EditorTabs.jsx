@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { X, Columns2, Maximize2, Minimize2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import CodeEditor from './CodeEditor';
+
+// The editor area: a tab per open file, with an optional second pane for split view. Every
+// open tab keeps its CodeEditor mounted (hidden when not shown), so switching tabs or
+// projects doesn't lose unsaved edits or undo history. State lives in useEditorTabs.
+function EditorTabs({ editor, projectName }) {
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const { tabs, activePath, splitPath, focusedPane } = editor;
+
+  const hasOpenTabs = Object.values(editor.tabSets).some(set => set.tabs.length > 0);
+  if (!hasOpenTabs) {
+    return null;
+  }
+
+  return (
+    <div className={cn(
+      'fixed inset-0 z-50 md:bg-black/50 md:flex md:items-center md:justify-center md:p-4',
+      isFullscreen && 'md:p-0',
+      !editor.isOpen && 'hidden md:hidden'
+    )}>
+      <div className={cn(
+        'bg-white shadow-2xl flex flex-col w-full h-full md:rounded-lg',
+        isFullscreen ? 'md:rounded-none' : 'md:max-w-6xl md:h-[80vh] md:max-h-[80vh]'
+      )}>
+        {/* Tab bar */}
+        <div className="flex items-stretch border-b border-gray-200 bg-gray-50 flex-shrink-0 md:rounded-t-lg">
+          <div className="flex-1 flex overflow-x-auto min-w-0">
+            {tabs.map(tab => {
+              const isShown = tab.path === activePath || tab.path === splitPath;
+              const isDirty = editor.isDirty(projectName, tab.path);
+              return (
+                <div
+                  key={tab.path}
+                  onClick={() => editor.selectTab(tab.path)}
+                  onMouseDown={(event) => {
+                    // Middle click closes, like in browsers
+                    if (event.button === 1) {
+                      event.preventDefault();
+                      editor.closeTab(tab.path);
+                    }
+                  }}
+                  title={tab.path}
+                  className={cn(
+                    'group flex items-center gap-2 pl-3 pr-2 py-2 text-sm border-r border-gray-200 cursor-pointer whitespace-nowrap',
+                    isShown ? 'bg-white text-gray-900' : 'text-gray-600 hover:bg-gray-100',
+                    splitPath && tab.path === (focusedPane === 'split' ? splitPath : activePath) && 'shadow-[inset_0_2px_0_#2563eb]'
+                  )}
+                >
+                  <span className="truncate max-w-[180px]">{tab.name}</span>
+                  <button
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      editor.closeTab(tab.path);
+                    }}
+                    className="w-5 h-5 flex items-center justify-center rounded hover:bg-gray-200"
+                    title={isDirty ? 'Unsaved changes - close' : 'Close'}
+                  >
+                    {isDirty && <span className="w-2 h-2 rounded-full bg-gray-600 group-hover:hidden" />}
+                    <X className={cn('w-3.5 h-3.5', isDirty && 'hidden group-hover:block')} />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex items-center gap-1 px-2 flex-shrink-0">
+            <button
+              onClick={editor.toggleSplit}
+              disabled={!splitPath && tabs.length < 2}
+              className={cn(
+                'hidden md:flex p-2 rounded-md items-center justify-center disabled:opacity-40',
+                splitPath ? 'text-blue-600 bg-blue-50' : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+              )}
+              title={splitPath ? 'Close split view' : 'Split view'}
+            >
+              <Columns2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setIsFullscreen(!isFullscreen)}
+              className="hidden md:flex p-2 text-gray-600 hover:text-gray-900 rounded-md hover:bg-gray-100 items-center justify-center"
+              title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+            >
+              {isFullscreen ? <Minimize2 className="w-4 h-4" /> : <Maximize2 className="w-4 h-4" />}
+            </button>
+            <button
+              onClick={editor.closeEditor}
+              className="p-2 text-gray-600 hover:text-gray-900 rounded-md hover:bg-gray-100 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
+              title="Hide editor (tabs stay open)"
+            >
+              <X className="w-6 h-6 md:w-4 md:h-4" />
+            </button>
+          </div>
+        </div>
+
+        {/* Panes */}
+        <div className="flex-1 flex min-h-0">
+          {Object.entries(editor.tabSets).flatMap(([tabProjectName, set]) => set.tabs.map(tab => {
+            const isCurrentProject = tabProjectName === projectName;
+            const pane = !isCurrentProject ? null
+              : tab.path === set.activePath ? 'main'
+              : tab.path === set.splitPath ? 'split'
+              : null;
+            return (
+              <div
+                key={`${tabProjectName}\n${tab.path}`}
+                onMouseDownCapture={() => pane && editor.setFocusedPane(pane)}
+                onFocusCapture={() => pane && editor.setFocusedPane(pane)}
+                className={cn(
+                  'flex-1 min-w-0',
+                  pane === 'main' && 'order-1',
+                  pane === 'split' && 'order-2 hidden md:block border-l border-gray-200',
+                  !pane && 'hidden'
+                )}
+              >
+                <CodeEditor
+                  file={tab}
+                  isActive={editor.isOpen && pane !== null && (pane === focusedPane || !set.splitPath)}
+                  onClose={() => editor.closeTab(tab.path)}
+                  onDirtyChange={(dirty) => editor.setDirty(tabProjectName, tab.path, dirty)}
+                  onOpenLocation={(filePath, position) => editor.openFile(filePath, null, position)}
+                />
+              </div>
+            );
+          }))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EditorTabs;
@@ -1,20 +1,90 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ScrollArea } from './ui/scroll-area';
 import { Button } from './ui/button';
-import { Folder, FolderOpen, File, FileText, FileCode, List, TableProperties, Eye } from 'lucide-react';
+import { Folder, FolderOpen, File, FileText, FileCode, List, TableProperties, Eye, EyeOff, FilePlus, FolderPlus, Pencil, Copy, Trash2, Upload, RotateCcw, X } from 'lucide-react';
 import { cn } from '../lib/utils';
-import CodeEditor from './CodeEditor';
 import ImageViewer from './ImageViewer';
 import { api } from '../utils/api';
 
-function FileTree({ selectedProject }) {
-  const [files, setFiles] = useState([]);
-  const [loading, setLoading] = useState(false);
+const PAGE_SIZE = 200;
+const MAX_REFRESH_SIZE = 2000; // the server's largest page
+const ROW_HEIGHT = 36;
+const OVERSCAN_ROWS = 10;
+
+const sortTreeItems = (items) => items.sort((a, b) => {
+  if (a.type !== b.type) {
+    return a.type === 'directory' ? -1 : 1;
+  }
+  return a.name.localeCompare(b.name);
+});
+
+// Apply one file watcher change to the loaded folder listings. Returns listings itself when
+// the change is in a folder that hasn't been loaded.
+function applyFileChange(listings, change) {
+  const dirPath = change.path.slice(0, change.path.lastIndexOf('/'));
+  const listing = listings[dirPath];
+  if (!listing) return listings;
+
+  const existing = listing.items.find(item => item.path === change.path);
+  const rest = listing.items.filter(item => item.path !== change.path);
+  if (change.event === 'unlink' || change.event === 'unlinkDir') {
+    return existing ? { ...listings, [dirPath]: { ...listing, items: rest, total: listing.total - 1 } } : listings;
+  }
+
+  const { event, ...fields } = change;
+  let items = sortTreeItems([...rest, { ...existing, ...fields }]);
+  // A new entry past the loaded page shows up when the next page is loaded
+  if (!existing && listing.hasMore && items[items.length - 1].path === change.path) {
+    items = listing.items;
+  }
+  return { ...listings, [dirPath]: { ...listing, items, total: listing.total + (existing ? 0 : 1) } };
+}
+
+function FileTree({ selectedProject, onFileOpen }) {
+  const [listings, setListings] = useState({}); // folder path -> { items, total, hasMore, loading, error }
   const [expandedDirs, setExpandedDirs] = useState(new Set());
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [showIgnored, setShowIgnored] = useState(() => localStorage.getItem('file-tree-show-ignored') === 'true');
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
   const [selectedImage, setSelectedImage] = useState(null);
   const [viewMode, setViewMode] = useState('detailed'); // 'simple', 'detailed', 'compact'
   const [lastRefresh, setLastRefresh] = useState(Date.now());
+  const [focusedPath, setFocusedPath] = useState(null);
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, item }; item is null for the project root
+  const [renaming, setRenaming] = useState(null); // { path, value }
+  const [creating, setCreating] = useState(null); // { parentPath, type, value }
+  const [dropTarget, setDropTarget] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashEntries, setTrashEntries] = useState([]);
+  const [notice, setNotice] = useState(null); // { message, isError, undoEntryId }
+  const [isWatching, setIsWatching] = useState(false); // the server pushes file changes for this project
+  const uploadInputRef = useRef(null);
+  const uploadTargetRef = useRef(null);
+  const treeRef = useRef(null);
+  const nameInputKeyRef = useRef(null); // Enter or Escape that ended the inline name input
+  const watchLostRef = useRef(false);
+  const scrollRef = useRef(null);
+  // Current values for handlers registered by effects and for async loads
+  const listingsRef = useRef(listings);
+  const expandedDirsRef = useRef(expandedDirs);
+  const showIgnoredRef = useRef(showIgnored);
+  listingsRef.current = listings;
+  expandedDirsRef.current = expandedDirs;
+  showIgnoredRef.current = showIgnored;
+
+  const rootPath = selectedProject?.fullPath || selectedProject?.path;
+
+  // Another project starts from a collapsed tree
+  useEffect(() => {
+    listingsRef.current = {};
+    setListings({});
+    setExpandedDirs(new Set());
+    setIsWatching(false);
+    watchLostRef.current = false;
+    setShowTrash(false);
+    setFocusedPath(null);
+    setRenaming(null);
+    setCreating(null);
+  }, [selectedProject?.name]);
 
   useEffect(() => {
     if (selectedProject) {
@@ -30,13 +100,37 @@ function FileTree({ selectedProject }) {
     const handleFileOperation = (event) => {
       // Custom event triggered when files are created/modified
       if (event.detail?.projectName === selectedProject.name) {
-        console.log('File operation detected, refreshing file tree...');
+        // With a file watcher the tree patches itself from file-changes
+        if (!isWatching) {
+          fetchFiles();
+        }
+        if (showTrash) {
+          fetchTrash();
+        }
+      }
+    };
+
+    const handleFileChanges = (event) => {
+      const { projectName, changes } = event.detail;
+      if (projectName !== selectedProject.name) return;
+      setListings(prev => changes.reduce(applyFileChange, prev));
+    };
+
+    // Refetch once when live updates come back, since changes may have been missed meanwhile
+    const handleProjectWatch = (event) => {
+      const { projectName, watching } = event.detail;
+      if (projectName && projectName !== selectedProject.name) return;
+      if (watching && watchLostRef.current) {
         fetchFiles();
       }
+      watchLostRef.current = !watching;
+      setIsWatching(watching);
     };
 
     // Listen for file operation events
     window.addEventListener('file-operation', handleFileOperation);
+    window.addEventListener('file-changes', handleFileChanges);
+    window.addEventListener('project-watch', handleProjectWatch);
     
     // Also refresh when tab becomes visible
     const handleVisibilityChange = () => {
@@ -51,8 +145,8 @@ function FileTree({ selectedProject }) {
     
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
-    // Set up periodic refresh (every 5 seconds if panel is active)
-    const intervalId = setInterval(() => {
+    // Without live updates, refresh every 5 seconds while the panel is active
+    const intervalId = isWatching ? null : setInterval(() => {
       const filesPanel = document.querySelector('[data-panel="files"]');
       if (filesPanel && !filesPanel.classList.contains('hidden')) {
         fetchFiles();
@@ -61,10 +155,33 @@ function FileTree({ selectedProject }) {
 
     return () => {
       window.removeEventListener('file-operation', handleFileOperation);
+      window.removeEventListener('file-changes', handleFileChanges);
+      window.removeEventListener('project-watch', handleProjectWatch);
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       clearInterval(intervalId);
     };
-  }, [selectedProject, lastRefresh]);
+  }, [selectedProject, lastRefresh, showTrash, isWatching]);
+
+  // Close the context menu on any outside click or Escape
+  useEffect(() => {
+    if (!contextMenu) return;
+    const close = () => setContextMenu(null);
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+    };
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [contextMenu]);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), notice.isError ? 6000 : 8000);
+    return () => clearTimeout(timer);
+  }, [notice]);
 
   // Load view mode preference from localStorage
   useEffect(() => {
@@ -74,29 +191,61 @@ function FileTree({ selectedProject }) {
     }
   }, []);
 
-  const fetchFiles = async () => {
-    setLoading(true);
+  const fetchTrash = async () => {
     try {
-      const response = await api.getFiles(selectedProject.name);
-      
+      const response = await api.trash(selectedProject.name);
+      const data = await response.json();
       if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ File fetch failed:', response.status, errorText);
-        setFiles([]);
-        return;
+        throw new Error(data.error || 'Failed to load the trash');
       }
-      
+      setTrashEntries(data.entries);
+    } catch (error) {
+      setNotice({ message: error.message, isError: true });
+    }
+  };
+
+  // Load the first page of a folder, or the next one with append. A reload fetches as many
+  // entries as are already shown, so a refresh doesn't collapse loaded pages.
+  const loadDirectory = async (dirPath, { append = false } = {}) => {
+    const loaded = listingsRef.current[dirPath]?.items.length || 0;
+    const offset = append ? loaded : 0;
+    const limit = append ? PAGE_SIZE : Math.min(Math.max(PAGE_SIZE, loaded), MAX_REFRESH_SIZE);
+    setListings(prev => ({
+      ...prev,
+      [dirPath]: { items: [], total: 0, hasMore: false, ...prev[dirPath], loading: true, error: null }
+    }));
+    try {
+      const response = await api.listDirectory(selectedProject.name, dirPath, { offset, limit, showIgnored: showIgnoredRef.current });
       const data = await response.json();
-      setFiles(data);
-      setLastRefresh(Date.now());
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to list the folder');
+      }
+      setListings(prev => ({
+        ...prev,
+        [dirPath]: {
+          items: append ? [...(prev[dirPath]?.items || []), ...data.items] : data.items,
+          total: data.total,
+          hasMore: data.hasMore,
+          loading: false,
+          error: null
+        }
+      }));
     } catch (error) {
-      console.error('❌ Error fetching files:', error);
-      setFiles([]);
-    } finally {
-      setLoading(false);
+      console.error('❌ Error listing folder:', error);
+      setListings(prev => ({
+        ...prev,
+        [dirPath]: { items: [], total: 0, hasMore: false, ...prev[dirPath], loading: false, error: error.message }
+      }));
     }
   };
 
+  // Reload the root and the expanded folders that have been loaded
+  const fetchFiles = () => {
+    setLastRefresh(Date.now());
+    const dirs = [rootPath, ...[...expandedDirsRef.current].filter(dirPath => listingsRef.current[dirPath])];
+    return Promise.all(dirs.map(dirPath => loadDirectory(dirPath)));
+  };
+
   // Expose refresh function globally for other components to trigger
   useEffect(() => {
     if (selectedProject) {
@@ -110,16 +259,392 @@ function FileTree({ selectedProject }) {
     };
   }, [selectedProject]);
 
-  const toggleDirectory = (path) => {
-    const newExpanded = new Set(expandedDirs);
-    if (newExpanded.has(path)) {
-      newExpanded.delete(path);
+  const joinPath = (dir, name) => `${dir.replace(/\/+$/, '')}/${name}`;
+  const dirname = (filePath) => filePath.slice(0, filePath.lastIndexOf('/')) || '/';
+  const basename = (filePath) => filePath.slice(filePath.lastIndexOf('/') + 1);
+  const relativeToRoot = (filePath) => (filePath.startsWith(`${rootPath}/`) ? filePath.slice(rootPath.length + 1) : filePath);
+  // Where new entries go for a context item: inside a folder, next to a file, or the root
+  const getTargetDir = (item) => (!item ? rootPath : item.type === 'directory' ? item.path : dirname(item.path));
+
+  // Everything the tree shows, in display order: entries, inline name inputs, "load more"
+  // buttons and loading or error notes for expanded folders
+  const getRows = () => {
+    const rows = [];
+    const walk = (dirPath, level) => {
+      if (creating?.parentPath === dirPath) {
+        rows.push({ kind: 'create', key: `create:${dirPath}`, level });
+      }
+      const listing = listings[dirPath];
+      if (!listing) return;
+      for (const item of listing.items) {
+        rows.push({ kind: 'item', key: item.path, item, level });
+        if (item.type === 'directory' && expandedDirs.has(item.path)) {
+          walk(item.path, level + 1);
+        }
+      }
+      if (listing.error) {
+        rows.push({ kind: 'status', key: `status:${dirPath}`, level, text: listing.error, isError: true });
+      } else if (listing.loading && listing.items.length === 0) {
+        rows.push({ kind: 'status', key: `status:${dirPath}`, level, text: 'Loading...' });
+      } else if (listing.hasMore) {
+        rows.push({ kind: 'more', key: `more:${dirPath}`, level, dirPath, remaining: listing.total - listing.items.length, loading: listing.loading });
+      }
+    };
+    if (rootPath) {
+      walk(rootPath, 0);
+    }
+    return rows;
+  };
+
+  const openItem = (item) => {
+    if (item.type === 'directory') {
+      toggleDirectory(item.path);
+      return;
+    }
+    if (isImageFile(item.name)) {
+      setSelectedImage({
+        name: item.name,
+        path: item.path,
+        projectPath: selectedProject.path,
+        projectName: selectedProject.name
+      });
+    } else {
+      // Text files open in the editor tabs
+      onFileOpen?.(item.path);
+    }
+  };
+
+  // Call the file API, report errors in the notice bar and refresh the tree. describe(data)
+  // returns the notice to show on success, if any.
+  const runFileOperation = async (request, describe) => {
+    try {
+      const response = await request();
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'File operation failed');
+      }
+      if (describe) {
+        setNotice(describe(data));
+      }
+      if (!isWatching) {
+        fetchFiles();
+      }
+      if (showTrash) {
+        fetchTrash();
+      }
+      return data;
+    } catch (error) {
+      setNotice({ message: error.message, isError: true });
+      return null;
+    }
+  };
+
+  const startCreate = (item, type) => {
+    const parentPath = getTargetDir(item);
+    if (parentPath !== rootPath) {
+      expandDirectory(parentPath);
+    }
+    setShowTrash(false);
+    setRenaming(null);
+    setCreating({ parentPath, type, value: '' });
+  };
+
+  const commitCreate = async () => {
+    const { parentPath, type, value } = creating;
+    setCreating(null);
+    if (!value.trim()) return;
+    const data = await runFileOperation(() => api.createFile(selectedProject.name, { path: joinPath(parentPath, value.trim()), type }));
+    if (data) {
+      setFocusedPath(data.path);
+      if (type === 'file' && !isImageFile(data.path)) {
+        openItem({ name: basename(data.path), path: data.path, type: 'file' });
+      }
+    }
+  };
+
+  const startRename = (item) => {
+    setCreating(null);
+    setRenaming({ path: item.path, value: item.name });
+  };
+
+  // The new name may include a relative path to move the entry, e.g. "../docs/notes.md"
+  const commitRename = async () => {
+    const { path: fromPath, value } = renaming;
+    setRenaming(null);
+    if (!value.trim() || value.trim() === basename(fromPath)) return;
+    const data = await runFileOperation(() => api.moveFile(selectedProject.name, fromPath, joinPath(dirname(fromPath), value.trim())));
+    if (data) setFocusedPath(data.path);
+  };
+
+  const moveItem = async (fromPath, targetDir) => {
+    if (dirname(fromPath) === targetDir || targetDir === fromPath || targetDir.startsWith(`${fromPath}/`)) return;
+    const data = await runFileOperation(
+      () => api.moveFile(selectedProject.name, fromPath, joinPath(targetDir, basename(fromPath))),
+      () => ({ message: `Moved ${basename(fromPath)} to ${targetDir === rootPath ? 'the project root' : relativeToRoot(targetDir)}` })
+    );
+    if (data) setFocusedPath(data.path);
+  };
+
+  const duplicateItem = async (item) => {
+    const data = await runFileOperation(() => api.duplicateFile(selectedProject.name, item.path));
+    if (data) setFocusedPath(data.path);
+  };
+
+  const deleteItem = (item) => runFileOperation(
+    () => api.deleteFile(selectedProject.name, item.path),
+    (data) => ({ message: `Moved ${item.name} to the trash`, undoEntryId: data.entry.id })
+  );
+
+  const restoreEntry = (entryId) => runFileOperation(
+    () => api.restoreTrashEntry(selectedProject.name, entryId),
+    (data) => ({ message: `Restored ${relativeToRoot(data.entry.originalPath)}` })
+  );
+
+  const purgeEntry = (entry) => {
+    if (!window.confirm(`Delete ${entry.name} permanently? This cannot be undone.`)) return;
+    runFileOperation(() => api.purgeTrashEntry(selectedProject.name, entry.id));
+  };
+
+  const toggleTrash = () => {
+    if (!showTrash) fetchTrash();
+    setShowTrash(!showTrash);
+  };
+
+  const uploadFiles = async (files, targetDir) => {
+    if (files.length === 0) return;
+    const formData = new FormData();
+    formData.append('targetDir', targetDir);
+    for (const { file, relativePath } of files) {
+      formData.append('files', file);
+      formData.append('relativePaths', relativePath || file.name);
+    }
+    await runFileOperation(
+      () => api.uploadFiles(selectedProject.name, formData),
+      (data) => ({ message: `Uploaded ${data.paths.length} file${data.paths.length === 1 ? '' : 's'}` })
+    );
+    if (targetDir !== rootPath) {
+      expandDirectory(targetDir);
+    }
+  };
+
+  const startUpload = (item) => {
+    uploadTargetRef.current = getTargetDir(item);
+    uploadInputRef.current?.click();
+  };
+
+  // Files dropped from the desktop, including the contents of dropped folders
+  const collectDroppedFiles = async (dataTransfer) => {
+    const entries = [...dataTransfer.items || []]
+      .map(dataItem => dataItem.webkitGetAsEntry?.())
+      .filter(Boolean);
+    if (entries.length === 0) {
+      return [...dataTransfer.files].map(file => ({ file }));
+    }
+    const collected = [];
+    const walk = async (entry, prefix) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        collected.push({ file, relativePath: `${prefix}${entry.name}` });
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        let batch;
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of batch) {
+            await walk(child, `${prefix}${entry.name}/`);
+          }
+        } while (batch.length > 0);
+      }
+    };
+    for (const entry of entries) {
+      await walk(entry, '');
+    }
+    return collected;
+  };
+
+  const isInternalDrag = (event) => event.dataTransfer.types.includes('application/x-file-tree-path');
+
+  const handleDragOver = (event, item) => {
+    if (!isInternalDrag(event) && !event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = isInternalDrag(event) ? 'move' : 'copy';
+    setDropTarget(getTargetDir(item));
+  };
+
+  const handleDrop = async (event, item) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDropTarget(null);
+    const targetDir = getTargetDir(item);
+    const draggedPath = event.dataTransfer.getData('application/x-file-tree-path');
+    if (draggedPath) {
+      moveItem(draggedPath, targetDir);
     } else {
-      newExpanded.add(path);
+      uploadFiles(await collectDroppedFiles(event.dataTransfer), targetDir);
     }
+  };
+
+  // Handlers shared by the rows of every view mode
+  const getRowProps = (item) => ({
+    'data-path': item.path,
+    draggable: true,
+    onClick: (event) => {
+      event.stopPropagation();
+      setFocusedPath(item.path);
+      openItem(item);
+    },
+    onContextMenu: (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      setFocusedPath(item.path);
+      setContextMenu({ x: event.clientX, y: event.clientY, item });
+    },
+    onDragStart: (event) => {
+      event.dataTransfer.setData('application/x-file-tree-path', item.path);
+      event.dataTransfer.effectAllowed = 'move';
+    },
+    onDragOver: (event) => handleDragOver(event, item),
+    onDrop: (event) => handleDrop(event, item)
+  });
+
+  const getRowHighlight = (item) => cn(
+    focusedPath === item.path && 'bg-accent/60',
+    item.ignored && 'opacity-60',
+    item.type === 'directory' && dropTarget === item.path && 'ring-1 ring-inset ring-blue-500 bg-blue-50 dark:bg-blue-900/20'
+  );
+
+  const handleTreeKeyDown = (event) => {
+    if (renaming || creating || event.target.tagName === 'INPUT') return;
+    const rows = getRows();
+    const visibleItems = rows.filter(row => row.kind === 'item').map(row => row.item);
+    const index = visibleItems.findIndex(item => item.path === focusedPath);
+    const item = index >= 0 ? visibleItems[index] : null;
+    const modifier = event.ctrlKey || event.metaKey;
+
+    // Rows outside the rendered window don't exist in the DOM, so scroll by row index
+    const focus = (nextItem) => {
+      if (!nextItem) return;
+      setFocusedPath(nextItem.path);
+      const scroller = scrollRef.current;
+      const top = (treeRef.current?.offsetTop || 0) + rows.findIndex(row => row.item === nextItem) * ROW_HEIGHT;
+      if (scroller && top < scroller.scrollTop) {
+        scroller.scrollTop = top;
+      } else if (scroller && top + ROW_HEIGHT > scroller.scrollTop + scroller.clientHeight) {
+        scroller.scrollTop = top + ROW_HEIGHT - scroller.clientHeight;
+      }
+    };
+
+    if (event.key === 'ArrowDown') {
+      focus(visibleItems[Math.min(index + 1, visibleItems.length - 1)]);
+    } else if (event.key === 'ArrowUp') {
+      focus(visibleItems[Math.max(index - 1, 0)]);
+    } else if (event.key === 'ArrowRight' && item?.type === 'directory') {
+      if (!expandedDirs.has(item.path)) expandDirectory(item.path);
+    } else if (event.key === 'ArrowLeft' && item) {
+      if (item.type === 'directory' && expandedDirs.has(item.path)) {
+        toggleDirectory(item.path);
+      } else {
+        focus(visibleItems.find(candidate => candidate.path === dirname(item.path)));
+      }
+    } else if (event.key === 'Enter' && item) {
+      openItem(item);
+    } else if (event.key === 'F2' && item) {
+      startRename(item);
+    } else if ((event.key === 'Delete' || (event.key === 'Backspace' && event.metaKey)) && item) {
+      deleteItem(item);
+    } else if (modifier && event.key.toLowerCase() === 'd' && item) {
+      duplicateItem(item);
+    } else if (event.altKey && event.code === 'KeyN') {
+      startCreate(item, event.shiftKey ? 'directory' : 'file');
+    } else if (event.key === 'ContextMenu' || (event.shiftKey && event.key === 'F10')) {
+      const row = item && treeRef.current?.querySelector(`[data-path="${CSS.escape(item.path)}"]`);
+      const rect = row?.getBoundingClientRect() || treeRef.current.getBoundingClientRect();
+      setContextMenu({ x: rect.left + 24, y: rect.top + (row ? rect.height : 8), item });
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  const renderNameInput = (value, onChange, onCommit, onCancel, level, placeholder) => (
+    <div className="h-full flex items-center px-1.5" style={{ paddingLeft: `${level * 16 + 12}px` }}>
+      <input
+        autoFocus
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={(e) => {
+          // Select the name without its extension, like most file managers
+          const dot = e.target.value.lastIndexOf('.');
+          e.target.setSelectionRange(0, dot > 0 ? dot : e.target.value.length);
+        }}
+        onKeyDown={(e) => {
+          e.stopPropagation();
+          if (e.key === 'Enter' || e.key === 'Escape') {
+            nameInputKeyRef.current = e.key;
+            e.currentTarget.blur();
+          }
+        }}
+        // Clicking elsewhere commits too; blur is the single place either happens
+        onBlur={() => {
+          const key = nameInputKeyRef.current;
+          nameInputKeyRef.current = null;
+          if (key === 'Escape') {
+            onCancel();
+          } else {
+            onCommit();
+          }
+          if (key) {
+            treeRef.current?.focus();
+          }
+        }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full px-2 py-0.5 text-sm bg-background border border-blue-500 rounded outline-none text-foreground"
+      />
+    </div>
+  );
+
+  const renderRenameInput = (level) => renderNameInput(
+    renaming.value,
+    (value) => setRenaming(prev => ({ ...prev, value })),
+    commitRename,
+    () => setRenaming(null),
+    level
+  );
+
+  const renderCreateInput = (level) => renderNameInput(
+    creating.value,
+    (value) => setCreating(prev => ({ ...prev, value })),
+    commitCreate,
+    () => setCreating(null),
+    level,
+    creating.type === 'directory' ? 'Folder name' : 'File name'
+  );
+
+  // Show a folder's cached entries right away and reload them from the server
+  const expandDirectory = (path) => {
+    setExpandedDirs(prev => new Set(prev).add(path));
+    loadDirectory(path);
+  };
+
+  const toggleDirectory = (path) => {
+    if (!expandedDirs.has(path)) {
+      expandDirectory(path);
+      return;
+    }
+    const newExpanded = new Set(expandedDirs);
+    newExpanded.delete(path);
     setExpandedDirs(newExpanded);
   };
 
+  const toggleShowIgnored = () => {
+    showIgnoredRef.current = !showIgnored;
+    setShowIgnored(!showIgnored);
+    localStorage.setItem('file-tree-show-ignored', String(!showIgnored));
+    fetchFiles();
+  };
+
   // Change view mode and save preference
   const changeViewMode = (mode) => {
     setViewMode(mode);
@@ -149,64 +674,37 @@ function FileTree({ selectedProject }) {
     return past.toLocaleDateString();
   };
 
-  const renderFileTree = (items, level = 0) => {
-    return items.map((item) => (
-      <div key={item.path} className="select-none">
-        <Button
-          variant="ghost"
-          className={cn(
-            "w-full justify-start p-2 h-auto font-normal text-left hover:bg-accent",
-          )}
-          style={{ paddingLeft: `${level * 16 + 12}px` }}
-          onClick={() => {
-            if (item.type === 'directory') {
-              toggleDirectory(item.path);
-            } else if (isImageFile(item.name)) {
-              // Open image in viewer
-              setSelectedImage({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            } else {
-              // Open file in editor
-              setSelectedFile({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            }
-          }}
-        >
-          <div className="flex items-center gap-2 min-w-0 w-full">
-            {item.type === 'directory' ? (
-              expandedDirs.has(item.path) ? (
-                <FolderOpen className="w-4 h-4 text-blue-500 flex-shrink-0" />
-              ) : (
-                <Folder className="w-4 h-4 text-muted-foreground flex-shrink-0" />
-              )
-            ) : (
-              getFileIcon(item.name)
-            )}
-            <span className="text-sm truncate text-foreground">
-              {item.name}
-            </span>
-          </div>
-        </Button>
-        
-        {item.type === 'directory' && 
-         expandedDirs.has(item.path) && 
-         item.children && 
-         item.children.length > 0 && (
-          <div>
-            {renderFileTree(item.children, level + 1)}
-          </div>
-        )}
+  const renderItemIcon = (item) => (
+    item.type === 'directory' ? (
+      expandedDirs.has(item.path) ? (
+        <FolderOpen className="w-4 h-4 text-blue-500 flex-shrink-0" />
+      ) : (
+        <Folder className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+      )
+    ) : (
+      getFileIcon(item.name)
+    )
+  );
+
+  const renderSimpleRow = (item, level) => (
+    <Button
+      variant="ghost"
+      className={cn(
+        "w-full h-full justify-start p-2 font-normal text-left hover:bg-accent",
+        getRowHighlight(item)
+      )}
+      style={{ paddingLeft: `${level * 16 + 12}px` }}
+      tabIndex={-1}
+      {...getRowProps(item)}
+    >
+      <div className="flex items-center gap-2 min-w-0 w-full">
+        {renderItemIcon(item)}
+        <span className="text-sm truncate text-foreground">
+          {item.name}
+        </span>
       </div>
-    ));
-  };
+    </Button>
+  );
 
   const isImageFile = (filename) => {
     const ext = filename.split('.').pop()?.toLowerCase();
@@ -232,130 +730,114 @@ function FileTree({ selectedProject }) {
     }
   };
 
-  // Render detailed view with table-like layout
-  const renderDetailedView = (items, level = 0) => {
-    return items.map((item) => (
-      <div key={item.path} className="select-none">
-        <div
-          className={cn(
-            "grid grid-cols-12 gap-2 p-2 hover:bg-accent cursor-pointer items-center",
-          )}
-          style={{ paddingLeft: `${level * 16 + 12}px` }}
-          onClick={() => {
-            if (item.type === 'directory') {
-              toggleDirectory(item.path);
-            } else if (isImageFile(item.name)) {
-              setSelectedImage({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            } else {
-              setSelectedFile({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            }
-          }}
-        >
-          <div className="col-span-5 flex items-center gap-2 min-w-0">
-            {item.type === 'directory' ? (
-              expandedDirs.has(item.path) ? (
-                <FolderOpen className="w-4 h-4 text-blue-500 flex-shrink-0" />
-              ) : (
-                <Folder className="w-4 h-4 text-muted-foreground flex-shrink-0" />
-              )
-            ) : (
-              getFileIcon(item.name)
-            )}
-            <span className="text-sm truncate text-foreground">
-              {item.name}
-            </span>
-          </div>
-          <div className="col-span-2 text-sm text-muted-foreground">
-            {item.type === 'file' ? formatFileSize(item.size) : '-'}
-          </div>
-          <div className="col-span-3 text-sm text-muted-foreground">
-            {formatRelativeTime(item.modified)}
-          </div>
-          <div className="col-span-2 text-sm text-muted-foreground font-mono">
-            {item.permissionsRwx || '-'}
-          </div>
-        </div>
-        
-        {item.type === 'directory' && 
-         expandedDirs.has(item.path) && 
-         item.children && 
-         renderDetailedView(item.children, level + 1)}
+  // Detailed rows with table-like columns
+  const renderDetailedRow = (item, level) => (
+    <div
+      className={cn(
+        "h-full grid grid-cols-12 gap-2 p-2 hover:bg-accent cursor-pointer items-center",
+        getRowHighlight(item)
+      )}
+      style={{ paddingLeft: `${level * 16 + 12}px` }}
+      {...getRowProps(item)}
+    >
+      <div className="col-span-5 flex items-center gap-2 min-w-0">
+        {renderItemIcon(item)}
+        <span className="text-sm truncate text-foreground">
+          {item.name}
+        </span>
       </div>
-    ));
-  };
+      <div className="col-span-2 text-sm text-muted-foreground">
+        {item.type === 'file' ? formatFileSize(item.size) : '-'}
+      </div>
+      <div className="col-span-3 text-sm text-muted-foreground">
+        {formatRelativeTime(item.modified)}
+      </div>
+      <div className="col-span-2 text-sm text-muted-foreground font-mono">
+        {item.permissionsRwx || '-'}
+      </div>
+    </div>
+  );
 
-  // Render compact view with inline details
-  const renderCompactView = (items, level = 0) => {
-    return items.map((item) => (
-      <div key={item.path} className="select-none">
-        <div
-          className={cn(
-            "flex items-center justify-between p-2 hover:bg-accent cursor-pointer",
-          )}
-          style={{ paddingLeft: `${level * 16 + 12}px` }}
-          onClick={() => {
-            if (item.type === 'directory') {
-              toggleDirectory(item.path);
-            } else if (isImageFile(item.name)) {
-              setSelectedImage({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            } else {
-              setSelectedFile({
-                name: item.name,
-                path: item.path,
-                projectPath: selectedProject.path,
-                projectName: selectedProject.name
-              });
-            }
-          }}
-        >
-          <div className="flex items-center gap-2 min-w-0">
-            {item.type === 'directory' ? (
-              expandedDirs.has(item.path) ? (
-                <FolderOpen className="w-4 h-4 text-blue-500 flex-shrink-0" />
-              ) : (
-                <Folder className="w-4 h-4 text-muted-foreground flex-shrink-0" />
-              )
-            ) : (
-              getFileIcon(item.name)
-            )}
-            <span className="text-sm truncate text-foreground">
-              {item.name}
-            </span>
-          </div>
-          <div className="flex items-center gap-3 text-xs text-muted-foreground">
-            {item.type === 'file' && (
-              <>
-                <span>{formatFileSize(item.size)}</span>
-                <span className="font-mono">{item.permissionsRwx}</span>
-              </>
-            )}
-          </div>
-        </div>
-        
-        {item.type === 'directory' && 
-         expandedDirs.has(item.path) && 
-         item.children && 
-         renderCompactView(item.children, level + 1)}
+  // Compact rows with inline details
+  const renderCompactRow = (item, level) => (
+    <div
+      className={cn(
+        "h-full flex items-center justify-between p-2 hover:bg-accent cursor-pointer",
+        getRowHighlight(item)
+      )}
+      style={{ paddingLeft: `${level * 16 + 12}px` }}
+      {...getRowProps(item)}
+    >
+      <div className="flex items-center gap-2 min-w-0">
+        {renderItemIcon(item)}
+        <span className="text-sm truncate text-foreground">
+          {item.name}
+        </span>
+      </div>
+      <div className="flex items-center gap-3 text-xs text-muted-foreground">
+        {item.type === 'file' && (
+          <>
+            <span>{formatFileSize(item.size)}</span>
+            <span className="font-mono">{item.permissionsRwx}</span>
+          </>
+        )}
       </div>
-    ));
+    </div>
+  );
+
+  const renderRow = (row) => {
+    const indent = { paddingLeft: `${row.level * 16 + 36}px` };
+    if (row.kind === 'create') {
+      return renderCreateInput(row.level);
+    }
+    if (row.kind === 'status') {
+      return (
+        <div className={cn('h-full flex items-center text-sm truncate', row.isError ? 'text-red-600 dark:text-red-400' : 'text-muted-foreground')} style={indent}>
+          {row.text}
+        </div>
+      );
+    }
+    if (row.kind === 'more') {
+      return (
+        <div className="h-full flex items-center" style={indent}>
+          <button
+            onClick={() => loadDirectory(row.dirPath, { append: true })}
+            disabled={row.loading}
+            className="text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+          >
+            {row.loading ? 'Loading...' : `Load ${Math.min(row.remaining, PAGE_SIZE)} more of ${row.remaining}`}
+          </button>
+        </div>
+      );
+    }
+    if (renaming?.path === row.item.path) {
+      return renderRenameInput(row.level);
+    }
+    if (viewMode === 'compact') return renderCompactRow(row.item, row.level);
+    if (viewMode === 'detailed') return renderDetailedRow(row.item, row.level);
+    return renderSimpleRow(row.item, row.level);
   };
 
-  if (loading) {
+  const rootListing = listings[rootPath];
+  // Later refreshes keep the tree on screen so inline edits aren't interrupted
+  const isTreeLoading = !rootListing || (rootListing.loading && rootListing.items.length === 0 && !rootListing.error);
+
+  // Track the scrolled window so only the rows in view are rendered
+  useEffect(() => {
+    const scroller = scrollRef.current;
+    if (!scroller) return;
+    const update = () => setViewport({ scrollTop: scroller.scrollTop, height: scroller.clientHeight });
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(scroller);
+    scroller.addEventListener('scroll', update, { passive: true });
+    return () => {
+      observer.disconnect();
+      scroller.removeEventListener('scroll', update);
+    };
+  }, [showTrash, isTreeLoading]);
+
+  if (isTreeLoading) {
     return (
       <div className="h-full flex items-center justify-center">
         <div className="text-gray-500 dark:text-gray-400">
@@ -365,12 +847,63 @@ function FileTree({ selectedProject }) {
     );
   }
 
+  // Only the rows in the scrolled window (plus some overscan) are rendered
+  const rows = showTrash ? [] : getRows();
+  const firstRow = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rows.length, Math.ceil((viewport.scrollTop + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
   return (
     <div className="h-full flex flex-col bg-card">
       {/* View Mode Toggle */}
       <div className="p-4 border-b border-border flex items-center justify-between">
-        <h3 className="text-sm font-medium text-foreground">Files</h3>
+        <h3 className="text-sm font-medium text-foreground">{showTrash ? 'Trash' : 'Files'}</h3>
         <div className="flex gap-1">
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={() => startCreate(null, 'file')}
+            title="New file (Alt+N)"
+          >
+            <FilePlus className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={() => startCreate(null, 'directory')}
+            title="New folder (Alt+Shift+N)"
+          >
+            <FolderPlus className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={() => startUpload(null)}
+            title="Upload files"
+          >
+            <Upload className="w-4 h-4" />
+          </Button>
+          <Button
+            variant={showIgnored ? 'default' : 'ghost'}
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={toggleShowIgnored}
+            title={showIgnored ? 'Hide files ignored by .gitignore' : 'Show files ignored by .gitignore'}
+          >
+            <EyeOff className="w-4 h-4" />
+          </Button>
+          <Button
+            variant={showTrash ? 'default' : 'ghost'}
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={toggleTrash}
+            title="Trash"
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+          <div className="w-px bg-border mx-1" />
           <Button
             variant={viewMode === 'simple' ? 'default' : 'ghost'}
             size="sm"
@@ -402,7 +935,7 @@ function FileTree({ selectedProject }) {
       </div>
 
       {/* Column Headers for Detailed View */}
-      {viewMode === 'detailed' && files.length > 0 && (
+      {viewMode === 'detailed' && rootListing.items.length > 0 && !showTrash && (
         <div className="px-4 pt-2 pb-1 border-b border-border">
           <div className="grid grid-cols-12 gap-2 px-2 text-xs font-medium text-muted-foreground">
             <div className="col-span-5">Name</div>
@@ -413,8 +946,69 @@ function FileTree({ selectedProject }) {
         </div>
       )}
       
+      {showTrash ? (
       <ScrollArea className="flex-1 p-4">
-        {files.length === 0 ? (
+        {trashEntries.length === 0 ? (
+          <div className="text-center py-8 text-sm text-muted-foreground">
+            The trash is empty
+          </div>
+        ) : (
+          <div className="space-y-1">
+            {trashEntries.map(entry => (
+              <div key={entry.id} className="flex items-center gap-2 p-2 rounded-md hover:bg-accent">
+                {entry.type === 'directory'
+                  ? <Folder className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                  : getFileIcon(entry.name)}
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm truncate text-foreground">{entry.name}</div>
+                  <div className="text-xs truncate text-muted-foreground" title={entry.originalPath}>
+                    {relativeToRoot(entry.originalPath)} · deleted {formatRelativeTime(entry.deletedAt)}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 w-8 p-0"
+                  onClick={() => restoreEntry(entry.id)}
+                  title="Restore"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 w-8 p-0 text-red-600 hover:text-red-700 dark:text-red-400"
+                  onClick={() => purgeEntry(entry)}
+                  title="Delete permanently"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </ScrollArea>
+      ) : (
+      <div ref={scrollRef} className="relative flex-1 overflow-auto p-4">
+        <div
+          ref={treeRef}
+          tabIndex={0}
+          className={cn(
+            'min-h-full outline-none rounded-md',
+            dropTarget === rootPath && 'ring-1 ring-inset ring-blue-500'
+          )}
+          onKeyDown={handleTreeKeyDown}
+          onContextMenu={(event) => {
+            event.preventDefault();
+            setContextMenu({ x: event.clientX, y: event.clientY, item: null });
+          }}
+          onDragOver={(event) => handleDragOver(event, null)}
+          onDragLeave={(event) => {
+            if (!event.currentTarget.contains(event.relatedTarget)) setDropTarget(null);
+          }}
+          onDrop={(event) => handleDrop(event, null)}
+        >
+        {rows.length === 0 ? (
           <div className="text-center py-8">
             <div className="w-12 h-12 bg-muted rounded-lg flex items-center justify-center mx-auto mb-3">
               <Folder className="w-6 h-6 text-muted-foreground" />
@@ -425,21 +1019,99 @@ function FileTree({ selectedProject }) {
             </p>
           </div>
         ) : (
-          <div className={viewMode === 'detailed' ? '' : 'space-y-1'}>
-            {viewMode === 'simple' && renderFileTree(files)}
-            {viewMode === 'compact' && renderCompactView(files)}
-            {viewMode === 'detailed' && renderDetailedView(files)}
+          <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+            {rows.slice(firstRow, lastRow).map((row, index) => (
+              <div
+                key={row.key}
+                className="absolute left-0 right-0 select-none"
+                style={{ top: (firstRow + index) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              >
+                {renderRow(row)}
+              </div>
+            ))}
           </div>
         )}
-      </ScrollArea>
-      
-      {/* Code Editor Modal */}
-      {selectedFile && (
-        <CodeEditor
-          file={selectedFile}
-          onClose={() => setSelectedFile(null)}
-          projectPath={selectedFile.projectPath}
-        />
+        </div>
+      </div>
+      )}
+
+      {notice && (
+        <div className={cn(
+          'mx-4 mb-3 px-3 py-2 rounded-md text-sm flex items-center gap-3',
+          notice.isError
+            ? 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200'
+            : 'bg-muted text-foreground'
+        )}>
+          <span className="flex-1 min-w-0 truncate">{notice.message}</span>
+          {notice.undoEntryId && (
+            <button
+              onClick={() => {
+                restoreEntry(notice.undoEntryId);
+                setNotice(null);
+              }}
+              className="text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0"
+            >
+              Undo
+            </button>
+          )}
+          <button onClick={() => setNotice(null)} className="text-muted-foreground hover:text-foreground flex-shrink-0">
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      <input
+        ref={uploadInputRef}
+        type="file"
+        multiple
+        className="hidden"
+        onChange={(event) => {
+          uploadFiles([...event.target.files].map(file => ({ file })), uploadTargetRef.current || rootPath);
+          event.target.value = '';
+        }}
+      />
+
+      {/* Context Menu */}
+      {contextMenu && (
+        <div
+          className="fixed z-50 min-w-[200px] py-1 bg-popover text-popover-foreground border border-border rounded-md shadow-lg"
+          style={{ left: Math.min(contextMenu.x, window.innerWidth - 220), top: Math.min(contextMenu.y, window.innerHeight - 300) }}
+          onClick={(event) => event.stopPropagation()}
+          onContextMenu={(event) => event.preventDefault()}
+        >
+          {[
+            contextMenu.item?.type === 'file' && { label: 'Open', shortcut: 'Enter', onSelect: () => openItem(contextMenu.item) },
+            { label: 'New File', icon: FilePlus, shortcut: 'Alt+N', onSelect: () => startCreate(contextMenu.item, 'file') },
+            { label: 'New Folder', icon: FolderPlus, shortcut: 'Alt+Shift+N', onSelect: () => startCreate(contextMenu.item, 'directory') },
+            { label: 'Upload Files...', icon: Upload, onSelect: () => startUpload(contextMenu.item) },
+            contextMenu.item && { divider: true },
+            contextMenu.item && { label: 'Rename', icon: Pencil, shortcut: 'F2', onSelect: () => startRename(contextMenu.item) },
+            contextMenu.item && { label: 'Duplicate', icon: Copy, shortcut: 'Ctrl+D', onSelect: () => duplicateItem(contextMenu.item) },
+            contextMenu.item && { label: 'Copy Path', onSelect: () => navigator.clipboard?.writeText(contextMenu.item.path) },
+            contextMenu.item && { divider: true },
+            contextMenu.item && { label: 'Move to Trash', icon: Trash2, shortcut: 'Del', danger: true, onSelect: () => deleteItem(contextMenu.item) },
+            !contextMenu.item && { divider: true },
+            !contextMenu.item && { label: 'Show Trash', icon: Trash2, onSelect: toggleTrash }
+          ].filter(Boolean).map((entry, index) => entry.divider ? (
+            <div key={`divider-${index}`} className="my-1 border-t border-border" />
+          ) : (
+            <button
+              key={entry.label}
+              onClick={() => {
+                setContextMenu(null);
+                entry.onSelect();
+              }}
+              className={cn(
+                'w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left hover:bg-accent',
+                entry.danger && 'text-red-600 dark:text-red-400'
+              )}
+            >
+              {entry.icon ? <entry.icon className="w-4 h-4" /> : <span className="w-4" />}
+              <span className="flex-1">{entry.label}</span>
+              {entry.shortcut && <span className="text-xs text-muted-foreground">{entry.shortcut}</span>}
+            </button>
+          ))}
+        </div>
       )}
       
       {/* Image Viewer Modal */}
@@ -1,7 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { GitBranch, GitCommit, Plus, Minus, RefreshCw, Check, X, ChevronDown, ChevronRight, Info, History, FileText, Mic, MicOff, Sparkles, Download, RotateCcw, Trash2, AlertTriangle, Upload } from 'lucide-react';
+import { GitBranch, GitCommit, Plus, Minus, RefreshCw, Check, X, ChevronDown, ChevronRight, Info, History, FileText, Mic, MicOff, Sparkles, Download, RotateCcw, Trash2, AlertTriangle, Upload, GitMerge } from 'lucide-react';
 import { MicButton } from './MicButton.jsx';
+import ConflictResolver from './ConflictResolver';
 import { authenticatedFetch } from '../utils/api';
+import { parseDiff, isChangeLine } from '../utils/gitDiff';
+
+const OPERATION_NAMES = {
+  merge: 'Merge',
+  rebase: 'Rebase',
+  'cherry-pick': 'Cherry-pick',
+  revert: 'Revert'
+};
 
 function GitPanel({ selectedProject, isMobile }) {
   const [gitStatus, setGitStatus] = useState(null);
@@ -29,10 +38,20 @@ function GitPanel({ selectedProject, isMobile }) {
   const [isPulling, setIsPulling] = useState(false);
   const [isPushing, setIsPushing] = useState(false);
   const [isCommitAreaCollapsed, setIsCommitAreaCollapsed] = useState(isMobile); // Collapsed by default on mobile
-  const [confirmAction, setConfirmAction] = useState(null); // { type: 'discard|commit|pull|push', file?: string, message?: string }
+  const [confirmAction, setConfirmAction] = useState(null); // { type: 'discard|discard-hunk|commit|pull|push|abort', file?: string, message?: string }
+  const [resolvingFile, setResolvingFile] = useState(null);
+  const [isContinuing, setIsContinuing] = useState(false);
+  const [operationError, setOperationError] = useState(null);
+  const [selectedLines, setSelectedLines] = useState({}); // { 'view:file:hunkIndex': [line indexes] }
+  const [stagingError, setStagingError] = useState(null);
   const textareaRef = useRef(null);
   const dropdownRef = useRef(null);
 
+  // With something staged, the changes are listed as staged and unstaged and a commit takes
+  // exactly what is staged; otherwise files are picked with the checkboxes
+  const isStagingMode = gitStatus?.staged?.length > 0;
+  const commitFileCount = isStagingMode ? gitStatus.staged.length : selectedFiles.size;
+
   useEffect(() => {
     if (selectedProject) {
       fetchGitStatus();
@@ -85,12 +104,15 @@ function GitPanel({ selectedProject, isMobile }) {
         setSelectedFiles(allFiles);
         
         // Fetch diffs for changed files
-        for (const file of data.modified || []) {
-          fetchFileDiff(file);
+        for (const { file, status } of data.unstaged || []) {
+          if (status !== 'U') {
+            fetchFileDiff(file, 'unstaged');
+          }
         }
-        for (const file of data.added || []) {
-          fetchFileDiff(file);
+        for (const { file } of data.staged || []) {
+          fetchFileDiff(file, 'staged');
         }
+        setSelectedLines({});
       }
     } catch (error) {
       console.error('Error fetching git status:', error);
@@ -230,6 +252,10 @@ function GitPanel({ selectedProject, isMobile }) {
         fetchRemoteStatus();
       } else {
         console.error('Pull failed:', data.error);
+        if (data.conflicts) {
+          // Show the conflicted files so they can be resolved here
+          fetchGitStatus();
+        }
         // TODO: Show user-friendly error message
       }
     } catch (error) {
@@ -294,6 +320,96 @@ function GitPanel({ selectedProject, isMobile }) {
     }
   };
 
+  // Stage or unstage whole files, or apply hunks (see /api/git/apply-hunks)
+  const updateStaging = async (endpoint, body) => {
+    setStagingError(null);
+    try {
+      const response = await authenticatedFetch(`/api/git/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          project: selectedProject.name,
+          ...body
+        })
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setStagingError(data.error);
+      }
+      fetchGitStatus();
+    } catch (error) {
+      console.error(`Error calling git ${endpoint}:`, error);
+    }
+  };
+
+  // Apply one hunk, or only its selected lines when some are selected
+  const applyHunk = (filePath, view, action, hunkIndex, hunk) => {
+    const lines = selectedLines[`${view}:${filePath}:${hunkIndex}`];
+    return updateStaging('apply-hunks', {
+      file: filePath,
+      action,
+      hunks: [{ index: hunkIndex, header: hunk.header, ...(lines?.length ? { lines } : {}) }]
+    });
+  };
+
+  const toggleLineSelected = (lineKey, lineIndex) => {
+    setSelectedLines(prev => {
+      const lines = prev[lineKey] || [];
+      return {
+        ...prev,
+        [lineKey]: lines.includes(lineIndex) ? lines.filter(index => index !== lineIndex) : [...lines, lineIndex]
+      };
+    });
+  };
+
+  const continueOperation = async () => {
+    setIsContinuing(true);
+    setOperationError(null);
+    try {
+      const response = await authenticatedFetch('/api/git/continue', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          project: selectedProject.name
+        })
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setOperationError(data.details || data.error);
+      }
+      fetchGitStatus();
+      fetchRemoteStatus();
+    } catch (error) {
+      console.error('Error continuing operation:', error);
+    } finally {
+      setIsContinuing(false);
+    }
+  };
+
+  const abortOperation = async () => {
+    setOperationError(null);
+    try {
+      const response = await authenticatedFetch('/api/git/abort', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          project: selectedProject.name
+        })
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setOperationError(data.error);
+      }
+      fetchGitStatus();
+      fetchRemoteStatus();
+    } catch (error) {
+      console.error('Error aborting operation:', error);
+    }
+  };
+
   const confirmAndExecute = async () => {
     if (!confirmAction) return;
 
@@ -305,6 +421,9 @@ function GitPanel({ selectedProject, isMobile }) {
         case 'discard':
           await discardChanges(file);
           break;
+        case 'discard-hunk':
+          await applyHunk(file, 'unstaged', 'discard', confirmAction.hunkIndex, confirmAction.hunk);
+          break;
         case 'commit':
           await handleCommit();
           break;
@@ -314,21 +433,24 @@ function GitPanel({ selectedProject, isMobile }) {
         case 'push':
           await handlePush();
           break;
+        case 'abort':
+          await abortOperation();
+          break;
       }
     } catch (error) {
       console.error(`Error executing ${type}:`, error);
     }
   };
 
-  const fetchFileDiff = async (filePath) => {
+  const fetchFileDiff = async (filePath, view = 'unstaged') => {
     try {
-      const response = await authenticatedFetch(`/api/git/diff?project=${encodeURIComponent(selectedProject.name)}&file=${encodeURIComponent(filePath)}`);
+      const response = await authenticatedFetch(`/api/git/diff?project=${encodeURIComponent(selectedProject.name)}&file=${encodeURIComponent(filePath)}&view=${view}`);
       const data = await response.json();
       
-      if (!data.error && data.diff) {
+      if (!data.error && typeof data.diff === 'string') {
         setGitDiff(prev => ({
           ...prev,
-          [filePath]: data.diff
+          [`${view}:${filePath}`]: data.diff
         }));
       }
     } catch (error) {
@@ -373,7 +495,7 @@ function GitPanel({ selectedProject, isMobile }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           project: selectedProject.name,
-          files: Array.from(selectedFiles)
+          files: isStagingMode ? gitStatus.staged.map(item => item.file) : Array.from(selectedFiles)
         })
       });
       
@@ -390,13 +512,18 @@ function GitPanel({ selectedProject, isMobile }) {
     }
   };
 
-  const toggleFileExpanded = (filePath) => {
+  const toggleFileExpanded = (filePath, view) => {
+    const key = `${view}:${filePath}`;
     setExpandedFiles(prev => {
       const newSet = new Set(prev);
-      if (newSet.has(filePath)) {
-        newSet.delete(filePath);
+      if (newSet.has(key)) {
+        newSet.delete(key);
       } else {
-        newSet.add(filePath);
+        newSet.add(key);
+        // Untracked files aren't fetched with the status
+        if (gitDiff[key] === undefined) {
+          fetchFileDiff(filePath, view);
+        }
       }
       return newSet;
     });
@@ -431,7 +558,7 @@ function GitPanel({ selectedProject, isMobile }) {
   };
 
   const handleCommit = async () => {
-    if (!commitMessage.trim() || selectedFiles.size === 0) return;
+    if (!commitMessage.trim() || commitFileCount === 0) return;
     
     setIsCommitting(true);
     try {
@@ -441,7 +568,7 @@ function GitPanel({ selectedProject, isMobile }) {
         body: JSON.stringify({
           project: selectedProject.name,
           message: commitMessage,
-          files: Array.from(selectedFiles)
+          ...(isStagingMode ? { staged: true } : { files: Array.from(selectedFiles) })
         })
       });
       
@@ -490,6 +617,7 @@ function GitPanel({ selectedProject, isMobile }) {
       case 'A': return 'Added';
       case 'D': return 'Deleted';
       case 'U': return 'Untracked';
+      case 'C': return 'Conflicted';
       default: return status;
     }
   };
@@ -537,31 +665,128 @@ function GitPanel({ selectedProject, isMobile }) {
     );
   };
 
-  const renderFileItem = (filePath, status) => {
-    const isExpanded = expandedFiles.has(filePath);
+  // The hunks of a file's staged or unstaged diff, each with buttons to stage, unstage or
+  // discard it. Clicking changed lines selects them, and the buttons then act on those only.
+  const renderHunks = (filePath, view, status) => {
+    const { header, hunks } = parseDiff(gitDiff[`${view}:${filePath}`]);
+    // Untracked files get a made-up diff and can only be staged as a whole
+    const canApply = status !== 'U';
+    const buttonClass = 'px-1.5 py-0.5 rounded text-xs font-sans whitespace-nowrap';
+
+    return (
+      <>
+        {header.map((line, index) => renderDiffLine(line, `header-${index}`))}
+        {hunks.map((hunk, hunkIndex) => {
+          const lineKey = `${view}:${filePath}:${hunkIndex}`;
+          const selected = selectedLines[lineKey] || [];
+          const scope = selected.length > 0 ? `${selected.length} line${selected.length !== 1 ? 's' : ''}` : 'hunk';
+
+          return (
+            <div key={hunk.header + hunkIndex}>
+              <div className="flex items-center gap-2 bg-blue-50 dark:bg-blue-950">
+                <div className="flex-1 min-w-0">{renderDiffLine(hunk.header, 'hunk-header')}</div>
+                {canApply && (
+                  <div className="flex items-center gap-1 pr-1 flex-shrink-0">
+                    {view === 'staged' ? (
+                      <button
+                        onClick={() => applyHunk(filePath, view, 'unstage', hunkIndex, hunk)}
+                        className={`${buttonClass} text-blue-700 dark:text-blue-300 hover:bg-blue-100 dark:hover:bg-blue-900`}
+                      >
+                        Unstage {scope}
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => applyHunk(filePath, view, 'stage', hunkIndex, hunk)}
+                          className={`${buttonClass} text-blue-700 dark:text-blue-300 hover:bg-blue-100 dark:hover:bg-blue-900`}
+                        >
+                          Stage {scope}
+                        </button>
+                        <button
+                          onClick={() => setConfirmAction({
+                            type: 'discard-hunk',
+                            file: filePath,
+                            hunkIndex,
+                            hunk,
+                            message: `Discard the selected ${scope} in "${filePath}"? This action cannot be undone.`
+                          })}
+                          className={`${buttonClass} text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900`}
+                        >
+                          Discard {scope}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+              {hunk.lines.map((line, lineIndex) => (canApply && isChangeLine(line) ? (
+                <div
+                  key={lineIndex}
+                  onClick={() => toggleLineSelected(lineKey, lineIndex)}
+                  className={`cursor-pointer ${selected.includes(lineIndex) ? 'ring-1 ring-inset ring-blue-500' : ''}`}
+                  title="Click to select this line"
+                >
+                  {renderDiffLine(line, lineIndex)}
+                </div>
+              ) : renderDiffLine(line, lineIndex)))}
+            </div>
+          );
+        })}
+      </>
+    );
+  };
+
+  const renderSectionHeader = (title, count, actionLabel, onAction) => (
+    <div className={`flex items-center justify-between bg-gray-50 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 ${isMobile ? 'px-2 py-1' : 'px-3 py-1.5'}`}>
+      <span className="text-xs font-medium text-gray-600 dark:text-gray-400">{title} ({count})</span>
+      <button
+        onClick={onAction}
+        className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+      >
+        {actionLabel}
+      </button>
+    </div>
+  );
+
+  const renderFileItem = (filePath, status, view = 'unstaged') => {
+    const key = `${view}:${filePath}`;
+    const isExpanded = expandedFiles.has(key);
     const isSelected = selectedFiles.has(filePath);
-    const diff = gitDiff[filePath];
+    const diff = gitDiff[key];
     
     return (
-      <div key={filePath} className="border-b border-gray-200 dark:border-gray-700 last:border-0">
+      <div key={key} className="border-b border-gray-200 dark:border-gray-700 last:border-0">
         <div className={`flex items-center hover:bg-gray-50 dark:hover:bg-gray-800 ${isMobile ? 'px-2 py-1.5' : 'px-3 py-2'}`}>
-          <input
-            type="checkbox"
-            checked={isSelected}
-            onChange={() => toggleFileSelected(filePath)}
-            onClick={(e) => e.stopPropagation()}
-            className={`rounded border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-500 focus:ring-blue-500 dark:focus:ring-blue-400 dark:bg-gray-800 dark:checked:bg-blue-600 ${isMobile ? 'mr-1.5' : 'mr-2'}`}
-          />
+          {!isStagingMode && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={() => toggleFileSelected(filePath)}
+              onClick={(e) => e.stopPropagation()}
+              className={`rounded border-gray-300 dark:border-gray-600 text-blue-600 dark:text-blue-500 focus:ring-blue-500 dark:focus:ring-blue-400 dark:bg-gray-800 dark:checked:bg-blue-600 ${isMobile ? 'mr-1.5' : 'mr-2'}`}
+            />
+          )}
           <div 
             className="flex items-center flex-1 cursor-pointer"
-            onClick={() => toggleFileExpanded(filePath)}
+            onClick={() => toggleFileExpanded(filePath, view)}
           >
             <div className={`p-0.5 hover:bg-gray-200 dark:hover:bg-gray-700 rounded ${isMobile ? 'mr-1' : 'mr-2'}`}>
               <ChevronRight className={`w-3 h-3 transition-transform duration-200 ease-in-out ${isExpanded ? 'rotate-90' : 'rotate-0'}`} />
             </div>
             <span className={`flex-1 truncate ${isMobile ? 'text-xs' : 'text-sm'}`}>{filePath}</span>
             <div className="flex items-center gap-1">
-              {(status === 'M' || status === 'D') && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  updateStaging(view === 'staged' ? 'unstage' : 'stage', { files: [filePath] });
+                }}
+                className={`${isMobile ? 'px-2 py-1 text-xs' : 'p-1'} hover:bg-gray-200 dark:hover:bg-gray-700 rounded text-gray-600 dark:text-gray-400 font-medium flex items-center gap-1`}
+                title={view === 'staged' ? 'Unstage file' : 'Stage file'}
+              >
+                {view === 'staged' ? <Minus className="w-3 h-3" /> : <Plus className="w-3 h-3" />}
+                {isMobile && <span>{view === 'staged' ? 'Unstage' : 'Stage'}</span>}
+              </button>
+              {view === 'unstaged' && (status === 'M' || status === 'D') && (
                 <button
                   onClick={(e) => {
                     e.stopPropagation();
@@ -612,6 +837,7 @@ function GitPanel({ selectedProject, isMobile }) {
                 </span>
                 <span className="text-sm font-medium text-gray-900 dark:text-white">
                   {getStatusLabel(status)}
+                  {isStagingMode && (view === 'staged' ? ' (staged)' : ' (unstaged)')}
                 </span>
               </div>
               {isMobile && (
@@ -628,9 +854,73 @@ function GitPanel({ selectedProject, isMobile }) {
               )}
             </div>
             <div className="max-h-96 overflow-y-auto p-2">
-              {diff && diff.split('\n').map((line, index) => renderDiffLine(line, index))}
+              {diff && renderHunks(filePath, view, status)}
+            </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderConflictsSection = () => {
+    const conflicted = gitStatus.conflicted || [];
+    const operationName = OPERATION_NAMES[gitStatus.operation];
+
+    return (
+      <div className="border-b border-gray-200 dark:border-gray-700">
+        <div className={`flex items-center justify-between gap-2 bg-orange-50 dark:bg-orange-900/20 ${isMobile ? 'px-2 py-1.5' : 'px-3 py-2'}`}>
+          <div className="flex items-center gap-2 min-w-0 text-orange-800 dark:text-orange-200">
+            <GitMerge className="w-4 h-4 flex-shrink-0" />
+            <span className={`truncate ${isMobile ? 'text-xs' : 'text-sm'}`}>
+              {operationName ? `${operationName} in progress` : 'Conflicts'}
+              {' • '}
+              {conflicted.length > 0
+                ? `${conflicted.length} conflicted file${conflicted.length !== 1 ? 's' : ''}`
+                : 'all conflicts resolved'}
+            </span>
+          </div>
+          {operationName && (
+            <div className="flex items-center gap-1 flex-shrink-0">
+              <button
+                onClick={continueOperation}
+                disabled={conflicted.length > 0 || isContinuing}
+                className="px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+                title={conflicted.length > 0 ? 'Resolve every conflict first' : `Continue the ${operationName.toLowerCase()}`}
+              >
+                <Check className="w-3 h-3" />
+                <span>{isContinuing ? 'Continuing...' : 'Continue'}</span>
+              </button>
+              <button
+                onClick={() => setConfirmAction({
+                  type: 'abort',
+                  message: `Abort the ${operationName.toLowerCase()} and go back to the state before it? Conflicts resolved so far are lost.`
+                })}
+                className="px-2 py-1 text-xs text-red-600 dark:text-red-400 rounded hover:bg-red-100 dark:hover:bg-red-900 flex items-center gap-1"
+              >
+                <X className="w-3 h-3" />
+                <span>Abort</span>
+              </button>
             </div>
+          )}
         </div>
+        {operationError && (
+          <p className="px-3 py-1.5 text-xs text-red-600 dark:text-red-400">{operationError}</p>
+        )}
+        {conflicted.map(filePath => (
+          <div
+            key={filePath}
+            onClick={() => setResolvingFile(filePath)}
+            className={`flex items-center gap-2 border-t border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer ${isMobile ? 'px-2 py-1.5' : 'px-3 py-2'}`}
+          >
+            <span className={`flex-1 truncate ${isMobile ? 'text-xs' : 'text-sm'}`}>{filePath}</span>
+            <span className="text-xs text-blue-600 dark:text-blue-400">Resolve</span>
+            <span
+              className="inline-flex items-center justify-center w-5 h-5 rounded text-xs font-bold border bg-orange-100 text-orange-700 dark:bg-orange-900 dark:text-orange-300 border-orange-200 dark:border-orange-800"
+              title={getStatusLabel('C')}
+            >
+              C
+            </span>
+          </div>
+        ))}
       </div>
     );
   };
@@ -845,7 +1135,7 @@ function GitPanel({ selectedProject, isMobile }) {
                         className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
                       >
                         <GitCommit className="w-4 h-4" />
-                        <span>Commit {selectedFiles.size} file{selectedFiles.size !== 1 ? 's' : ''}</span>
+                        <span>Commit {commitFileCount} {isStagingMode ? 'staged ' : ''}file{commitFileCount !== 1 ? 's' : ''}</span>
                         <ChevronDown className="w-3 h-3" />
                       </button>
                     </div>
@@ -883,7 +1173,7 @@ function GitPanel({ selectedProject, isMobile }) {
                       <div className="absolute right-2 top-2 flex gap-1">
                         <button
                           onClick={generateCommitMessage}
-                          disabled={selectedFiles.size === 0 || isGeneratingMessage}
+                          disabled={commitFileCount === 0 || isGeneratingMessage}
                           className="p-1.5 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
                           title="Generate commit message"
                         >
@@ -904,14 +1194,14 @@ function GitPanel({ selectedProject, isMobile }) {
                     </div>
                     <div className="flex items-center justify-between mt-2">
                       <span className="text-xs text-gray-500">
-                        {selectedFiles.size} file{selectedFiles.size !== 1 ? 's' : ''} selected
+                        {commitFileCount} file{commitFileCount !== 1 ? 's' : ''} {isStagingMode ? 'staged' : 'selected'}
                       </span>
                       <button
                         onClick={() => setConfirmAction({ 
                           type: 'commit', 
-                          message: `Commit ${selectedFiles.size} file${selectedFiles.size !== 1 ? 's' : ''} with message: "${commitMessage.trim()}"?` 
+                          message: `Commit ${isStagingMode ? 'the staged changes in ' : ''}${commitFileCount} file${commitFileCount !== 1 ? 's' : ''} with message: "${commitMessage.trim()}"?` 
                         })}
-                        disabled={!commitMessage.trim() || selectedFiles.size === 0 || isCommitting}
+                        disabled={!commitMessage.trim() || commitFileCount === 0 || isCommitting}
                         className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1"
                       >
                         <Check className="w-3 h-3" />
@@ -926,7 +1216,7 @@ function GitPanel({ selectedProject, isMobile }) {
           )}
 
           {/* File Selection Controls - Only show in changes view and when git is working and no files expanded */}
-          {activeView === 'changes' && gitStatus && !gitStatus.error && (
+          {activeView === 'changes' && gitStatus && !gitStatus.error && !isStagingMode && (
             <div className={`border-b border-gray-200 dark:border-gray-700 flex items-center justify-between transition-all duration-300 ease-in-out ${isMobile ? 'px-3 py-1.5' : 'px-4 py-2'} ${
               expandedFiles.size === 0 
                 ? 'max-h-16 opacity-100 translate-y-0' 
@@ -1000,6 +1290,12 @@ function GitPanel({ selectedProject, isMobile }) {
                       </span>
                       <span className="text-gray-600 dark:text-gray-400 italic">Untracked</span>
                     </div>
+                    <div className="flex items-center gap-2">
+                      <span className="inline-flex items-center justify-center w-5 h-5 bg-orange-100 text-orange-700 dark:bg-orange-900 dark:text-orange-300 rounded border border-orange-200 dark:border-orange-800 font-bold text-xs">
+                        C
+                      </span>
+                      <span className="text-gray-600 dark:text-gray-400 italic">Conflicted</span>
+                    </div>
                   </div>
                 </div>
               )}
@@ -1015,17 +1311,40 @@ function GitPanel({ selectedProject, isMobile }) {
             <div className="flex items-center justify-center h-32">
               <RefreshCw className="w-6 h-6 animate-spin text-gray-400" />
             </div>
-          ) : !gitStatus || (!gitStatus.modified?.length && !gitStatus.added?.length && !gitStatus.deleted?.length && !gitStatus.untracked?.length) ? (
+          ) : !gitStatus || (!gitStatus.modified?.length && !gitStatus.added?.length && !gitStatus.deleted?.length && !gitStatus.untracked?.length && !gitStatus.conflicted?.length && !gitStatus.staged?.length && !gitStatus.operation) ? (
             <div className="flex flex-col items-center justify-center h-32 text-gray-500 dark:text-gray-400">
               <GitCommit className="w-12 h-12 mb-2 opacity-50" />
               <p className="text-sm">No changes detected</p>
             </div>
           ) : (
             <div className={isMobile ? 'pb-4' : ''}>
-              {gitStatus.modified?.map(file => renderFileItem(file, 'M'))}
-              {gitStatus.added?.map(file => renderFileItem(file, 'A'))}
-              {gitStatus.deleted?.map(file => renderFileItem(file, 'D'))}
-              {gitStatus.untracked?.map(file => renderFileItem(file, 'U'))}
+              {(gitStatus.conflicted?.length > 0 || gitStatus.operation) && renderConflictsSection()}
+              {stagingError && (
+                <p className="px-3 py-1.5 text-xs text-red-600 dark:text-red-400 border-b border-gray-200 dark:border-gray-700">{stagingError}</p>
+              )}
+              {isStagingMode ? (
+                <>
+                  {renderSectionHeader('Staged Changes', gitStatus.staged.length, 'Unstage All', () => (
+                    updateStaging('unstage', { files: gitStatus.staged.map(item => item.file) })
+                  ))}
+                  {gitStatus.staged.map(({ file, status }) => renderFileItem(file, status, 'staged'))}
+                  {gitStatus.unstaged?.length > 0 && (
+                    <>
+                      {renderSectionHeader('Changes', gitStatus.unstaged.length, 'Stage All', () => (
+                        updateStaging('stage', { files: gitStatus.unstaged.map(item => item.file) })
+                      ))}
+                      {gitStatus.unstaged.map(({ file, status }) => renderFileItem(file, status, 'unstaged'))}
+                    </>
+                  )}
+                </>
+              ) : (
+                <>
+                  {gitStatus.modified?.map(file => renderFileItem(file, 'M'))}
+                  {gitStatus.added?.map(file => renderFileItem(file, 'A'))}
+                  {gitStatus.deleted?.map(file => renderFileItem(file, 'D'))}
+                  {gitStatus.untracked?.map(file => renderFileItem(file, 'U'))}
+                </>
+              )}
             </div>
           )}
         </div>
@@ -1120,16 +1439,17 @@ function GitPanel({ selectedProject, isMobile }) {
             <div className="p-6">
               <div className="flex items-center mb-4">
                 <div className={`p-2 rounded-full mr-3 ${
-                  confirmAction.type === 'discard' ? 'bg-red-100 dark:bg-red-900' : 'bg-yellow-100 dark:bg-yellow-900'
+                  confirmAction.type.startsWith('discard') || confirmAction.type === 'abort' ? 'bg-red-100 dark:bg-red-900' : 'bg-yellow-100 dark:bg-yellow-900'
                 }`}>
                   <AlertTriangle className={`w-5 h-5 ${
-                    confirmAction.type === 'discard' ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400'
+                    confirmAction.type.startsWith('discard') || confirmAction.type === 'abort' ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400'
                   }`} />
                 </div>
                 <h3 className="text-lg font-semibold">
-                  {confirmAction.type === 'discard' ? 'Discard Changes' : 
+                  {confirmAction.type.startsWith('discard') ? 'Discard Changes' : 
                    confirmAction.type === 'commit' ? 'Confirm Commit' : 
-                   confirmAction.type === 'pull' ? 'Confirm Pull' : 'Confirm Push'}
+                   confirmAction.type === 'pull' ? 'Confirm Pull' :
+                   confirmAction.type === 'abort' ? `Abort ${OPERATION_NAMES[gitStatus?.operation] || 'Operation'}` : 'Confirm Push'}
                 </h3>
               </div>
               
@@ -1147,7 +1467,7 @@ function GitPanel({ selectedProject, isMobile }) {
                 <button
                   onClick={confirmAndExecute}
                   className={`px-4 py-2 text-sm text-white rounded-md ${
-                    confirmAction.type === 'discard' 
+                    confirmAction.type.startsWith('discard') || confirmAction.type === 'abort'
                       ? 'bg-red-600 hover:bg-red-700' 
                       : confirmAction.type === 'commit'
                       ? 'bg-blue-600 hover:bg-blue-700'
@@ -1156,7 +1476,7 @@ function GitPanel({ selectedProject, isMobile }) {
                       : 'bg-orange-600 hover:bg-orange-700'
                   } flex items-center space-x-2`}
                 >
-                  {confirmAction.type === 'discard' ? (
+                  {confirmAction.type.startsWith('discard') ? (
                     <>
                       <Trash2 className="w-4 h-4" />
                       <span>Discard</span>
@@ -1171,6 +1491,11 @@ function GitPanel({ selectedProject, isMobile }) {
                       <Download className="w-4 h-4" />
                       <span>Pull</span>
                     </>
+                  ) : confirmAction.type === 'abort' ? (
+                    <>
+                      <X className="w-4 h-4" />
+                      <span>Abort</span>
+                    </>
                   ) : (
                     <>
                       <Upload className="w-4 h-4" />
@@ -1183,6 +1508,19 @@ function GitPanel({ selectedProject, isMobile }) {
           </div>
         </div>
       )}
+
+      {/* Conflict Resolver */}
+      {resolvingFile && (
+        <ConflictResolver
+          projectName={selectedProject.name}
+          filePath={resolvingFile}
+          onClose={() => setResolvingFile(null)}
+          onResolved={() => {
+            setResolvingFile(null);
+            fetchGitStatus();
+          }}
+        />
+      )}
     </div>
   );
 }
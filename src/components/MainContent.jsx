@@ -14,9 +14,11 @@
 import React, { useState, useEffect } from 'react';
 import ChatInterface from './ChatInterface';
 import FileTree from './FileTree';
-import CodeEditor from './CodeEditor';
+import EditorTabs from './EditorTabs';
 import Shell from './Shell';
 import GitPanel from './GitPanel';
+import SearchPanel from './SearchPanel';
+import { useEditorTabs } from '../hooks/useEditorTabs';
 
 function MainContent({ 
   selectedProject, 
@@ -39,24 +41,30 @@ function MainContent({
   onShowSettings,         // Show tools settings panel
   autoExpandTools,        // Auto-expand tool accordions
   showRawParameters,      // Show raw parameters in tool accordions
-  autoScrollToBottom      // Auto-scroll to bottom when new messages arrive
+  autoScrollToBottom,     // Auto-scroll to bottom when new messages arrive
+  messageTarget,          // { sessionId, messageId } to scroll to, set from sidebar search
+  onMessageTargetHandled  // Clear messageTarget once it has been shown
 }) {
-  const [editingFile, setEditingFile] = useState(null);
+  const editor = useEditorTabs(selectedProject?.name);
 
-  const handleFileOpen = (filePath, diffInfo = null) => {
-    // Create a file object that CodeEditor expects
-    const file = {
-      name: filePath.split('/').pop(),
-      path: filePath,
-      projectName: selectedProject?.name,
-      diffInfo: diffInfo // Pass along diff information if available
-    };
-    setEditingFile(file);
+  // Files opened from the chat, the file tree or search results get a tab in the editor
+  const handleFileOpen = (filePath, diffInfo = null, position = null) => {
+    editor.openFile(filePath, diffInfo, position);
   };
 
-  const handleCloseEditor = () => {
-    setEditingFile(null);
-  };
+  // Ctrl/Cmd+Shift+F opens the search panel
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f') {
+        event.preventDefault();
+        editor.closeEditor();
+        setActiveTab('search');
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [setActiveTab]);
+
   if (isLoading) {
     return (
       <div className="h-full flex flex-col" style={{ minHeight: '100vh' }}>
@@ -154,7 +162,10 @@ function MainContent({
             <div className="min-w-0">
               {activeTab === 'chat' && selectedSession ? (
                 <div>
-                  <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white truncate">
+                  <h2
+                    className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white truncate"
+                    title={selectedSession.description || undefined}
+                  >
                     {selectedSession.summary}
                   </h2>
                   <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
@@ -173,7 +184,7 @@ function MainContent({
               ) : (
                 <div>
                   <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white">
-                    {activeTab === 'files' ? 'Project Files' : activeTab === 'git' ? 'Source Control' : 'Project'}
+                    {activeTab === 'files' ? 'Project Files' : activeTab === 'search' ? 'Search' : activeTab === 'git' ? 'Source Control' : 'Project'}
                   </h2>
                   <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
                     {selectedProject.displayName}
@@ -183,6 +194,19 @@ function MainContent({
             </div>
           </div>
           
+          <div className="flex items-center gap-2 flex-shrink-0">
+          {/* Reopen the editor with the tabs left open */}
+          {!editor.isOpen && editor.tabs.length > 0 && (
+            <button
+              onClick={editor.openEditor}
+              className="px-2 sm:px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 flex items-center gap-1.5"
+              title={editor.dirtyCount > 0 ? `${editor.dirtyCount} unsaved` : 'Show the editor'}
+            >
+              Editor ({editor.tabs.length})
+              {editor.dirtyCount > 0 && <span className="w-2 h-2 rounded-full bg-blue-500" />}
+            </button>
+          )}
+
           {/* Modern Tab Navigation - Right Side */}
           <div className="flex-shrink-0 hidden sm:block">
             <div className="relative flex bg-gray-100 dark:bg-gray-800 rounded-lg p-1">
@@ -231,6 +255,22 @@ function MainContent({
                   <span className="hidden sm:inline">Files</span>
                 </span>
               </button>
+              <button
+                onClick={() => setActiveTab('search')}
+                className={`relative px-2 sm:px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md transition-all duration-200 ${
+                  activeTab === 'search'
+                    ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+                title="Search (Ctrl+Shift+F)"
+              >
+                <span className="flex items-center gap-1 sm:gap-1.5">
+                  <svg className="w-3 sm:w-3.5 h-3 sm:h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                  <span className="hidden sm:inline">Search</span>
+                </span>
+              </button>
               <button
                 onClick={() => setActiveTab('git')}
                 className={`relative px-2 sm:px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md transition-all duration-200 ${
@@ -263,6 +303,7 @@ function MainContent({
               </button> */}
             </div>
           </div>
+          </div>
         </div>
       </div>
 
@@ -285,10 +326,19 @@ function MainContent({
             autoExpandTools={autoExpandTools}
             showRawParameters={showRawParameters}
             autoScrollToBottom={autoScrollToBottom}
+            messageTarget={messageTarget}
+            onMessageTargetHandled={onMessageTargetHandled}
           />
         </div>
         <div className={`h-full overflow-hidden ${activeTab === 'files' ? 'block' : 'hidden'}`} data-panel="files">
-          <FileTree selectedProject={selectedProject} />
+          <FileTree selectedProject={selectedProject} onFileOpen={handleFileOpen} />
+        </div>
+        <div className={`h-full overflow-hidden ${activeTab === 'search' ? 'block' : 'hidden'}`}>
+          <SearchPanel
+            selectedProject={selectedProject}
+            onFileOpen={handleFileOpen}
+            isActive={activeTab === 'search'}
+          />
         </div>
         <div className={`h-full overflow-hidden ${activeTab === 'shell' ? 'block' : 'hidden'}`}>
           <Shell 
@@ -328,14 +378,8 @@ function MainContent({
         </div>
       </div>
 
-      {/* Code Editor Modal */}
-      {editingFile && (
-        <CodeEditor
-          file={editingFile}
-          onClose={handleCloseEditor}
-          projectPath={selectedProject?.path}
-        />
-      )}
+      {/* Code Editor */}
+      <EditorTabs editor={editor} projectName={selectedProject?.name} />
     </div>
   );
 }
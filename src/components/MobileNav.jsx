@@ -1,5 +1,5 @@
 import React from 'react';
-import { MessageSquare, Folder, Terminal, GitBranch, Globe } from 'lucide-react';
+import { MessageSquare, Folder, Terminal, GitBranch, Globe, Search } from 'lucide-react';
 
 function MobileNav({ activeTab, setActiveTab, isInputFocused }) {
   // Detect dark mode
@@ -20,6 +20,11 @@ function MobileNav({ activeTab, setActiveTab, isInputFocused }) {
       icon: Folder,
       onClick: () => setActiveTab('files')
     },
+    {
+      id: 'search',
+      icon: Search,
+      onClick: () => setActiveTab('search')
+    },
     {
       id: 'git',
       icon: GitBranch,
@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Replace, ChevronRight, ChevronDown, CaseSensitive, WholeWord, Regex, SlidersHorizontal, RefreshCw, FileText, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from '../lib/utils';
+import { api } from '../utils/api';
+
+// Highlighted parts of a result line: [{ text, highlight }]
+const splitPreview = (preview, highlights) => {
+  const parts = [];
+  let position = 0;
+  for (const [from, to] of highlights) {
+    if (from > position) parts.push({ text: preview.slice(position, from), highlight: false });
+    parts.push({ text: preview.slice(from, to), highlight: true });
+    position = to;
+  }
+  if (position < preview.length) parts.push({ text: preview.slice(position), highlight: false });
+  return parts;
+};
+
+// Project-wide find and replace. Results are grouped per file; clicking a line opens the file
+// in the editor at that line. Replacing shows a preview first, and only the files left checked
+// are changed.
+function SearchPanel({ selectedProject, onFileOpen, isActive }) {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [showReplace, setShowReplace] = useState(false);
+  const [options, setOptions] = useState({ regex: false, caseSensitive: false, wholeWord: false });
+  const [showFilters, setShowFilters] = useState(false);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const [collapsedFiles, setCollapsedFiles] = useState(new Set());
+  const [preview, setPreview] = useState(null); // replace preview from the server
+  const [excludedFiles, setExcludedFiles] = useState(new Set()); // files unchecked in the preview
+  const [isReplacing, setIsReplacing] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [searchVersion, setSearchVersion] = useState(0);
+  const queryInputRef = useRef(null);
+
+  const search = { query, ...options, include: include.trim(), exclude: exclude.trim() };
+
+  useEffect(() => {
+    if (isActive) {
+      queryInputRef.current?.focus();
+    }
+  }, [isActive]);
+
+  // Start over in another project
+  useEffect(() => {
+    setResults(null);
+    setPreview(null);
+    setNotice(null);
+  }, [selectedProject?.name]);
+
+  useEffect(() => {
+    setPreview(null);
+    if (!selectedProject || !query) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await api.searchFiles(selectedProject.name, search);
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setResults(data);
+          setCollapsedFiles(new Set());
+          setError(null);
+        } else {
+          setError(data.error || 'Search failed');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Search failed');
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedProject?.name, query, options, include, exclude, searchVersion]);
+
+  const toggleOption = (name) => {
+    setOptions(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  const toggleFile = (filePath) => {
+    setCollapsedFiles(prev => {
+      const next = new Set(prev);
+      if (next.has(filePath)) {
+        next.delete(filePath);
+      } else {
+        next.add(filePath);
+      }
+      return next;
+    });
+  };
+
+  const toggleReplaceFile = (filePath) => {
+    setExcludedFiles(prev => {
+      const next = new Set(prev);
+      if (next.has(filePath)) {
+        next.delete(filePath);
+      } else {
+        next.add(filePath);
+      }
+      return next;
+    });
+  };
+
+  const showPreview = async () => {
+    setNotice(null);
+    try {
+      const response = await api.replaceInFiles(selectedProject.name, { ...search, replacement });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not preview the replacement');
+        return;
+      }
+      setPreview(data);
+      setExcludedFiles(new Set());
+    } catch (err) {
+      setError('Could not preview the replacement');
+    }
+  };
+
+  const applyReplace = async () => {
+    const paths = preview.files.map(file => file.path).filter(filePath => !excludedFiles.has(filePath));
+    if (paths.length === 0) return;
+    setIsReplacing(true);
+    try {
+      const response = await api.replaceInFiles(selectedProject.name, { ...search, replacement, apply: true, paths });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Replace failed');
+        return;
+      }
+      setPreview(null);
+      setNotice(`Replaced ${data.changeCount} ${data.changeCount === 1 ? 'line' : 'lines'} in ${data.fileCount} ${data.fileCount === 1 ? 'file' : 'files'}`);
+      setSearchVersion(version => version + 1);
+    } catch (err) {
+      setError('Replace failed');
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
+  const openResult = (filePath, line, column) => {
+    onFileOpen?.(filePath, null, { line, column });
+  };
+
+  const optionButton = (name, Icon, title) => (
+    <button
+      type="button"
+      onClick={() => toggleOption(name)}
+      title={title}
+      className={cn(
+        'p-1 rounded',
+        options[name] ? 'bg-primary text-primary-foreground' : 'text-muted-foreground hover:bg-accent'
+      )}
+    >
+      <Icon className="w-4 h-4" />
+    </button>
+  );
+
+  const inputClassName = 'w-full min-w-0 text-sm bg-background border border-border rounded-md px-2 py-1.5 text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  const renderResults = () => {
+    if (!query) {
+      return (
+        <div className="text-center py-8 px-4">
+          <Search className="w-6 h-6 text-muted-foreground mx-auto mb-2" />
+          <p className="text-sm text-muted-foreground">Search the contents of the project's files</p>
+        </div>
+      );
+    }
+    if (isSearching && !results) {
+      return <p className="text-sm text-muted-foreground px-4 py-2">Searching...</p>;
+    }
+    if (!results) return null;
+    if (results.files.length === 0) {
+      return (
+        <div className="text-center py-8 px-4">
+          <h3 className="text-base font-medium text-foreground mb-1">No results</h3>
+          <p className="text-sm text-muted-foreground">Try other words, or check the include and exclude filters</p>
+        </div>
+      );
+    }
+    return (
+      <div className="space-y-1">
+        <p className="text-xs text-muted-foreground px-2 pb-1">
+          {results.matchCount} {results.matchCount === 1 ? 'result' : 'results'} in {results.fileCount} {results.fileCount === 1 ? 'file' : 'files'}
+          {results.truncated && ' (stopped early, narrow the search to see everything)'}
+        </p>
+        {results.files.map(file => {
+          const isCollapsed = collapsedFiles.has(file.path);
+          return (
+            <div key={file.path}>
+              <button
+                type="button"
+                onClick={() => toggleFile(file.path)}
+                className="w-full flex items-center gap-1.5 px-2 py-1 rounded-md hover:bg-accent text-left"
+                title={file.path}
+              >
+                {isCollapsed ? <ChevronRight className="w-3.5 h-3.5 flex-shrink-0" /> : <ChevronDown className="w-3.5 h-3.5 flex-shrink-0" />}
+                <FileText className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                <span className="text-sm text-foreground truncate">{file.relativePath}</span>
+                <span className="ml-auto text-xs text-muted-foreground bg-muted rounded-full px-1.5">{file.matchCount}</span>
+              </button>
+              {!isCollapsed && file.lines.map(line => (
+                <button
+                  key={line.line}
+                  type="button"
+                  onClick={() => openResult(file.path, line.line, line.column)}
+                  className="w-full flex items-baseline gap-2 pl-8 pr-2 py-0.5 rounded-md hover:bg-accent text-left"
+                >
+                  <span className="text-xs text-muted-foreground w-10 text-right flex-shrink-0">{line.line}</span>
+                  <span className="text-xs font-mono text-foreground/80 truncate whitespace-pre">
+                    {line.previewStart > 0 && '…'}
+                    {splitPreview(line.preview, line.highlights).map((part, i) => (
+                      part.highlight
+                        ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 text-foreground rounded-sm">{part.text}</mark>
+                        : <span key={i}>{part.text}</span>
+                    ))}
+                  </span>
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderPreview = () => {
+    const selectedCount = preview.files.filter(file => !excludedFiles.has(file.path)).length;
+    return (
+      <div className="space-y-2">
+        <div className="flex items-center justify-between gap-2 px-2">
+          <p className="text-xs text-muted-foreground">
+            {preview.changeCount} {preview.changeCount === 1 ? 'line' : 'lines'} in {preview.fileCount} {preview.fileCount === 1 ? 'file' : 'files'} will change
+          </p>
+          <div className="flex gap-1">
+            <Button variant="ghost" size="sm" className="h-7" onClick={() => setPreview(null)}>
+              Cancel
+            </Button>
+            <Button size="sm" className="h-7" disabled={selectedCount === 0 || isReplacing} onClick={applyReplace}>
+              {isReplacing ? 'Replacing...' : `Replace in ${selectedCount} ${selectedCount === 1 ? 'file' : 'files'}`}
+            </Button>
+          </div>
+        </div>
+        {preview.files.length === 0 && (
+          <p className="text-sm text-muted-foreground px-2">Nothing to replace</p>
+        )}
+        {preview.files.map(file => (
+          <div key={file.path} className="border border-border rounded-md">
+            <label className="flex items-center gap-2 px-2 py-1.5 border-b border-border cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!excludedFiles.has(file.path)}
+                onChange={() => toggleReplaceFile(file.path)}
+              />
+              <span className="text-sm text-foreground truncate" title={file.path}>{file.relativePath}</span>
+              <span className="ml-auto text-xs text-muted-foreground">{file.changeCount}</span>
+            </label>
+            <div className={cn('py-1', excludedFiles.has(file.path) && 'opacity-50')}>
+              {file.changes.map(change => (
+                <button
+                  key={change.line}
+                  type="button"
+                  onClick={() => openResult(file.path, change.line, 1)}
+                  className="w-full text-left px-2 py-0.5 hover:bg-accent font-mono text-xs"
+                >
+                  <div className="flex gap-2">
+                    <span className="text-muted-foreground w-10 text-right flex-shrink-0">{change.line}</span>
+                    <span className="truncate whitespace-pre text-red-600 dark:text-red-400 line-through">{change.before}</span>
+                  </div>
+                  <div className="flex gap-2">
+                    <span className="w-10 flex-shrink-0" />
+                    <span className="truncate whitespace-pre text-green-700 dark:text-green-400">{change.after}</span>
+                  </div>
+                </button>
+              ))}
+              {file.changeCount > file.changes.length && (
+                <p className="text-xs text-muted-foreground px-2 py-0.5">
+                  and {file.changeCount - file.changes.length} more
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-card">
+      <div className="p-4 border-b border-border space-y-2">
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => {
+              setShowReplace(!showReplace);
+              setPreview(null);
+            }}
+            className="p-1 rounded text-muted-foreground hover:bg-accent"
+            title={showReplace ? 'Hide replace' : 'Replace'}
+          >
+            {showReplace ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+          <input
+            ref={queryInputRef}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search"
+            className={inputClassName}
+          />
+          {optionButton('caseSensitive', CaseSensitive, 'Match case')}
+          {optionButton('wholeWord', WholeWord, 'Match whole word')}
+          {optionButton('regex', Regex, 'Use regular expression')}
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            className={cn('p-1 rounded', showFilters || include || exclude ? 'text-blue-600' : 'text-muted-foreground', 'hover:bg-accent')}
+            title="Files to include and exclude"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setSearchVersion(version => version + 1)}
+            disabled={!query}
+            className="p-1 rounded text-muted-foreground hover:bg-accent disabled:opacity-40"
+            title="Search again"
+          >
+            <RefreshCw className={cn('w-4 h-4', isSearching && 'animate-spin')} />
+          </button>
+        </div>
+        {showReplace && (
+          <div className="flex items-center gap-1 pl-7">
+            <input
+              value={replacement}
+              onChange={(e) => setReplacement(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && query) showPreview();
+              }}
+              placeholder={options.regex ? 'Replace ($1 for groups)' : 'Replace'}
+              className={inputClassName}
+            />
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-8 px-2 flex-shrink-0"
+              disabled={!query || !results?.fileCount}
+              onClick={showPreview}
+              title="Preview the replacement"
+            >
+              <Replace className="w-4 h-4 mr-1" />
+              Preview
+            </Button>
+          </div>
+        )}
+        {showFilters && (
+          <div className="space-y-1.5 pl-7">
+            <input
+              value={include}
+              onChange={(e) => setInclude(e.target.value)}
+              placeholder="Files to include, e.g. src, *.ts"
+              className={inputClassName}
+            />
+            <input
+              value={exclude}
+              onChange={(e) => setExclude(e.target.value)}
+              placeholder="Files to exclude, e.g. *.test.js, docs/**"
+              className={inputClassName}
+            />
+          </div>
+        )}
+      </div>
+
+      {(error || notice) && (
+        <div className={cn(
+          'mx-4 mt-3 px-3 py-2 rounded-md text-sm flex items-start justify-between gap-2',
+          error ? 'bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300' : 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-300'
+        )}>
+          <span>{error || notice}</span>
+          <button type="button" onClick={() => (error ? setError(null) : setNotice(null))} title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto p-2">
+        {preview ? renderPreview() : renderResults()}
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Search, Wrench } from 'lucide-react';
+import { api } from '../utils/api';
+
+const DATE_RANGES = [
+  { value: '', label: 'Any time' },
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' }
+];
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Assistant',
+  tool_use: 'Tool'
+};
+
+const getCurrentProvider = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem('gemini-tools-settings') || '{}');
+    return settings.selectedProvider || 'gemini';
+  } catch (error) {
+    return 'gemini';
+  }
+};
+
+// Sidebar search over message content of all sessions
+function SessionSearchResults({ query, projects, selectedProject, onSelectResult }) {
+  const [projectFilter, setProjectFilter] = useState('');
+  const [providerFilter, setProviderFilter] = useState('');
+  const [dateRange, setDateRange] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentProvider = getCurrentProvider();
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const from = dateRange ? new Date(Date.now() - Number(dateRange) * 24 * 60 * 60 * 1000).toISOString() : null;
+        const response = await api.searchSessions(query, {
+          project: projectFilter || null,
+          provider: providerFilter || null,
+          from
+        });
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setResults(data.results || []);
+          setError(null);
+        } else {
+          setError(data.error || 'Search failed');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Search failed');
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, projectFilter, providerFilter, dateRange]);
+
+  const findProject = (result) =>
+    projects.find(project => (project.fullPath || project.path) === result.projectPath);
+
+  const selectClassName = 'flex-1 min-w-0 text-xs bg-muted/50 border-0 rounded px-1.5 py-1 text-foreground';
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-1.5 px-3 md:px-2">
+        <select value={projectFilter} onChange={(e) => setProjectFilter(e.target.value)} className={selectClassName}>
+          <option value="">All projects</option>
+          {selectedProject && (
+            <option value={selectedProject.name}>{selectedProject.displayName || selectedProject.name}</option>
+          )}
+        </select>
+        <select value={providerFilter} onChange={(e) => setProviderFilter(e.target.value)} className={selectClassName}>
+          <option value="">This CLI</option>
+          <option value="all">All CLIs</option>
+        </select>
+        <select value={dateRange} onChange={(e) => setDateRange(e.target.value)} className={selectClassName}>
+          {DATE_RANGES.map(range => (
+            <option key={range.value} value={range.value}>{range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {!query.trim() ? (
+        <div className="text-center py-8 px-4">
+          <Search className="w-6 h-6 text-muted-foreground mx-auto mb-2" />
+          <p className="text-sm text-muted-foreground">Search prompts, replies and tool calls</p>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-500 px-4 py-2">{error}</p>
+      ) : isSearching && results.length === 0 ? (
+        <p className="text-sm text-muted-foreground px-4 py-2">Searching...</p>
+      ) : results.length === 0 ? (
+        <div className="text-center py-8 px-4">
+          <h3 className="text-base font-medium text-foreground mb-1">No matching messages</h3>
+          <p className="text-sm text-muted-foreground">Try different words or widen the filters</p>
+        </div>
+      ) : (
+        results.map(result => {
+          const project = findProject(result);
+          // Sessions of another CLI or an unlisted project can't be opened from here
+          const canOpen = !!project && (!result.provider || result.provider === currentProvider);
+
+          return (
+            <button
+              key={result.messageId}
+              type="button"
+              disabled={!canOpen}
+              onClick={() => onSelectResult(project, result)}
+              title={canOpen ? undefined : `Switch to ${result.provider || 'the matching'} CLI to open this session`}
+              className="w-full text-left px-3 py-2 mx-0 md:mx-1 rounded-md hover:bg-accent/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <div className="flex items-center gap-1.5 text-xs text-muted-foreground mb-0.5">
+                {result.role === 'tool_use' ? <Wrench className="w-3 h-3" /> : <MessageSquare className="w-3 h-3" />}
+                <span className="truncate font-medium text-foreground">{result.sessionSummary}</span>
+              </div>
+              <div className="text-xs text-muted-foreground mb-1 truncate">
+                {ROLE_LABELS[result.role] || result.role} · {project?.displayName || result.projectPath}
+                {result.provider && result.provider !== currentProvider ? ` · ${result.provider}` : ''}
+                {' · '}{new Date(result.timestamp).toLocaleDateString()}
+              </div>
+              <p className="text-xs text-foreground/80 line-clamp-3 break-words">
+                {result.snippet.map((part, i) => (
+                  part.highlight
+                    ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 text-foreground rounded-sm">{part.text}</mark>
+                    : <span key={i}>{part.text}</span>
+                ))}
+              </p>
+            </button>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+export default SessionSearchResults;
@@ -4,6 +4,7 @@ import { FitAddon } from 'xterm-addon-fit';
 import { ClipboardAddon } from '@xterm/addon-clipboard';
 import { WebglAddon } from '@xterm/addon-webgl';
 import 'xterm/css/xterm.css';
+import { api } from '../utils/api';
 
 // CSS to remove xterm focus outline
 const xtermStyles = `
@@ -51,16 +52,27 @@ function Shell({ selectedProject, selectedSession, isActive }) {
     bmad: 'BMAD'
   };
 
+  // The server starts the project's provider from its tool profile; follow it here
   useEffect(() => {
-    const syncProvider = () => {
+    let cancelled = false;
+    const syncProvider = async () => {
+      let provider = 'gemini';
       try {
         const settings = JSON.parse(localStorage.getItem('gemini-tools-settings') || '{}');
-        const provider = settings.selectedProvider || 'gemini';
-        setProviderLabel(providerLabels[provider] || 'Gemini');
-        setProviderKey(provider);
+        provider = settings.selectedProvider || 'gemini';
+        if (selectedProject) {
+          const response = await api.projectToolProfile(selectedProject.name);
+          if (response.ok) {
+            const data = await response.json();
+            provider = data.effective.provider || provider;
+          }
+        }
       } catch (error) {
-        setProviderLabel('Gemini');
-        setProviderKey('gemini');
+        // Keep the provider from this browser's settings
+      }
+      if (!cancelled) {
+        setProviderLabel(providerLabels[provider] || provider);
+        setProviderKey(provider);
       }
     };
     syncProvider();
@@ -71,9 +83,10 @@ function Shell({ selectedProject, selectedSession, isActive }) {
     };
     window.addEventListener('storage', handleStorage);
     return () => {
+      cancelled = true;
       window.removeEventListener('storage', handleStorage);
     };
-  }, []);
+  }, [selectedProject?.name]);
 
   // Connect to shell function
   const connectToShell = () => {
@@ -512,23 +525,14 @@ function Shell({ selectedProject, selectedSession, isActive }) {
               const currentSessionId = selectedSession?.id || selectedSession?.sessionId;
               // console.log('🔗 Shell: Initializing with session:', currentSessionId);
               
-              // Get tools settings from localStorage
-              let toolsSettings = null;
-              try {
-                const savedSettings = localStorage.getItem('gemini-tools-settings');
-                if (savedSettings) {
-                  toolsSettings = JSON.parse(savedSettings);
-                }
-              } catch (e) {}
-
+              // Provider and tool settings come from the project's tool profile on the server
               const initPayload = {
                 type: 'init',
                 projectPath: selectedProject.fullPath || selectedProject.path,
                 sessionId: currentSessionId,
                 hasSession: !!currentSessionId,
                 cols: terminal.current.cols,
-                rows: terminal.current.rows,
-                toolsSettings: toolsSettings
+                rows: terminal.current.rows
               };
               
               ws.current.send(JSON.stringify(initPayload));
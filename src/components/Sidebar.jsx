@@ -1,12 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ScrollArea } from './ui/scroll-area';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { Input } from './ui/input';
 
-import { FolderOpen, Folder, Plus, MessageSquare, Clock, ChevronDown, ChevronRight, Edit3, Check, X, Trash2, Settings, FolderPlus, RefreshCw, Sparkles, Edit2, Star, Search } from 'lucide-react';
+import { FolderOpen, Folder, Plus, MessageSquare, Clock, ChevronDown, ChevronRight, Edit3, Check, X, Trash2, Settings, FolderPlus, RefreshCw, Sparkles, Edit2, Star, Search, Download, Upload, GitBranch } from 'lucide-react';
 import { cn } from '../lib/utils';
 import GeminiLogo from './GeminiLogo';
+import SessionSearchResults from './SessionSearchResults';
 import { api } from '../utils/api';
 
 // Move formatTimeAgo outside component to avoid recreation on every render
@@ -35,6 +36,34 @@ const formatTimeAgo = (dateString, currentTime) => {
   return date.toLocaleDateString();
 };
 
+// Order sessions so forks follow their parent session. Forks whose parent isn't loaded
+// stay at the top level. Returns [{ session, depth }].
+const buildSessionTree = (sessions) => {
+  const ids = new Set(sessions.map(session => session.id));
+  const children = new Map();
+  const roots = [];
+  for (const session of sessions) {
+    if (session.parentSessionId && ids.has(session.parentSessionId) && session.parentSessionId !== session.id) {
+      if (!children.has(session.parentSessionId)) {
+        children.set(session.parentSessionId, []);
+      }
+      children.get(session.parentSessionId).push(session);
+    } else {
+      roots.push(session);
+    }
+  }
+
+  const ordered = [];
+  const visit = (session, depth) => {
+    ordered.push({ session, depth });
+    for (const child of children.get(session.id) || []) {
+      visit(child, depth + 1);
+    }
+  };
+  roots.forEach(session => visit(session, 0));
+  return ordered;
+};
+
 function Sidebar({ 
   projects, 
   selectedProject, 
@@ -68,6 +97,12 @@ function Sidebar({
   const [editingSessionName, setEditingSessionName] = useState('');
   const [generatingSummary, setGeneratingSummary] = useState({});
   const [searchFilter, setSearchFilter] = useState('');
+  // 'projects' filters the list by name, 'messages' searches session content on the server
+  const [searchMode, setSearchMode] = useState('projects');
+  const [exportMenuSession, setExportMenuSession] = useState(null);
+  const [importingProject, setImportingProject] = useState(null);
+  const importInputRef = useRef(null);
+  const importTargetRef = useRef(null);
 
   const safeProjects = Array.isArray(projects) ? projects : [];
   
@@ -310,6 +345,93 @@ function Sidebar({
     }
   };
 
+  // Titles update in place through the session-summary-updated WebSocket message
+  const updateSessionSummary = async (projectName, sessionId, title) => {
+    try {
+      const response = await api.renameSession(projectName, sessionId, title);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        alert(data.error || 'Failed to rename session.');
+        return;
+      }
+      setEditingSession(null);
+      setEditingSessionName('');
+    } catch (error) {
+      console.error('Error renaming session:', error);
+      alert('Error renaming session. Please try again.');
+    }
+  };
+
+  const generateSessionSummary = async (projectName, sessionId) => {
+    const key = `${projectName}-${sessionId}`;
+    setGeneratingSummary(prev => ({ ...prev, [key]: true }));
+    try {
+      const response = await api.summarizeSession(projectName, sessionId);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        alert(data.error || 'Failed to generate a summary.');
+      }
+    } catch (error) {
+      console.error('Error generating session summary:', error);
+      alert('Error generating a summary. Please try again.');
+    } finally {
+      setGeneratingSummary(prev => ({ ...prev, [key]: false }));
+    }
+  };
+
+  const exportSession = async (projectName, sessionId, format) => {
+    setExportMenuSession(null);
+    try {
+      const response = await api.exportSession(projectName, sessionId, format);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        alert(data.error || 'Failed to export session.');
+        return;
+      }
+
+      const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `${sessionId}.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      alert('Error exporting session. Please try again.');
+    }
+  };
+
+  const startImportSession = (project) => {
+    importTargetRef.current = project;
+    importInputRef.current?.click();
+  };
+
+  const importSession = async (file) => {
+    const project = importTargetRef.current;
+    if (!file || !project) return;
+
+    setImportingProject(project.name);
+    try {
+      const content = await file.text();
+      const response = await api.importSession(project.name, { content, fileName: file.name });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to import session.');
+        return;
+      }
+
+      await onRefresh?.();
+      onProjectSelect(project);
+      onSessionSelect(data.session);
+    } catch (error) {
+      console.error('Error importing session:', error);
+      alert('Error importing session. Please try again.');
+    } finally {
+      setImportingProject(null);
+    }
+  };
+
   const deleteProject = async (projectName) => {
     if (!confirm('Are you sure you want to delete this empty project? This action cannot be undone.')) {
       return;
@@ -412,9 +534,20 @@ function Sidebar({
     }
   };
 
+  // Open the session of a search result and scroll to the matching message
+  const handleSearchResultSelect = (project, result) => {
+    const session = getAllSessions(project).find(s => s.id === result.sessionId) || {
+      id: result.sessionId,
+      summary: result.sessionSummary,
+      lastActivity: result.timestamp
+    };
+    onProjectSelect(project);
+    onSessionSelect(session, result.messageId);
+  };
+
   // Filter projects based on search input
   const filteredProjects = sortedProjects.filter(project => {
-    if (!searchFilter.trim()) return true;
+    if (searchMode !== 'projects' || !searchFilter.trim()) return true;
     
     const searchLower = searchFilter.toLowerCase();
     const displayName = (project.displayName || project.name).toLowerCase();
@@ -629,7 +762,7 @@ function Sidebar({
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-muted-foreground" />
             <Input
               type="text"
-              placeholder="Search projects..."
+              placeholder={searchMode === 'messages' ? 'Search messages...' : 'Search projects...'}
               value={searchFilter}
               onChange={(e) => setSearchFilter(e.target.value)}
               className="pl-9 h-9 text-sm bg-muted/50 border-0 focus:bg-background focus:ring-1 focus:ring-primary/20"
@@ -643,9 +776,34 @@ function Sidebar({
               </button>
             )}
           </div>
+          <div className="flex gap-1 mt-2">
+            {[['projects', 'Projects'], ['messages', 'Messages']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setSearchMode(mode)}
+                className={cn(
+                  "flex-1 text-xs py-1 rounded transition-colors",
+                  searchMode === mode ? "bg-primary/10 text-primary font-medium" : "text-muted-foreground hover:bg-accent"
+                )}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
         </div>
       )}
       
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".md,.markdown,.json,.jsonl,.ndjson"
+        className="hidden"
+        onChange={(e) => {
+          importSession(e.target.files?.[0]);
+          e.target.value = '';
+        }}
+      />
+
       {/* Projects List */}
       <ScrollArea className="flex-1 md:px-2 md:py-3 overflow-y-auto overscroll-contain">
         <div className="md:space-y-1 pb-safe-area-inset-bottom">
@@ -669,6 +827,13 @@ function Sidebar({
                 Run Gemini CLI in a project directory to get started
               </p>
             </div>
+          ) : searchMode === 'messages' ? (
+            <SessionSearchResults
+              query={searchFilter}
+              projects={safeProjects}
+              selectedProject={selectedProject}
+              onSelectResult={handleSearchResultSelect}
+            />
           ) : filteredProjects.length === 0 ? (
             <div className="text-center py-12 md:py-8 px-4">
               <div className="w-12 h-12 bg-muted rounded-lg flex items-center justify-center mx-auto mb-4 md:mb-3">
@@ -1003,14 +1168,18 @@ function Sidebar({
                           <p className="text-xs text-muted-foreground">No sessions yet</p>
                         </div>
                       ) : (
-                        getAllSessions(project).map((session) => {
+                        buildSessionTree(getAllSessions(project)).map(({ session, depth }) => {
                           // Calculate if session is active (within last 10 minutes)
                           const sessionDate = new Date(session.lastActivity);
                           const diffInMinutes = Math.floor((currentTime - sessionDate) / (1000 * 60));
                           const isActive = diffInMinutes < 10;
                           
                           return (
-                          <div key={session.id} className="group relative">
+                          <div
+                            key={session.id}
+                            className="group relative"
+                            style={depth > 0 ? { marginLeft: `${Math.min(depth, 4) * 12}px` } : undefined}
+                          >
                             {/* Active session indicator dot */}
                             {isActive && (
                               <div className="absolute left-0 top-1/2 transform -translate-y-1/2 -translate-x-1">
@@ -1039,13 +1208,20 @@ function Sidebar({
                                     "w-5 h-5 rounded-md flex items-center justify-center flex-shrink-0",
                                     selectedSession?.id === session.id ? "bg-primary/10" : "bg-muted/50"
                                   )}>
-                                    <MessageSquare className={cn(
-                                      "w-3 h-3",
-                                      selectedSession?.id === session.id ? "text-primary" : "text-muted-foreground"
-                                    )} />
+                                    {session.parentSessionId ? (
+                                      <GitBranch className={cn(
+                                        "w-3 h-3",
+                                        selectedSession?.id === session.id ? "text-primary" : "text-muted-foreground"
+                                      )} />
+                                    ) : (
+                                      <MessageSquare className={cn(
+                                        "w-3 h-3",
+                                        selectedSession?.id === session.id ? "text-primary" : "text-muted-foreground"
+                                      )} />
+                                    )}
                                   </div>
                                   <div className="min-w-0 flex-1">
-                                    <div className="text-xs font-medium truncate text-foreground">
+                                    <div className="text-xs font-medium truncate text-foreground" title={session.description || undefined}>
                                       {session.summary || 'New Session'}
                                     </div>
                                     <div className="flex items-center gap-1 mt-0.5">
@@ -1087,9 +1263,13 @@ function Sidebar({
                                 onTouchEnd={handleTouchClick(() => onSessionSelect(session))}
                               >
                                 <div className="flex items-start gap-2 min-w-0 w-full">
-                                  <MessageSquare className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0" />
+                                  {session.parentSessionId ? (
+                                    <GitBranch className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0" />
+                                  ) : (
+                                    <MessageSquare className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0" />
+                                  )}
                                   <div className="min-w-0 flex-1">
-                                    <div className="text-xs font-medium truncate text-foreground">
+                                    <div className="text-xs font-medium truncate text-foreground" title={session.description || undefined}>
                                       {session.summary || 'New Session'}
                                     </div>
                                     <div className="flex items-center gap-1 mt-0.5">
@@ -1152,13 +1332,13 @@ function Sidebar({
                                 ) : (
                                   <>
                                     {/* Generate summary button */}
-                                    {/* <button
+                                    <button
                                       className="w-6 h-6 bg-blue-50 hover:bg-blue-100 dark:bg-blue-900/20 dark:hover:bg-blue-900/40 rounded flex items-center justify-center"
                                       onClick={(e) => {
                                         e.stopPropagation();
                                         generateSessionSummary(project.name, session.id);
                                       }}
-                                      title="Generate AI summary for this session"
+                                      title="Generate a title and summary for this session"
                                       disabled={generatingSummary[`${project.name}-${session.id}`]}
                                     >
                                       {generatingSummary[`${project.name}-${session.id}`] ? (
@@ -1166,7 +1346,36 @@ function Sidebar({
                                       ) : (
                                         <Sparkles className="w-3 h-3 text-blue-600 dark:text-blue-400" />
                                       )}
-                                    </button> */}
+                                    </button>
+                                    {/* Export button */}
+                                    <div className="relative">
+                                      <button
+                                        className="w-6 h-6 bg-gray-50 hover:bg-gray-100 dark:bg-gray-900/20 dark:hover:bg-gray-900/40 rounded flex items-center justify-center"
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          setExportMenuSession(exportMenuSession === session.id ? null : session.id);
+                                        }}
+                                        title="Export this session"
+                                      >
+                                        <Download className="w-3 h-3 text-gray-600 dark:text-gray-400" />
+                                      </button>
+                                      {exportMenuSession === session.id && (
+                                        <div className="absolute right-0 top-7 z-50 w-32 bg-popover border border-border rounded-md shadow-lg py-1">
+                                          {[['markdown', 'Markdown'], ['json', 'JSON'], ['jsonl', 'JSONL']].map(([format, label]) => (
+                                            <button
+                                              key={format}
+                                              className="w-full text-left px-3 py-1.5 text-xs hover:bg-accent"
+                                              onClick={(e) => {
+                                                e.stopPropagation();
+                                                exportSession(project.name, session.id, format);
+                                              }}
+                                            >
+                                              {label}
+                                            </button>
+                                          ))}
+                                        </div>
+                                      )}
+                                    </div>
                                     {/* Edit button */}
                                     <button
                                       className="w-6 h-6 bg-gray-50 hover:bg-gray-100 dark:bg-gray-900/20 dark:hover:bg-gray-900/40 rounded flex items-center justify-center"
@@ -1245,6 +1454,16 @@ function Sidebar({
                         <Plus className="w-3 h-3" />
                         New Session
                       </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="hidden md:flex w-full justify-start gap-2 h-8 text-xs text-muted-foreground"
+                        onClick={() => startImportSession(project)}
+                        disabled={importingProject === project.name}
+                      >
+                        <Upload className="w-3 h-3" />
+                        {importingProject === project.name ? 'Importing...' : 'Import Session'}
+                      </Button>
                     </div>
                   )}
                 </div>
@@ -7,16 +7,23 @@ import { X, Plus, Settings, Shield, AlertTriangle, Moon, Sun, Server, Edit3, Tra
 import { useTheme } from '../contexts/ThemeContext';
 import { api } from '../utils/api';
 
-function ToolsSettings({ isOpen, onClose }) {
+function ToolsSettings({ isOpen, onClose, selectedProject }) {
   const { isDarkMode, toggleDarkMode } = useTheme();
   const [allowedTools, setAllowedTools] = useState([]);
   const [disallowedTools, setDisallowedTools] = useState([]);
   const [newAllowedTool, setNewAllowedTool] = useState('');
   const [newDisallowedTool, setNewDisallowedTool] = useState('');
   const [skipPermissions, setSkipPermissions] = useState(false);
+  const [safetyRules, setSafetyRules] = useState(null); // null until loaded, so a failed load doesn't save an empty list
+  const [newSafetyRule, setNewSafetyRule] = useState({ label: '', pattern: '', action: 'confirm' });
+  const [safetyTestCommand, setSafetyTestCommand] = useState('');
+  const [safetyTestResult, setSafetyTestResult] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null);
   const [projectSortOrder, setProjectSortOrder] = useState('name');
+  // Tool settings are edited for all projects ('global') or as overrides for the selected one
+  const [toolScope, setToolScope] = useState('global');
+  const [projectProfile, setProjectProfile] = useState(null);
 
   // MCP server management state
   const [mcpServers, setMcpServers] = useState([]);
@@ -124,6 +131,102 @@ function ToolsSettings({ isOpen, onClose }) {
     ollama: 'llama2:latest',
     bmad: 'bmad-default'
   };
+  const builtInProviders = [
+    { id: 'gemini', displayName: 'Gemini CLI' },
+    { id: 'codex', displayName: 'Codex CLI' },
+    { id: 'claude', displayName: 'Claude CLI' },
+    { id: 'bmad', displayName: 'BMAD CLI' },
+    { id: 'webllm', displayName: 'WebLLM (Local)' },
+    { id: 'ollama', displayName: 'Ollama (Local)' }
+  ];
+  // Providers registered on the server (includes adapters from CLI_PROVIDERS_DIR)
+  const [providerOptions, setProviderOptions] = useState(builtInProviders);
+  // Providers that can't ask before a tool call only stop the run for Confirm and Block rules
+  const [providersWithoutApprovals, setProvidersWithoutApprovals] = useState([]);
+  const customProvider = providerOptions.find(p => p.id === selectedProvider && p.custom);
+  const getProviderModels = (provider) => {
+    const custom = providerOptions.find(p => p.id === provider && p.custom);
+    return custom?.models?.length ? custom.models : null;
+  };
+  const getModelsForProvider = (provider) => {
+    const modelsByProvider = {
+      gemini: defaultGeminiModels,
+      codex: defaultCodexModels,
+      claude: defaultClaudeModels,
+      webllm: defaultWebLLMModels,
+      ollama: defaultOllamaModels,
+      bmad: defaultBmadModels
+    };
+    return modelsByProvider[provider] || getProviderModels(provider) || defaultGeminiModels;
+  };
+
+  // In project scope a field shows the project's value, or the global one while it isn't overridden
+  const globalValues = {
+    allowedTools,
+    disallowedTools,
+    skipPermissions,
+    safetyRules,
+    provider: selectedProvider,
+    model: selectedModel
+  };
+  const globalSetters = {
+    allowedTools: setAllowedTools,
+    disallowedTools: setDisallowedTools,
+    skipPermissions: setSkipPermissions,
+    safetyRules: setSafetyRules,
+    provider: setSelectedProvider,
+    model: setSelectedModel
+  };
+  const isProjectScope = toolScope === 'project' && !!projectProfile;
+  const isInherited = (field) => isProjectScope && projectProfile[field] === null;
+  const getFieldValue = (field) => (isProjectScope && projectProfile[field] !== null ? projectProfile[field] : globalValues[field]);
+  const setFieldValue = (field, value) => {
+    if (isProjectScope) {
+      setProjectProfile(prev => ({ ...prev, [field]: value }));
+    } else {
+      globalSetters[field](value);
+    }
+  };
+  const toggleOverride = (field) => {
+    setProjectProfile(prev => ({ ...prev, [field]: prev[field] === null ? globalValues[field] : null }));
+  };
+  const handleProviderChange = (provider) => {
+    if (!isProjectScope) {
+      setSelectedProvider(provider);
+      return;
+    }
+    // Keep the project's model valid for its provider
+    setProjectProfile(prev => {
+      const models = getModelsForProvider(provider);
+      const model = prev.model ?? selectedModel;
+      const fallbackModel = defaultModelByProvider[provider] || models[0]?.value || null;
+      return { ...prev, provider, model: models.some(m => m.value === model) ? prev.model : fallbackModel };
+    });
+  };
+  const viewProvider = getFieldValue('provider');
+  const viewModel = getFieldValue('model');
+  const viewModels = isProjectScope ? getModelsForProvider(viewProvider) : availableModels;
+  const viewCustomProvider = providerOptions.find(p => p.id === viewProvider && p.custom);
+  const viewAllowedTools = getFieldValue('allowedTools');
+  const viewDisallowedTools = getFieldValue('disallowedTools');
+  const viewSafetyRules = getFieldValue('safetyRules') || [];
+  const viewProviderCanAsk = !providersWithoutApprovals.includes(viewProvider);
+  const viewProviderName = providerOptions.find(p => p.id === viewProvider)?.displayName || viewProvider;
+  const safetyActionLabels = viewProviderCanAsk
+    ? { warn: 'Warn', confirm: 'Confirm', block: 'Block' }
+    : { warn: 'Warn', confirm: 'Confirm (stops the run)', block: 'Block (stops the run)' };
+
+  const renderOverrideToggle = (field) => isProjectScope && (
+    <label className="ml-auto flex items-center gap-2 text-xs text-muted-foreground">
+      <input
+        type="checkbox"
+        checked={!isInherited(field)}
+        onChange={() => toggleOverride(field)}
+        className="w-3.5 h-3.5 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+      />
+      Override for this project
+    </label>
+  );
 
   useEffect(() => {
     let isActive = true;
@@ -157,31 +260,41 @@ function ToolsSettings({ isOpen, onClose }) {
         // console.error('Failed to load CLI info:', error);
       }
     };
+    const loadProviders = async () => {
+      try {
+        const response = await api.cliProviders();
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!isActive || !Array.isArray(data.providers)) return;
+
+        const builtInIds = builtInProviders.map(p => p.id);
+        const customProviders = data.providers
+          .filter(p => !builtInIds.includes(p.id))
+          .map(p => ({ ...p, custom: true }));
+        setProviderOptions([...builtInProviders, ...customProviders]);
+        setProvidersWithoutApprovals(data.providers.filter(p => p.approvals === false).map(p => p.id));
+      } catch (error) {
+        // console.error('Failed to load CLI providers:', error);
+      }
+    };
     loadCliInfo();
+    loadProviders();
     return () => {
       isActive = false;
     };
   }, []);
 
   useEffect(() => {
-    const modelsByProvider = {
-      gemini: defaultGeminiModels,
-      codex: defaultCodexModels,
-      claude: defaultClaudeModels,
-      webllm: defaultWebLLMModels,
-      ollama: defaultOllamaModels,
-      bmad: defaultBmadModels
-    };
-    const models = modelsByProvider[selectedProvider] || defaultGeminiModels;
+    const models = getModelsForProvider(selectedProvider);
     setAvailableModels(models);
 
     if (!models.find(model => model.value === selectedModel)) {
-      const fallbackModel = defaultModelByProvider[selectedProvider] || models[0]?.value;
+      const fallbackModel = defaultModelByProvider[selectedProvider] || customProvider?.defaultModel || models[0]?.value;
       if (fallbackModel) {
         setSelectedModel(fallbackModel);
       }
     }
-  }, [selectedProvider, selectedModel]);
+  }, [selectedProvider, selectedModel, providerOptions]);
 
   // MCP API functions
   const fetchMcpServers = async () => {
@@ -414,15 +527,7 @@ function ToolsSettings({ isOpen, onClose }) {
         const nextProvider = settings.selectedProvider || fallbackProvider;
         setSelectedProvider(nextProvider);
         
-        const modelsByProvider = {
-          gemini: defaultGeminiModels,
-          codex: defaultCodexModels,
-          claude: defaultClaudeModels,
-          webllm: defaultWebLLMModels,
-          ollama: defaultOllamaModels,
-          bmad: defaultBmadModels
-        };
-        const models = modelsByProvider[nextProvider] || defaultGeminiModels;
+        const models = getModelsForProvider(nextProvider);
         const fallbackModel = defaultModelByProvider[nextProvider] || cliInfo.defaultModel || 'gemini-2.5-flash';
         const candidateModel = settings.selectedModel || fallbackModel;
         const hasModel = models.some(model => model.value === candidateModel);
@@ -439,6 +544,9 @@ function ToolsSettings({ isOpen, onClose }) {
         setSelectedModel(defaultModelByProvider[fallbackProvider] || cliInfo.defaultModel || 'gemini-2.5-flash');
       }
 
+      // Tool settings stored on the server take precedence over this browser's copy
+      await loadToolProfiles();
+
       // Load MCP servers from API
       await fetchMcpServers();
     } catch (error) {
@@ -451,11 +559,58 @@ function ToolsSettings({ isOpen, onClose }) {
     }
   };
 
-  const saveSettings = () => {
+  const loadToolProfiles = async () => {
+    setToolScope('global');
+    setProjectProfile(null);
+    try {
+      const response = await api.toolProfile();
+      if (response.ok) {
+        const { profile, effective } = await response.json();
+        // The built-in rules apply until the global profile has its own
+        setSafetyRules(profile.safetyRules ?? effective.safetyRules);
+        if (profile.updatedAt) {
+          if (profile.allowedTools) setAllowedTools(profile.allowedTools);
+          if (profile.disallowedTools) setDisallowedTools(profile.disallowedTools);
+          if (profile.skipPermissions !== null) setSkipPermissions(profile.skipPermissions);
+          if (profile.provider) setSelectedProvider(profile.provider);
+          if (profile.model) setSelectedModel(profile.model);
+        }
+      }
+      if (selectedProject) {
+        const projectResponse = await api.projectToolProfile(selectedProject.name);
+        if (projectResponse.ok) {
+          const { profile } = await projectResponse.json();
+          setProjectProfile(profile);
+        }
+      }
+    } catch (error) {
+      // console.error('Error loading tool profiles:', error);
+    }
+  };
+
+  const saveSettings = async () => {
     setIsSaving(true);
     setSaveStatus(null);
     
     try {
+      const globalResponse = await api.saveToolProfile({
+        allowedTools,
+        disallowedTools,
+        skipPermissions,
+        safetyRules,
+        provider: selectedProvider,
+        model: selectedModel
+      });
+      if (!globalResponse.ok) {
+        throw new Error('Failed to save tool settings');
+      }
+      if (selectedProject && projectProfile) {
+        const projectResponse = await api.saveProjectToolProfile(selectedProject.name, projectProfile);
+        if (!projectResponse.ok) {
+          throw new Error('Failed to save project tool settings');
+        }
+      }
+
       const settings = {
         allowedTools,
         disallowedTools,
@@ -468,7 +623,7 @@ function ToolsSettings({ isOpen, onClose }) {
       };
       
       
-      // Save to localStorage
+      // Keep this browser's copy too; the rest of the UI reads provider, model and preferences from it
       localStorage.setItem('gemini-tools-settings', JSON.stringify(settings));
       
       // Trigger storage event for current window
@@ -494,25 +649,77 @@ function ToolsSettings({ isOpen, onClose }) {
   };
 
   const addAllowedTool = (tool) => {
-    if (tool && !allowedTools.includes(tool)) {
-      setAllowedTools([...allowedTools, tool]);
+    if (tool && !viewAllowedTools.includes(tool)) {
+      setFieldValue('allowedTools', [...viewAllowedTools, tool]);
       setNewAllowedTool('');
     }
   };
 
   const removeAllowedTool = (tool) => {
-    setAllowedTools(allowedTools.filter(t => t !== tool));
+    setFieldValue('allowedTools', viewAllowedTools.filter(t => t !== tool));
   };
 
   const addDisallowedTool = (tool) => {
-    if (tool && !disallowedTools.includes(tool)) {
-      setDisallowedTools([...disallowedTools, tool]);
+    if (tool && !viewDisallowedTools.includes(tool)) {
+      setFieldValue('disallowedTools', [...viewDisallowedTools, tool]);
       setNewDisallowedTool('');
     }
   };
 
   const removeDisallowedTool = (tool) => {
-    setDisallowedTools(disallowedTools.filter(t => t !== tool));
+    setFieldValue('disallowedTools', viewDisallowedTools.filter(t => t !== tool));
+  };
+
+  const updateSafetyRule = (ruleId, changes) => {
+    setFieldValue('safetyRules', viewSafetyRules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+    setSafetyTestResult(null);
+  };
+
+  const removeSafetyRule = (ruleId) => {
+    setFieldValue('safetyRules', viewSafetyRules.filter(rule => rule.id !== ruleId));
+    setSafetyTestResult(null);
+  };
+
+  const addSafetyRule = () => {
+    const label = newSafetyRule.label.trim() || newSafetyRule.pattern.trim();
+    setFieldValue('safetyRules', [
+      ...viewSafetyRules,
+      { id: `custom-${Date.now()}`, label, pattern: newSafetyRule.pattern.trim(), action: newSafetyRule.action, enabled: true }
+    ]);
+    setNewSafetyRule({ label: '', pattern: '', action: 'confirm' });
+    setSafetyTestResult(null);
+  };
+
+  const isValidPattern = (pattern) => {
+    try {
+      new RegExp(pattern, 'i');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Dry-run a command against the rules as they are edited here, before saving
+  const testSafetyCommand = async () => {
+    try {
+      const response = await api.checkCommandSafety({
+        command: safetyTestCommand,
+        rules: viewSafetyRules,
+        projectName: isProjectScope ? selectedProject.name : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to check command');
+      }
+      setSafetyTestResult({ analysis: data.analysis });
+    } catch (error) {
+      setSafetyTestResult({ error: error.message });
+    }
+  };
+
+  // Drop every override so the project follows the global settings again
+  const resetProjectProfile = () => {
+    setProjectProfile(prev => Object.fromEntries(Object.keys(prev).map(key => [key, key === 'updatedAt' ? prev.updatedAt : null])));
   };
 
   // MCP form handling functions
@@ -782,6 +989,37 @@ function ToolsSettings({ isOpen, onClose }) {
             {/* Tools Tab */}
             {activeTab === 'tools' && (
               <div className="space-y-6 md:space-y-8">
+
+            {/* Settings scope: all projects or overrides for the selected project */}
+            {selectedProject && (
+            <div className="space-y-3">
+              <div className="flex rounded-lg border border-border overflow-hidden text-sm">
+                <button
+                  onClick={() => setToolScope('global')}
+                  className={`flex-1 px-3 py-2 transition-colors ${toolScope === 'global' ? 'bg-blue-600 text-white' : 'text-muted-foreground hover:bg-accent'}`}
+                >
+                  All projects
+                </button>
+                <button
+                  onClick={() => setToolScope('project')}
+                  disabled={!projectProfile}
+                  className={`flex-1 px-3 py-2 truncate transition-colors disabled:opacity-50 ${toolScope === 'project' ? 'bg-blue-600 text-white' : 'text-muted-foreground hover:bg-accent'}`}
+                >
+                  {selectedProject.displayName || selectedProject.name}
+                </button>
+              </div>
+              {isProjectScope && (
+                <div className="flex items-start justify-between gap-3 text-sm text-muted-foreground">
+                  <p>
+                    Settings marked "Override for this project" replace the global ones in this project only. Tools you always allow from a chat prompt are added to this project's allowed tools; remove them here to revoke.
+                  </p>
+                  <Button variant="outline" size="sm" onClick={resetProjectProfile} className="flex-shrink-0">
+                    Use global settings
+                  </Button>
+                </div>
+              )}
+            </div>
+            )}
             
             {/* Model Selection */}
             <div className="space-y-4">
@@ -790,6 +1028,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 <h3 className="text-lg font-medium text-foreground">
                   CLI Provider
                 </h3>
+                {renderOverrideToggle('provider')}
               </div>
               <div className="bg-cyan-50 dark:bg-cyan-900/20 border border-cyan-200 dark:border-cyan-800 rounded-lg p-4">
                 <div className="space-y-3">
@@ -797,31 +1036,33 @@ function ToolsSettings({ isOpen, onClose }) {
                     Select Provider
                   </label>
                   <select
-                    value={selectedProvider}
-                    onChange={(e) => setSelectedProvider(e.target.value)}
+                    value={viewProvider}
+                    onChange={(e) => handleProviderChange(e.target.value)}
+                    disabled={isInherited('provider')}
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-cyan-500 focus:border-cyan-500"
                   >
-                    <option value="gemini">Gemini CLI</option>
-                    <option value="codex">Codex CLI</option>
-                    <option value="claude">Claude CLI</option>
-                    <option value="bmad">BMAD CLI</option>
-                    <option value="webllm">WebLLM (Local)</option>
-                    <option value="ollama">Ollama (Local)</option>
+                    {providerOptions.map(provider => (
+                      <option key={provider.id} value={provider.id}>
+                        {provider.displayName}
+                      </option>
+                    ))}
                   </select>
                   <div className="text-sm text-gray-600 dark:text-gray-400">
-                    {selectedProvider === 'codex'
+                    {viewProvider === 'codex'
                       ? 'Use OpenAI Codex CLI for coding sessions.'
-                      : selectedProvider === 'claude'
+                      : viewProvider === 'claude'
                       ? 'Use Anthropic Claude CLI for coding sessions.'
-                      : selectedProvider === 'bmad'
+                      : viewProvider === 'bmad'
                       ? 'Use BMAD CLI for project workflow commands.'
-                      : selectedProvider === 'webllm'
+                      : viewProvider === 'webllm'
                       ? 'Run AI models locally in your browser using WebGPU. Private and offline-capable.'
-                      : selectedProvider === 'ollama'
+                      : viewProvider === 'ollama'
                       ? 'Run local Ollama models from your machine.'
+                      : viewCustomProvider
+                      ? viewCustomProvider.description
                       : 'Use Google Gemini CLI for coding sessions.'}
                   </div>
-                  {selectedProvider === 'webllm' && (
+                  {viewProvider === 'webllm' && (
                     <div className="text-xs text-blue-600 dark:text-blue-300">
                       WebLLM runs entirely in your browser. Requires WebGPU support (Chrome 113+, Edge 113+). First load downloads the model (~2-4GB).
                       {typeof navigator !== 'undefined' && navigator.userAgent && (
@@ -833,9 +1074,9 @@ function ToolsSettings({ isOpen, onClose }) {
                       )}
                     </div>
                   )}
-                  {selectedProvider !== cliInfo.provider && selectedProvider !== 'webllm' && (
+                  {viewProvider !== cliInfo.provider && viewProvider !== 'webllm' && (
                     <div className="text-xs text-orange-600 dark:text-orange-300">
-                      Provider mismatch: server is running {cliInfo.displayName}. Project discovery uses the server provider; restart the server with `CLI_PROVIDER={selectedProvider}` for full switching.
+                      Provider mismatch: server is running {cliInfo.displayName}. Project discovery uses the server provider; restart the server with `CLI_PROVIDER={viewProvider}` for full switching.
                     </div>
                   )}
                 </div>
@@ -847,18 +1088,21 @@ function ToolsSettings({ isOpen, onClose }) {
               <div className="flex items-center gap-3">
                 <Zap className="w-5 h-5 text-cyan-500" />
                 <h3 className="text-lg font-medium text-foreground">
-                  {selectedProvider === 'codex'
+                  {viewProvider === 'codex'
                     ? 'Codex Model'
-                    : selectedProvider === 'webllm'
+                    : viewProvider === 'webllm'
                     ? 'WebLLM Model'
-                    : selectedProvider === 'ollama'
+                    : viewProvider === 'ollama'
                     ? 'Ollama Model'
-                    : selectedProvider === 'claude'
+                    : viewProvider === 'claude'
                     ? 'Claude Model'
-                    : selectedProvider === 'bmad'
+                    : viewProvider === 'bmad'
                     ? 'BMAD Model'
+                    : viewCustomProvider
+                    ? `${viewCustomProvider.label} Model`
                     : 'Gemini Model'}
                 </h3>
+                {renderOverrideToggle('model')}
               </div>
               <div className="bg-cyan-50 dark:bg-cyan-900/20 border border-cyan-200 dark:border-cyan-800 rounded-lg p-4">
                 <div className="space-y-3">
@@ -866,52 +1110,55 @@ function ToolsSettings({ isOpen, onClose }) {
                     Select Model
                   </label>
                   <select
-                    value={selectedModel}
-                    onChange={(e) => setSelectedModel(e.target.value)}
+                    value={viewModel}
+                    onChange={(e) => setFieldValue('model', e.target.value)}
+                    disabled={isInherited('model')}
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-cyan-500 focus:border-cyan-500"
                   >
-                    {availableModels.map(model => (
+                    {viewModels.map(model => (
                       <option key={model.value} value={model.value}>
                         {model.label}
                       </option>
                     ))}
                   </select>
                   <div className="text-sm text-gray-600 dark:text-gray-400">
-                    {availableModels.find(m => m.value === selectedModel)?.description}
+                    {viewModels.find(m => m.value === viewModel)?.description}
                   </div>
                 </div>
               </div>
             </div>
             
             {/* Skip Permissions - Not applicable for WebLLM */}
-            {selectedProvider !== 'webllm' && selectedProvider !== 'ollama' && selectedProvider !== 'bmad' && (
+            {viewProvider !== 'webllm' && viewProvider !== 'ollama' && viewProvider !== 'bmad' && (
             <div className="space-y-4">
               <div className="flex items-center gap-3">
                 <AlertTriangle className="w-5 h-5 text-orange-500" />
                 <h3 className="text-lg font-medium text-foreground">
                   Permission Settings
                 </h3>
+                {renderOverrideToggle('skipPermissions')}
               </div>
               <div className="bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 rounded-lg p-4">
                 <label className="flex items-center gap-3">
                   <input
                     type="checkbox"
-                    checked={skipPermissions}
-                    onChange={(e) => setSkipPermissions(e.target.checked)}
+                    checked={getFieldValue('skipPermissions')}
+                    onChange={(e) => setFieldValue('skipPermissions', e.target.checked)}
+                    disabled={isInherited('skipPermissions')}
                     className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
                   />
                   <div>
                     <div className="font-medium text-orange-900 dark:text-orange-100">
-                      {selectedProvider === 'codex'
+                      {viewProvider === 'codex'
                         ? 'Full auto - Skip approvals'
-                        : selectedProvider === 'claude'
+                        : viewProvider === 'claude'
                         ? 'Skip confirmations (if supported)'
                         : 'YOLO mode - Skip all confirmations'}
                     </div>
                     <div className="text-sm text-orange-700 dark:text-orange-300">
-                      {selectedProvider === 'codex'
+                      {viewProvider === 'codex'
                         ? 'Equivalent to --full-auto --sandbox danger-full-access'
-                        : selectedProvider === 'claude'
+                        : viewProvider === 'claude'
                         ? 'Claude CLI does not support an auto-approve flag yet.'
                         : 'Equivalent to --yolo flag (use with caution)'}
                     </div>
@@ -921,7 +1168,8 @@ function ToolsSettings({ isOpen, onClose }) {
             </div>
             )}
 
-            {/* Notification Sound Settings */}
+            {/* Notification Sound Settings - Browser only, not per project */}
+            {!isProjectScope && (
             <div className="space-y-4">
               <div className="flex items-center gap-3">
                 <Volume2 className="w-5 h-5 text-blue-500" />
@@ -969,9 +1217,10 @@ function ToolsSettings({ isOpen, onClose }) {
                 </div>
               </div>
             </div>
+            )}
 
             {/* Allowed Tools - Not applicable for WebLLM */}
-            {selectedProvider !== 'webllm' && selectedProvider !== 'ollama' && selectedProvider !== 'bmad' && (
+            {viewProvider !== 'webllm' && viewProvider !== 'ollama' && viewProvider !== 'bmad' && (
             <>
             <div className="space-y-4">
               <div className="flex items-center gap-3">
@@ -979,6 +1228,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 <h3 className="text-lg font-medium text-foreground">
                   Allowed Tools
                 </h3>
+                {renderOverrideToggle('allowedTools')}
               </div>
               <p className="text-sm text-muted-foreground">
                 Tools that are automatically allowed without prompting for permission
@@ -988,6 +1238,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 <Input
                   value={newAllowedTool}
                   onChange={(e) => setNewAllowedTool(e.target.value)}
+                  disabled={isInherited('allowedTools')}
                   placeholder='e.g., "Bash(git log:*)" or "Write"'
                   onKeyPress={(e) => {
                     if (e.key === 'Enter') {
@@ -999,7 +1250,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 />
                 <Button
                   onClick={() => addAllowedTool(newAllowedTool)}
-                  disabled={!newAllowedTool}
+                  disabled={!newAllowedTool || isInherited('allowedTools')}
                   size="sm"
                   className="h-10 px-4 touch-manipulation"
                 >
@@ -1020,7 +1271,7 @@ function ToolsSettings({ isOpen, onClose }) {
                       variant="outline"
                       size="sm"
                       onClick={() => addAllowedTool(tool)}
-                      disabled={allowedTools.includes(tool)}
+                      disabled={viewAllowedTools.includes(tool) || isInherited('allowedTools')}
                       className="text-xs h-8 touch-manipulation truncate"
                     >
                       {tool}
@@ -1030,7 +1281,7 @@ function ToolsSettings({ isOpen, onClose }) {
               </div>
 
               <div className="space-y-2">
-                {allowedTools.map(tool => (
+                {viewAllowedTools.map(tool => (
                   <div key={tool} className="flex items-center justify-between bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-3">
                     <span className="font-mono text-sm text-green-800 dark:text-green-200">
                       {tool}
@@ -1039,13 +1290,14 @@ function ToolsSettings({ isOpen, onClose }) {
                       variant="ghost"
                       size="sm"
                       onClick={() => removeAllowedTool(tool)}
+                      disabled={isInherited('allowedTools')}
                       className="text-green-600 hover:text-green-700 dark:text-green-400 dark:hover:text-green-300"
                     >
                       <X className="w-4 h-4" />
                     </Button>
                   </div>
                 ))}
-                {allowedTools.length === 0 && (
+                {viewAllowedTools.length === 0 && (
                   <div className="text-center py-8 text-gray-500 dark:text-gray-400">
                     No allowed tools configured
                   </div>
@@ -1060,6 +1312,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 <h3 className="text-lg font-medium text-foreground">
                   Disallowed Tools
                 </h3>
+                {renderOverrideToggle('disallowedTools')}
               </div>
               <p className="text-sm text-muted-foreground">
                 Tools that are automatically blocked without prompting for permission
@@ -1069,6 +1322,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 <Input
                   value={newDisallowedTool}
                   onChange={(e) => setNewDisallowedTool(e.target.value)}
+                  disabled={isInherited('disallowedTools')}
                   placeholder='e.g., "Bash(rm:*)" or "Write"'
                   onKeyPress={(e) => {
                     if (e.key === 'Enter') {
@@ -1080,7 +1334,7 @@ function ToolsSettings({ isOpen, onClose }) {
                 />
                 <Button
                   onClick={() => addDisallowedTool(newDisallowedTool)}
-                  disabled={!newDisallowedTool}
+                  disabled={!newDisallowedTool || isInherited('disallowedTools')}
                   size="sm"
                   className="h-10 px-4 touch-manipulation"
                 >
@@ -1090,7 +1344,7 @@ function ToolsSettings({ isOpen, onClose }) {
               </div>
 
               <div className="space-y-2">
-                {disallowedTools.map(tool => (
+                {viewDisallowedTools.map(tool => (
                   <div key={tool} className="flex items-center justify-between bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3">
                     <span className="font-mono text-sm text-red-800 dark:text-red-200">
                       {tool}
@@ -1099,13 +1353,14 @@ function ToolsSettings({ isOpen, onClose }) {
                       variant="ghost"
                       size="sm"
                       onClick={() => removeDisallowedTool(tool)}
+                      disabled={isInherited('disallowedTools')}
                       className="text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
                     >
                       <X className="w-4 h-4" />
                     </Button>
                   </div>
                 ))}
-                {disallowedTools.length === 0 && (
+                {viewDisallowedTools.length === 0 && (
                   <div className="text-center py-8 text-gray-500 dark:text-gray-400">
                     No disallowed tools configured
                   </div>
@@ -1113,6 +1368,177 @@ function ToolsSettings({ isOpen, onClose }) {
               </div>
             </div>
 
+            {/* Command Safety Rules */}
+            <div className="space-y-4">
+              <div className="flex items-center gap-3">
+                <Shield className="w-5 h-5 text-orange-500" />
+                <h3 className="text-lg font-medium text-foreground">
+                  Command Safety Rules
+                </h3>
+                {renderOverrideToggle('safetyRules')}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Shell commands are checked against these rules before they run, even in YOLO mode or when the tool is allowed.
+                Block refuses the command, Confirm always asks first, and Warn only shows a notice in the chat.
+              </p>
+              {!viewProviderCanAsk && (
+                <p className="text-sm text-orange-700 dark:text-orange-300">
+                  {viewProviderName} can't ask before a tool call in its current mode. A command matching a Confirm or Block rule
+                  stops the run once the CLI reports it, and while such a rule is on, YOLO mode doesn't approve shell commands.
+                </p>
+              )}
+
+              <div className="space-y-2">
+                {viewSafetyRules.map(rule => (
+                  <div key={rule.id} className="flex items-center gap-3 bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 rounded-lg p-3">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      onChange={(e) => updateSafetyRule(rule.id, { enabled: e.target.checked })}
+                      disabled={isInherited('safetyRules')}
+                      className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-orange-900 dark:text-orange-100 truncate">
+                        {rule.label}
+                      </div>
+                      <div className="font-mono text-xs text-orange-700 dark:text-orange-300 truncate" title={rule.pattern}>
+                        {rule.check === 'outside-project' ? 'Paths written by redirects, cp, mv, rm, tee, dd, ...' : rule.pattern}
+                      </div>
+                    </div>
+                    <select
+                      value={rule.action}
+                      onChange={(e) => updateSafetyRule(rule.id, { action: e.target.value })}
+                      disabled={isInherited('safetyRules')}
+                      className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-md"
+                    >
+                      <option value="warn">{safetyActionLabels.warn}</option>
+                      <option value="confirm">{safetyActionLabels.confirm}</option>
+                      <option value="block">{safetyActionLabels.block}</option>
+                    </select>
+                    {rule.id.startsWith('custom-') && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removeSafetyRule(rule.id)}
+                        disabled={isInherited('safetyRules')}
+                        className="text-orange-600 hover:text-orange-700 dark:text-orange-400 dark:hover:text-orange-300"
+                      >
+                        <X className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                {viewSafetyRules.length === 0 && (
+                  <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+                    No safety rules configured
+                  </div>
+                )}
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <Input
+                  value={newSafetyRule.label}
+                  onChange={(e) => setNewSafetyRule(prev => ({ ...prev, label: e.target.value }))}
+                  disabled={isInherited('safetyRules')}
+                  placeholder="Label, e.g. Database drops"
+                  className="sm:w-48 h-10 touch-manipulation"
+                  style={{ fontSize: '16px' }}
+                />
+                <Input
+                  value={newSafetyRule.pattern}
+                  onChange={(e) => setNewSafetyRule(prev => ({ ...prev, pattern: e.target.value }))}
+                  disabled={isInherited('safetyRules')}
+                  placeholder="Regular expression, e.g. \bdrop\s+database\b"
+                  className="flex-1 h-10 font-mono touch-manipulation"
+                  style={{ fontSize: '16px' }}
+                />
+                <select
+                  value={newSafetyRule.action}
+                  onChange={(e) => setNewSafetyRule(prev => ({ ...prev, action: e.target.value }))}
+                  disabled={isInherited('safetyRules')}
+                  className="h-10 px-2 text-sm border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-md"
+                >
+                  <option value="warn">{safetyActionLabels.warn}</option>
+                  <option value="confirm">{safetyActionLabels.confirm}</option>
+                  <option value="block">{safetyActionLabels.block}</option>
+                </select>
+                <Button
+                  onClick={addSafetyRule}
+                  disabled={!newSafetyRule.pattern.trim() || !isValidPattern(newSafetyRule.pattern) || isInherited('safetyRules')}
+                  size="sm"
+                  className="h-10 px-4 touch-manipulation"
+                >
+                  <Plus className="w-4 h-4 mr-2 sm:mr-0" />
+                  <span className="sm:hidden">Add Rule</span>
+                </Button>
+              </div>
+              {newSafetyRule.pattern && !isValidPattern(newSafetyRule.pattern) && (
+                <p className="text-sm text-red-600 dark:text-red-400">Not a valid regular expression</p>
+              )}
+
+              {/* Dry run */}
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Test a command:
+                </p>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <Input
+                    value={safetyTestCommand}
+                    onChange={(e) => {
+                      setSafetyTestCommand(e.target.value);
+                      setSafetyTestResult(null);
+                    }}
+                    placeholder="e.g. rm -rf node_modules"
+                    onKeyPress={(e) => {
+                      if (e.key === 'Enter' && safetyTestCommand.trim()) {
+                        testSafetyCommand();
+                      }
+                    }}
+                    className="flex-1 h-10 font-mono touch-manipulation"
+                    style={{ fontSize: '16px' }}
+                  />
+                  <Button
+                    variant="outline"
+                    onClick={testSafetyCommand}
+                    disabled={!safetyTestCommand.trim()}
+                    size="sm"
+                    className="h-10 px-4 touch-manipulation"
+                  >
+                    <Play className="w-4 h-4 mr-2" />
+                    Check
+                  </Button>
+                </div>
+                {safetyTestResult?.error && (
+                  <p className="text-sm text-red-600 dark:text-red-400">{safetyTestResult.error}</p>
+                )}
+                {safetyTestResult && !safetyTestResult.error && (
+                  safetyTestResult.analysis ? (
+                    <div className={`rounded-lg p-3 text-sm ${
+                      safetyTestResult.analysis.action === 'block'
+                        ? 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200'
+                        : 'bg-orange-50 dark:bg-orange-900/20 text-orange-800 dark:text-orange-200'
+                    }`}>
+                      <div className="font-medium mb-1">
+                        {safetyTestResult.analysis.action === 'warn'
+                          ? 'Warning only'
+                          : !viewProviderCanAsk
+                            ? `Stops ${viewProviderName} once it reports the command`
+                            : safetyTestResult.analysis.action === 'block' ? 'Blocked' : 'Needs confirmation'}
+                      </div>
+                      <ul className="space-y-0.5">
+                        {safetyTestResult.analysis.matches.map(match => (
+                          <li key={match.ruleId}>{match.label}{match.detail ? `: ${match.detail}` : ''}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-green-700 dark:text-green-300">No rule matches this command</p>
+                  )
+                )}
+              </div>
+            </div>
+
             {/* Help Section */}
             <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
               <h4 className="font-medium text-blue-900 dark:text-blue-100 mb-2">
@@ -1130,7 +1556,7 @@ function ToolsSettings({ isOpen, onClose }) {
             )}
 
             {/* WebLLM Info Section */}
-            {selectedProvider === 'webllm' && (
+            {viewProvider === 'webllm' && (
             <div className="bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg p-4">
               <h4 className="font-medium text-purple-900 dark:text-purple-100 mb-2">
                 About WebLLM
@@ -0,0 +1,186 @@
+// hooks/useEditorTabs.js
+import { useState, useEffect } from 'react';
+
+const EMPTY_TAB_SET = { tabs: [], activePath: null, splitPath: null };
+
+const storageKey = (projectName) => `editor-tabs:${projectName}`;
+const dirtyKey = (projectName, filePath) => `${projectName}\n${filePath}`;
+
+const createTab = (projectName, filePath, diffInfo = null, position = null) => ({
+  name: filePath.split('/').pop(),
+  path: filePath,
+  projectName,
+  diffInfo,
+  position
+});
+
+// The tab set saved for a project: which files are open and which are shown
+const loadTabSet = (projectName) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(projectName)) || 'null');
+    if (!saved || !Array.isArray(saved.paths)) {
+      return EMPTY_TAB_SET;
+    }
+    const paths = saved.paths.filter(filePath => typeof filePath === 'string');
+    const activePath = paths.includes(saved.activePath) ? saved.activePath : paths[0] || null;
+    return {
+      tabs: paths.map(filePath => createTab(projectName, filePath)),
+      activePath,
+      splitPath: paths.includes(saved.splitPath) && saved.splitPath !== activePath ? saved.splitPath : null
+    };
+  } catch (error) {
+    return EMPTY_TAB_SET;
+  }
+};
+
+// Open editor tabs per project. Tab sets of projects visited earlier stay in memory, so their
+// editors (and unsaved edits) survive switching projects; the open paths are saved to
+// localStorage. A tab set shows its active file and, in split view, a second file next to it.
+export const useEditorTabs = (projectName) => {
+  const [tabSets, setTabSets] = useState({});
+  const [dirtyKeys, setDirtyKeys] = useState(new Set());
+  const [isOpen, setIsOpen] = useState(false);
+  const [focusedPane, setFocusedPane] = useState('main'); // 'main' or 'split'
+
+  useEffect(() => {
+    setIsOpen(false);
+    setFocusedPane('main');
+    if (projectName) {
+      setTabSets(prev => (prev[projectName] ? prev : { ...prev, [projectName]: loadTabSet(projectName) }));
+    }
+  }, [projectName]);
+
+  const tabSet = (projectName && tabSets[projectName]) || EMPTY_TAB_SET;
+
+  useEffect(() => {
+    if (!projectName || !tabSets[projectName]) return;
+    localStorage.setItem(storageKey(projectName), JSON.stringify({
+      paths: tabSet.tabs.map(tab => tab.path),
+      activePath: tabSet.activePath,
+      splitPath: tabSet.splitPath
+    }));
+  }, [projectName, tabSet]);
+
+  // Warn before leaving the page with unsaved edits
+  useEffect(() => {
+    if (dirtyKeys.size === 0) return;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirtyKeys]);
+
+  const saveTabSet = (set) => {
+    setTabSets(prev => ({ ...prev, [projectName]: set }));
+  };
+
+  const isDirty = (tabProjectName, filePath) => dirtyKeys.has(dirtyKey(tabProjectName, filePath));
+
+  const setDirty = (tabProjectName, filePath, dirty) => {
+    setDirtyKeys(prev => {
+      const key = dirtyKey(tabProjectName, filePath);
+      if (prev.has(key) === dirty) return prev;
+      const next = new Set(prev);
+      if (dirty) {
+        next.add(key);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    });
+  };
+
+  // Show a file: focus the pane it is already in, or put it in the focused pane
+  const showInPane = (set, filePath) => {
+    if (filePath === set.activePath || filePath === set.splitPath) {
+      setFocusedPane(filePath === set.activePath ? 'main' : 'split');
+      saveTabSet(set);
+    } else if (set.splitPath && focusedPane === 'split') {
+      saveTabSet({ ...set, splitPath: filePath });
+    } else {
+      saveTabSet({ ...set, activePath: filePath });
+    }
+  };
+
+  // Open a file in a tab (or switch to its tab) and show the editor. diffInfo replaces the
+  // tab's highlighted edit unless the tab has unsaved changes; position ({ line, column })
+  // moves the cursor.
+  const openFile = (filePath, diffInfo = null, position = null) => {
+    if (!projectName || !filePath) return;
+    const existing = tabSet.tabs.find(tab => tab.path === filePath);
+    let tabs = tabSet.tabs;
+    if (!existing) {
+      tabs = [...tabs, createTab(projectName, filePath, diffInfo, position)];
+    } else if ((diffInfo && !isDirty(projectName, filePath)) || position) {
+      const keepDiff = !diffInfo || isDirty(projectName, filePath);
+      tabs = tabs.map(tab => (tab.path === filePath
+        ? createTab(projectName, filePath, keepDiff ? tab.diffInfo : diffInfo, position && { ...position })
+        : tab));
+    }
+    showInPane({ ...tabSet, tabs }, filePath);
+    setIsOpen(true);
+  };
+
+  const selectTab = (filePath) => showInPane(tabSet, filePath);
+
+  // Close a tab, asking first if it has unsaved changes. Returns whether it was closed.
+  const closeTab = (filePath) => {
+    if (isDirty(projectName, filePath) && !window.confirm(`${filePath.split('/').pop()} has unsaved changes. Close it and discard them?`)) {
+      return false;
+    }
+    setDirty(projectName, filePath, false);
+    const index = tabSet.tabs.findIndex(tab => tab.path === filePath);
+    const tabs = tabSet.tabs.filter(tab => tab.path !== filePath);
+    let { activePath, splitPath } = tabSet;
+    if (filePath === splitPath) {
+      splitPath = null;
+    } else if (filePath === activePath) {
+      // The split file takes over the main pane, or else the neighbouring tab
+      activePath = splitPath || tabs[Math.min(index, tabs.length - 1)]?.path || null;
+      splitPath = null;
+    }
+    saveTabSet({ tabs, activePath, splitPath });
+    if (!splitPath) {
+      setFocusedPane('main');
+    }
+    if (tabs.length === 0) {
+      setIsOpen(false);
+    }
+    return true;
+  };
+
+  // Split view shows the next tab beside the active one
+  const toggleSplit = () => {
+    if (tabSet.splitPath) {
+      saveTabSet({ ...tabSet, splitPath: null });
+      setFocusedPane('main');
+      return;
+    }
+    const index = tabSet.tabs.findIndex(tab => tab.path === tabSet.activePath);
+    const next = tabSet.tabs[index + 1] || tabSet.tabs.find(tab => tab.path !== tabSet.activePath);
+    if (!next) return;
+    saveTabSet({ ...tabSet, splitPath: next.path });
+    setFocusedPane('split');
+  };
+
+  return {
+    tabSets,
+    tabs: tabSet.tabs,
+    activePath: tabSet.activePath,
+    splitPath: tabSet.splitPath,
+    focusedPane,
+    setFocusedPane,
+    isOpen,
+    openEditor: () => setIsOpen(tabSet.tabs.length > 0),
+    closeEditor: () => setIsOpen(false),
+    openFile,
+    selectTab,
+    closeTab,
+    toggleSplit,
+    isDirty,
+    setDirty,
+    dirtyCount: tabSet.tabs.filter(tab => isDirty(projectName, tab.path)).length
+  };
+};
@@ -2,7 +2,8 @@
 export const authenticatedFetch = (url, options = {}) => {
   const token = localStorage.getItem('auth-token');
   
-  const defaultHeaders = {
+  // FormData bodies need the browser to set the multipart Content-Type itself
+  const defaultHeaders = options.body instanceof FormData ? {} : {
     'Content-Type': 'application/json',
   };
   
@@ -19,7 +20,7 @@ export const authenticatedFetch = (url, options = {}) => {
   });
 };
 
-const getSelectedProvider = () => {
+export const getSelectedProvider = () => {
   try {
     const settings = JSON.parse(localStorage.getItem('gemini-tools-settings') || '{}');
     return settings.selectedProvider || 'gemini';
@@ -56,11 +57,73 @@ export const api = {
   // Protected endpoints
   config: () => authenticatedFetch('/api/config'),
   cliInfo: () => authenticatedFetch(withProvider('/api/cli-info')),
+  cliProviders: () => authenticatedFetch('/api/cli-providers'),
   projects: () => authenticatedFetch(withProvider('/api/projects')),
   sessions: (projectName, limit = 5, offset = 0) => 
     authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions?limit=${limit}&offset=${offset}`)),
   sessionMessages: (projectName, sessionId) =>
     authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/messages`)),
+  searchSessions: (query, { project, provider, from, to } = {}) => {
+    const params = new URLSearchParams({ q: query, provider: provider || getSelectedProvider() });
+    if (project) params.append('project', project);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    return authenticatedFetch(`/api/search?${params}`);
+  },
+  summarizeSession: (projectName, sessionId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/summarize`), {
+      method: 'POST',
+    }),
+  renameSession: (projectName, sessionId, title) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/title`), {
+      method: 'PUT',
+      body: JSON.stringify({ title }),
+    }),
+  forkSession: (projectName, sessionId, messageId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/fork`), {
+      method: 'POST',
+      body: JSON.stringify({ messageId }),
+    }),
+  sessionCheckpoints: (projectName, sessionId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/checkpoints`)),
+  checkpoint: (projectName, checkpointId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/checkpoints/${checkpointId}`)),
+  revertCheckpoint: (projectName, checkpointId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/checkpoints/${checkpointId}/revert`), {
+      method: 'POST',
+    }),
+  toolProfile: () => authenticatedFetch('/api/tool-profile'),
+  saveToolProfile: (profile) =>
+    authenticatedFetch('/api/tool-profile', {
+      method: 'PUT',
+      body: JSON.stringify({ profile }),
+    }),
+  projectToolProfile: (projectName) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/tool-profile`)),
+  saveProjectToolProfile: (projectName, profile) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/tool-profile`), {
+      method: 'PUT',
+      body: JSON.stringify({ profile }),
+    }),
+  checkCommandSafety: ({ command, rules, projectName }) =>
+    authenticatedFetch(withProvider('/api/command-safety/check'), {
+      method: 'POST',
+      body: JSON.stringify({ command, rules, projectName }),
+    }),
+  exportSession: (projectName, sessionId, format) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/export?format=${format}`)),
+  importSession: (projectName, { content, fileName, format }) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/import`), {
+      method: 'POST',
+      body: JSON.stringify({ content, fileName, format }),
+    }),
+  contextSettings: (projectName, sessionId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/context-settings`)),
+  saveContextSettings: (projectName, sessionId, settings) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/sessions/${sessionId}/context-settings`), {
+      method: 'PUT',
+      body: JSON.stringify({ settings }),
+    }),
   renameProject: (projectName, displayName) =>
     authenticatedFetch(withProvider(`/api/projects/${projectName}/rename`), {
       method: 'PUT',
@@ -88,6 +151,61 @@ export const api = {
     }),
   getFiles: (projectName) =>
     authenticatedFetch(withProvider(`/api/projects/${projectName}/files`)),
+  listDirectory: (projectName, dirPath, { offset = 0, limit, showIgnored = false } = {}) => {
+    const params = new URLSearchParams({ path: dirPath, offset });
+    if (limit) params.set('limit', limit);
+    if (showIgnored) params.set('showIgnored', '1');
+    return authenticatedFetch(withProvider(`/api/projects/${projectName}/files/list?${params}`));
+  },
+  createFile: (projectName, { path, type, content }) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/files`), {
+      method: 'POST',
+      body: JSON.stringify({ path, type, content }),
+    }),
+  moveFile: (projectName, from, to) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/files/move`), {
+      method: 'POST',
+      body: JSON.stringify({ from, to }),
+    }),
+  duplicateFile: (projectName, path) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/files/duplicate`), {
+      method: 'POST',
+      body: JSON.stringify({ path }),
+    }),
+  deleteFile: (projectName, path) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/files?path=${encodeURIComponent(path)}`), {
+      method: 'DELETE',
+    }),
+  uploadFiles: (projectName, formData) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/files/upload`), {
+      method: 'POST',
+      body: formData,
+    }),
+  searchFiles: (projectName, { query, regex, caseSensitive, wholeWord, include, exclude }) => {
+    const params = new URLSearchParams({ query });
+    if (regex) params.set('regex', '1');
+    if (caseSensitive) params.set('caseSensitive', '1');
+    if (wholeWord) params.set('wholeWord', '1');
+    if (include) params.set('include', include);
+    if (exclude) params.set('exclude', exclude);
+    return authenticatedFetch(withProvider(`/api/projects/${projectName}/search?${params}`));
+  },
+  // Without apply the server only previews the replacement
+  replaceInFiles: (projectName, { apply = false, paths, ...search }) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/replace`), {
+      method: 'POST',
+      body: JSON.stringify({ ...search, apply, paths }),
+    }),
+  trash: (projectName) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/trash`)),
+  restoreTrashEntry: (projectName, entryId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/trash/${entryId}/restore`), {
+      method: 'POST',
+    }),
+  purgeTrashEntry: (projectName, entryId) =>
+    authenticatedFetch(withProvider(`/api/projects/${projectName}/trash/${entryId}`), {
+      method: 'DELETE',
+    }),
   transcribe: (formData) =>
     authenticatedFetch('/api/transcribe', {
       method: 'POST',
@@ -0,0 +1,147 @@
+// Git conflict markers in the code editor. Each conflict block is highlighted, with buttons
+// above it to keep one side or both; the buttons replace the whole block, markers included.
+// Blocks written in diff3 style (with a "|||||||" base section) are understood too.
+import { EditorView, Decoration, WidgetType } from '@codemirror/view';
+import { StateField } from '@codemirror/state';
+
+const START = /^<{7}( |$)/;
+const BASE = /^\|{7}( |$)/;
+const SEPARATOR = /^={7}$/;
+const END = /^>{7}( |$)/;
+
+// The conflict blocks of a document: { from, to, ours, theirs } with the text of each side
+// (line breaks included) and the positions of the marker lines
+export function findConflicts(doc) {
+  const conflicts = [];
+  let start = null;
+  let base = null;
+  let separator = null;
+  for (let number = 1; number <= doc.lines; number++) {
+    const line = doc.line(number);
+    if (START.test(line.text)) {
+      start = line;
+      base = null;
+      separator = null;
+    } else if (start && !separator && BASE.test(line.text)) {
+      base = line;
+    } else if (start && !separator && SEPARATOR.test(line.text)) {
+      separator = line;
+    } else if (start && separator && END.test(line.text)) {
+      const oursEnd = (base || separator).from;
+      conflicts.push({
+        from: start.from,
+        to: Math.min(line.to + 1, doc.length),
+        markers: [start, base, separator, line].filter(Boolean).map(marker => marker.from),
+        ours: start.to < oursEnd ? doc.sliceString(start.to + 1, oursEnd) : '',
+        base: base && base.to < separator.from ? doc.sliceString(base.to + 1, separator.from) : '',
+        theirs: separator.to < line.from ? doc.sliceString(separator.to + 1, line.from) : '',
+        oursLines: [start.number + 1, (base || separator).number - 1],
+        baseLines: base ? [base.number + 1, separator.number - 1] : null,
+        theirsLines: [separator.number + 1, line.number - 1]
+      });
+      start = null;
+    }
+  }
+  return conflicts;
+}
+
+export function countConflicts(text) {
+  return (text.match(/^<{7}( |$)/gm) || []).length;
+}
+
+// Replace the conflict block starting at `from` with one side ('ours', 'theirs' or 'both')
+export function acceptConflict(view, from, side) {
+  const conflict = findConflicts(view.state.doc).find(item => item.from === from);
+  if (!conflict) return false;
+  let insert = side === 'ours' ? conflict.ours : side === 'theirs' ? conflict.theirs : conflict.ours + conflict.theirs;
+  if (conflict.to === view.state.doc.length && view.state.doc.sliceString(conflict.to - 1, conflict.to) !== '\n') {
+    // The block ends the file without a final line break; don't add one
+    insert = insert.replace(/\n$/, '');
+  }
+  view.dispatch({ changes: { from: conflict.from, to: conflict.to, insert } });
+  return true;
+}
+
+class ConflictActionsWidget extends WidgetType {
+  constructor(from, labels) {
+    super();
+    this.from = from;
+    this.labels = labels;
+  }
+
+  eq(other) {
+    return other.from === this.from && other.labels === this.labels;
+  }
+
+  toDOM(view) {
+    const container = document.createElement('div');
+    container.className = 'cm-conflict-actions';
+    const actions = [
+      ['ours', `Accept ${this.labels.ours}`],
+      ['theirs', `Accept ${this.labels.theirs}`],
+      ['both', 'Accept both']
+    ];
+    actions.forEach(([side, label], index) => {
+      if (index > 0) {
+        container.appendChild(document.createTextNode(' | '));
+      }
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('mousedown', event => event.preventDefault());
+      button.addEventListener('click', () => acceptConflict(view, this.from, side));
+      container.appendChild(button);
+    });
+    return container;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+const markerLine = Decoration.line({ class: 'cm-conflict-marker' });
+const oursLine = Decoration.line({ class: 'cm-conflict-ours' });
+const baseLine = Decoration.line({ class: 'cm-conflict-base' });
+const theirsLine = Decoration.line({ class: 'cm-conflict-theirs' });
+
+function buildDecorations(doc, labels) {
+  const ranges = [];
+  const addLines = ([first, last], decoration) => {
+    for (let number = first; number <= last; number++) {
+      ranges.push(decoration.range(doc.line(number).from));
+    }
+  };
+  for (const conflict of findConflicts(doc)) {
+    ranges.push(Decoration.widget({
+      widget: new ConflictActionsWidget(conflict.from, labels),
+      block: true,
+      side: -1
+    }).range(conflict.from));
+    conflict.markers.forEach(from => ranges.push(markerLine.range(from)));
+    addLines(conflict.oursLines, oursLine);
+    if (conflict.baseLines) addLines(conflict.baseLines, baseLine);
+    addLines(conflict.theirsLines, theirsLine);
+  }
+  return Decoration.set(ranges, true);
+}
+
+const conflictTheme = EditorView.baseTheme({
+  '.cm-conflict-marker': { backgroundColor: 'rgba(128, 128, 128, 0.2)', fontWeight: 'bold' },
+  '.cm-conflict-ours': { backgroundColor: 'rgba(34, 197, 94, 0.15)' },
+  '.cm-conflict-base': { backgroundColor: 'rgba(128, 128, 128, 0.1)' },
+  '.cm-conflict-theirs': { backgroundColor: 'rgba(59, 130, 246, 0.15)' },
+  '.cm-conflict-actions': { padding: '2px 6px', fontSize: '12px', fontFamily: 'sans-serif', color: '#6b7280' },
+  '.cm-conflict-actions button': { color: '#2563eb', cursor: 'pointer', background: 'none', border: 'none', padding: 0 },
+  '.cm-conflict-actions button:hover': { textDecoration: 'underline' }
+});
+
+// labels: { ours, theirs }, the names of the two sides shown on the buttons
+export function conflictMarkers({ labels = { ours: 'current', theirs: 'incoming' } } = {}) {
+  const decorations = StateField.define({
+    create: state => buildDecorations(state.doc, labels),
+    update: (value, tr) => (tr.docChanged ? buildDecorations(tr.state.doc, labels) : value),
+    provide: field => EditorView.decorations.from(field)
+  });
+  return [decorations, conflictTheme];
+}
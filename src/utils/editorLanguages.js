@@ -0,0 +1,57 @@
+// Syntax highlighting for the code editor. Languages come from @codemirror/language-data and
+// are loaded on demand, so only the modes of files that are actually opened get downloaded.
+import { LanguageDescription } from '@codemirror/language';
+import { languages } from '@codemirror/language-data';
+
+// File names language-data doesn't recognise, mapped to the language to use for them
+const EXTRA_FILENAMES = [
+  [/^\.(bash|zsh)(rc|_profile|_aliases)$|^\.(profile|envrc)$|\.zsh$/, 'Shell'],
+  [/^\.env(\..+)?$/, 'Properties files'],
+  [/^(Dockerfile|Containerfile)(\..+)?$|\.dockerfile$/i, 'Dockerfile'],
+  [/^\.(babelrc|eslintrc|prettierrc)$|\.(jsonc|json5)$/, 'JSON'],
+  [/^\.(gitconfig|editorconfig|npmrc)$/, 'Properties files']
+];
+
+// Language server language ids, and the server that handles them (see server/language-servers.js)
+const LSP_LANGUAGES = {
+  JavaScript: { languageId: 'javascript', server: 'typescript' },
+  JSX: { languageId: 'javascriptreact', server: 'typescript' },
+  TypeScript: { languageId: 'typescript', server: 'typescript' },
+  TSX: { languageId: 'typescriptreact', server: 'typescript' },
+  Python: { languageId: 'python', server: 'python' },
+  Go: { languageId: 'go', server: 'go' },
+  Rust: { languageId: 'rust', server: 'rust' },
+  C: { languageId: 'c', server: 'cpp' },
+  'C++': { languageId: 'cpp', server: 'cpp' },
+  Java: { languageId: 'java', server: 'java' },
+  PHP: { languageId: 'php', server: 'php' },
+  Shell: { languageId: 'shellscript', server: 'shellscript' },
+  YAML: { languageId: 'yaml', server: 'yaml' },
+  CSS: { languageId: 'css', server: 'css' },
+  SCSS: { languageId: 'scss', server: 'css' },
+  LESS: { languageId: 'less', server: 'css' },
+  HTML: { languageId: 'html', server: 'html' },
+  JSON: { languageId: 'json', server: 'json' }
+};
+
+export function getLanguageDescription(filename) {
+  const name = filename.split('/').pop();
+  const description = LanguageDescription.matchFilename(languages, name);
+  if (description) {
+    return description;
+  }
+  const extra = EXTRA_FILENAMES.find(([pattern]) => pattern.test(name));
+  return extra ? LanguageDescription.matchLanguageName(languages, extra[1], false) : null;
+}
+
+// The CodeMirror language support for a file, or null for plain text
+export async function loadLanguageSupport(filename) {
+  const description = getLanguageDescription(filename);
+  return description ? description.load() : null;
+}
+
+// { languageId, server } for files a language server can handle, otherwise null
+export function getLspLanguage(filename) {
+  const description = getLanguageDescription(filename);
+  return (description && LSP_LANGUAGES[description.name]) || null;
+}
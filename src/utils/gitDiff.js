@@ -0,0 +1,24 @@
+// Splits the diff of one file into its file header and hunks, the same way the server does
+// (server/git-patch.js), so a hunk's index and header line identify it in /api/git/apply-hunks.
+export function parseDiff(diff) {
+  const header = [];
+  const hunks = [];
+  const lines = diff.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  for (const line of lines) {
+    if (line.startsWith('@@ ')) {
+      hunks.push({ header: line, lines: [] });
+    } else if (hunks.length > 0) {
+      hunks[hunks.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+  return { header, hunks };
+}
+
+export function isChangeLine(line) {
+  return line.startsWith('+') || line.startsWith('-');
+}
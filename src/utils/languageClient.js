@@ -0,0 +1,454 @@
+// Language server support for the code editor
+//
+// Talks to the language server bridge (server/language-servers.js) over the chat WebSocket and
+// turns what the servers report into CodeMirror features: diagnostics, hover, completion and
+// go to definition. Open files of the same project and language share one server, which is
+// stopped when the last of them is closed. Without a server for a language the editor works
+// as before.
+import { EditorView, ViewPlugin, hoverTooltip, keymap } from '@codemirror/view';
+import { EditorState, Prec } from '@codemirror/state';
+import { setDiagnostics } from '@codemirror/lint';
+import { getSelectedProvider } from './api';
+import { getLspLanguage } from './editorLanguages';
+
+const REQUEST_TIMEOUT = 10000;
+const CHANGE_DELAY = 300;
+
+let socket = null;
+let nextSessionId = 1;
+const sessions = new Map(); // session id -> session
+const unavailable = new Set(); // project/server keys that failed to start; retried after a reconnect
+const openDocuments = new Set(); // document plugins, reattached after a reconnect
+
+const SEVERITIES = { 1: 'error', 2: 'warning', 3: 'info', 4: 'hint' };
+
+// LSP CompletionItemKind -> CodeMirror completion type
+const COMPLETION_TYPES = {
+  2: 'method', 3: 'function', 4: 'function', 5: 'property', 6: 'variable', 7: 'class',
+  8: 'interface', 9: 'namespace', 10: 'property', 12: 'constant', 13: 'enum', 14: 'keyword',
+  20: 'constant', 21: 'constant', 22: 'class', 25: 'type'
+};
+
+const sessionKey = (projectName, server) => `${projectName}\n${server}`;
+
+function toUri(filePath) {
+  return `file://${filePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function fromUri(uri) {
+  return decodeURIComponent(uri.replace(/^file:\/\//, ''));
+}
+
+function toPosition(doc, pos) {
+  const line = doc.lineAt(pos);
+  return { line: line.number - 1, character: pos - line.from };
+}
+
+function fromPosition(doc, position) {
+  const line = doc.line(Math.min(Math.max(position.line + 1, 1), doc.lines));
+  return Math.min(line.from + position.character, line.to);
+}
+
+function sendToSocket(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+function sendRequest(session, method, params) {
+  const id = session.nextRequestId++;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      session.pending.delete(id);
+      reject(new Error(`${method} timed out`));
+    }, REQUEST_TIMEOUT);
+    session.pending.set(id, { resolve, reject, timer });
+    sendToSocket({ type: 'lsp-message', sessionId: session.id, message: { jsonrpc: '2.0', id, method, params } });
+  });
+}
+
+function sendNotification(session, method, params) {
+  sendToSocket({ type: 'lsp-message', sessionId: session.id, message: { jsonrpc: '2.0', method, params } });
+}
+
+function closeSession(session, reason) {
+  if (session.closed) return;
+  session.closed = true;
+  sessions.delete(session.id);
+  for (const { reject, timer } of session.pending.values()) {
+    clearTimeout(timer);
+    reject(new Error(reason));
+  }
+  session.pending.clear();
+  session.rejectReady(new Error(reason));
+  for (const synced of session.documents.values()) {
+    synced.detach();
+  }
+}
+
+function stopSession(session) {
+  sendToSocket({ type: 'lsp-stop', sessionId: session.id });
+  closeSession(session, 'Language server stopped');
+}
+
+// The running (or starting) server for a project and language, started if needed. Null when
+// there is no connection or the server couldn't be started.
+function getSession(projectName, server) {
+  const key = sessionKey(projectName, server);
+  if (unavailable.has(key)) {
+    return null;
+  }
+  for (const session of sessions.values()) {
+    if (session.key === key) {
+      return session;
+    }
+  }
+  const session = {
+    id: `lsp-${nextSessionId++}`,
+    key,
+    rootPath: null,
+    capabilities: {},
+    pending: new Map(),
+    nextRequestId: 1,
+    documents: new Map(), // uri -> document plugin
+    closed: false
+  };
+  session.ready = new Promise((resolve, reject) => {
+    session.resolveReady = resolve;
+    session.rejectReady = reject;
+  });
+  session.ready.catch(() => {});
+  if (!sendToSocket({ type: 'lsp-start', sessionId: session.id, projectName, provider: getSelectedProvider(), language: server })) {
+    return null;
+  }
+  sessions.set(session.id, session);
+  return session;
+}
+
+async function initializeSession(session, { rootPath, rootUri }) {
+  session.rootPath = rootPath;
+  try {
+    const result = await sendRequest(session, 'initialize', {
+      processId: null,
+      rootPath,
+      rootUri,
+      workspaceFolders: [{ uri: rootUri, name: rootPath.split('/').pop() || rootPath }],
+      capabilities: {
+        textDocument: {
+          synchronization: { dynamicRegistration: false, didSave: false },
+          hover: { contentFormat: ['markdown', 'plaintext'] },
+          completion: { completionItem: { snippetSupport: false, documentationFormat: ['markdown', 'plaintext'] } },
+          definition: { linkSupport: true },
+          publishDiagnostics: { relatedInformation: false }
+        },
+        workspace: { workspaceFolders: true, configuration: true }
+      }
+    });
+    session.capabilities = result?.capabilities || {};
+    sendNotification(session, 'initialized', {});
+    session.resolveReady();
+  } catch (error) {
+    unavailable.add(session.key);
+    stopSession(session);
+  }
+}
+
+function handleServerMessage(session, message) {
+  if (message.id !== undefined && message.method) {
+    // Requests from the server (configuration, progress, registrations) get empty answers
+    const result = message.method === 'workspace/configuration'
+      ? (message.params?.items || []).map(() => null)
+      : null;
+    sendToSocket({ type: 'lsp-message', sessionId: session.id, message: { jsonrpc: '2.0', id: message.id, result } });
+  } else if (message.id !== undefined) {
+    const pending = session.pending.get(message.id);
+    if (!pending) return;
+    session.pending.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.error) {
+      pending.reject(new Error(message.error.message));
+    } else {
+      pending.resolve(message.result);
+    }
+  } else if (message.method === 'textDocument/publishDiagnostics') {
+    session.documents.get(message.params.uri)?.showDiagnostics(message.params.diagnostics || []);
+  }
+}
+
+function handleSocketMessage(event) {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch (error) {
+    return;
+  }
+  const session = typeof data.type === 'string' && data.type.startsWith('lsp-') && sessions.get(data.sessionId);
+  if (!session) return;
+  if (data.type === 'lsp-started') {
+    initializeSession(session, data);
+  } else if (data.type === 'lsp-message') {
+    handleServerMessage(session, data.message);
+  } else if (data.type === 'lsp-error' || data.type === 'lsp-exit') {
+    // Don't keep restarting a server that is missing or crashes
+    unavailable.add(session.key);
+    closeSession(session, data.error || 'Language server exited');
+  }
+}
+
+// Use a new chat WebSocket (or none). Servers of the old connection are gone, so open files
+// are attached again to new ones.
+export function connectLanguageClient(ws) {
+  if (socket === ws) return;
+  if (socket) {
+    socket.removeEventListener('message', handleSocketMessage);
+  }
+  for (const session of [...sessions.values()]) {
+    closeSession(session, 'Connection lost');
+  }
+  unavailable.clear();
+  socket = ws;
+  if (socket) {
+    socket.addEventListener('message', handleSocketMessage);
+    for (const synced of openDocuments) {
+      synced.attach();
+    }
+  }
+}
+
+// Keeps the language server's copy of one open file in sync and shows its diagnostics
+class DocumentSync {
+  constructor(view, projectName, filePath, language) {
+    this.view = view;
+    this.projectName = projectName;
+    this.filePath = filePath;
+    this.language = language;
+    this.session = null;
+    this.uri = null;
+    this.version = 0;
+    this.opened = false;
+    this.changeTimer = null;
+    this.changed = false;
+    openDocuments.add(this);
+    this.attach();
+  }
+
+  async attach() {
+    if (this.session || !this.projectName) return;
+    const session = getSession(this.projectName, this.language.server);
+    if (!session) return;
+    this.session = session;
+    try {
+      await session.ready;
+    } catch (error) {
+      if (this.session === session) {
+        this.session = null;
+      }
+      return;
+    }
+    if (this.session !== session) return;
+    if (this.destroyed) {
+      // Closed while the server was starting
+      if (![...openDocuments].some(synced => synced.session === session) && session.documents.size === 0) {
+        stopSession(session);
+      }
+      return;
+    }
+    const absolutePath = this.filePath.startsWith('/') ? this.filePath : `${session.rootPath}/${this.filePath}`;
+    this.uri = toUri(absolutePath);
+    this.version = 1;
+    this.changed = false;
+    session.documents.set(this.uri, this);
+    sendNotification(session, 'textDocument/didOpen', {
+      textDocument: { uri: this.uri, languageId: this.language.languageId, version: this.version, text: this.view.state.doc.toString() }
+    });
+    this.opened = true;
+  }
+
+  detach() {
+    clearTimeout(this.changeTimer);
+    this.session = null;
+    this.opened = false;
+    if (!this.destroyed) {
+      this.view.dispatch(setDiagnostics(this.view.state, []));
+    }
+  }
+
+  update(update) {
+    if (!update.docChanged || !this.opened) return;
+    this.changed = true;
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => this.flush(), CHANGE_DELAY);
+  }
+
+  // Send pending edits now; requests call this so the server answers for the current text
+  flush() {
+    clearTimeout(this.changeTimer);
+    if (!this.changed || !this.opened) return;
+    this.changed = false;
+    this.version += 1;
+    sendNotification(this.session, 'textDocument/didChange', {
+      textDocument: { uri: this.uri, version: this.version },
+      contentChanges: [{ text: this.view.state.doc.toString() }]
+    });
+  }
+
+  request(method, params) {
+    this.flush();
+    return sendRequest(this.session, method, { textDocument: { uri: this.uri }, ...params });
+  }
+
+  showDiagnostics(diagnostics) {
+    const doc = this.view.state.doc;
+    this.view.dispatch(setDiagnostics(this.view.state, diagnostics.map((diagnostic) => {
+      const from = fromPosition(doc, diagnostic.range.start);
+      return {
+        from,
+        to: Math.max(from, fromPosition(doc, diagnostic.range.end)),
+        severity: SEVERITIES[diagnostic.severity] || 'error',
+        message: diagnostic.message,
+        source: diagnostic.source
+      };
+    })));
+  }
+
+  destroy() {
+    this.destroyed = true;
+    openDocuments.delete(this);
+    clearTimeout(this.changeTimer);
+    const session = this.session;
+    if (!session || !this.opened) return;
+    sendNotification(session, 'textDocument/didClose', { textDocument: { uri: this.uri } });
+    session.documents.delete(this.uri);
+    if (session.documents.size === 0) {
+      stopSession(session);
+    }
+  }
+}
+
+function hoverText(contents) {
+  if (!contents) return '';
+  if (Array.isArray(contents)) {
+    return contents.map(hoverText).filter(Boolean).join('\n\n');
+  }
+  const text = typeof contents === 'string' ? contents : contents.value || '';
+  // Code fences only add noise in a plain-text tooltip
+  return text.replace(/```[\w-]*\n?/g, '').trim();
+}
+
+const lspTheme = EditorView.baseTheme({
+  '.cm-lsp-hover': {
+    maxWidth: '600px',
+    maxHeight: '300px',
+    overflow: 'auto',
+    padding: '4px 8px',
+    whiteSpace: 'pre-wrap',
+    fontFamily: 'ui-monospace, monospace',
+    fontSize: '12px'
+  }
+});
+
+// Editor extensions for a file of a project. onOpenLocation(filePath, { line, column }) is
+// called when a definition is in another file.
+export function languageServer({ projectName, filePath, onOpenLocation }) {
+  const language = getLspLanguage(filePath);
+  if (!language || !projectName) {
+    return [];
+  }
+  const plugin = ViewPlugin.define(view => new DocumentSync(view, projectName, filePath, language));
+  const getDocument = (view) => {
+    const synced = view.plugin(plugin);
+    return synced?.opened ? synced : null;
+  };
+
+  const goToDefinition = async (view, pos) => {
+    const synced = getDocument(view);
+    if (!synced) return false;
+    let result;
+    try {
+      result = await synced.request('textDocument/definition', { position: toPosition(view.state.doc, pos) });
+    } catch (error) {
+      return false;
+    }
+    const location = Array.isArray(result) ? result[0] : result;
+    if (!location) return false;
+    const uri = location.targetUri || location.uri;
+    const range = location.targetSelectionRange || location.range;
+    if (uri === synced.uri) {
+      view.dispatch({ selection: { anchor: fromPosition(view.state.doc, range.start) }, scrollIntoView: true });
+      view.focus();
+    } else {
+      onOpenLocation?.(fromUri(uri), { line: range.start.line + 1, column: range.start.character + 1 });
+    }
+    return true;
+  };
+
+  const completions = async (context) => {
+    const synced = getDocument(context.view);
+    if (!synced) return null;
+    const word = context.matchBefore(/[\w$]+$/);
+    const afterTrigger = /[.:>]$/.test(context.state.sliceDoc(Math.max(context.pos - 1, 0), context.pos));
+    if (!context.explicit && !word && !afterTrigger) return null;
+    let result;
+    try {
+      result = await synced.request('textDocument/completion', { position: toPosition(context.state.doc, context.pos) });
+    } catch (error) {
+      return null;
+    }
+    const items = Array.isArray(result) ? result : result?.items || [];
+    if (items.length === 0) return null;
+    return {
+      from: word ? word.from : context.pos,
+      options: items.map(item => ({
+        label: item.label,
+        detail: item.detail,
+        type: COMPLETION_TYPES[item.kind],
+        info: hoverText(item.documentation) || undefined,
+        // Snippets would need placeholders; insert the plain name instead
+        apply: item.insertTextFormat === 2 ? item.label : (item.textEdit?.newText ?? item.insertText ?? item.label)
+      })),
+      validFor: /^[\w$]*$/
+    };
+  };
+
+  return [
+    plugin,
+    lspTheme,
+    hoverTooltip(async (view, pos) => {
+      const synced = getDocument(view);
+      if (!synced) return null;
+      let result;
+      try {
+        result = await synced.request('textDocument/hover', { position: toPosition(view.state.doc, pos) });
+      } catch (error) {
+        return null;
+      }
+      const text = hoverText(result?.contents);
+      if (!text) return null;
+      return {
+        pos: result.range ? fromPosition(view.state.doc, result.range.start) : pos,
+        end: result.range ? fromPosition(view.state.doc, result.range.end) : pos,
+        above: true,
+        create: () => {
+          const dom = document.createElement('div');
+          dom.className = 'cm-lsp-hover';
+          dom.textContent = text;
+          return { dom };
+        }
+      };
+    }),
+    EditorState.languageData.of(() => [{ autocomplete: completions }]),
+    Prec.high(keymap.of([{ key: 'F12', run: view => { goToDefinition(view, view.state.selection.main.head); return true; } }])),
+    EditorView.domEventHandlers({
+      mousedown: (event, view) => {
+        if (!(event.ctrlKey || event.metaKey) || event.button !== 0 || !getDocument(view)) return false;
+        const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+        if (pos === null) return false;
+        event.preventDefault();
+        goToDefinition(view, pos);
+        return true;
+      }
+    })
+  ];
+}
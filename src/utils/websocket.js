@@ -67,6 +67,8 @@ export function useWebSocket() {
       websocket.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+          // Language server traffic goes straight to the editor (utils/languageClient.js)
+          if (typeof data.type === 'string' && data.type.startsWith('lsp-')) return;
           setMessages(prev => [...prev, data]);
         } catch (error) {
           // console.error('Error parsing WebSocket message:', error);
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, realpathSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Run checkpoints against a database in a temp directory, set before the server modules load
+const base = realpathSync(mkdtempSync(path.join(os.tmpdir(), 'checkpoints-test-')));
+const projectPath = path.join(base, 'project');
+mkdirSync(projectPath);
+Object.assign(process.env, {
+  DATABASE_PATH: path.join(base, 'test.db'),
+  CLI_UI_HOME: path.join(base, 'home'),
+  SESSION_JSON_MIRROR: '0'
+});
+
+const { initializeDatabase } = await import('../server/database/db.js');
+const { createRunCheckpoint } = await import('../server/checkpoints.js');
+const { default: sessionManager } = await import('../server/sessionManager.js');
+
+const file = (name) => path.join(projectPath, name);
+
+before(async () => {
+  await initializeDatabase();
+  sessionManager.createSession('session-1', projectPath);
+});
+
+after(() => {
+  rmSync(base, { recursive: true, force: true });
+});
+
+test('a file tool call is snapshotted before it runs', () => {
+  writeFileSync(file('edit.txt'), 'before\n');
+  const checkpoint = createRunCheckpoint(projectPath);
+  checkpoint.track({ type: 'tool_use', name: 'Edit', input: { file_path: 'edit.txt' } }, 'session-1', 1);
+  writeFileSync(file('edit.txt'), 'after\n');
+
+  const { sessionId, files } = checkpoint.finish();
+  assert.equal(sessionId, 'session-1');
+  assert.deepEqual(files, [{ path: file('edit.txt'), status: 'modified' }]);
+});
+
+test('an allowed patch request is snapshotted for every file it names', () => {
+  writeFileSync(file('patched.txt'), 'before\n');
+  const checkpoint = createRunCheckpoint(projectPath);
+  // What the Codex app-server parser reports for a patch over two files
+  checkpoint.track({ type: 'permission-request', requestId: 7, name: 'Edit', input: { file_path: 'patched.txt', files: ['patched.txt', 'added.txt'] } }, 'session-1', 2);
+  writeFileSync(file('patched.txt'), 'after\n');
+  writeFileSync(file('added.txt'), 'new\n');
+
+  assert.deepEqual(checkpoint.finish().files.sort((a, b) => a.path.localeCompare(b.path)), [
+    { path: file('added.txt'), status: 'created' },
+    { path: file('patched.txt'), status: 'modified' }
+  ]);
+});
+
+test('files outside the working directory and other tools are not tracked', () => {
+  const checkpoint = createRunCheckpoint(projectPath);
+  checkpoint.track({ type: 'tool_use', name: 'Write', input: { file_path: '../outside.txt', files: [path.join(base, 'other.txt')] } }, 'session-1', 3);
+  checkpoint.track({ type: 'tool_use', name: 'Read', input: { file_path: 'edit.txt' } }, 'session-1', 3);
+  checkpoint.track({ type: 'tool_use', name: 'Write', input: { file_path: '..notes.txt' } }, 'session-1', 3);
+  writeFileSync(path.join(base, 'outside.txt'), 'x');
+  writeFileSync(file('..notes.txt'), 'notes\n');
+
+  assert.deepEqual(checkpoint.finish().files, [{ path: file('..notes.txt'), status: 'created' }]);
+});
@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseDiff, buildPartialPatch } from '../server/git-patch.js';
+
+// Patches are checked against real git: staged with `git apply --cached` and discarded
+// from the working tree with `git apply -R`, as server/routes/git.js does
+const ORIGINAL = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+let repo;
+const git = (args, input) => execFileSync('git', args, { cwd: repo, input, encoding: 'utf8' });
+
+// The diff server/routes/git.js shows for an untracked file; --no-index exits with 1 on changes
+function untrackedDiff(file) {
+  try {
+    return git(['diff', '--no-index', '--src-prefix=a/', '--dst-prefix=b/', '--', '/dev/null', file]);
+  } catch (error) {
+    return error.stdout;
+  }
+}
+
+function writeChanges() {
+  const lines = ORIGINAL.split('\n');
+  lines[1] = 'line 2 changed';
+  lines.splice(3, 0, 'inserted after 3');
+  lines.splice(18, 1); // line 18, moved down by the insertion
+  writeFileSync(path.join(repo, 'file.txt'), lines.join('\n'));
+}
+
+before(() => {
+  repo = mkdtempSync(path.join(os.tmpdir(), 'git-patch-test-'));
+  git(['init', '-q']);
+  writeFileSync(path.join(repo, 'file.txt'), ORIGINAL);
+  git(['add', 'file.txt']);
+  git(['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Base']);
+});
+
+after(() => {
+  rmSync(repo, { recursive: true, force: true });
+});
+
+test('parseDiff splits the file header from the hunks', () => {
+  writeChanges();
+  const parsed = parseDiff(git(['diff', '-U1', 'file.txt']));
+  assert.ok(parsed.header[0].startsWith('diff --git'));
+  assert.equal(parsed.hunks.length, 2);
+  assert.deepEqual(
+    parsed.hunks.map(({ oldStart, oldCount, newStart, newCount }) => [oldStart, oldCount, newStart, newCount]),
+    [[1, 4, 1, 5], [17, 3, 18, 2]]
+  );
+  assert.deepEqual(parsed.hunks[1].lines, [' line 17', '-line 18', ' line 19']);
+});
+
+test('parseDiff reads hunk headers without counts as one line', () => {
+  const parsed = parseDiff('--- a/x\n+++ b/x\n@@ -3 +3 @@\n-old\n+new\n');
+  assert.equal(parsed.hunks[0].oldCount, 1);
+  assert.equal(parsed.hunks[0].newCount, 1);
+});
+
+test('staging one hunk leaves the other unstaged', () => {
+  git(['reset', '-q']);
+  writeChanges();
+  const parsed = parseDiff(git(['diff', '-U1', 'file.txt']));
+  const patch = buildPartialPatch(parsed, [{ index: 1, header: parsed.hunks[1].header }]);
+  git(['apply', '--cached', '-'], patch);
+
+  const staged = git(['show', ':file.txt']);
+  assert.ok(!staged.includes('line 18'));
+  assert.ok(staged.includes('line 2\n'));
+  assert.ok(!staged.includes('inserted after 3'));
+});
+
+test('staging selected lines turns the rest of the hunk into context', () => {
+  git(['reset', '-q']);
+  writeChanges();
+  const parsed = parseDiff(git(['diff', '-U1', 'file.txt']));
+  const hunk = parsed.hunks[0];
+  const inserted = hunk.lines.indexOf('+inserted after 3');
+  const patch = buildPartialPatch(parsed, [{ index: 0, header: hunk.header, lines: [inserted] }]);
+  git(['apply', '--cached', '-'], patch);
+
+  const staged = git(['show', ':file.txt']);
+  assert.ok(staged.includes('line 2\n'));
+  assert.ok(!staged.includes('line 2 changed'));
+  assert.ok(staged.includes('line 3\ninserted after 3\nline 4'));
+  assert.ok(staged.includes('line 18'));
+});
+
+test('a reverse patch discards only the selected hunk from the working tree', () => {
+  git(['reset', '-q']);
+  writeChanges();
+  const parsed = parseDiff(git(['diff', '-U1', 'file.txt']));
+  const patch = buildPartialPatch(parsed, [{ index: 0, header: parsed.hunks[0].header }], { reverse: true });
+  git(['apply', '-R', '-'], patch);
+
+  const content = readFileSync(path.join(repo, 'file.txt'), 'utf8');
+  assert.ok(content.startsWith('line 1\nline 2\nline 3\nline 4\n'));
+  assert.ok(!content.includes('line 18'));
+});
+
+test('a reverse patch with selected lines shifts the hunks after it', () => {
+  git(['checkout', '-q', '--', 'file.txt']);
+  writeChanges();
+  const parsed = parseDiff(git(['diff', '-U1', 'file.txt']));
+  const [first, second] = parsed.hunks;
+  const patch = buildPartialPatch(parsed, [
+    { index: 1, header: second.header },
+    { index: 0, header: first.header, lines: [first.lines.indexOf('+inserted after 3')] }
+  ], { reverse: true });
+  git(['apply', '-R', '-'], patch);
+
+  assert.equal(readFileSync(path.join(repo, 'file.txt'), 'utf8'), ORIGINAL.replace('line 2\n', 'line 2 changed\n'));
+});
+
+test('selected lines of an untracked file can be staged and discarded', () => {
+  writeFileSync(path.join(repo, 'new.txt'), 'one\ntwo\nthree\n');
+  let parsed = parseDiff(untrackedDiff('new.txt'));
+  assert.equal(parsed.hunks[0].header, '@@ -0,0 +1,3 @@');
+  git(['apply', '--cached', '-'], buildPartialPatch(parsed, [{ index: 0, header: parsed.hunks[0].header, lines: [0, 2] }]));
+  assert.equal(git(['show', ':new.txt']), 'one\nthree\n');
+  git(['rm', '-q', '--cached', '-f', 'new.txt']);
+
+  parsed = parseDiff(untrackedDiff('new.txt'));
+  git(['apply', '-R', '-'], buildPartialPatch(parsed, [{ index: 0, header: parsed.hunks[0].header, lines: [1] }], { reverse: true }));
+  assert.equal(readFileSync(path.join(repo, 'new.txt'), 'utf8'), 'one\nthree\n');
+  rmSync(path.join(repo, 'new.txt'));
+});
+
+test('buildPartialPatch refuses hunks that changed since they were loaded', () => {
+  const parsed = parseDiff('--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n-a\n+b\n c\n');
+  assert.throws(
+    () => buildPartialPatch(parsed, [{ index: 0, header: '@@ -1,3 +1,3 @@' }]),
+    { code: 'ESTALE' }
+  );
+  assert.throws(
+    () => buildPartialPatch(parsed, [{ index: 1, header: parsed.hunks[0].header }]),
+    { code: 'ESTALE' }
+  );
+});
+
+test('buildPartialPatch needs at least one change', () => {
+  const parsed = parseDiff('--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n-a\n+b\n c\n');
+  assert.throws(
+    () => buildPartialPatch(parsed, [{ index: 0, header: parsed.hunks[0].header, lines: [] }]),
+    { code: 'EINVAL' }
+  );
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startLanguageServer, sendToLanguageServer, stopClientLanguageServers } from '../server/language-servers.js';
+
+// A stand-in language server that answers every message with the names in its environment
+const SERVER_SCRIPT = `
+let buffer = '';
+process.stdin.on('data', (chunk) => {
+  buffer += chunk;
+  const start = buffer.indexOf('\\r\\n\\r\\n');
+  if (start === -1) return;
+  buffer = '';
+  const body = JSON.stringify({ jsonrpc: '2.0', id: 1, result: Object.keys(process.env) });
+  process.stdout.write('Content-Length: ' + Buffer.byteLength(body) + '\\r\\n\\r\\n' + body);
+});
+`;
+
+let base;
+
+// A stand-in for the chat WebSocket that resolves waitFor(type) with the next such message
+function createClient() {
+  const messages = [];
+  const waiters = [];
+  return {
+    OPEN: 1,
+    readyState: 1,
+    messages,
+    send(payload) {
+      const message = JSON.parse(payload);
+      messages.push(message);
+      waiters.filter(waiter => waiter.type === message.type).forEach(waiter => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      });
+    },
+    waitFor(type) {
+      return new Promise(resolve => waiters.push({ type, resolve }));
+    }
+  };
+}
+
+before(() => {
+  base = mkdtempSync(path.join(os.tmpdir(), 'language-servers-test-'));
+  const script = path.join(base, 'server.cjs');
+  writeFileSync(script, SERVER_SCRIPT);
+  process.env.LANGUAGE_SERVERS = JSON.stringify({ fake: [process.execPath, script] });
+});
+
+after(() => {
+  delete process.env.LANGUAGE_SERVERS;
+  rmSync(base, { recursive: true, force: true });
+});
+
+test('language servers get no secrets or credentials', async (t) => {
+  Object.assign(process.env, { JWT_SECRET: 'jwt', OPENAI_COMPAT_API_KEY: 'compat', GEMINI_API_KEY: 'gemini', GITHUB_TOKEN: 'gh' });
+  t.after(() => {
+    for (const name of ['JWT_SECRET', 'OPENAI_COMPAT_API_KEY', 'GEMINI_API_KEY', 'GITHUB_TOKEN']) delete process.env[name];
+  });
+  const client = createClient();
+  t.after(() => stopClientLanguageServers(client));
+
+  await startLanguageServer(client, 'env', 'fake', base);
+  const reply = client.waitFor('lsp-message');
+  sendToLanguageServer(client, 'env', { jsonrpc: '2.0', id: 1, method: 'env' });
+  const names = (await reply).message.result;
+  assert.ok(names.includes('PATH'));
+  for (const name of ['JWT_SECRET', 'OPENAI_COMPAT_API_KEY', 'GEMINI_API_KEY', 'GITHUB_TOKEN']) {
+    assert.ok(!names.includes(name), name);
+  }
+});
+
+test('a session ID can only be started once, even by quick repeated starts', async (t) => {
+  const client = createClient();
+  t.after(() => stopClientLanguageServers(client));
+
+  const results = await Promise.allSettled([
+    startLanguageServer(client, 'twice', 'fake', base),
+    startLanguageServer(client, 'twice', 'fake', base)
+  ]);
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.match(results[1].reason.message, /already running/);
+  assert.equal(client.messages.filter(message => message.type === 'lsp-started').length, 1);
+});
+
+test('a server stopped while its command is looked up is not started', async () => {
+  const client = createClient();
+  const starting = startLanguageServer(client, 'early', 'fake', base);
+  stopClientLanguageServers(client);
+  await starting;
+  assert.equal(client.messages.length, 0);
+  assert.throws(() => sendToLanguageServer(client, 'early', {}), /is not running/);
+});
+
+test('unknown languages free their slot', async (t) => {
+  const client = createClient();
+  t.after(() => stopClientLanguageServers(client));
+  await assert.rejects(startLanguageServer(client, 'none', 'cobol', base), /No language server is available for cobol/);
+  await startLanguageServer(client, 'none', 'fake', base);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The OpenAI-compatible API replaying a mock fixture of streamed deltas and whole messages
+const base = mkdtempSync(path.join(os.tmpdir(), 'openai-test-'));
+const projectPath = path.join(base, 'project');
+mkdirSync(projectPath);
+writeFileSync(path.join(base, 'deltas.json'), JSON.stringify({
+  steps: [
+    { text: 'The answ', delta: true },
+    { text: 'er is ', delta: true },
+    { text: '42.', delta: true },
+    { text: 'Done.' }
+  ]
+}));
+Object.assign(process.env, {
+  DATABASE_PATH: path.join(base, 'test.db'),
+  CLI_UI_HOME: path.join(base, 'home'),
+  SESSION_JSON_MIRROR: '0',
+  SESSION_AUTO_SUMMARY: '0',
+  CLI_SESSION_POOL_SIZE: '0',
+  MOCK_CLI_FIXTURES_DIR: base,
+  MOCK_CLI_FIXTURE: 'deltas',
+  OPENAI_COMPAT_PROJECT_PATH: projectPath
+});
+
+const { default: express } = await import('express');
+const { initializeDatabase } = await import('../server/database/db.js');
+const { default: openaiRoutes } = await import('../server/routes/openai.js');
+
+let server;
+let baseUrl;
+
+const complete = (body) => fetch(`${baseUrl}/v1/chat/completions`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'x-cli-provider': 'mock' },
+  body: JSON.stringify({ model: 'mock-basic', messages: [{ role: 'user', content: 'What is the answer?' }], ...body })
+});
+
+before(async () => {
+  await initializeDatabase();
+  const app = express();
+  app.use('/v1', express.json(), openaiRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(base, { recursive: true, force: true });
+});
+
+test('a completion joins streamed deltas and starts whole messages on a new line', async () => {
+  const response = await complete({});
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.choices[0].message.content, 'The answer is 42.\nDone.');
+});
+
+test('a streamed completion sends the same text in chunks', async () => {
+  const response = await complete({ stream: true });
+  const lines = (await response.text()).split('\n').filter(line => line.startsWith('data: ') && line !== 'data: [DONE]');
+  const content = lines.map(line => JSON.parse(line.slice(6)).choices[0].delta.content || '').join('');
+  assert.equal(content, 'The answer is 42.\nDone.');
+});
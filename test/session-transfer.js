@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMATS, exportSession, parseSessionImport, detectImportFormat } from '../server/session-transfer.js';
+
+const IMAGE = { name: 'dot.png', mimeType: 'image/png', data: 'data:image/png;base64,iVBORw0KGgo=' };
+
+const session = {
+  id: 'session-1',
+  projectPath: '/home/user/project',
+  provider: 'gemini',
+  summary: 'Fix the build',
+  contextSettings: { maxMessages: 10 },
+  createdAt: '2024-05-01T10:00:00.000Z',
+  lastActivity: '2024-05-01T10:05:00.000Z'
+};
+
+const messages = [
+  { role: 'user', content: 'Why does the build fail?', timestamp: '2024-05-01T10:00:00.000Z', images: [IMAGE] },
+  { role: 'assistant', content: 'The config has a typo:\n\n```js\nexport default {}\n```', timestamp: '2024-05-01T10:01:00.000Z' },
+  {
+    role: 'tool_use',
+    content: JSON.stringify({ id: 'tool-1', name: 'Edit', input: { file_path: 'vite.config.js', old_string: 'plugns', new_string: 'plugins' } }),
+    timestamp: '2024-05-01T10:02:00.000Z'
+  },
+  {
+    role: 'tool_use',
+    content: JSON.stringify({ id: 'tool-2', name: 'Bash', input: { command: 'npm run build' } }),
+    timestamp: '2024-05-01T10:03:00.000Z'
+  },
+  { role: 'assistant', content: 'Fixed.', timestamp: '2024-05-01T10:04:00.000Z' }
+];
+
+// JSONL entries have no image names, so the importer numbers them
+const comparable = (list, { imageNames = true } = {}) => list.map(message => ({
+  role: message.role,
+  content: message.role === 'tool_use' ? JSON.parse(message.content) : message.content,
+  timestamp: message.timestamp,
+  images: (message.images || []).map(({ name, ...image }) => (imageNames ? { name, ...image } : image))
+}));
+
+for (const format of Object.keys(EXPORT_FORMATS)) {
+  test(`${format} exports import back to the same messages`, () => {
+    const { content, extension, mimeType } = exportSession(session, messages, format);
+    assert.equal(extension, EXPORT_FORMATS[format].extension);
+    assert.equal(mimeType, EXPORT_FORMATS[format].mimeType);
+    assert.equal(detectImportFormat(`export.${extension}`, content), format);
+
+    const imported = parseSessionImport(content, format);
+    const options = { imageNames: format !== 'jsonl' };
+    assert.deepEqual(comparable(imported.messages, options), comparable(messages, options));
+  });
+}
+
+test('json exports keep the context settings', () => {
+  const { content } = exportSession(session, messages, 'json');
+  assert.deepEqual(parseSessionImport(content, 'json').contextSettings, session.contextSettings);
+});
+
+test('markdown exports read as a transcript', () => {
+  const { content } = exportSession(session, messages, 'markdown');
+  assert.ok(content.startsWith('# Fix the build\n'));
+  assert.ok(content.includes('### User\n\nWhy does the build fail?'));
+  assert.ok(content.includes('#### Tool: Edit `vite.config.js`\n\n```diff\n- plugns\n+ plugins\n```'));
+  assert.ok(content.includes('#### Tool: Bash\n\n```bash\nnpm run build\n```'));
+});
+
+test('the import format is sniffed when the file name has no known extension', () => {
+  assert.equal(detectImportFormat('session', exportSession(session, messages, 'json').content), 'json');
+  assert.equal(detectImportFormat('session', exportSession(session, messages, 'jsonl').content), 'jsonl');
+  assert.equal(detectImportFormat('session.txt', exportSession(session, messages, 'markdown').content), 'markdown');
+  assert.equal(detectImportFormat('notes.ndjson', ''), 'jsonl');
+});
+
+test('jsonl from the CLI session logs is imported without tool results', () => {
+  const lines = [
+    { type: 'user', timestamp: '2024-05-01T10:00:00.000Z', message: { role: 'user', content: 'List the files' } },
+    {
+      type: 'assistant',
+      timestamp: '2024-05-01T10:00:01.000Z',
+      message: {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Listing them.' },
+          { type: 'tool_use', id: 'tool-1', name: 'Bash', input: { command: 'ls' } }
+        ]
+      }
+    },
+    {
+      type: 'user',
+      timestamp: '2024-05-01T10:00:02.000Z',
+      message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: 'README.md' }] }
+    },
+    'not json',
+    { type: 'summary', summary: 'Listing files' }
+  ].map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n');
+
+  const { messages: imported } = parseSessionImport(lines, 'jsonl');
+  assert.deepEqual(imported.map(message => [message.role, message.content]), [
+    ['user', 'List the files'],
+    ['assistant', 'Listing them.'],
+    ['tool_use', JSON.stringify({ id: 'tool-1', name: 'Bash', input: { command: 'ls' } })]
+  ]);
+});
+
+test('imported images must be image data URLs', () => {
+  const { content } = exportSession(session, [
+    { role: 'user', content: 'Two files', timestamp: session.createdAt, images: [IMAGE, { name: 'x.html', mimeType: 'text/html', data: 'data:text/html;base64,PGI+' }] }
+  ], 'json');
+  assert.deepEqual(parseSessionImport(content, 'json').messages[0].images, [IMAGE]);
+});
+
+test('unknown formats and foreign files are refused', () => {
+  assert.throws(() => exportSession(session, messages, 'html'), /Unsupported export format/);
+  assert.throws(() => parseSessionImport('', 'html'), /Unsupported import format/);
+  assert.throws(() => parseSessionImport('# Notes\n\nJust text', 'markdown'), /No messages found/);
+  assert.throws(() => parseSessionImport('{"format":"other","messages":[]}', 'json'), /Not a session export/);
+  assert.throws(() => parseSessionImport('{"type":"summary"}', 'jsonl'), /No messages found/);
+});
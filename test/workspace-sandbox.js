@@ -0,0 +1,78 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, realpathSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveWorkspacePath } from '../server/workspace-sandbox.js';
+
+let base;
+let project;
+let outside;
+
+before(() => {
+  base = realpathSync(mkdtempSync(path.join(os.tmpdir(), 'workspace-sandbox-test-')));
+  project = path.join(base, 'project');
+  outside = path.join(base, 'outside');
+  mkdirSync(path.join(project, 'src'), { recursive: true });
+  mkdirSync(outside);
+  writeFileSync(path.join(project, 'src', 'index.js'), '');
+  writeFileSync(path.join(project, '..hidden'), '');
+  writeFileSync(path.join(outside, 'secret.txt'), '');
+  symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'secret-link'));
+  symlinkSync(outside, path.join(project, 'outside-dir'));
+  symlinkSync(path.join(project, 'src'), path.join(project, 'src-link'));
+});
+
+after(() => {
+  rmSync(base, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  delete process.env.WORKSPACE_ALLOWED_ROOTS;
+  // Rejections are logged; keep the test output readable
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('paths inside the project resolve against its root', async () => {
+  assert.equal(await resolveWorkspacePath(project, 'src/index.js'), path.join(project, 'src', 'index.js'));
+  assert.equal(await resolveWorkspacePath(project, path.join(project, 'src')), path.join(project, 'src'));
+  assert.equal(await resolveWorkspacePath(project, '.'), project);
+  assert.equal(await resolveWorkspacePath(project, '..hidden'), path.join(project, '..hidden'));
+});
+
+test('files that don\'t exist yet are allowed inside the project', async () => {
+  assert.equal(await resolveWorkspacePath(project, 'new/dir/file.txt'), path.join(project, 'new', 'dir', 'file.txt'));
+  assert.equal(await resolveWorkspacePath(project, '..env.backup'), path.join(project, '..env.backup'));
+  assert.equal(await resolveWorkspacePath(project, 'src-link/new.js'), path.join(project, 'src-link', 'new.js'));
+});
+
+test('paths outside the project are rejected and logged', async (t) => {
+  assert.equal(await resolveWorkspacePath(project, '../outside/secret.txt', { operation: 'read', user: 'alice' }), null);
+  assert.equal(await resolveWorkspacePath(project, '/etc/passwd'), null);
+  assert.equal(await resolveWorkspacePath(project, '..'), null);
+  assert.equal(console.warn.mock.callCount(), 3);
+  assert.match(console.warn.mock.calls[0].arguments[0], /^Rejected file read by alice: \.\.\/outside\/secret\.txt \(outside the workspace/);
+});
+
+test('symlinks that lead out of the project are rejected', async () => {
+  assert.equal(await resolveWorkspacePath(project, 'secret-link'), null);
+  assert.equal(await resolveWorkspacePath(project, 'outside-dir/secret.txt'), null);
+  assert.equal(await resolveWorkspacePath(project, 'outside-dir/new.txt'), null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /resolves to .*outside.*secret\.txt, outside the workspace/);
+});
+
+test('invalid paths and project roots are rejected', async () => {
+  assert.equal(await resolveWorkspacePath(project, ''), null);
+  assert.equal(await resolveWorkspacePath(project, 'src/index.js\0.png'), null);
+  assert.equal(await resolveWorkspacePath(project, 42), null);
+  assert.equal(await resolveWorkspacePath('', 'src/index.js'), null);
+  assert.equal(await resolveWorkspacePath('relative/project', 'src/index.js'), null);
+  assert.equal(await resolveWorkspacePath('/', 'etc/passwd'), null);
+});
+
+test('WORKSPACE_ALLOWED_ROOTS adds roots outside the project', async () => {
+  process.env.WORKSPACE_ALLOWED_ROOTS = [path.join(base, 'missing'), outside].join(path.delimiter);
+  assert.equal(await resolveWorkspacePath(project, '../outside/secret.txt'), path.join(outside, 'secret.txt'));
+  assert.equal(await resolveWorkspacePath(project, 'secret-link'), path.join(project, 'secret-link'));
+  assert.equal(await resolveWorkspacePath(project, '/etc/passwd'), null);
+});